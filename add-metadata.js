@@ -1,9 +1,9 @@
 #!/usr/bin/env node
 /**
- * Add metadata to output.json using LLM analysis
+ * Add metadata to output.json (or <repo>-project-analysis.ndjson.gz) using LLM analysis
  *
  * Usage:
- *   node add-metadata.js <output.json> <repoPath> --provider <openai|claude|gemini|bedrock|custom> --api-key <key> [options]
+ *   node add-metadata.js <output.json|output.ndjson.gz> <repoPath> --provider <openai|claude|gemini|bedrock|custom> --api-key <key> [options]
  *
  * Options:
  *   --mode <low|high>           Accuracy mode: low (JSON only) or high (with code) [default: low]
@@ -21,6 +21,7 @@ const path = require("path");
 const https = require("https");
 const http = require("http");
 const crypto = require("crypto");
+const { isNdjsonPath, readNdjson, createResumableWriter, isMetaRecord } = require("./ndjson-stream");
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -75,13 +76,6 @@ function getArg(flag, defaultValue = null) {
   return args[index + 1] || defaultValue;
 }
 
-// Load output JSON
-console.log(`📂 Loading ${outputPath}...`);
-const fullData = JSON.parse(fs.readFileSync(outputPath, "utf8"));
-
-// Support both old format (array) and new format (object with files array)
-const data = Array.isArray(fullData) ? fullData : (fullData.files || []);
-const hasProjectMetaData = !Array.isArray(fullData) && fullData.projectMetaData;
 
 // Metadata schema definitions
 const METADATA_SCHEMA = {
@@ -591,10 +585,66 @@ async function processNode(node, nodeType, filePath) {
   return { success: true, skipped: false, error: null };
 }
 
+// Process file, class and function nodes of one file record in place.
+// `onNodeDone` is called after each node that received new metadata.
+// Errors are re-thrown with a `context` describing the failing node.
+async function processFileEntry(fileEntry, counters, onNodeDone) {
+  const filePath = fileEntry.path;
+
+  const runNode = async (node, nodeType, context) => {
+    let result;
+    try {
+      result = await processNode(node, nodeType, filePath);
+    } catch (error) {
+      error.context = context;
+      throw error;
+    }
+    if (result.skipped) {
+      counters.totalSkipped++;
+    } else {
+      counters.totalProcessed++;
+      onNodeDone(nodeType);
+    }
+  };
+
+  // Process file-level metadata
+  if (config.nodeTypes.includes("file")) {
+    console.log("  📄 Analyzing file...");
+    await runNode(fileEntry, "file", `file ${filePath}`);
+  }
+
+  // Process classes
+  if (config.nodeTypes.includes("class") && fileEntry.classes) {
+    console.log(`  📦 Analyzing ${fileEntry.classes.length} classes...`);
+    for (const classNode of fileEntry.classes) {
+      await runNode(classNode, "class", `class ${classNode.name} in ${filePath}`);
+    }
+  }
+
+  // Process functions
+  if (config.nodeTypes.includes("function") && fileEntry.functions) {
+    console.log(`  ⚡ Analyzing ${fileEntry.functions.length} functions...`);
+    for (const funcNode of fileEntry.functions) {
+      await runNode(funcNode, "function", `function ${funcNode.name} in ${filePath}`);
+    }
+  }
+}
+
 // Main processing function
 async function processData() {
-  let totalProcessed = 0;
-  let totalSkipped = 0;
+  if (isNdjsonPath(outputPath)) {
+    return processNdjsonData();
+  }
+
+  // Load output JSON
+  console.log(`📂 Loading ${outputPath}...`);
+  const fullData = JSON.parse(fs.readFileSync(outputPath, "utf8"));
+
+  // Support both old format (array) and new format (object with files array)
+  const data = Array.isArray(fullData) ? fullData : (fullData.files || []);
+  const hasProjectMetaData = !Array.isArray(fullData) && fullData.projectMetaData;
+
+  const counters = { totalProcessed: 0, totalSkipped: 0 };
 
   // Helper function to save progress
   const saveProgress = () => {
@@ -604,90 +654,90 @@ async function processData() {
     fs.writeFileSync(outputPath, JSON.stringify(outputData, null, 2));
   };
 
-  // Helper function to exit with error
-  const exitWithError = (error, context) => {
-    saveProgress();
-    console.error(`\n❌ Error processing ${context}:`, error.message || error);
-    console.log(`\n⚠️  Stopping due to error. Progress has been saved.`);
-    console.log(`   Total nodes processed: ${totalProcessed}`);
-    console.log(`   Total skipped: ${totalSkipped}`);
-    console.log(`\n📝 Updated file: ${outputPath}`);
-    process.exit(1);
-  };
-
   for (let i = 0; i < data.length; i++) {
     const fileEntry = data[i];
-    const filePath = fileEntry.path;
-
-    console.log(`\n[${i + 1}/${data.length}] Processing: ${filePath}`);
-
-    // Process file-level metadata
-    if (config.nodeTypes.includes("file")) {
-      console.log("  📄 Analyzing file...");
-      try {
-        const result = await processNode(fileEntry, "file", filePath);
-        if (result.skipped) {
-          totalSkipped++;
-        } else {
-          totalProcessed++;
-          // Save after each successful node
-          saveProgress();
-          console.log(`  💾 Progress saved`);
-        }
-      } catch (error) {
-        exitWithError(error, `file ${filePath}`);
-      }
-    }
 
-    // Process classes
-    if (config.nodeTypes.includes("class") && fileEntry.classes) {
-      console.log(`  📦 Analyzing ${fileEntry.classes.length} classes...`);
+    console.log(`\n[${i + 1}/${data.length}] Processing: ${fileEntry.path}`);
 
-      for (const classNode of fileEntry.classes) {
-        try {
-          const result = await processNode(classNode, "class", filePath);
-          if (result.skipped) {
-            totalSkipped++;
-          } else {
-            totalProcessed++;
-            // Save after each successful node
-            saveProgress();
-            console.log(`    💾 Progress saved`);
-          }
-        } catch (error) {
-          exitWithError(error, `class ${classNode.name} in ${filePath}`);
-        }
-      }
+    try {
+      await processFileEntry(fileEntry, counters, (nodeType) => {
+        // Save after each successful node
+        saveProgress();
+        console.log(`${nodeType === "file" ? "  " : "    "}💾 Progress saved`);
+      });
+    } catch (error) {
+      saveProgress();
+      console.error(`\n❌ Error processing ${error.context || fileEntry.path}:`, error.message || error);
+      console.log(`\n⚠️  Stopping due to error. Progress has been saved.`);
+      console.log(`   Total nodes processed: ${counters.totalProcessed}`);
+      console.log(`   Total skipped: ${counters.totalSkipped}`);
+      console.log(`\n📝 Updated file: ${outputPath}`);
+      process.exit(1);
     }
+  }
 
-    // Process functions
-    if (config.nodeTypes.includes("function") && fileEntry.functions) {
-      console.log(`  ⚡ Analyzing ${fileEntry.functions.length} functions...`);
+  // Final save
+  saveProgress();
 
-      for (const funcNode of fileEntry.functions) {
-        try {
-          const result = await processNode(funcNode, "function", filePath);
-          if (result.skipped) {
-            totalSkipped++;
-          } else {
-            totalProcessed++;
-            // Save after each successful node
-            saveProgress();
-            console.log(`    💾 Progress saved`);
-          }
-        } catch (error) {
-          exitWithError(error, `function ${funcNode.name} in ${filePath}`);
-        }
-      }
+  console.log(`\n✅ Complete!`);
+  console.log(`   Total nodes processed: ${counters.totalProcessed}`);
+  console.log(`   Total skipped: ${counters.totalSkipped}`);
+  console.log(`\n📝 Updated file: ${outputPath}`);
+}
+
+// NDJSON(.gz) mode: stream one file record at a time and append it to a
+// resumable progress file once all of its nodes are done. The input is only
+// replaced after the last record, so a failed run can simply be re-run.
+// A record that fails mid-way is not written and is redone on resume.
+async function processNdjsonData() {
+  console.log(`📂 Streaming ${outputPath}...`);
+
+  const writer = createResumableWriter(outputPath);
+  if (writer.discarded) {
+    console.log(`🗑️  Discarded ${writer.progressPath}: it was made from a different input`);
+  }
+  if (writer.resumeFrom > 0) {
+    console.log(`↩️  Resuming after ${writer.resumeFrom} records from ${writer.progressPath}`);
+  }
+
+  const counters = { totalProcessed: 0, totalSkipped: 0 };
+  let index = 0;
+  let fileCount = 0;
+
+  for await (const record of readNdjson(outputPath)) {
+    const i = index++;
+    if (i < writer.resumeFrom) continue;
+
+    if (isMetaRecord(record)) {
+      writer.write(record);
+      continue;
+    }
+
+    fileCount++;
+    console.log(`\n[${i + 1}] Processing: ${record.path}`);
+
+    try {
+      await processFileEntry(record, counters, () => {});
+    } catch (error) {
+      writer.close();
+      console.error(`\n❌ Error processing ${error.context || record.path}:`, error.message || error);
+      console.log(`\n⚠️  Stopping due to error. Progress has been saved to ${writer.progressPath}`);
+      console.log(`   Re-run the same command to resume.`);
+      console.log(`   Total nodes processed: ${counters.totalProcessed}`);
+      console.log(`   Total skipped: ${counters.totalSkipped}`);
+      process.exit(1);
     }
+
+    writer.write(record);
+    console.log(`  💾 Progress saved`);
   }
 
-  // Final save
-  saveProgress();
+  await writer.finish();
 
   console.log(`\n✅ Complete!`);
-  console.log(`   Total nodes processed: ${totalProcessed}`);
-  console.log(`   Total skipped: ${totalSkipped}`);
+  console.log(`   Files: ${fileCount}`);
+  console.log(`   Total nodes processed: ${counters.totalProcessed}`);
+  console.log(`   Total skipped: ${counters.totalSkipped}`);
   console.log(`\n📝 Updated file: ${outputPath}`);
 }
 
@@ -0,0 +1,227 @@
+/**
+ * Persistent per-file analysis cache for incremental CLI runs (--incremental).
+ *
+ * One cache per language analyzer, stored under the cache dir as:
+ *   <language>.index.json     { format, key, entries: { relPath: { hash, mtimeMs, size, importFiles, importNames, offset, length } } }
+ *   <language>.records.ndjson the analyzer's file records, addressed by byte offset
+ *
+ * `key` combines the analyzer version and the capture flags, so changing either
+ * invalidates the whole language cache. A file's record is reused only when
+ * its content hash is unchanged AND none of its `importFiles` were modified or
+ * deleted since the last run (those are re-parsed so import resolution is
+ * re-checked). New files are never in the cache and are always parsed; when
+ * the caller lists the language's current files (`opts.files`), a new file
+ * also re-checks the cached files with an unresolved import it may now
+ * satisfy: an `externalImports` entry naming the new file or its directory
+ * (`./utils`, `.models`, `com.acme.Order` for an added `Order.java`).
+ *
+ * Analyzers opt in by honouring `opts.fileFilter(absPath)`: it returns false
+ * for reusable files after emitting the cached record through `onResult`.
+ * Analyzers that call it in their per-file loop keep the order of a fresh
+ * run; those that filter up front and parse in parallel (Java) emit every
+ * cached record first.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const CACHE_FORMAT = 2;
+
+function hashFile(filePath) {
+  return crypto.createHash("sha1").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+// Names an import can refer to a file by: its stem and its directory
+// ("src/models/order.py" -> "order", "models")
+function fileNames(relPath) {
+  const parsed = path.parse(relPath);
+  return [parsed.name, path.basename(parsed.dir)].filter(Boolean);
+}
+
+// Segments of a record's external imports, for matching against new files
+function importNames(record) {
+  const names = new Set();
+  for (const source of record.externalImports || []) {
+    if (typeof source !== "string") continue;
+    for (const part of source.split(/[./\\:]+/)) if (part) names.add(part);
+  }
+  return [...names];
+}
+
+function readIndex(indexPath) {
+  try {
+    return JSON.parse(fs.readFileSync(indexPath, "utf8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Open the cache for one language analyzer.
+ *
+ * @param {string} cacheDir
+ * @param {string} languageKey - Analyzer registry key (e.g. "typescript")
+ * @param {string} repoPath
+ * @param {{ analyzerVersion?: string, captureSourceCode?: boolean, captureStatements?: boolean, files?: string[] }} opts
+ *   `files` - repo-relative paths of the language's current files, to detect added files
+ */
+function openAnalysisCache(cacheDir, languageKey, repoPath, opts = {}) {
+  fs.mkdirSync(cacheDir, { recursive: true });
+
+  const indexPath = path.join(cacheDir, `${languageKey}.index.json`);
+  const recordsPath = path.join(cacheDir, `${languageKey}.records.ndjson`);
+  const tmpRecordsPath = `${recordsPath}.tmp`;
+  const key = [
+    opts.analyzerVersion || "0",
+    `src=${!!opts.captureSourceCode}`,
+    `stmt=${!!opts.captureStatements}`,
+  ].join("|");
+
+  const stats = { reused: 0, parsed: 0, added: 0, modified: 0, deleted: 0, rechecked: 0 };
+
+  // ---- Classify the previously cached files ----
+  let prev = readIndex(indexPath);
+  if (!prev || prev.format !== CACHE_FORMAT || prev.key !== key || !fs.existsSync(recordsPath)) {
+    prev = { entries: {} };
+  }
+
+  const unchanged = new Map(); // relPath -> { hash, mtimeMs, size }
+  const changed = new Set();
+  for (const [relPath, entry] of Object.entries(prev.entries)) {
+    let st;
+    try {
+      st = fs.statSync(path.join(repoPath, relPath));
+    } catch (_) {
+      changed.add(relPath);
+      stats.deleted++;
+      continue;
+    }
+    if (st.size === entry.size && st.mtimeMs === entry.mtimeMs) {
+      unchanged.set(relPath, { hash: entry.hash, mtimeMs: st.mtimeMs, size: st.size });
+      continue;
+    }
+    const hash = hashFile(path.join(repoPath, relPath));
+    if (hash === entry.hash) {
+      unchanged.set(relPath, { hash, mtimeMs: st.mtimeMs, size: st.size });
+    } else {
+      changed.add(relPath);
+      stats.modified++;
+    }
+  }
+
+  // Added files, by the names an unresolved import could use for them
+  const addedNames = new Set();
+  for (const relPath of opts.files || []) {
+    if (prev.entries[relPath]) continue;
+    stats.added++;
+    fileNames(relPath).forEach((name) => addedNames.add(name));
+  }
+
+  // Unchanged files importing a modified/deleted file, or with an external
+  // import an added file may resolve, must be re-parsed so their importFiles
+  // (and cross-file calls) are resolved again.
+  const reusable = new Set();
+  for (const relPath of unchanged.keys()) {
+    const imports = prev.entries[relPath].importFiles || [];
+    const names = prev.entries[relPath].importNames || [];
+    if (imports.some((f) => changed.has(f)) || names.some((n) => addedNames.has(n))) {
+      stats.rechecked++;
+    } else {
+      reusable.add(relPath);
+    }
+  }
+
+  // ---- Writers ----
+  const oldFd = reusable.size > 0 ? fs.openSync(recordsPath, "r") : null;
+  const newFd = fs.openSync(tmpRecordsPath, "w");
+  const entries = {};
+  let offset = 0;
+
+  function store(relPath, json, fileInfo, record) {
+    const buf = Buffer.from(json + "\n", "utf8");
+    fs.writeSync(newFd, buf);
+    entries[relPath] = {
+      ...fileInfo,
+      importFiles: record.importFiles || [],
+      importNames: importNames(record),
+      offset,
+      length: buf.length - 1,
+    };
+    offset += buf.length;
+  }
+
+  function readCached(relPath) {
+    const entry = prev.entries[relPath];
+    const buf = Buffer.alloc(entry.length);
+    fs.readSync(oldFd, buf, 0, entry.length, entry.offset);
+    return buf.toString("utf8");
+  }
+
+  /**
+   * Wrap the downstream onResult. Returns the `onResult` and `fileFilter`
+   * to pass to the analyzer.
+   */
+  function attach(onResult) {
+    const cachingOnResult = (record) => {
+      const absPath = path.join(repoPath, record.path);
+      try {
+        const st = fs.statSync(absPath);
+        store(record.path, JSON.stringify(record), {
+          hash: hashFile(absPath),
+          mtimeMs: st.mtimeMs,
+          size: st.size,
+        }, record);
+      } catch (_) {
+        // Not cacheable (e.g. file vanished mid-run) — still emit it.
+      }
+      stats.parsed++;
+      onResult(record);
+    };
+
+    const fileFilter = (absPath) => {
+      const relPath = path.relative(repoPath, absPath);
+      if (!reusable.has(relPath)) return true;
+      reusable.delete(relPath); // emit at most once
+      const json = readCached(relPath);
+      const record = JSON.parse(json);
+      store(relPath, json, unchanged.get(relPath), record);
+      stats.reused++;
+      onResult(record);
+      return false;
+    };
+
+    return { onResult: cachingOnResult, fileFilter };
+  }
+
+  function closeFds() {
+    if (oldFd !== null) fs.closeSync(oldFd);
+    fs.closeSync(newFd);
+  }
+
+  /** Persist the records seen in this run as the new cache. */
+  function commit() {
+    closeFds();
+    fs.renameSync(tmpRecordsPath, recordsPath);
+    fs.writeFileSync(indexPath, JSON.stringify({ format: CACHE_FORMAT, key, entries }));
+  }
+
+  /** Drop this run's writes, keeping the previous cache intact. */
+  function discard() {
+    closeFds();
+    try {
+      fs.unlinkSync(tmpRecordsPath);
+    } catch (_) {
+      // best-effort
+    }
+  }
+
+  /** Repo-relative (`/`-separated) paths fileFilter will serve from the cache. */
+  function reusablePaths() {
+    return [...reusable].map((p) => p.split(path.sep).join("/"));
+  }
+
+  return { attach, commit, discard, reusablePaths, stats };
+}
+
+module.exports = { openAnalysisCache, hashFile };
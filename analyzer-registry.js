@@ -0,0 +1,354 @@
+/**
+ * Analyzer registry — the single list of language analyzers.
+ *
+ * Auto-detect (main.js), manual language mode (index.js) and the HTTP server
+ * all read languages from here. Built-in analyzers are registered below;
+ * additional ones are loaded as plugins from:
+ *
+ *   1. the file named by BREEZE_ANALYZERS_CONFIG, or `breeze-analyzers.json`
+ *      in the working directory:  { "analyzers": ["./scala.js", "breeze-analyzer-x"] }
+ *      (relative paths and package names resolve from the config file's directory)
+ *   2. `breeze-analyzer-*` and `@scope/breeze-analyzer-*` packages in the
+ *      tool's and the working directory's node_modules
+ *
+ * A plugin module exports one analyzer definition:
+ *
+ *   module.exports = {
+ *     key: "scala",                          // --language value, NDJSON `language`
+ *     name: "Scala",                         // display name
+ *     extensions: ["**\/*.scala", "**\/*.sc"], // globs used for detection
+ *     analyzer: analyzeScalaRepo,            // (repoPath, opts) => records | Promise
+ *     priority: 0,                           // optional, higher is detected first
+ *     ignoreKey: "java",                     // optional, language folder whose .repoignore applies
+ *     version: 1,                            // optional, bump when output changes (incremental cache key)
+ *     pooled: true,                          // optional, false opts out of --workers
+ *   };
+ *
+ * The analyzer follows the built-in contract: honour `opts.onResult`,
+ * `opts.fileFilter`, `opts.ignorePatterns` and the `--capture-*` flags, and
+ * report files it cannot parse through `opts.onFileError(absPath, err)`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const PLUGIN_PREFIX = "breeze-analyzer-";
+const CONFIG_FILE_NAME = "breeze-analyzers.json";
+
+// `module` is where `exportName` is exported from (loaded by pool workers).
+// `version` is part of the incremental cache key: bump it when an analyzer's
+// output changes so cached records from older runs are not reused.
+// `ignoreKey` is the language folder holding the analyzer's .repoignore.
+const BUILTIN_ANALYZERS = {
+  typescript: {
+    extensions: ["**/*.ts", "**/*.tsx", "**/*.mts", "**/*.cts"],
+    name: "TypeScript",
+    module: "typescript/file-tree-mapper-typescript.js",
+    exportName: "analyzeTypeScriptRepo",
+    version: 3,
+    priority: 1, // Higher priority means it's checked first
+  },
+  javascript: {
+    extensions: ["**/*.js", "**/*.jsx", "**/*.mjs", "**/*.cjs"],
+    name: "JavaScript",
+    module: "nodejs/file-tree-mapper-nodejs.js",
+    exportName: "analyzeJavaScriptRepo",
+    ignoreKey: "nodejs",
+    version: 2,
+  },
+  python: {
+    extensions: ["**/*.py"],
+    name: "Python",
+    module: "python/file-tree-mapper-python.js",
+    exportName: "analyzePythonRepo",
+    version: 2,
+  },
+  java: {
+    extensions: ["**/*.java"],
+    name: "Java",
+    module: "java/file-tree-main-java.js",
+    exportName: "analyzeJavaRepo",
+    pooled: false, // java/worker.js already spreads files across threads
+    version: 2,
+  },
+  kotlin: {
+    extensions: ["**/*.kt", "**/*.kts"],
+    name: "Kotlin",
+    module: "kotlin/file-tree-mapper-kotlin.js",
+    exportName: "analyzeKotlinRepo",
+    version: 1,
+  },
+  ruby: {
+    extensions: ["**/*.rb", "**/*.rake"],
+    name: "Ruby",
+    module: "ruby/file-tree-mapper-ruby.js",
+    exportName: "analyzeRubyRepo",
+    version: 1,
+  },
+  csharp: {
+    extensions: ["**/*.cs"],
+    name: "C#",
+    module: "csharp/file-tree-mapper-csharp.js",
+    exportName: "analyzeCSharpRepo",
+    version: 1,
+  },
+  golang: {
+    extensions: ["**/*.go"],
+    name: "Go",
+    module: "golang/file-tree-mapper-golang.js",
+    exportName: "analyzeGolangRepo",
+    version: 2,
+  },
+  rust: {
+    extensions: ["**/*.rs"],
+    name: "Rust",
+    module: "rust/file-tree-mapper-rust.js",
+    exportName: "analyzeRustRepo",
+    version: 1,
+  },
+  salesforce: {
+    extensions: ["**/*.cls", "**/*.trigger"],
+    name: "Salesforce Apex",
+    module: "salesforce/file-tree-mapper-salesforce.js",
+    exportName: "analyzeSalesforceRepo",
+    version: 1,
+  },
+  php: {
+    extensions: ["**/*.php"],
+    name: "PHP",
+    module: "php/file-tree-mapper-php.js",
+    exportName: "analyzePHPRepo",
+    version: 1,
+  },
+  vbnet: {
+    extensions: ["**/*.vb"],
+    name: "VB.NET",
+    module: "vbnet/file-tree-mapper-vbnet.js",
+    exportName: "analyzeVBNetRepo",
+    version: 1,
+  },
+  vue: {
+    extensions: ["**/*.vue"],
+    name: "Vue",
+    module: "vue/file-tree-mapper-vue.js",
+    exportName: "analyzeVueRepo",
+    version: 1,
+    priority: 2, // Check before plain JavaScript so .vue files are detected
+  },
+  perl: {
+    extensions: ["**/*.pl", "**/*.pm", "**/*.psgi", "**/*.t"],
+    name: "Perl",
+    module: "perl/file-tree-mapper-perl.js",
+    exportName: "analyzePerlRepo",
+    version: 1,
+  },
+  terraform: {
+    extensions: ["**/*.tf"],
+    name: "Terraform",
+    module: "terraform/file-tree-mapper-terraform.js",
+    exportName: "analyzeTerraformRepo",
+    version: 1,
+  },
+};
+
+// -------------------------------------------------------------
+// Registry
+// -------------------------------------------------------------
+
+function createAnalyzerRegistry() {
+  const entries = new Map();
+
+  /**
+   * @param {object} def - Analyzer definition (see file header)
+   * @param {string} [source] - Where the definition came from, for messages
+   */
+  function register(def, source = "built-in") {
+    if (!def || typeof def !== "object") {
+      throw new Error(`Analyzer from ${source} must export a definition object`);
+    }
+    const { key, name, extensions, analyzer } = def;
+    if (typeof key !== "string" || !/^[a-z][a-z0-9_-]*$/.test(key)) {
+      throw new Error(`Analyzer from ${source} needs a lowercase "key"`);
+    }
+    if (entries.has(key)) {
+      throw new Error(`Analyzer "${key}" from ${source} is already registered by ${entries.get(key).source}`);
+    }
+    if (!Array.isArray(extensions) || extensions.length === 0 || !extensions.every((e) => typeof e === "string")) {
+      throw new Error(`Analyzer "${key}" from ${source} needs an "extensions" array of globs`);
+    }
+    if (typeof analyzer !== "function") {
+      throw new Error(`Analyzer "${key}" from ${source} needs an "analyzer" function`);
+    }
+
+    entries.set(key, {
+      key,
+      name: name || key,
+      extensions,
+      analyzer,
+      module: def.module,
+      exportName: def.exportName || "analyzer",
+      priority: Number(def.priority) || 0,
+      ignoreKey: def.ignoreKey || key,
+      version: def.version != null ? def.version : 0,
+      pooled: def.pooled,
+      source,
+    });
+  }
+
+  /** All analyzers, highest priority first (registration order otherwise). */
+  function list() {
+    return [...entries.values()].sort((a, b) => b.priority - a.priority);
+  }
+
+  return {
+    register,
+    list,
+    get: (key) => entries.get(key) || null,
+    keys: () => [...entries.keys()],
+  };
+}
+
+function registerBuiltins(registry) {
+  for (const [key, def] of Object.entries(BUILTIN_ANALYZERS)) {
+    const modulePath = path.join(__dirname, def.module);
+    registry.register({ ...def, key, module: modulePath, analyzer: require(modulePath)[def.exportName] });
+  }
+}
+
+// -------------------------------------------------------------
+// Plugin discovery
+// -------------------------------------------------------------
+
+/** `breeze-analyzer-*` package directories inside a node_modules folder. */
+function findPluginPackages(nodeModulesDir) {
+  const found = [];
+  let names;
+  try {
+    names = fs.readdirSync(nodeModulesDir);
+  } catch (_) {
+    return found;
+  }
+  for (const name of names) {
+    if (name.startsWith(PLUGIN_PREFIX)) {
+      found.push(path.join(nodeModulesDir, name));
+    } else if (name.startsWith("@")) {
+      let scoped = [];
+      try {
+        scoped = fs.readdirSync(path.join(nodeModulesDir, name));
+      } catch (_) {
+        // unreadable scope directory
+      }
+      scoped
+        .filter((n) => n.startsWith(PLUGIN_PREFIX))
+        .forEach((n) => found.push(path.join(nodeModulesDir, name, n)));
+    }
+  }
+  return found;
+}
+
+/** Module paths listed in a breeze-analyzers.json file. */
+function readPluginConfig(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  const list = Array.isArray(config) ? config : config.analyzers;
+  if (!Array.isArray(list)) {
+    throw new Error(`${configPath} must contain an "analyzers" array`);
+  }
+  const baseDir = path.dirname(configPath);
+  return list.map((spec) =>
+    spec.startsWith(".") || path.isAbsolute(spec)
+      ? path.resolve(baseDir, spec)
+      : require.resolve(spec, { paths: [baseDir] }),
+  );
+}
+
+/**
+ * Load analyzer plugins into a registry. A plugin that fails to load or
+ * validate is skipped with a warning so the built-in analyzers still run.
+ *
+ * @param {object} registry
+ * @param {object} [opts]
+ * @param {string|null} [opts.configPath] - breeze-analyzers.json to read (skipped if missing)
+ * @param {string[]} [opts.nodeModulesDirs] - Folders to scan for breeze-analyzer-* packages
+ * @returns {{ loaded: string[], errors: string[] }}
+ */
+function loadAnalyzerPlugins(registry, opts = {}) {
+  const loaded = [];
+  const errors = [];
+  const modulePaths = [];
+
+  if (opts.configPath && fs.existsSync(opts.configPath)) {
+    try {
+      modulePaths.push(...readPluginConfig(opts.configPath));
+    } catch (err) {
+      errors.push(`${opts.configPath}: ${err.message}`);
+    }
+  }
+  for (const dir of opts.nodeModulesDirs || []) {
+    modulePaths.push(...findPluginPackages(dir));
+  }
+
+  const seen = new Set();
+  for (const modulePath of modulePaths) {
+    let resolved;
+    try {
+      resolved = require.resolve(modulePath);
+      if (seen.has(resolved)) continue;
+      seen.add(resolved);
+      const def = require(resolved);
+      registry.register({ ...def, module: resolved, exportName: "analyzer" }, resolved);
+      loaded.push(def.key);
+    } catch (err) {
+      errors.push(`${resolved || modulePath}: ${err.message}`);
+    }
+  }
+
+  errors.forEach((message) => console.warn(`⚠️  Skipping analyzer plugin ${message}`));
+  return { loaded, errors };
+}
+
+// -------------------------------------------------------------
+// Process-wide registry
+// -------------------------------------------------------------
+
+let defaultRegistry = null;
+
+/** Built-ins plus discovered plugins, created on first use. */
+function getAnalyzerRegistry() {
+  if (!defaultRegistry) {
+    const configPath = process.env.BREEZE_ANALYZERS_CONFIG
+      ? path.resolve(process.env.BREEZE_ANALYZERS_CONFIG)
+      : path.join(process.cwd(), CONFIG_FILE_NAME);
+    if (process.env.BREEZE_ANALYZERS_CONFIG && !fs.existsSync(configPath)) {
+      console.warn(`⚠️  BREEZE_ANALYZERS_CONFIG not found: ${configPath}`);
+    }
+
+    const registry = createAnalyzerRegistry();
+    registerBuiltins(registry);
+    loadAnalyzerPlugins(registry, {
+      configPath,
+      nodeModulesDirs: [...new Set([
+        path.join(__dirname, "node_modules"),
+        path.join(process.cwd(), "node_modules"),
+      ])],
+    });
+    defaultRegistry = registry;
+  }
+  return defaultRegistry;
+}
+
+/** File extensions (".ts", ".vue"...) of every registered analyzer, for messages. */
+function supportedExtensions(registry = getAnalyzerRegistry()) {
+  const exts = registry
+    .list()
+    .flatMap((a) => a.extensions)
+    .map((glob) => glob.replace(/^.*\*/, ""));
+  return [...new Set(exts)];
+}
+
+module.exports = {
+  createAnalyzerRegistry,
+  registerBuiltins,
+  loadAnalyzerPlugins,
+  getAnalyzerRegistry,
+  supportedExtensions,
+};
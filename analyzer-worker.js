@@ -0,0 +1,83 @@
+const { isMainThread, workerData, parentPort } = require("worker_threads");
+
+if (isMainThread) {
+  console.error("❌ This file is a worker. Run it through worker-pool.js instead.");
+  process.exit(1);
+}
+const path = require("path");
+
+// Every worker runs the same analyzer over the same file list (so cross-file
+// indexes are complete), but only parses the files whose position in the
+// analyzer's per-file loop maps to this worker. Results are tagged with that
+// position so the parent can re-emit them in sequential order.
+const {
+  modulePath,
+  exportName,
+  repoPath,
+  analyzerOpts,
+  workerIndex,
+  workerCount,
+  only,
+  serve,
+  gate,
+} = workerData;
+
+const onlySet = only ? new Set(only) : null;
+const serveSet = new Set(serve || []);
+
+let seq = -1;
+let current = null;
+
+function finishCurrent() {
+  if (current !== null) {
+    parentPort.postMessage({ type: "done", seq: current });
+    current = null;
+  }
+}
+
+function fileFilter(absPath) {
+  finishCurrent();
+  // The parent is waiting for its consumer to catch up
+  while (gate && Atomics.load(gate, 0) === 1) Atomics.wait(gate, 0, 1);
+  seq++;
+  if (seq % workerCount !== workerIndex) return false;
+
+  const relPath = path.relative(repoPath, absPath).split(path.sep).join("/");
+  if (onlySet && !onlySet.has(relPath)) {
+    parentPort.postMessage({ type: "done", seq });
+    return false;
+  }
+  if (serveSet.has(relPath)) {
+    // The parent emits this file itself (e.g. from the incremental cache)
+    parentPort.postMessage({ type: "serve", seq, absPath });
+    return false;
+  }
+  current = seq;
+  return true;
+}
+
+// File records carry a `path`; anything else (summaries emitted after the
+// loop, while `current` still points at the last file) is not per-file
+function onResult(record) {
+  if (current !== null && record && record.path) {
+    parentPort.postMessage({ type: "result", seq: current, record });
+  } else if (workerIndex === 0) {
+    // Emitted outside the per-file loop — every worker sees it, forward once
+    parentPort.postMessage({ type: "tail", record });
+  }
+}
+
+function onFileError(absPath, err) {
+  parentPort.postMessage({ type: "fileError", file: absPath, message: err.message });
+}
+
+(async () => {
+  try {
+    const analyzer = require(modulePath)[exportName];
+    await Promise.resolve(analyzer(repoPath, { ...analyzerOpts, onResult, onFileError, fileFilter }));
+    finishCurrent();
+    parentPort.postMessage({ type: "end", total: seq + 1 });
+  } catch (err) {
+    parentPort.postMessage({ type: "error", message: err.stack || err.message });
+  }
+})();
@@ -0,0 +1,274 @@
+/**
+ * OpenAPI spec <-> route reconciliation (post-processing over the NDJSON output).
+ *
+ * `api_spec` records (config/openapi-spec.js) list the operations a spec
+ * declares; code records carry the `{ type: "route" }` statements the route
+ * extractors found (routes-js-core.js, java/extract-routes-java.js, ...).
+ * Once every file has been analyzed, this pass links the two:
+ *
+ *   operation.implementedBy  [{ path, handler, framework, line }] of matching routes
+ *   operation.status         "implemented" | "missing-handler" | "unknown"
+ *   route.documentedBy       [{ path, method, route, operationId }] of matching operations
+ *   route.documented         false for routes no spec covering them declares
+ *
+ * Paths match once parameters are normalised (`/:id`, `{id}`, `<int:id>` all
+ * become `{}`), with or without the spec's basePath / server path and any
+ * mount prefix (`app.use("/api", router)`) found in the same scope. Method
+ * ANY on a route matches every method.
+ *
+ * Scope: a spec inside a workspace module covers the routes of that module;
+ * a spec outside any module covers every route. Operations are "unknown" when
+ * no route was extracted in their scope (route statements are only captured
+ * with CAPTURE_STATEMENTS / --capture-statements).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readNdjson } = require("./ndjson-stream");
+
+const ANY_METHODS = new Set(["ANY", "ALL", "*"]);
+
+const toPosix = (p) => p.split(path.sep).join("/");
+
+/** Route path with parameters and trailing slashes normalised ("/users/:id/" -> "/users/{}") */
+function normalizeRoutePath(routePath) {
+  const normalized = ("/" + String(routePath))
+    .replace(/\([^)]*\)/g, "") // Rails optional segments: (.:format)
+    .replace(/\{[^}]*\}/g, "{}")
+    .replace(/<[^>]*>/g, "{}")
+    .replace(/:[A-Za-z_]\w*\??/g, "{}")
+    .replace(/\*\w*/g, "{}")
+    .replace(/\/{2,}/g, "/")
+    .replace(/\/+$/, "");
+  return normalized || "/";
+}
+
+function joinRoutePaths(prefix, routePath) {
+  return normalizeRoutePath(`${prefix}/${routePath}`);
+}
+
+function routeMethods(method) {
+  return String(method || "ANY").toUpperCase().split(/[,|\s]+/).filter(Boolean);
+}
+
+function methodsMatch(routeMethod, operationMethod) {
+  const methods = routeMethods(routeMethod);
+  return methods.some((m) => ANY_METHODS.has(m)) || methods.includes(operationMethod);
+}
+
+/** Route statements of a code record, at file level and inside functions / methods */
+function routeStatements(record) {
+  const routes = [];
+  const visit = (statements) => {
+    if (!Array.isArray(statements)) return;
+    for (const st of statements) if (st && st.type === "route") routes.push(st);
+  };
+  visit(record.statements);
+  for (const fn of record.functions || []) visit(fn && fn.statements);
+  for (const cls of record.classes || []) {
+    if (!cls) continue;
+    visit(cls.statements);
+    for (const method of cls.methods || []) if (method && typeof method === "object") visit(method.statements);
+  }
+  return routes;
+}
+
+const isHttpRoute = (st) => st.kind === "route" && !st.isRegex && typeof st.path === "string";
+
+// -------------------------------------------------------------
+// Index
+// -------------------------------------------------------------
+
+/**
+ * Collects operations and routes record by record; `add` every record before
+ * calling `reconcileRecord`.
+ */
+function createApiSpecIndex() {
+  const index = {
+    specs: [], // { path, module, basePaths, operations: [{ method, path, operationId }] }
+    routes: [], // { path, module, method, route, handler, framework, line }
+    mounts: [], // { module, prefix }
+    add(record) {
+      if (!record || !record.path) return;
+      if (record.type === "api_spec") {
+        const apiSpec = record.metadata && record.metadata.apiSpec;
+        if (!apiSpec) return;
+        index.specs.push({
+          path: toPosix(record.path),
+          module: record.module || null,
+          basePaths: apiSpec.basePaths || [],
+          operations: (apiSpec.operations || []).map(({ method, path: route, operationId }) => ({ method, path: route, operationId })),
+        });
+        return;
+      }
+      if (record.type !== "code") return;
+      for (const st of routeStatements(record)) {
+        if (st.kind === "mount" && typeof st.path === "string") {
+          index.mounts.push({ module: record.module || null, prefix: st.path });
+        } else if (isHttpRoute(st)) {
+          index.routes.push(routeEntry(record, st));
+        }
+      }
+    },
+  };
+  return index;
+}
+
+function routeEntry(record, st) {
+  return {
+    path: toPosix(record.path),
+    module: record.module || null,
+    method: st.method,
+    route: st.path,
+    handler: st.handler || null,
+    framework: st.framework || null,
+    line: st.handlerLine || st.startLine || null,
+  };
+}
+
+const inScope = (spec, module) => spec.module === null || spec.module === module;
+
+/**
+ * Normalised paths a route can be served under: as declared, or below a
+ * mount in its scope (computed once every record was added)
+ */
+function routeKeys(index, route) {
+  if (!route.keys) {
+    route.keys = new Set([normalizeRoutePath(route.route)]);
+    for (const mount of index.mounts) {
+      if (mount.module === null || mount.module === route.module) route.keys.add(joinRoutePaths(mount.prefix, route.route));
+    }
+  }
+  return route.keys;
+}
+
+/** Normalised paths an operation can be requested under: with or without a base path */
+function operationKeys(spec, operation) {
+  if (!operation.keys) {
+    operation.keys = new Set([normalizeRoutePath(operation.path)]);
+    for (const base of spec.basePaths) operation.keys.add(joinRoutePaths(base, operation.path));
+  }
+  return operation.keys;
+}
+
+function intersects(a, b) {
+  for (const key of a) if (b.has(key)) return true;
+  return false;
+}
+
+function matchingRoutes(index, spec, operation) {
+  const keys = operationKeys(spec, operation);
+  return index.routes.filter((route) =>
+    inScope(spec, route.module) &&
+    methodsMatch(route.method, operation.method) &&
+    intersects(routeKeys(index, route), keys),
+  );
+}
+
+function matchingOperations(index, route) {
+  const keys = routeKeys(index, route);
+  const found = [];
+  for (const spec of index.specs) {
+    if (!inScope(spec, route.module)) continue;
+    for (const operation of spec.operations) {
+      if (methodsMatch(route.method, operation.method) && intersects(keys, operationKeys(spec, operation))) {
+        found.push({ path: spec.path, method: operation.method, route: operation.path, operationId: operation.operationId || null });
+      }
+    }
+  }
+  return found;
+}
+
+// -------------------------------------------------------------
+// Reconcile
+// -------------------------------------------------------------
+
+/**
+ * Annotate one record in place: operations of an `api_spec` record, route
+ * statements of a code record covered by a spec.
+ *
+ * @returns {{ operations: number, implemented: number, missingHandlers: number, undocumentedRoutes: number }}
+ */
+function reconcileRecord(record, index) {
+  const counts = { operations: 0, implemented: 0, missingHandlers: 0, undocumentedRoutes: 0 };
+  if (!record || index.specs.length === 0) return counts;
+
+  if (record.type === "api_spec" && record.metadata && record.metadata.apiSpec) {
+    const spec = index.specs.find((s) => s.path === toPosix(record.path));
+    if (!spec) return counts;
+    const hasRoutes = index.routes.some((route) => inScope(spec, route.module));
+    for (const [i, operation] of (record.metadata.apiSpec.operations || []).entries()) {
+      counts.operations++;
+      if (!hasRoutes) {
+        operation.status = "unknown";
+        delete operation.implementedBy;
+        continue;
+      }
+      operation.implementedBy = matchingRoutes(index, spec, spec.operations[i])
+        .map(({ path: file, handler, framework, line }) => ({ path: file, handler, framework, line }));
+      operation.status = operation.implementedBy.length > 0 ? "implemented" : "missing-handler";
+      counts[operation.implementedBy.length > 0 ? "implemented" : "missingHandlers"]++;
+    }
+    return counts;
+  }
+
+  if (record.type !== "code") return counts;
+  const module = record.module || null;
+  if (!index.specs.some((spec) => inScope(spec, module))) return counts;
+  for (const st of routeStatements(record)) {
+    if (!isHttpRoute(st)) continue;
+    const documentedBy = matchingOperations(index, routeEntry(record, st));
+    st.documented = documentedBy.length > 0;
+    if (st.documented) {
+      st.documentedBy = documentedBy;
+    } else {
+      delete st.documentedBy;
+      counts.undocumentedRoutes++;
+    }
+  }
+  return counts;
+}
+
+// -------------------------------------------------------------
+// NDJSON pass
+// -------------------------------------------------------------
+
+/**
+ * Reconcile API specs with routes in an uncompressed NDJSON file in place.
+ * Reads the file twice (index, then rewrite); the file is left untouched
+ * when it holds no spec.
+ *
+ * @param {string} ndjsonPath
+ * @returns {Promise<{ specs: number, operations: number, implemented: number, missingHandlers: number, undocumentedRoutes: number }>}
+ */
+async function reconcileApiSpecsFile(ndjsonPath) {
+  const index = createApiSpecIndex();
+  for await (const record of readNdjson(ndjsonPath)) index.add(record);
+
+  const totals = { specs: index.specs.length, operations: 0, implemented: 0, missingHandlers: 0, undocumentedRoutes: 0 };
+  if (index.specs.length === 0) return totals;
+
+  const tmpPath = `${ndjsonPath}.specs.tmp`;
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    for await (const record of readNdjson(ndjsonPath)) {
+      const counts = reconcileRecord(record, index);
+      for (const key of Object.keys(counts)) totals[key] += counts[key];
+      fs.writeSync(fd, JSON.stringify(record) + "\n");
+    }
+  } catch (err) {
+    fs.closeSync(fd);
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+  fs.closeSync(fd);
+  fs.renameSync(tmpPath, ndjsonPath);
+  return totals;
+}
+
+module.exports = {
+  normalizeRoutePath,
+  createApiSpecIndex,
+  reconcileRecord,
+  reconcileApiSpecsFile,
+};
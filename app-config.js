@@ -12,4 +12,30 @@ module.exports = {
     AWS_SECRET_KEY: process.env.AWS_SECRET_KEY,
     AWS_REGION: process.env.AWS_REGION || "us-west-2",
     AWS_S3_BUCKET: process.env.AWS_S3_BUCKET,
+    AWS_S3_ENDPOINT: process.env.AWS_S3_ENDPOINT,
+    AWS_S3_FORCE_PATH_STYLE: process.env.AWS_S3_FORCE_PATH_STYLE,
+    // Where ontology output is written: s3 (default), local, stdout or http
+    STORAGE_SINK: process.env.STORAGE_SINK,
+    STORAGE_LOCAL_DIR: process.env.STORAGE_LOCAL_DIR,
+    STORAGE_HTTP_URL: process.env.STORAGE_HTTP_URL,
+    STORAGE_HTTP_HEADERS: process.env.STORAGE_HTTP_HEADERS,
+    STORAGE_STDOUT_FD: process.env.STORAGE_STDOUT_FD,
+    // Self-hosted git instances for /api/analyze-diff (comma-separated base URLs)
+    GITHUB_ENTERPRISE_HOSTS: process.env.GITHUB_ENTERPRISE_HOSTS,
+    GITLAB_HOSTS: process.env.GITLAB_HOSTS,
+    // Push webhooks: provider-wide secrets and the repo -> project table
+    GITHUB_WEBHOOK_SECRET: process.env.GITHUB_WEBHOOK_SECRET,
+    BITBUCKET_WEBHOOK_SECRET: process.env.BITBUCKET_WEBHOOK_SECRET,
+    GITLAB_WEBHOOK_SECRET: process.env.GITLAB_WEBHOOK_SECRET,
+    WEBHOOK_PROJECTS_FILE: process.env.WEBHOOK_PROJECTS_FILE,
+    // /api authentication: tenant table, JWT verification, default limits, audit log
+    AUTH_TENANTS_FILE: process.env.AUTH_TENANTS_FILE,
+    AUTH_JWT_SECRET: process.env.AUTH_JWT_SECRET,
+    AUTH_JWT_PUBLIC_KEY: process.env.AUTH_JWT_PUBLIC_KEY,
+    AUTH_JWT_ISSUER: process.env.AUTH_JWT_ISSUER,
+    AUTH_JWT_AUDIENCE: process.env.AUTH_JWT_AUDIENCE,
+    AUTH_JWT_TENANT_CLAIM: process.env.AUTH_JWT_TENANT_CLAIM,
+    AUTH_RATE_LIMIT_PER_MINUTE: process.env.AUTH_RATE_LIMIT_PER_MINUTE,
+    AUTH_MAX_BODY_BYTES: process.env.AUTH_MAX_BODY_BYTES,
+    AUDIT_LOG_FILE: process.env.AUDIT_LOG_FILE,
  };
\ No newline at end of file
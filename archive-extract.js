@@ -0,0 +1,270 @@
+/**
+ * Safe extraction of uploaded project archives for /api/analyze-archive
+ * (server.js). Supports .zip (stored / deflate) and .tar / .tar.gz, detected
+ * from the content rather than the file name.
+ *
+ * Guards:
+ *   - entry paths are normalized; absolute paths and ".." segments reject the
+ *     whole archive (zip-slip)
+ *   - symlinks, hard links, devices and other special entries are skipped
+ *   - `maxEntries` and `maxBytes` (total uncompressed size) are enforced
+ *     while extracting, so a zip bomb stops at the cap instead of filling
+ *     the disk
+ *   - `subdir` keeps only the entries below that directory, re-rooted so the
+ *     subdirectory becomes the project root
+ *
+ * Errors carry `statusCode` (400 malformed or unsafe, 413 over a cap).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const DEFAULT_LIMITS = {
+  maxEntries: 20000,
+  maxBytes: 500 * 1024 * 1024,
+};
+
+function archiveError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// "a\\b/./c/" -> "a/b/c"; rejects anything that could leave the target dir
+function normalizeEntryPath(name) {
+  const unified = name.replace(/\\/g, "/");
+  if (unified.startsWith("/") || /^[a-zA-Z]:/.test(unified)) {
+    throw archiveError(400, `Archive entry has an absolute path: ${name}`);
+  }
+  const parts = unified.split("/").filter((p) => p && p !== ".");
+  if (parts.includes("..")) {
+    throw archiveError(400, `Archive entry escapes the extraction dir: ${name}`);
+  }
+  return parts.join("/");
+}
+
+function detectFormat(buffer) {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return "zip";
+  // An empty zip is just the end-of-central-directory record
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x06054b50) return "zip";
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) return "tar.gz";
+  if (buffer.length >= 262 && buffer.toString("latin1", 257, 262) === "ustar") return "tar";
+  return null;
+}
+
+// -------------------------------------------------------------
+// zip
+// -------------------------------------------------------------
+function* zipEntries(buffer, remainingBytes) {
+  // End of central directory: scan back over the (≤ 64 KiB) comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw archiveError(400, "Not a valid zip archive (no central directory)");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw archiveError(400, "ZIP64 archives are not supported");
+  }
+
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw archiveError(400, "Corrupt zip central directory");
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const madeBy = buffer.readUInt16LE(offset + 4) >> 8;
+    const externalAttrs = buffer.readUInt32LE(offset + 38);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & 0x800 ? "utf8" : "latin1", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const isDirectory = name.endsWith("/") || name.endsWith("\\");
+    // Unix mode lives in the high bits of the external attributes
+    const mode = madeBy === 3 ? (externalAttrs >>> 16) & 0o170000 : 0;
+    const type = isDirectory ? "directory" : mode && mode !== 0o100000 ? "special" : "file";
+
+    yield {
+      name,
+      type,
+      size,
+      read: () => {
+        if (flags & 0x1) throw archiveError(400, `Encrypted zip entries are not supported: ${name}`);
+        if (buffer.readUInt32LE(localOffset) !== 0x04034b50) throw archiveError(400, `Corrupt zip entry: ${name}`);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) return data;
+        if (method !== 8) throw archiveError(400, `Unsupported zip compression method ${method}: ${name}`);
+        try {
+          // Declared sizes can lie; the output cap is what stops a bomb
+          return zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, remainingBytes()) + 1 });
+        } catch (err) {
+          if (err.code === "ERR_BUFFER_TOO_LARGE") throw archiveError(413, "Archive exceeds the uncompressed size limit");
+          throw archiveError(400, `Corrupt zip entry ${name}: ${err.message}`);
+        }
+      },
+    };
+  }
+}
+
+// -------------------------------------------------------------
+// tar
+// -------------------------------------------------------------
+function tarString(block, start, length) {
+  const raw = block.subarray(start, start + length);
+  const end = raw.indexOf(0);
+  return raw.toString("utf8", 0, end === -1 ? raw.length : end);
+}
+
+function tarSize(block) {
+  // GNU base-256 for sizes over 8 GiB
+  if (block[124] & 0x80) throw archiveError(413, "Archive entry is too large");
+  const size = parseInt(tarString(block, 124, 12).trim() || "0", 8);
+  if (Number.isNaN(size)) throw archiveError(400, "Corrupt tar header");
+  return size;
+}
+
+// pax extended header: "<len> key=value\n" records
+function parsePax(data) {
+  const fields = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(data.toString("utf8", offset, space), 10);
+    if (!length) break;
+    const record = data.toString("utf8", space + 1, offset + length - 1);
+    const eq = record.indexOf("=");
+    if (eq !== -1) fields[record.slice(0, eq)] = record.slice(eq + 1);
+    offset += length;
+  }
+  return fields;
+}
+
+function* tarEntries(buffer) {
+  let offset = 0;
+  let longName = null;
+  let pax = {};
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every((b) => b === 0)) break; // end-of-archive marker
+    const size = tarSize(header);
+    const typeflag = String.fromCharCode(header[156] || 0x30);
+    const dataStart = offset + 512;
+    if (dataStart + size > buffer.length) throw archiveError(400, "Truncated tar archive");
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (typeflag === "L") {
+      longName = tarString(data, 0, data.length);
+      continue;
+    }
+    if (typeflag === "x") {
+      pax = parsePax(data);
+      continue;
+    }
+    if (typeflag === "g") continue;
+
+    // POSIX ustar splits long names into prefix + name; GNU headers use that space for other fields
+    const prefix = header.toString("latin1", 257, 263) === "ustar\0" ? tarString(header, 345, 155) : "";
+    const baseName = tarString(header, 0, 100);
+    const name = pax.path || longName || (prefix ? `${prefix}/${baseName}` : baseName);
+    longName = null;
+    pax = {};
+
+    const type = typeflag === "0" || typeflag === "7" ? "file" : typeflag === "5" ? "directory" : "special";
+    yield { name, type, size, read: () => data };
+  }
+}
+
+/**
+ * Extract `buffer` into `targetDir`.
+ *
+ * @param {Buffer} buffer - The uploaded archive
+ * @param {string} targetDir - Existing, empty directory
+ * @param {{ subdir?: string, maxEntries?: number, maxBytes?: number }} [opts]
+ * @returns {{ format: string, files: number, bytes: number, skipped: string[] }}
+ */
+function extractArchive(buffer, targetDir, opts = {}) {
+  const { maxEntries, maxBytes } = { ...DEFAULT_LIMITS, ...opts };
+  const subdir = opts.subdir ? normalizeEntryPath(String(opts.subdir)) : "";
+  const format = detectFormat(buffer);
+  if (!format) throw archiveError(400, "Unsupported archive format (expected .zip, .tar or .tar.gz)");
+
+  let bytes = 0;
+  let entries = 0;
+  let files = 0;
+  const skipped = [];
+  const root = path.resolve(targetDir);
+
+  let entryIterator;
+  if (format === "zip") {
+    entryIterator = zipEntries(buffer, () => maxBytes - bytes);
+  } else {
+    let tarBuffer = buffer;
+    if (format === "tar.gz") {
+      try {
+        tarBuffer = zlib.gunzipSync(buffer, { maxOutputLength: maxBytes + 64 * 1024 });
+      } catch (err) {
+        if (err.code === "ERR_BUFFER_TOO_LARGE") throw archiveError(413, "Archive exceeds the uncompressed size limit");
+        throw archiveError(400, `Corrupt gzip data: ${err.message}`);
+      }
+    }
+    entryIterator = tarEntries(tarBuffer);
+  }
+
+  for (const entry of entryIterator) {
+    if (++entries > maxEntries) throw archiveError(413, `Archive has more than ${maxEntries} entries`);
+    const relPath = normalizeEntryPath(entry.name);
+    if (!relPath || entry.type === "directory") continue;
+    if (entry.type === "special") {
+      skipped.push(relPath);
+      continue;
+    }
+
+    let outPath = relPath;
+    if (subdir) {
+      if (!relPath.startsWith(`${subdir}/`)) continue;
+      outPath = relPath.slice(subdir.length + 1);
+    }
+
+    if (bytes + entry.size > maxBytes) throw archiveError(413, "Archive exceeds the uncompressed size limit");
+    const data = entry.read();
+    bytes += data.length;
+    if (bytes > maxBytes) throw archiveError(413, "Archive exceeds the uncompressed size limit");
+
+    const fullPath = path.resolve(root, outPath);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw archiveError(400, `Archive entry escapes the extraction dir: ${entry.name}`);
+    }
+    try {
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, data);
+    } catch (err) {
+      // A file and a directory with the same name ("a" and "a/b.js")
+      if (["EEXIST", "ENOTDIR", "EISDIR"].includes(err.code)) {
+        throw archiveError(400, `Archive entry conflicts with another entry: ${entry.name}`);
+      }
+      throw err;
+    }
+    files++;
+  }
+
+  if (subdir && files === 0) {
+    throw archiveError(400, `No files found under "${subdir}" in the archive`);
+  }
+  return { format, files, bytes, skipped };
+}
+
+module.exports = { extractArchive, normalizeEntryPath };
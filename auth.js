@@ -0,0 +1,273 @@
+/**
+ * Authentication, tenant scoping, rate limits and audit logging for the
+ * /api routes of the HTTP server (server.js).
+ *
+ * Callers authenticate with either
+ *   X-API-Key: <key>   (or Authorization: Bearer <key>)  — a tenant's API key
+ *   Authorization: Bearer <JWT>                          — HS256 with AUTH_JWT_SECRET,
+ *                                                          RS256/ES256 with AUTH_JWT_PUBLIC_KEY
+ * A JWT names its tenant in the `tenant` claim (AUTH_JWT_TENANT_CLAIM) and
+ * its caller in `sub`.
+ *
+ * Tenant table (AUTH_TENANTS_FILE): a JSON array (or { "tenants": [...] }) of
+ *   { id, projectUuids, apiKeyEnv?, apiKeySha256?, admin?, rateLimitPerMinute?, maxBodyBytes? }
+ * `projectUuids` lists the projects the tenant may analyze ("*" for all).
+ * API keys are referenced by environment variable name (`apiKeyEnv`, one or
+ * a list) or stored as SHA-256 hex digests (`apiKeySha256`), never in clear.
+ * Admin tenants can also read and replay the notification outbox.
+ *
+ * Each request gets `req.auth = { tenant, actor, method }`. Requests are
+ * counted per tenant in a one-minute window; bodies are checked against the
+ * tenant's limit through Content-Length, before they are parsed; a chunked
+ * body without one is refused (411) when a limit applies. Every request —
+ * allowed or denied — is written to the audit log as one JSON line.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+const JWT_ALGORITHMS = {
+  HS256: { hmac: "sha256" },
+  HS384: { hmac: "sha384" },
+  HS512: { hmac: "sha512" },
+  RS256: { digest: "sha256" },
+  ES256: { digest: "sha256", dsaEncoding: "ieee-p1363" },
+};
+
+// Allowed clock skew for exp / nbf
+const JWT_LEEWAY_SECONDS = 30;
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function authError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Verify a compact JWT and return its claims; throws a 401 error otherwise.
+ *
+ * @param {string} token
+ * @param {{ secret?: string, publicKey?: string, issuer?: string, audience?: string }} options
+ */
+function verifyJwt(token, { secret, publicKey, issuer, audience }) {
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split(".");
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, "base64url").toString("utf8"));
+    claims = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch (_) {
+    throw authError(401, "Malformed JWT");
+  }
+
+  const alg = JWT_ALGORITHMS[header.alg];
+  if (!alg) throw authError(401, `Unsupported JWT algorithm: ${header.alg}`);
+  const signed = `${encodedHeader}.${encodedPayload}`;
+  const signature = Buffer.from(encodedSignature || "", "base64url");
+
+  let valid;
+  if (alg.hmac) {
+    if (!secret) throw authError(401, `JWT algorithm ${header.alg} is not accepted`);
+    valid = safeEqual(crypto.createHmac(alg.hmac, secret).update(signed).digest("base64url"), encodedSignature);
+  } else {
+    if (!publicKey) throw authError(401, `JWT algorithm ${header.alg} is not accepted`);
+    try {
+      valid = crypto.verify(alg.digest, Buffer.from(signed), { key: publicKey, dsaEncoding: alg.dsaEncoding }, signature);
+    } catch (_) {
+      valid = false;
+    }
+  }
+  if (!valid) throw authError(401, "Invalid JWT signature");
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === "number" && now > claims.exp + JWT_LEEWAY_SECONDS) throw authError(401, "JWT has expired");
+  if (typeof claims.nbf === "number" && now + JWT_LEEWAY_SECONDS < claims.nbf) throw authError(401, "JWT is not valid yet");
+  if (issuer && claims.iss !== issuer) throw authError(401, "JWT issuer is not accepted");
+  if (audience && ![].concat(claims.aud || []).includes(audience)) throw authError(401, "JWT audience is not accepted");
+  return claims;
+}
+
+/**
+ * Read and validate the tenant table. Cached until the file changes, so
+ * edits apply without a restart.
+ */
+function createTenantLoader(filePath) {
+  let cached = null;
+  let cachedMtime = 0;
+  return () => {
+    const mtime = fs.statSync(filePath).mtimeMs;
+    if (cached && mtime === cachedMtime) return cached;
+    cached = loadTenants(filePath);
+    cachedMtime = mtime;
+    return cached;
+  };
+}
+
+function loadTenants(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const tenants = Array.isArray(parsed) ? parsed : parsed.tenants;
+  if (!Array.isArray(tenants)) {
+    throw new Error(`${filePath}: expected an array of tenants or { "tenants": [...] }`);
+  }
+  tenants.forEach((t, i) => {
+    if (!t || typeof t.id !== "string" || !t.id) {
+      throw new Error(`${filePath}: tenants[${i}].id is required`);
+    }
+    if (!Array.isArray(t.projectUuids)) {
+      throw new Error(`${filePath}: tenants[${i}].projectUuids must be an array (use ["*"] for all projects)`);
+    }
+  });
+  return tenants;
+}
+
+function canAccessProject(tenant, projectUuid) {
+  return tenant.projectUuids.includes("*") || tenant.projectUuids.includes(projectUuid);
+}
+
+/**
+ * @param {object} opts
+ * @param {() => object[]} opts.loadTenants - Tenant table
+ * @param {object} [opts.jwt] - { secret, publicKey, issuer, audience, tenantClaim } for verifyJwt
+ * @param {number} [opts.rateLimitPerMinute=60] - Default per-tenant request limit
+ * @param {number} [opts.maxBodyBytes] - Default per-tenant body limit (none when unset)
+ * @param {(entry: object) => void} [opts.audit] - Receives one entry per request
+ * @param {NodeJS.ProcessEnv} [opts.env] - Where `apiKeyEnv` is looked up
+ */
+function createAuth({ loadTenants, jwt = {}, rateLimitPerMinute = 60, maxBodyBytes, audit = () => {}, env = process.env }) {
+  const windows = new Map(); // tenant id -> { start, count }
+
+  function identify(req) {
+    const header = req.get("authorization") || "";
+    const bearer = /^Bearer\s+(.+)$/i.exec(header);
+    const credential = req.get("x-api-key") || (bearer && bearer[1].trim());
+    if (!credential) throw authError(401, "Missing credentials: send X-API-Key or Authorization: Bearer <token>");
+
+    const tenants = loadTenants();
+    if (credential.split(".").length === 3) {
+      if (!jwt.secret && !jwt.publicKey) throw authError(401, "JWT authentication is not configured");
+      const claims = verifyJwt(credential, jwt);
+      const tenantId = claims[jwt.tenantClaim || "tenant"];
+      const tenant = tenants.find((t) => t.id === tenantId);
+      if (!tenant) throw authError(403, `Unknown tenant "${tenantId || ""}"`);
+      return { tenant, actor: claims.sub || tenant.id, method: "jwt" };
+    }
+
+    const digest = hashApiKey(credential);
+    for (const tenant of tenants) {
+      const keys = [].concat(tenant.apiKeyEnv || []).map((name) => env[name]).filter(Boolean).map(hashApiKey);
+      const hashes = [].concat(tenant.apiKeySha256 || []).map((h) => String(h).toLowerCase());
+      if ([...keys, ...hashes].some((h) => safeEqual(h, digest))) {
+        return { tenant, actor: `api-key:${digest.slice(0, 8)}`, method: "api-key" };
+      }
+    }
+    throw authError(401, "Invalid API key");
+  }
+
+  // Fixed one-minute window per tenant; returns seconds until the window resets when over the limit
+  function overLimit(tenant) {
+    const limit = tenant.rateLimitPerMinute || rateLimitPerMinute;
+    const now = Date.now();
+    let window = windows.get(tenant.id);
+    if (!window || now - window.start >= 60 * 1000) {
+      window = { start: now, count: 0 };
+      windows.set(tenant.id, window);
+    }
+    window.count++;
+    return window.count > limit ? Math.ceil((window.start + 60 * 1000 - now) / 1000) : 0;
+  }
+
+  function record(req, res) {
+    audit({
+      at: new Date().toISOString(),
+      requestId: res.get("X-Request-Id"),
+      tenant: req.auth ? req.auth.tenant.id : null,
+      actor: req.auth ? req.auth.actor : null,
+      authMethod: req.auth ? req.auth.method : null,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      ip: req.ip,
+      ...req.auditDetails,
+    });
+  }
+
+  /**
+   * Express middleware: authenticate, then enforce the tenant's rate and body limits.
+   */
+  function authenticate(req, res, next) {
+    res.on("finish", () => record(req, res));
+    try {
+      req.auth = identify(req);
+    } catch (err) {
+      if (!err.statusCode) {
+        console.error(`🔐 [auth] ✗ tenant table: ${err.message}`);
+        return res.status(500).json({ error: "Tenant table is invalid" });
+      }
+      req.auditDetails = { reason: err.message };
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+
+    const { tenant } = req.auth;
+    const retryAfter = overLimit(tenant);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: `Rate limit exceeded for tenant ${tenant.id}` });
+    }
+
+    const bodyLimit = tenant.maxBodyBytes || maxBodyBytes;
+    const length = parseInt(req.get("content-length"), 10);
+    if (bodyLimit && length > bodyLimit) {
+      return res.status(413).json({ error: `Request body exceeds ${bodyLimit} bytes for tenant ${tenant.id}` });
+    }
+    // A chunked body has no length to check up front
+    if (bodyLimit && req.get("transfer-encoding") && Number.isNaN(length)) {
+      return res.status(411).json({ error: `Content-Length is required for tenant ${tenant.id} (body limit ${bodyLimit} bytes)` });
+    }
+    next();
+  }
+
+  /**
+   * Route guard for a project: records it for the audit log and sends 403
+   * when the tenant may not use it. Returns true when the request may go on.
+   */
+  function authorizeProject(req, res, projectUuid, details = {}) {
+    req.auditDetails = { ...req.auditDetails, projectUuid, ...details };
+    if (!req.auth || canAccessProject(req.auth.tenant, projectUuid)) return true;
+    res.status(403).json({ error: `Tenant ${req.auth.tenant.id} may not access project ${projectUuid}` });
+    return false;
+  }
+
+  /**
+   * Route guard for admin-only routes.
+   */
+  function requireAdmin(req, res, next) {
+    if (!req.auth || req.auth.tenant.admin) return next();
+    res.status(403).json({ error: `Tenant ${req.auth.tenant.id} is not an admin` });
+  }
+
+  return { authenticate, authorizeProject, requireAdmin, canAccessProject };
+}
+
+/**
+ * Audit sink: JSON lines appended to `filePath`, or printed to stdout.
+ */
+function createAuditLog(filePath) {
+  if (!filePath) {
+    return (entry) => console.log(`🔐 [audit] ${JSON.stringify(entry)}`);
+  }
+  const stream = fs.createWriteStream(filePath, { flags: "a" });
+  stream.on("error", (err) => console.error(`🔐 [audit] ✗ cannot write ${filePath}: ${err.message}`));
+  return (entry) => stream.write(JSON.stringify(entry) + "\n");
+}
+
+module.exports = { createAuth, createAuditLog, createTenantLoader, loadTenants, verifyJwt, hashApiKey };
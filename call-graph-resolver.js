@@ -0,0 +1,364 @@
+/**
+ * Cross-file call-graph resolution (post-processing over the NDJSON output).
+ *
+ * The per-language extractors record each call as `{ name, path, receiver? }`
+ * where `path` is a best-effort hint (local file, imported file, or module
+ * specifier) and `receiver` is the root of the call target (`this`, `self`,
+ * `util`, `b`...). Once every file has been analyzed, this pass links each
+ * call to the definition it most likely refers to, adding:
+ *
+ *   resolvedFile      repo-relative path of the file defining the callee
+ *   resolvedFunction  callee name as in that file's `functions` —
+ *                     `Class.method` for methods, bare name for functions
+ *   confidence        "high" | "medium" | "low"
+ *
+ * Calls that cannot be linked to a repo definition (library/builtin calls)
+ * are left unchanged. Covers JavaScript/TypeScript, Python, Java, Kotlin, Ruby, Go and Rust.
+ *
+ * Confidence:
+ *   high    receiver/hint pins the callee: same file, this/self on the
+ *           enclosing class, an import-resolved `path`, a class or Go package
+ *           the file imports
+ *   medium  matched by name through the file's imports (or a class/package
+ *           found elsewhere in the repo) with a single candidate
+ *   low     only a method name match on an imported file, or several
+ *           equally good candidates (the first is used)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readNdjson } = require("./ndjson-stream");
+
+const SELF_RECEIVERS = {
+  javascript: ["this"],
+  typescript: ["this"],
+  python: ["self", "cls"],
+  java: ["this"],
+  kotlin: ["this"],
+  ruby: ["self"],
+  golang: [],
+  rust: ["self", "Self"],
+};
+
+const SUPPORTED_LANGUAGES = new Set(Object.keys(SELF_RECEIVERS));
+
+// Unqualified calls inside a class can target its own (or inherited) methods
+const IMPLICIT_SELF_LANGUAGES = new Set(["java", "kotlin", "ruby"]);
+
+// Methods are declared apart from their type (Go receivers, Rust impl blocks)
+// and carry the type name in `fn.receiver`
+const RECEIVER_LANGUAGES = new Set(["golang", "rust"]);
+
+const toPosix = (p) => p.split(path.sep).join("/");
+const stripExt = (p) => p.replace(/\.[^./]+$/, "");
+
+function pushTo(map, key, value) {
+  const list = map.get(key);
+  if (list) list.push(value);
+  else map.set(key, [value]);
+}
+
+// -------------------------------------------------------------
+// Definition index
+// -------------------------------------------------------------
+
+/**
+ * Index of what every analyzed file defines. Holds names only, so it stays
+ * small even for large repos.
+ */
+function createCallGraphIndex() {
+  const files = new Map(); // path -> { language, functions:Set, classes:Map(name -> { methods:Set, extends }) }
+  const classFiles = new Map(); // class name -> [path]
+  const pyModules = new Map(); // dotted module suffix -> [path]
+  const goDirs = new Map(); // directory basename -> [path]
+
+  function add(record) {
+    if (!record || record.__type || !SUPPORTED_LANGUAGES.has(record.language)) return;
+    const filePath = toPosix(record.path);
+    const entry = { language: record.language, functions: new Set(), classes: new Map() };
+
+    for (const cls of record.classes || []) {
+      if (!cls.name) continue;
+      entry.classes.set(cls.name, {
+        methods: new Set(cls.methods || []),
+        extends: Array.isArray(cls.extends) ? cls.extends[0] : cls.extends || null,
+      });
+      pushTo(classFiles, cls.name, filePath);
+    }
+    for (const fn of record.functions || []) {
+      if (!fn.name) continue;
+      if (RECEIVER_LANGUAGES.has(record.language) && fn.receiver) {
+        // Go / Rust methods hang off their receiver type like class methods
+        if (!entry.classes.has(fn.receiver)) {
+          entry.classes.set(fn.receiver, { methods: new Set(), extends: null });
+          pushTo(classFiles, fn.receiver, filePath);
+        }
+        entry.classes.get(fn.receiver).methods.add(fn.name);
+      } else if (!findOwningClass(record, fn)) {
+        entry.functions.add(fn.name);
+      }
+    }
+
+    if (record.language === "python") {
+      let parts = stripExt(filePath).split("/");
+      if (parts[parts.length - 1] === "__init__") parts = parts.slice(0, -1);
+      for (let i = 0; i < parts.length; i++) {
+        pushTo(pyModules, parts.slice(i).join("."), filePath);
+      }
+    }
+    if (record.language === "golang") {
+      pushTo(goDirs, path.posix.basename(path.posix.dirname(filePath)), filePath);
+    }
+
+    files.set(filePath, entry);
+  }
+
+  return { files, classFiles, pyModules, goDirs, add };
+}
+
+/** The class (from record.classes) a function belongs to, by name + line range. */
+function findOwningClass(record, fn) {
+  for (const cls of record.classes || []) {
+    if (!(cls.methods || []).includes(fn.name)) continue;
+    if (cls.startLine == null || fn.startLine == null) return cls;
+    if (fn.startLine >= cls.startLine && fn.startLine <= cls.endLine) return cls;
+  }
+  return null;
+}
+
+// -------------------------------------------------------------
+// Resolution
+// -------------------------------------------------------------
+
+function resolveRecordCalls(record, index) {
+  if (!record || record.__type || !SUPPORTED_LANGUAGES.has(record.language)) return 0;
+  const filePath = toPosix(record.path);
+  const language = record.language;
+  const importFiles = (record.importFiles || []).map(toPosix);
+  const ctx = { index, filePath, language, importFiles };
+  let resolved = 0;
+
+  for (const fn of record.functions || []) {
+    if (!Array.isArray(fn.calls) || fn.calls.length === 0) continue;
+    const owner = findOwningClass(record, fn);
+    const callerClass = RECEIVER_LANGUAGES.has(language) ? fn.receiver || null : owner ? owner.name : null;
+
+    for (const call of fn.calls) {
+      if (!call || !call.name) continue;
+      const hit = resolveCall(call, callerClass, ctx);
+      if (hit) {
+        call.resolvedFile = hit.file;
+        call.resolvedFunction = hit.fn;
+        call.confidence = hit.confidence;
+        resolved++;
+      }
+    }
+  }
+  return resolved;
+}
+
+function hit(file, className, name, confidence) {
+  return { file, fn: className ? `${className}.${name}` : name, confidence };
+}
+
+function definesFunction(ctx, file, name) {
+  const entry = ctx.index.files.get(file);
+  return !!entry && entry.functions.has(name);
+}
+
+function findMethodInClass(ctx, file, className, name) {
+  const entry = ctx.index.files.get(file);
+  const cls = entry && entry.classes.get(className);
+  return !!cls && cls.methods.has(name);
+}
+
+/** Walk `extends` from className (defined in file) looking for method name. */
+function findInHierarchy(ctx, file, className, name, depth = 0) {
+  if (depth > 8) return null;
+  if (findMethodInClass(ctx, file, className, name)) return { file, className };
+  const entry = ctx.index.files.get(file);
+  const cls = entry && entry.classes.get(className);
+  if (!cls || !cls.extends) return null;
+  const parentName = String(cls.extends).replace(/<.*$/, "").split(/\.|::/).pop();
+  const parentFile = locateClass(ctx, parentName);
+  return parentFile ? findInHierarchy(ctx, parentFile.file, parentName, name, depth + 1) : null;
+}
+
+/**
+ * Where class `className` is defined, preferring the current file, then the
+ * files it imports, then a unique definition anywhere in the repo.
+ */
+function locateClass(ctx, className) {
+  const candidates = ctx.index.classFiles.get(className) || [];
+  if (candidates.includes(ctx.filePath)) return { file: ctx.filePath, confidence: "high" };
+  const imported = candidates.filter((f) => ctx.importFiles.includes(f));
+  if (imported.length === 1) return { file: imported[0], confidence: "high" };
+  if (imported.length > 1) return { file: imported[0], confidence: "low" };
+  if (candidates.length === 1) return { file: candidates[0], confidence: "medium" };
+  // Go: same-package files share types without importing each other
+  if (ctx.language === "golang") {
+    const dir = path.posix.dirname(ctx.filePath);
+    const samePkg = candidates.filter((f) => path.posix.dirname(f) === dir);
+    if (samePkg.length > 0) return { file: samePkg[0], confidence: "high" };
+  }
+  return null;
+}
+
+/** Files (among `files`) defining name as a function or, failing that, as a method. */
+function findByName(ctx, files, name) {
+  const fnHits = files.filter((f) => definesFunction(ctx, f, name)).map((f) => ({ file: f, className: null }));
+  if (fnHits.length) return fnHits;
+  const methodHits = [];
+  for (const f of files) {
+    const entry = ctx.index.files.get(f);
+    if (!entry) continue;
+    for (const [className, cls] of entry.classes) {
+      if (cls.methods.has(name)) methodHits.push({ file: f, className });
+    }
+  }
+  return methodHits;
+}
+
+function pick(hits, name, single, multiple) {
+  if (hits.length === 0) return null;
+  const confidence = hits.length === 1 ? single : multiple;
+  return hit(hits[0].file, hits[0].className, name, confidence);
+}
+
+/** Module files a receiver/path hint can refer to (Python modules, Go packages, JS namespaces). */
+function moduleFiles(ctx, call) {
+  const { index, language, importFiles } = ctx;
+  const out = [];
+  if (language === "python" && call.path && !index.files.has(call.path)) {
+    out.push(...(index.pyModules.get(call.path) || []));
+  }
+  if (call.receiver) {
+    const recv = call.receiver.split(/\.|::/).pop();
+    if (language === "golang") {
+      out.push(...(index.goDirs.get(recv) || []));
+    } else {
+      // `import pkg.util as pu` / `const b = require("./b")`: imported file named like the receiver
+      out.push(...importFiles.filter((f) => path.posix.basename(stripExt(f)) === recv));
+      if (language === "python") out.push(...(index.pyModules.get(call.receiver) || []));
+    }
+  }
+  return [...new Set(out)];
+}
+
+function resolveCall(call, callerClass, ctx) {
+  const { index, filePath, language, importFiles } = ctx;
+  const name = call.name;
+  const receiver = call.receiver || null;
+  const hint = call.path ? toPosix(call.path) : null;
+  const isSelf = receiver && SELF_RECEIVERS[language].includes(receiver);
+
+  // 1. this./self. — method on the enclosing class (or an ancestor)
+  if (isSelf) {
+    const found = callerClass && findInHierarchy(ctx, filePath, callerClass, name);
+    return found ? hit(found.file, found.className, name, found.file === filePath ? "high" : "medium") : null;
+  }
+
+  // 2. Unqualified call
+  if (!receiver) {
+    if (definesFunction(ctx, filePath, name)) return hit(filePath, null, name, "high");
+    // Java/Kotlin implicit this, Ruby implicit self / inherited method
+    if (callerClass && IMPLICIT_SELF_LANGUAGES.has(language)) {
+      const found = findInHierarchy(ctx, filePath, callerClass, name);
+      if (found) return hit(found.file, found.className, name, found.file === filePath ? "high" : "medium");
+    }
+    if (hint && hint !== filePath && index.files.has(hint)) {
+      const hits = findByName(ctx, [hint], name);
+      if (hits.length) return hit(hits[0].file, hits[0].className, name, "high");
+    }
+    if (language === "golang") {
+      const dir = path.posix.dirname(filePath);
+      const samePkg = (index.goDirs.get(path.posix.basename(dir)) || []).filter(
+        (f) => path.posix.dirname(f) === dir && f !== filePath,
+      );
+      const r = pick(samePkg.filter((f) => definesFunction(ctx, f, name)).map((f) => ({ file: f, className: null })), name, "high", "low");
+      if (r) return r;
+    }
+    return pick(
+      importFiles.filter((f) => definesFunction(ctx, f, name)).map((f) => ({ file: f, className: null })),
+      name, "medium", "low",
+    );
+  }
+
+  // 3. Receiver is a class (static call / constructor-less reference)
+  const recvName = receiver.split(/\.|::/).pop();
+  const classLoc = locateClass(ctx, recvName);
+  if (classLoc) {
+    const found = findInHierarchy(ctx, classLoc.file, recvName, name);
+    if (found) return hit(found.file, found.className, name, classLoc.confidence);
+  }
+
+  // 4. Import-resolved hint (JS namespace imports, Java class refs)
+  if (hint && index.files.has(hint)) {
+    const hits = findByName(ctx, [hint], name);
+    if (hits.length) return hit(hits[0].file, hits[0].className, name, "high");
+  }
+
+  // 5. Module / package receiver
+  const mods = moduleFiles(ctx, call);
+  if (mods.length) {
+    const hits = mods
+      .filter((f) => definesFunction(ctx, f, name))
+      .map((f) => ({ file: f, className: null }));
+    const imported = hits.filter((h) => importFiles.includes(h.file));
+    const r = imported.length ? pick(imported, name, "high", "low") : pick(hits, name, "medium", "low");
+    if (r) return r;
+  }
+
+  // 6. Go method on the caller's own receiver type (s.step() inside func (s *S))
+  if (language === "golang" && callerClass) {
+    const dir = path.posix.dirname(filePath);
+    const samePkg = [filePath, ...(index.goDirs.get(path.posix.basename(dir)) || []).filter(
+      (f) => path.posix.dirname(f) === dir && f !== filePath,
+    )];
+    const owner = samePkg.find((f) => findMethodInClass(ctx, f, callerClass, name));
+    if (owner) return hit(owner, callerClass, name, "medium");
+  }
+
+  // 7. Method name on something the file imports
+  const methodHits = findByName(ctx, importFiles, name).filter((h) => h.className);
+  return pick(methodHits, name, "low", "low");
+}
+
+// -------------------------------------------------------------
+// NDJSON pass
+// -------------------------------------------------------------
+
+/**
+ * Resolve calls in an uncompressed NDJSON file in place. Reads the file twice
+ * (index, then rewrite) so memory stays bounded by the name index.
+ *
+ * @param {string} ndjsonPath
+ * @returns {Promise<{ files: number, resolvedCalls: number }>}
+ */
+async function resolveCallGraphFile(ndjsonPath) {
+  const index = createCallGraphIndex();
+  for await (const record of readNdjson(ndjsonPath)) index.add(record);
+
+  const tmpPath = `${ndjsonPath}.calls.tmp`;
+  const fd = fs.openSync(tmpPath, "w");
+  let resolvedCalls = 0;
+  try {
+    for await (const record of readNdjson(ndjsonPath)) {
+      resolvedCalls += resolveRecordCalls(record, index);
+      fs.writeSync(fd, JSON.stringify(record) + "\n");
+    }
+  } catch (err) {
+    fs.closeSync(fd);
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+  fs.closeSync(fd);
+  fs.renameSync(tmpPath, ndjsonPath);
+  return { files: index.files.size, resolvedCalls };
+}
+
+module.exports = {
+  createCallGraphIndex,
+  resolveRecordCalls,
+  resolveCallGraphFile,
+};
@@ -2,10 +2,14 @@
 
 const {  API_KEY } = require("./app-config");
 
+// A request (headers and body) that takes longer than this is aborted
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
 async function httpGet(url) {
   const res = await fetch(url, {
     method: "GET",
     headers: { "Content-Type": "application/json", "api-key": API_KEY },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
   });
   if (!res.ok) {
     const body = await res.text();
@@ -14,17 +18,27 @@ async function httpGet(url) {
   return res.json();
 }
 
-async function httpPost(url, data) {
+async function httpPost(url, data, headers = {}, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
   const res = await fetch(url, {
     method: "POST",
-    headers: { "Content-Type": "application/json", "api-key": API_KEY },
+    headers: { "Content-Type": "application/json", "api-key": API_KEY, ...headers },
     body: JSON.stringify(data),
+    signal: AbortSignal.timeout(timeoutMs),
   });
   if (!res.ok) {
     const body = await res.text();
-    throw new Error(`POST ${url} failed (${res.status}): ${body}`);
+    const err = new Error(`POST ${url} failed (${res.status}): ${body}`);
+    err.statusCode = res.status;
+    throw err;
+  }
+  // Any 2xx is a success; a body that isn't JSON is returned as text
+  const text = await res.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return text;
   }
-  return res.json();
 }
 
 async function httpPut(url, data) {
@@ -32,6 +46,7 @@ async function httpPut(url, data) {
     method: "PUT",
     headers: { "Content-Type": "application/json", "api-key": API_KEY },
     body: JSON.stringify(data),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
   });
   if (!res.ok) {
     const body = await res.text();
@@ -15,7 +15,7 @@ program
   .description("Analyze codebases and generate JSON ontology with AI-powered descriptions and metadata")
   .requiredOption("-r, --repo <path>", "Path to the repository to analyze")
   .requiredOption("-o, --out <path>", "Output directory for generated files")
-  .option("-l, --language <name>", "Language to analyze: perl, javascript, python, java, typescript")
+  .option("-l, --language <name>", "Language to analyze: any registered analyzer key (typescript, javascript, python, java, csharp, golang, ...). Omit for auto-detect")
   .option("--generate-descriptions", "Generate AI descriptions for files, classes, and functions", false)
   .option("--add-metadata", "Add metadata using LLM analysis", false)
   .option("--provider <name>", "LLM provider: openai, claude, gemini, bedrock, custom (default: openai)")
@@ -33,6 +33,11 @@ program
   .option("--uuid <uuid>", "UUID identifier (required with --upload)")
   .option("--capture-source-code", "Capture source code for each function", false)
   .option("--capture-statements", "Capture if/for/switch/return/enum statements for functions and files", false)
+  .option("--incremental", "Reuse cached results for unchanged files (auto-detect mode only)", false)
+  .option("--cache-dir <path>", "Directory for the incremental cache (default: <out>/.ontology-cache)")
+  .option("--since <commit>", "Only analyze files added/modified since this commit (local git diff, auto-detect mode only)")
+  .option("--until <commit>", "End commit for --since (default: HEAD)")
+  .option("--workers <num>", "Worker threads to spread each analyzer's files across (default: 1, auto-detect mode only)")
   .option("--llmPlatform <name>", "LLM platform for code ontology generation: OPENAI, AWSBEDROCK, GEMINI (default: AWSBEDROCK)")
   .action(async (opts) => {
     if (opts.llmPlatform) {
@@ -42,6 +47,14 @@ program
         process.exit(1);
       }
     }
+    if (opts.workers !== undefined && !(parseInt(opts.workers, 10) >= 1)) {
+      console.error(`error: invalid --workers value '${opts.workers}'. Must be a positive integer`);
+      process.exit(1);
+    }
+    if (opts.until && !opts.since) {
+      console.error("error: --until requires --since");
+      process.exit(1);
+    }
     if (opts.upload) {
       const missing = [];
       if (!opts.baseurl) missing.push("--baseurl");
@@ -0,0 +1,788 @@
+/**
+ * CI/CD Pipeline Extraction
+ * Reads GitHub Actions workflows (.github/workflows/*.yml), .gitlab-ci.yml,
+ * bitbucket-pipelines.yml and Jenkinsfiles (declarative or scripted) into
+ * pipeline -> job -> step records for the config analyzer, and aggregates
+ * them into projectMetaData.configs.ciInfo.
+ *
+ * Shell commands in steps are matched against the repo: `npm run build`
+ * links to the package.json script, `make deploy` to the Makefile target
+ * and `./deploy.sh` / `python tools/x.py` to the file. Linked files become
+ * the pipeline file's importFiles; actions, pipes, remote includes and
+ * shared libraries its externalImports.
+ *
+ * Only secret names are kept — never values.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+// Where pipeline files live, relative to the repo (or a module) root
+const CI_FILE_PATTERNS = [
+  ".github/workflows/*.yml",
+  ".github/workflows/*.yaml",
+  "**/.gitlab-ci.yml",
+  "**/bitbucket-pipelines.yml",
+  "**/Jenkinsfile",
+  "**/Jenkinsfile.*",
+  "**/*.jenkinsfile"
+];
+
+// Variable names that hold credentials in GitLab / Bitbucket pipelines
+const SECRET_NAME = /TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|PRIVATE_KEY|ACCESS_KEY|CREDENTIAL/;
+const PREDEFINED_VARIABLE = /^(CI_|GITLAB_|BITBUCKET_)/;
+
+// `yarn <name>` runs a package.json script unless <name> is a yarn command
+const YARN_COMMANDS = [
+  "add", "audit", "bin", "cache", "ci", "config", "create", "dlx", "exec", "global", "i", "info", "init", "install",
+  "link", "login", "logout", "node", "outdated", "pack", "publish", "remove", "set", "unlink", "up",
+  "upgrade", "version", "why", "workspace", "workspaces"
+];
+const INTERPRETERS = ["bash", "sh", "zsh", "source", ".", "python", "python3", "node", "ruby", "perl", "php", "pwsh", "powershell", "groovy"];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// A YAML value that may be a single item or a list
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value.flat(Infinity) : [value];
+}
+
+const unique = (list) => [...new Set(list)];
+const uniqueByJson = (list) => [...new Map(list.map((item) => [JSON.stringify(item), item])).values()];
+const firstLine = (text) => String(text).trim().split("\n")[0].slice(0, 80);
+
+/**
+ * CI provider of a pipeline file, by its repo-relative path, or null
+ */
+function pipelineProvider(relPath) {
+  const parts = relPath.split(/[\\/]/);
+  const fileName = parts[parts.length - 1];
+  if (parts.length === 3 && parts[0] === ".github" && parts[1] === "workflows" && /\.ya?ml$/.test(fileName)) {
+    return "github-actions";
+  }
+  if (fileName === ".gitlab-ci.yml") return "gitlab-ci";
+  if (fileName === "bitbucket-pipelines.yml") return "bitbucket-pipelines";
+  if (/^Jenkinsfile(\..+)?$/.test(fileName) || fileName.endsWith(".jenkinsfile")) return "jenkins";
+  return null;
+}
+
+// -------------------------------------------------------------
+// Shell commands -> repo files and deployed artefacts
+// -------------------------------------------------------------
+
+// Simple commands of a shell snippet: continuations joined, split on ; && || | and newlines
+function shellCommands(text) {
+  return String(text)
+    .replace(/\\\r?\n/g, " ")
+    .split(/\r?\n|&&|\|\||;|\|/)
+    .map((command) => command.trim())
+    .filter((command) => command && !command.startsWith("#"));
+}
+
+function tokenize(command) {
+  const tokens = (command.match(/"[^"]*"|'[^']*'|\S+/g) || []).map((t) => t.replace(/^(["'])(.*)\1$/, "$2"));
+  // Leading FOO=bar assignments and wrappers don't change what runs
+  while (tokens.length > 1 && (/^[A-Za-z_]\w*=/.test(tokens[0]) || ["sudo", "exec", "time", "env"].includes(tokens[0]))) {
+    tokens.shift();
+  }
+  return tokens;
+}
+
+// Value of `--flag value` / `--flag=value` among tokens
+function optionValue(tokens, names) {
+  for (let i = 0; i < tokens.length; i++) {
+    for (const name of names) {
+      if (tokens[i] === name && tokens[i + 1]) return tokens[i + 1];
+      if (tokens[i].startsWith(`${name}=`)) return tokens[i].slice(name.length + 1);
+    }
+  }
+  return null;
+}
+
+// Repo-relative path of `file` run from `cwd`, if it exists in the repo
+function repoFile(ctx, cwd, file) {
+  if (!file || file.includes("$")) return null;
+  const rel = path.normalize(path.join(cwd, file));
+  if (rel.startsWith("..") || path.isAbsolute(rel)) return null;
+  try {
+    return fs.statSync(path.join(ctx.repoPath, rel)).isFile() ? rel : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function packageScripts(ctx, dir) {
+  if (!ctx.packageScripts.has(dir)) {
+    let scripts = null;
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(ctx.repoPath, dir, "package.json"), "utf-8"));
+      scripts = isPlainObject(data.scripts) ? data.scripts : {};
+    } catch (_) {
+      // No package.json here
+    }
+    ctx.packageScripts.set(dir, scripts);
+  }
+  return ctx.packageScripts.get(dir);
+}
+
+// npm / yarn / pnpm invocation of a package.json script
+function packageScriptLink(ctx, cwd, tokens, command) {
+  const [tool, ...args] = tokens;
+  const positional = args.filter((a, i) => !a.startsWith("-") && !["--prefix", "-C", "--dir", "--cwd"].includes(args[i - 1]));
+  let script = null;
+  if (positional[0] === "run" || positional[0] === "run-script") script = positional[1];
+  else if (tool !== "yarn" && ["test", "start", "stop", "restart", "t"].includes(positional[0])) script = positional[0] === "t" ? "test" : positional[0];
+  else if (tool !== "npm" && positional[0] && !YARN_COMMANDS.includes(positional[0])) script = positional[0];
+  if (!script) return null;
+
+  const dir = path.normalize(path.join(cwd, optionValue(args, ["--prefix", "-C", "--dir", "--cwd"]) || "."));
+  const scripts = packageScripts(ctx, dir);
+  const manifest = path.join(dir, "package.json");
+  return { command, kind: "package-script", script, path: scripts && scripts[script] !== undefined ? manifest : null };
+}
+
+function makeTargetLink(ctx, cwd, tokens, command) {
+  const args = tokens.slice(1);
+  const dir = path.normalize(path.join(cwd, optionValue(args, ["-C", "--directory"]) || "."));
+  const makefileOption = optionValue(args, ["-f", "--file"]);
+  const target = args.find((a, i) => !a.startsWith("-") && !a.includes("=") && !["-C", "-f", "--directory", "--file", "-j"].includes(args[i - 1])) || null;
+  const makefile = [makefileOption, "GNUmakefile", "makefile", "Makefile"]
+    .filter(Boolean)
+    .map((name) => repoFile(ctx, dir, name))
+    .find(Boolean);
+  let linked = makefile || null;
+  if (linked && target) {
+    const content = fs.readFileSync(path.join(ctx.repoPath, linked), "utf-8");
+    const escaped = target.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    if (!new RegExp(`^${escaped}\\s*:(?!=)`, "m").test(content)) linked = null;
+  }
+  return { command, kind: "make-target", target, path: linked };
+}
+
+/**
+ * Repo scripts a shell snippet runs
+ *
+ * @param {string} text - Shell commands
+ * @param {string} cwd - Repo-relative working directory
+ * @param {{ repoPath: string, packageScripts: Map }} ctx
+ * @returns {{ command: string, kind: string, path: string|null, script?: string, target?: string }[]}
+ */
+function linkScripts(text, cwd, ctx) {
+  const links = [];
+  for (const command of shellCommands(text)) {
+    const tokens = tokenize(command);
+    const [tool] = tokens;
+    if (!tool) continue;
+
+    if (["npm", "yarn", "pnpm"].includes(tool)) {
+      const link = packageScriptLink(ctx, cwd, tokens, command);
+      if (link) links.push(link);
+    } else if (tool === "make" || tool === "gmake") {
+      links.push(makeTargetLink(ctx, cwd, tokens, command));
+    } else if (INTERPRETERS.includes(path.basename(tool))) {
+      const args = tokens.slice(1);
+      if (args.includes("-m") || args.includes("-c") || args.includes("-e")) continue;
+      const file = args.find((a) => !a.startsWith("-"));
+      if (file) links.push({ command, kind: "file", path: repoFile(ctx, cwd, file) });
+    } else if (/^\.{1,2}\//.test(tool) || (/\//.test(tool) && /\.(sh|bash|py|js|mjs|rb|pl|ps1)$/.test(tool))) {
+      links.push({ command, kind: "file", path: repoFile(ctx, cwd, tool) });
+    }
+  }
+  return links;
+}
+
+/**
+ * Artefacts a shell snippet publishes or deploys (images, charts, packages...)
+ */
+function deployedArtifacts(text, cwd = ".") {
+  const artifacts = [];
+  for (const command of shellCommands(text)) {
+    const tokens = tokenize(command);
+    const [tool, sub, ...rest] = tokens;
+    const positional = rest.filter((a) => !a.startsWith("-"));
+
+    if (tool === "docker" && sub === "push" && positional[0]) {
+      artifacts.push({ type: "docker-image", name: positional[0] });
+    } else if (tool === "docker" && (sub === "buildx" || sub === "build") && tokens.includes("--push")) {
+      tokens.forEach((t, i) => {
+        if ((tokens[i - 1] === "-t" || tokens[i - 1] === "--tag") && t) artifacts.push({ type: "docker-image", name: t });
+      });
+    } else if (tool === "helm" && (sub === "upgrade" || sub === "install") && positional.length >= 2) {
+      artifacts.push({ type: "helm-release", name: positional[0], chart: positional[1] });
+    } else if (tool === "kubectl" && sub === "apply") {
+      artifacts.push({ type: "kubernetes", name: optionValue(rest, ["-f", "--filename", "-k", "--kustomize"]) });
+    } else if (["npm", "yarn", "pnpm"].includes(tool) && sub === "publish") {
+      artifacts.push({ type: "npm-package", name: null });
+    } else if (tool === "terraform" && sub === "apply") {
+      artifacts.push({ type: "terraform", name: cwd });
+    } else if (tool === "terraform" && /^-chdir=/.test(sub || "") && rest[0] === "apply") {
+      artifacts.push({ type: "terraform", name: sub.slice("-chdir=".length) });
+    } else if (tool === "aws" && sub === "s3" && ["sync", "cp"].includes(positional[0])) {
+      const target = positional.find((a) => a.startsWith("s3://"));
+      if (target) artifacts.push({ type: "s3", name: target });
+    } else if (tool === "gcloud" && positional.includes("deploy")) {
+      artifacts.push({ type: `gcloud-${sub}`, name: positional[positional.indexOf("deploy") + 1] || null });
+    } else if (tool === "twine" && sub === "upload") {
+      artifacts.push({ type: "python-package", name: null });
+    } else if ((tool === "mvn" || tool === "./mvnw") && tokens.includes("deploy")) {
+      artifacts.push({ type: "maven-artifact", name: null });
+    }
+  }
+  return artifacts;
+}
+
+function environmentName(environment) {
+  if (typeof environment === "string") return environment;
+  return isPlainObject(environment) && typeof environment.name === "string" ? environment.name : null;
+}
+
+// $NAME / ${NAME} references that look like credentials
+function variableSecrets(value, defined) {
+  const names = [];
+  for (const m of JSON.stringify(value ?? null).matchAll(/\$\{?([A-Za-z_][A-Za-z0-9_]*)/g)) {
+    const name = m[1];
+    if (SECRET_NAME.test(name.toUpperCase()) && !PREDEFINED_VARIABLE.test(name) && !defined.has(name)) names.push(name);
+  }
+  return unique(names);
+}
+
+function shellStep(name, run, cwd, ctx) {
+  return { name, run, scripts: linkScripts(run, cwd, ctx) };
+}
+
+// -------------------------------------------------------------
+// GitHub Actions
+// -------------------------------------------------------------
+
+const TRIGGER_FILTERS = { branches: "branches", "branches-ignore": "branchesIgnore", tags: "tags", paths: "paths", types: "types" };
+
+function githubTriggers(on, secrets) {
+  if (typeof on === "string") return [{ event: on }];
+  if (Array.isArray(on)) return on.filter((e) => typeof e === "string").map((event) => ({ event }));
+  if (!isPlainObject(on)) return [];
+
+  return Object.entries(on).flatMap(([event, config]) => {
+    if (event === "schedule") {
+      return asList(config).filter((c) => c && c.cron).map((c) => ({ event, cron: c.cron }));
+    }
+    const trigger = { event };
+    if (isPlainObject(config)) {
+      for (const [key, field] of Object.entries(TRIGGER_FILTERS)) {
+        if (config[key] !== undefined) trigger[field] = asList(config[key]);
+      }
+      if (isPlainObject(config.inputs)) trigger.inputs = Object.keys(config.inputs);
+      // Secrets a reusable workflow expects from its callers
+      if (event === "workflow_call" && isPlainObject(config.secrets)) secrets.push(...Object.keys(config.secrets));
+    }
+    return [trigger];
+  });
+}
+
+function githubSecrets(value) {
+  const names = [];
+  for (const m of JSON.stringify(value ?? null).matchAll(/\bsecrets(?:\.([A-Za-z_][\w-]*)|\[\s*'([^']+)'\s*\])/g)) {
+    names.push(m[1] || m[2]);
+  }
+  return unique(names);
+}
+
+// `uses: ./path` -> the local action's action.yml, or a reusable workflow file
+function localUsesPath(uses, ctx) {
+  if (!uses.startsWith("./")) return null;
+  const target = uses.replace(/@.*$/, "");
+  return repoFile(ctx, ".", target) ||
+    repoFile(ctx, target, "action.yml") ||
+    repoFile(ctx, target, "action.yaml");
+}
+
+function githubUses(uses, ctx, imports) {
+  const usesPath = localUsesPath(uses, ctx);
+  if (usesPath) imports.importFiles.push(usesPath);
+  else if (!uses.startsWith("./")) imports.externalImports.push(uses);
+  return usesPath;
+}
+
+function actionArtifacts(uses, inputs) {
+  const action = uses.replace(/@.*$/, "");
+  if (action === "docker/build-push-action" && (inputs.push === true || inputs.push === "true")) {
+    return String(inputs.tags || "").split(/[,\n]/).map((t) => t.trim()).filter(Boolean).map((name) => ({ type: "docker-image", name }));
+  }
+  if (action === "actions/upload-artifact") return [{ type: "artifact", name: inputs.name || "artifact", paths: asList(inputs.path).join("\n").split("\n").filter(Boolean) }];
+  if (action === "actions/upload-pages-artifact" || action === "actions/deploy-pages") return [{ type: "pages", name: null }];
+  return [];
+}
+
+function describeGithubWorkflow(doc, ctx, imports) {
+  const secrets = [];
+  const triggers = githubTriggers(doc.on, secrets);
+  const workflowDir = doc.defaults?.run?.["working-directory"];
+
+  const jobs = Object.entries(isPlainObject(doc.jobs) ? doc.jobs : {})
+    .filter(([, job]) => isPlainObject(job))
+    .map(([id, job]) => {
+      const jobDir = job.defaults?.run?.["working-directory"] || workflowDir || ".";
+      const record = {
+        id,
+        name: typeof job.name === "string" ? job.name : id,
+        runsOn: job["runs-on"] ?? null,
+        image: typeof job.container === "string" ? job.container : job.container?.image ?? null,
+        environment: environmentName(job.environment),
+        needs: asList(job.needs),
+        secrets: githubSecrets(job),
+        artifacts: [],
+        steps: []
+      };
+      // Reusable workflow call
+      if (typeof job.uses === "string") {
+        record.uses = job.uses;
+        const usesPath = githubUses(job.uses, ctx, imports);
+        if (usesPath) record.usesPath = usesPath;
+      }
+
+      for (const step of asList(job.steps).filter(isPlainObject)) {
+        const cwd = typeof step["working-directory"] === "string" && !step["working-directory"].includes("${{")
+          ? step["working-directory"]
+          : jobDir;
+        const stepRecord = typeof step.run === "string"
+          ? shellStep(step.name || firstLine(step.run), step.run, cwd, ctx)
+          : { name: step.name || step.uses || null, scripts: [] };
+        if (step.id) stepRecord.id = step.id;
+        if (typeof step.uses === "string") {
+          stepRecord.uses = step.uses;
+          const usesPath = githubUses(step.uses, ctx, imports);
+          if (usesPath) stepRecord.usesPath = usesPath;
+          record.artifacts.push(...actionArtifacts(step.uses, isPlainObject(step.with) ? step.with : {}));
+        }
+        if (typeof step.run === "string") record.artifacts.push(...deployedArtifacts(step.run, cwd));
+        record.steps.push(stepRecord);
+      }
+      return record;
+    });
+
+  return { name: typeof doc.name === "string" ? doc.name : null, triggers, secrets, jobs };
+}
+
+// -------------------------------------------------------------
+// GitLab CI
+// -------------------------------------------------------------
+
+const GITLAB_KEYWORDS = ["stages", "variables", "default", "include", "workflow", "image", "services", "before_script", "after_script", "cache", "types"];
+
+function gitlabIncludes(include, imports) {
+  for (const entry of asList(include)) {
+    if (typeof entry === "string") {
+      if (/^https?:\/\//.test(entry)) imports.externalImports.push(entry);
+      else imports.importFiles.push(path.normalize(entry.replace(/^\//, "")));
+    } else if (isPlainObject(entry)) {
+      if (typeof entry.local === "string") imports.importFiles.push(path.normalize(entry.local.replace(/^\//, "")));
+      else if (entry.project) asList(entry.file).forEach((file) => imports.externalImports.push(`${entry.project}:${file}`));
+      else if (entry.remote || entry.template || entry.component) imports.externalImports.push(entry.remote || entry.template || entry.component);
+    }
+  }
+}
+
+function gitlabTriggers(doc) {
+  const text = JSON.stringify(doc);
+  const triggers = [];
+  for (const m of text.matchAll(/\$CI_PIPELINE_SOURCE\s*==\s*\\?["']([\w-]+)\\?["']/g)) triggers.push({ event: m[1] });
+  const branches = [...text.matchAll(/\$CI_COMMIT_BRANCH\s*==\s*\\?["']([^"'\\]+)\\?["']/g)].map((m) => m[1]);
+  if (branches.length > 0) triggers.push({ event: "push", branches: unique(branches) });
+  if (/\$CI_COMMIT_TAG\b/.test(text)) triggers.push({ event: "tag" });
+  return triggers.length > 0 ? uniqueByJson(triggers) : [{ event: "push" }];
+}
+
+// Job with `extends` templates and `default:` settings applied (shallow, like GitLab)
+function resolveGitlabJob(doc, job, seen = new Set()) {
+  let resolved = {};
+  for (const parent of asList(job.extends)) {
+    if (typeof parent !== "string" || seen.has(parent) || !isPlainObject(doc[parent])) continue;
+    seen.add(parent);
+    resolved = { ...resolved, ...resolveGitlabJob(doc, doc[parent], seen) };
+  }
+  return { ...resolved, ...job };
+}
+
+function describeGitlabPipeline(doc, baseDir, ctx, imports) {
+  gitlabIncludes(doc.include, imports);
+  const defaults = {
+    image: doc.image,
+    before_script: doc.before_script,
+    after_script: doc.after_script,
+    ...(isPlainObject(doc.default) ? doc.default : {})
+  };
+  const globalVariables = Object.keys(isPlainObject(doc.variables) ? doc.variables : {});
+
+  const jobs = Object.entries(doc)
+    .filter(([id, job]) => !id.startsWith(".") && !GITLAB_KEYWORDS.includes(id) && isPlainObject(job))
+    .map(([id, job]) => {
+      const resolved = { ...defaults, ...resolveGitlabJob(doc, job) };
+      const defined = new Set([...globalVariables, ...Object.keys(isPlainObject(resolved.variables) ? resolved.variables : {})]);
+      const record = {
+        id,
+        name: id,
+        stage: typeof resolved.stage === "string" ? resolved.stage : "test",
+        image: typeof resolved.image === "string" ? resolved.image : resolved.image?.name ?? null,
+        environment: environmentName(resolved.environment),
+        needs: asList(resolved.needs).map((n) => (typeof n === "string" ? n : n && n.job)).filter(Boolean),
+        secrets: unique([
+          ...Object.keys(isPlainObject(resolved.secrets) ? resolved.secrets : {}),
+          ...variableSecrets([resolved.before_script, resolved.script, resolved.after_script], defined)
+        ]),
+        artifacts: [],
+        steps: []
+      };
+      if (resolved.extends) record.extends = asList(resolved.extends);
+
+      for (const section of ["before_script", "script", "after_script"]) {
+        for (const command of asList(resolved[section]).filter((c) => typeof c === "string")) {
+          record.steps.push(shellStep(section, command, baseDir, ctx));
+          record.artifacts.push(...deployedArtifacts(command, baseDir));
+        }
+      }
+      const paths = asList(resolved.artifacts?.paths).filter((p) => typeof p === "string");
+      if (paths.length > 0) record.artifacts.push({ type: "artifact", name: resolved.artifacts.name || id, paths });
+      return record;
+    });
+
+  return { name: typeof doc.workflow?.name === "string" ? doc.workflow.name : null, triggers: gitlabTriggers(doc), secrets: [], jobs };
+}
+
+// -------------------------------------------------------------
+// Bitbucket Pipelines
+// -------------------------------------------------------------
+
+function bitbucketTriggers(pipelines) {
+  const triggers = [];
+  if (pipelines.default) triggers.push({ event: "push" });
+  if (isPlainObject(pipelines.branches)) triggers.push({ event: "push", branches: Object.keys(pipelines.branches) });
+  if (isPlainObject(pipelines.tags)) triggers.push({ event: "tag", tags: Object.keys(pipelines.tags) });
+  if (isPlainObject(pipelines["pull-requests"])) triggers.push({ event: "pull_request", branches: Object.keys(pipelines["pull-requests"]) });
+  if (isPlainObject(pipelines.custom)) triggers.push({ event: "manual", pipelines: Object.keys(pipelines.custom) });
+  return triggers;
+}
+
+// Steps of one pipeline section, through `parallel` and `stage` groups
+function bitbucketSteps(items) {
+  return asList(items).flatMap((item) => {
+    if (!isPlainObject(item)) return [];
+    if (isPlainObject(item.step)) return [item.step];
+    if (item.parallel) return bitbucketSteps(isPlainObject(item.parallel) ? item.parallel.steps : item.parallel);
+    if (isPlainObject(item.stage)) {
+      const { deployment } = item.stage;
+      return bitbucketSteps(item.stage.steps).map((step) => (deployment && !step.deployment ? { ...step, deployment } : step));
+    }
+    return [];
+  });
+}
+
+function describeBitbucketPipeline(doc, baseDir, ctx, imports) {
+  const pipelines = isPlainObject(doc.pipelines) ? doc.pipelines : {};
+  const defaultImage = typeof doc.image === "string" ? doc.image : doc.image?.name ?? null;
+  const sections = [];
+  if (pipelines.default) sections.push(["default", pipelines.default]);
+  for (const group of ["branches", "tags", "pull-requests", "custom"]) {
+    for (const [key, items] of Object.entries(isPlainObject(pipelines[group]) ? pipelines[group] : {})) {
+      sections.push([`${group}: ${key}`, items]);
+    }
+  }
+
+  const jobs = sections.flatMap(([section, items]) =>
+    bitbucketSteps(items).map((step, index) => {
+      const record = {
+        name: typeof step.name === "string" ? step.name : `${section} #${index + 1}`,
+        stage: section,
+        image: typeof step.image === "string" ? step.image : step.image?.name ?? defaultImage,
+        environment: typeof step.deployment === "string" ? step.deployment : null,
+        needs: [],
+        secrets: variableSecrets([step.script, step["after-script"]], new Set()),
+        artifacts: [],
+        steps: []
+      };
+      for (const key of ["script", "after-script"]) {
+        for (const entry of asList(step[key])) {
+          if (typeof entry === "string") {
+            record.steps.push(shellStep(key, entry, baseDir, ctx));
+            record.artifacts.push(...deployedArtifacts(entry, baseDir));
+          } else if (isPlainObject(entry) && typeof entry.pipe === "string") {
+            record.steps.push({ name: "pipe", uses: entry.pipe, scripts: [] });
+            imports.externalImports.push(entry.pipe);
+          }
+        }
+      }
+      const paths = asList(isPlainObject(step.artifacts) ? step.artifacts.paths : step.artifacts).filter((p) => typeof p === "string");
+      if (paths.length > 0) record.artifacts.push({ type: "artifact", name: record.name, paths });
+      return record;
+    })
+  );
+
+  return { name: null, triggers: bitbucketTriggers(pipelines), secrets: [], jobs };
+}
+
+// -------------------------------------------------------------
+// Jenkinsfile
+// -------------------------------------------------------------
+
+/**
+ * The Groovy source with comments and string contents blanked (quotes
+ * kept), same length, so braces and calls can be found by offset
+ */
+function maskGroovy(src) {
+  const out = src.split("");
+  const blank = (from, to) => {
+    for (let k = from; k < to && k < src.length; k++) {
+      if (out[k] !== "\n") out[k] = " ";
+    }
+  };
+  let i = 0;
+  while (i < src.length) {
+    const two = src.slice(i, i + 2);
+    const three = src.slice(i, i + 3);
+    if (two === "//") {
+      const end = src.indexOf("\n", i);
+      const stop = end === -1 ? src.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (two === "/*") {
+      const end = src.indexOf("*/", i + 2);
+      const stop = end === -1 ? src.length : end + 2;
+      blank(i, stop);
+      i = stop;
+    } else if (three === "'''" || three === '"""') {
+      const end = src.indexOf(three, i + 3);
+      const stop = end === -1 ? src.length : end;
+      blank(i + 3, stop);
+      i = stop + 3;
+    } else if (src[i] === "'" || src[i] === '"') {
+      let k = i + 1;
+      while (k < src.length && src[k] !== src[i] && src[k] !== "\n") k += src[k] === "\\" ? 2 : 1;
+      blank(i + 1, k);
+      i = k + 1;
+    } else {
+      i++;
+    }
+  }
+  return out.join("");
+}
+
+function matchingBrace(skeleton, open) {
+  let depth = 0;
+  for (let i = open; i < skeleton.length; i++) {
+    if (skeleton[i] === "{") depth++;
+    else if (skeleton[i] === "}" && --depth === 0) return i;
+  }
+  return skeleton.length;
+}
+
+// String literal starting at `quote` (offset of its opening quote): [text, end offset]
+function stringAt(src, skeleton, quote) {
+  const delimiter = /^('''|""")/.test(src.slice(quote, quote + 3)) ? src.slice(quote, quote + 3) : src[quote];
+  const start = quote + delimiter.length;
+  const end = skeleton.indexOf(delimiter, start);
+  return end === -1 ? null : [src.slice(start, end), end + delimiter.length];
+}
+
+// Arguments of calls like `sh 'x'`, `sh(script: "x")`, `cron('H 4 * * *')` in [from, to)
+function callStrings(src, skeleton, names, from, to) {
+  const pattern = new RegExp(`\\b(${names.join("|")})\\b\\s*:?\\s*(?:\\(\\s*)?(?:[A-Za-z]+\\s*:\\s*)?(['"])`, "g");
+  pattern.lastIndex = from;
+  const values = [];
+  let m;
+  while ((m = pattern.exec(skeleton)) && m.index < to) {
+    const string = stringAt(src, skeleton, m.index + m[0].length - 1);
+    if (!string) break;
+    values.push({ call: m[1], value: string[0] });
+    pattern.lastIndex = string[1];
+  }
+  return values;
+}
+
+// Stages (name and body range) whose body holds no other stage
+function leafStages(src, skeleton) {
+  const stages = [];
+  const pattern = /\bstage\s*\(\s*(['"])/g;
+  let m;
+  while ((m = pattern.exec(skeleton))) {
+    const label = stringAt(src, skeleton, m.index + m[0].length - 1);
+    if (!label) continue;
+    const open = skeleton.indexOf("{", label[1]);
+    if (open === -1) continue;
+    const close = matchingBrace(skeleton, open);
+    stages.push({ name: label[0], start: m.index, bodyStart: open + 1, bodyEnd: close });
+  }
+  return stages.filter((stage) => !stages.some((other) => other !== stage && other.start > stage.start && other.start < stage.bodyEnd));
+}
+
+function jenkinsImage(src, skeleton, from, to) {
+  const image = callStrings(src, skeleton, ["image"], from, to)[0] ||
+    callStrings(src, skeleton, ["docker"], from, to).find((c) => !/\s/.test(c.value));
+  return image ? image.value : null;
+}
+
+function describeJenkinsfile(src, baseDir, ctx, imports) {
+  const skeleton = maskGroovy(src);
+  const stages = leafStages(src, skeleton);
+  const beforeStages = stages.length > 0 ? stages[0].start : src.length;
+
+  callStrings(src, skeleton, ["Library", "library"], 0, src.length)
+    .forEach(({ value }) => imports.externalImports.push(value));
+
+  const triggers = callStrings(src, skeleton, ["cron", "pollSCM", "upstream"], 0, beforeStages).map(({ call, value }) =>
+    call === "upstream" ? { event: "upstream", projects: value.split(",").map((p) => p.trim()) } : { event: call === "cron" ? "schedule" : "poll", cron: value }
+  );
+  if (/\bgithubPush\s*\(/.test(skeleton)) triggers.push({ event: "push" });
+
+  const credentials = (from, to) => callStrings(src, skeleton, ["credentials", "credentialsId"], from, to).map((c) => c.value);
+  const pipelineImage = jenkinsImage(src, skeleton, 0, beforeStages);
+
+  const jobs = stages.map((stage) => {
+    const record = {
+      name: stage.name,
+      stage: stage.name,
+      image: jenkinsImage(src, skeleton, stage.bodyStart, stage.bodyEnd) || pipelineImage,
+      environment: null,
+      needs: [],
+      secrets: unique(credentials(stage.bodyStart, stage.bodyEnd)),
+      artifacts: [],
+      steps: []
+    };
+    for (const { call, value } of callStrings(src, skeleton, ["sh", "bat", "powershell", "pwsh"], stage.bodyStart, stage.bodyEnd)) {
+      record.steps.push(shellStep(call, value.trim(), baseDir, ctx));
+      record.artifacts.push(...deployedArtifacts(value, baseDir));
+    }
+    const archived = callStrings(src, skeleton, ["archiveArtifacts"], stage.bodyStart, stage.bodyEnd).map((c) => c.value);
+    if (archived.length > 0) record.artifacts.push({ type: "artifact", name: stage.name, paths: archived });
+    const body = skeleton.slice(stage.bodyStart, stage.bodyEnd);
+    if (/\.push\s*\(/.test(body)) {
+      callStrings(src, skeleton, ["docker\\.build"], stage.bodyStart, stage.bodyEnd)
+        .forEach(({ value }) => record.artifacts.push({ type: "docker-image", name: value }));
+    }
+    return record;
+  });
+
+  // Credentials bound for the whole pipeline (top-level environment {})
+  return { name: null, triggers, secrets: unique(credentials(0, beforeStages)), jobs };
+}
+
+// -------------------------------------------------------------
+// Entry point for the config analyzer
+// -------------------------------------------------------------
+
+/**
+ * CI pipeline metadata for one file, or null when it isn't a pipeline file
+ *
+ * @param {string} filePath - Absolute path
+ * @param {string} repoPath
+ * @param {string} content - File content
+ * @returns {{ ciPipeline: object, importFiles: string[], externalImports: string[] }|null}
+ */
+function describePipelineFile(filePath, repoPath, content) {
+  const relativePath = path.relative(repoPath, filePath);
+  const provider = pipelineProvider(relativePath);
+  if (!provider) return null;
+
+  const ctx = { repoPath, packageScripts: new Map() };
+  const imports = { importFiles: [], externalImports: [] };
+  const baseDir = path.dirname(relativePath);
+  let pipeline;
+
+  if (provider === "jenkins") {
+    pipeline = describeJenkinsfile(content, baseDir, ctx, imports);
+  } else {
+    const doc = YAML.parse(content);
+    if (!isPlainObject(doc)) return null;
+    if (provider === "github-actions") pipeline = describeGithubWorkflow(doc, ctx, imports);
+    else if (provider === "gitlab-ci") pipeline = describeGitlabPipeline(doc, baseDir, ctx, imports);
+    else pipeline = describeBitbucketPipeline(doc, baseDir, ctx, imports);
+  }
+
+  const { jobs } = pipeline;
+  const scriptFiles = jobs.flatMap((job) => job.steps.flatMap((step) => step.scripts.map((s) => s.path))).filter(Boolean);
+  return {
+    ciPipeline: {
+      provider,
+      name: pipeline.name || path.basename(relativePath),
+      triggers: pipeline.triggers,
+      environments: unique(jobs.map((job) => job.environment).filter(Boolean)),
+      secrets: unique([...pipeline.secrets, ...jobs.flatMap((job) => job.secrets)]),
+      artifacts: uniqueByJson(jobs.flatMap((job) => job.artifacts)),
+      jobs: jobs.map((job) => ({ ...job, artifacts: uniqueByJson(job.artifacts) }))
+    },
+    importFiles: unique([...imports.importFiles, ...scriptFiles]),
+    externalImports: unique(imports.externalImports)
+  };
+}
+
+// -------------------------------------------------------------
+// projectMetaData.configs.ciInfo
+// -------------------------------------------------------------
+
+function emptyCiInfo() {
+  return {
+    providers: [],
+    pipelines: [],
+    environments: [],
+    secrets: [],
+    artifacts: [],
+    scripts: []
+  };
+}
+
+/**
+ * Add one config file's pipeline metadata to `info`
+ */
+function addCiInfo(info, file) {
+  const pipeline = file.ciPipeline;
+  if (!pipeline) return;
+  info.providers.push(pipeline.provider);
+  info.pipelines.push({
+    path: file.path.split(path.sep).join("/"),
+    provider: pipeline.provider,
+    name: pipeline.name,
+    triggers: unique(pipeline.triggers.map((t) => t.event)),
+    jobs: pipeline.jobs.length
+  });
+  info.environments.push(...pipeline.environments);
+  info.secrets.push(...pipeline.secrets);
+  info.artifacts.push(...pipeline.artifacts.map(({ type, name }) => ({ type, name })));
+  for (const job of pipeline.jobs) {
+    for (const step of job.steps) {
+      info.scripts.push(...step.scripts.map((s) => s.path).filter(Boolean));
+    }
+  }
+}
+
+/** Remove duplicates from the list fields of `info` (after all files are added) */
+function dedupeCiInfo(info) {
+  for (const key of ["providers", "environments", "secrets", "scripts"]) {
+    info[key] = unique(info[key]);
+  }
+  info.pipelines = uniqueByJson(info.pipelines);
+  info.artifacts = uniqueByJson(info.artifacts);
+  return info;
+}
+
+/** Combine two ciInfo objects (either may be missing) */
+function mergeCiInfo(base, incoming) {
+  const a = base || emptyCiInfo();
+  const b = incoming || emptyCiInfo();
+  const merged = emptyCiInfo();
+  for (const key of Object.keys(merged)) {
+    merged[key] = [...a[key], ...b[key]];
+  }
+  return dedupeCiInfo(merged);
+}
+
+module.exports = {
+  CI_FILE_PATTERNS,
+  pipelineProvider,
+  describePipelineFile,
+  deployedArtifacts,
+  emptyCiInfo,
+  addCiInfo,
+  dedupeCiInfo,
+  mergeCiInfo
+};
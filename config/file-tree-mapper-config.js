@@ -1,14 +1,25 @@
 /**
  * Config File Parser
- * Parses JSON, XML, Docker, and other configuration/deployment files
+ * Parses JSON, XML, Docker, and other configuration/deployment files at the
+ * repository root and at the root of each workspace module (see
+ * workspace-modules.js). Files inside a module carry the module's name.
+ * Kubernetes manifests, CI pipeline files (ci-pipelines.js) and OpenAPI /
+ * Swagger specs (openapi-spec.js) are picked up anywhere in the repo.
  */
 
 const fs = require("fs");
 const path = require("path");
 const glob = require("glob");
 const { getIgnorePatterns } = require("../ignore-patterns");
+const { discoverModules, moduleResolver, readTomlSection } = require("./workspace-modules");
+const { describeDeploymentYaml, linkServiceSelectors } = require("./kubernetes");
+const { CI_FILE_PATTERNS, describePipelineFile } = require("./ci-pipelines");
+const { API_SPEC_JSON_PATTERNS, describeApiSpec, describeApiSpecYaml } = require("./openapi-spec");
 
-// Patterns for config files to parse (root level only)
+// Larger YAML files are not read when looking for Kubernetes manifests
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+
+// Patterns for config files to parse (top level of the root and of each module)
 const CONFIG_PATTERNS = {
   json: ["package.json", "tsconfig.json", "jsconfig.json", "*.json"],
   yaml: ["*.yml", "*.yaml", "docker-compose.yml", "docker-compose.yaml"],
@@ -63,6 +74,8 @@ function parseJsonFile(filePath, repoPath) {
     } else {
       // Generic JSON - extract top-level keys
       metadata.topLevelKeys = Object.keys(data);
+      // OpenAPI / Swagger spec
+      Object.assign(metadata, describeApiSpec(data));
     }
 
     return metadata;
@@ -144,6 +157,27 @@ function parseYamlFile(filePath, repoPath) {
       metadata.topLevelKeys = topLevelKeys;
     }
 
+    // Kubernetes manifests, Helm Chart.yaml / values / templates
+    try {
+      Object.assign(metadata, describeDeploymentYaml(filePath, repoPath, content));
+    } catch (err) {
+      metadata.kubernetesError = `Failed to parse: ${err.message}`;
+    }
+
+    // GitHub Actions, GitLab CI, Bitbucket Pipelines
+    try {
+      Object.assign(metadata, describePipelineFile(filePath, repoPath, content));
+    } catch (err) {
+      metadata.ciPipelineError = `Failed to parse: ${err.message}`;
+    }
+
+    // OpenAPI / Swagger spec
+    try {
+      Object.assign(metadata, describeApiSpecYaml(content));
+    } catch (err) {
+      metadata.apiSpecError = `Failed to parse: ${err.message}`;
+    }
+
     return metadata;
   } catch (err) {
     return {
@@ -391,6 +425,21 @@ function parseGradleConfig(filePath, repoPath) {
   }
 }
 
+/**
+ * Parse a Jenkinsfile (Groovy pipeline definition)
+ */
+function parseJenkinsfile(filePath, repoPath) {
+  const metadata = parseGenericConfig(filePath, repoPath, "groovy");
+  if (metadata.error) return metadata;
+  try {
+    const content = fs.readFileSync(filePath, "utf-8");
+    Object.assign(metadata, describePipelineFile(filePath, repoPath, content));
+  } catch (err) {
+    metadata.ciPipelineError = `Failed to parse: ${err.message}`;
+  }
+  return metadata;
+}
+
 /**
  * Parse generic config file (INI, TOML, other)
  */
@@ -417,10 +466,34 @@ function parseGenericConfig(filePath, repoPath, fileType) {
 }
 
 /**
- * Main function to analyze config files in repository (root level only)
+ * Parse pyproject.toml: generic metadata plus the project's name, version
+ * and dependencies
+ */
+function parsePyprojectToml(filePath, repoPath) {
+  const metadata = parseGenericConfig(filePath, repoPath, "toml");
+  if (metadata.error) return metadata;
+  const content = fs.readFileSync(filePath, "utf-8");
+  const project = readTomlSection(content, "project");
+  const poetry = readTomlSection(content, "tool.poetry");
+  return {
+    ...metadata,
+    projectName: project.name || poetry.name || null,
+    version: project.version || poetry.version || null,
+    dependencies: Array.isArray(project.dependencies) ? project.dependencies : []
+  };
+}
+
+/**
+ * Main function to analyze config files in repository: the root directory
+ * and the root directory of every workspace module, not recursively.
+ *
+ * @param {string} repoPath
+ * @param {object[]} [modules] - From discoverModules(); discovered when omitted
  */
-function analyzeConfigRepo(repoPath) {
-  console.log("\n📋 Analyzing root-level configuration files...");
+function analyzeConfigRepo(repoPath, modules = discoverModules(repoPath)) {
+  console.log(modules.length > 0
+    ? `\n📋 Analyzing configuration files (root + ${modules.length} workspace modules)...`
+    : "\n📋 Analyzing root-level configuration files...");
 
   const configFiles = [];
   const processedFiles = new Set(); // Track processed files to avoid duplicates
@@ -437,91 +510,180 @@ function analyzeConfigRepo(repoPath) {
     other: 0
   };
 
-  // Process each config type (root level only)
-  for (const [configType, patterns] of Object.entries(CONFIG_PATTERNS)) {
-    for (const pattern of patterns) {
-      // Use cwd option to search only in the root directory
-      const ignorePatterns = getIgnorePatterns(repoPath);
-      const files = glob.sync(pattern, {
-        cwd: repoPath,
-        absolute: true,
-        nodir: true,
-        dot: true, // Include dotfiles like .env
-        ignore: ignorePatterns
-      });
-
-      for (const file of files) {
-        // Double-check that file is actually in root directory (not subdirectory)
-        const relativePath = path.relative(repoPath, file);
-        if (relativePath.includes(path.sep)) {
-          // Skip files in subdirectories
-          continue;
+  const ignorePatterns = getIgnorePatterns(repoPath, { modules });
+  const directories = [{ dir: "", module: null }, ...modules.map((m) => ({ dir: m.path, module: m.name }))];
+
+  // Process each config type in each directory (top level only)
+  for (const { dir, module } of directories) {
+    for (const [configType, patterns] of Object.entries(CONFIG_PATTERNS)) {
+      for (const pattern of patterns) {
+        // Use cwd option to search only in this directory
+        const cwd = path.join(repoPath, dir);
+        const files = glob.sync(pattern, {
+          cwd,
+          absolute: true,
+          nodir: true,
+          dot: true, // Include dotfiles like .env
+          ignore: ignorePatterns
+        });
+
+        for (const file of files) {
+          // Double-check that file is actually in this directory (not subdirectory)
+          if (path.relative(cwd, file).includes(path.sep)) {
+            // Skip files in subdirectories
+            continue;
+          }
+
+          // Skip if already processed (avoid duplicates from overlapping patterns)
+          if (processedFiles.has(file)) {
+            continue;
+          }
+          processedFiles.add(file);
+
+          let metadata;
+
+          switch (configType) {
+            case "json":
+              metadata = parseJsonFile(file, repoPath);
+              stats.json++;
+              break;
+            case "yaml":
+              metadata = parseYamlFile(file, repoPath);
+              stats.yaml++;
+              break;
+            case "docker":
+              metadata = parseDockerfile(file, repoPath);
+              stats.docker++;
+              break;
+            case "env":
+              metadata = parseEnvFile(file, repoPath);
+              stats.env++;
+              break;
+            case "xml":
+              metadata = parseXmlFile(file, repoPath);
+              stats.xml++;
+              break;
+            case "ini":
+              metadata = parseGenericConfig(file, repoPath, "ini");
+              stats.ini++;
+              break;
+            case "toml":
+              metadata = path.basename(file) === "pyproject.toml"
+                ? parsePyprojectToml(file, repoPath)
+                : parseGenericConfig(file, repoPath, "toml");
+              stats.toml++;
+              break;
+            case "python":
+              metadata = parsePythonConfig(file, repoPath);
+              stats.python++;
+              break;
+            case "gradle":
+              metadata = parseGradleConfig(file, repoPath);
+              stats.gradle++;
+              break;
+            case "other":
+              metadata = parseGenericConfig(file, repoPath, "other");
+              stats.other++;
+              break;
+          }
+
+          if (metadata) {
+            // Add empty arrays for consistency with other file types
+            metadata.importFiles = metadata.importFiles || [];
+            metadata.externalImports = metadata.externalImports || [];
+            metadata.functions = [];
+            metadata.classes = [];
+            if (module) metadata.module = module;
+            configFiles.push(metadata);
+          }
         }
+      }
+    }
+  }
 
-        // Skip if already processed (avoid duplicates from overlapping patterns)
-        if (processedFiles.has(file)) {
-          continue;
-        }
-        processedFiles.add(file);
-
-        let metadata;
-
-        switch (configType) {
-          case "json":
-            metadata = parseJsonFile(file, repoPath);
-            stats.json++;
-            break;
-          case "yaml":
-            metadata = parseYamlFile(file, repoPath);
-            stats.yaml++;
-            break;
-          case "docker":
-            metadata = parseDockerfile(file, repoPath);
-            stats.docker++;
-            break;
-          case "env":
-            metadata = parseEnvFile(file, repoPath);
-            stats.env++;
-            break;
-          case "xml":
-            metadata = parseXmlFile(file, repoPath);
-            stats.xml++;
-            break;
-          case "ini":
-            metadata = parseGenericConfig(file, repoPath, "ini");
-            stats.ini++;
-            break;
-          case "toml":
-            metadata = parseGenericConfig(file, repoPath, "toml");
-            stats.toml++;
-            break;
-          case "python":
-            metadata = parsePythonConfig(file, repoPath);
-            stats.python++;
-            break;
-          case "gradle":
-            metadata = parseGradleConfig(file, repoPath);
-            stats.gradle++;
-            break;
-          case "other":
-            metadata = parseGenericConfig(file, repoPath, "other");
-            stats.other++;
-            break;
-        }
+  // Kubernetes manifests, Helm charts and API specs anywhere in the repo (k8s/, deploy/, charts/, docs/...)
+  const moduleOf = moduleResolver(modules);
+  const yamlFiles = glob.sync("**/*.{yml,yaml}", {
+    cwd: repoPath,
+    absolute: true,
+    nodir: true,
+    ignore: ignorePatterns
+  });
+  for (const file of yamlFiles) {
+    if (processedFiles.has(file) || fs.statSync(file).size > MAX_MANIFEST_BYTES) {
+      continue;
+    }
+    const metadata = parseYamlFile(file, repoPath);
+    if (!metadata.kubernetes && !metadata.helmChart && !metadata.helmValues && !metadata.apiSpec) {
+      continue;
+    }
+    processedFiles.add(file);
+    stats.yaml++;
+    metadata.importFiles = [];
+    metadata.externalImports = [];
+    metadata.functions = [];
+    metadata.classes = [];
+    const module = moduleOf(metadata.path);
+    if (module) metadata.module = module;
+    configFiles.push(metadata);
+  }
 
-        if (metadata) {
-          // Add empty arrays for consistency with other file types
-          metadata.importFiles = [];
-          metadata.externalImports = [];
-          metadata.functions = [];
-          metadata.classes = [];
-          configFiles.push(metadata);
-        }
-      }
+  // CI pipelines: .github/workflows, .gitlab-ci.yml, bitbucket-pipelines.yml, Jenkinsfiles
+  const pipelineFiles = glob.sync(CI_FILE_PATTERNS, {
+    cwd: repoPath,
+    absolute: true,
+    nodir: true,
+    dot: true,
+    ignore: ignorePatterns
+  });
+  for (const file of pipelineFiles.sort()) {
+    if (processedFiles.has(file) || fs.statSync(file).size > MAX_MANIFEST_BYTES) {
+      continue;
+    }
+    processedFiles.add(file);
+    const jenkins = !/\.ya?ml$/.test(file);
+    const metadata = jenkins ? parseJenkinsfile(file, repoPath) : parseYamlFile(file, repoPath);
+    stats[jenkins ? "other" : "yaml"]++;
+    metadata.importFiles = metadata.importFiles || [];
+    metadata.externalImports = metadata.externalImports || [];
+    metadata.functions = [];
+    metadata.classes = [];
+    const module = moduleOf(metadata.path);
+    if (module) metadata.module = module;
+    configFiles.push(metadata);
+  }
+
+  // OpenAPI / Swagger specs in JSON (api/openapi.json, docs/swagger.json...)
+  const specFiles = glob.sync(API_SPEC_JSON_PATTERNS, {
+    cwd: repoPath,
+    absolute: true,
+    nodir: true,
+    nocase: true,
+    ignore: ignorePatterns
+  });
+  for (const file of specFiles.sort()) {
+    if (processedFiles.has(file) || fs.statSync(file).size > MAX_MANIFEST_BYTES) {
+      continue;
     }
+    const metadata = parseJsonFile(file, repoPath);
+    if (!metadata.apiSpec) {
+      continue;
+    }
+    processedFiles.add(file);
+    stats.json++;
+    metadata.importFiles = [];
+    metadata.externalImports = [];
+    metadata.functions = [];
+    metadata.classes = [];
+    const module = moduleOf(metadata.path);
+    if (module) metadata.module = module;
+    configFiles.push(metadata);
   }
 
-  console.log(`   Found ${configFiles.length} root-level configuration files:`);
+  // Services -> the workloads their selectors match, across files
+  linkServiceSelectors(configFiles);
+
+  console.log(`   Found ${configFiles.length} configuration files:`);
   if (stats.json > 0) console.log(`   - JSON: ${stats.json}`);
   if (stats.yaml > 0) console.log(`   - YAML: ${stats.yaml}`);
   if (stats.docker > 0) console.log(`   - Docker: ${stats.docker}`);
@@ -532,6 +694,19 @@ function analyzeConfigRepo(repoPath) {
   if (stats.ini > 0) console.log(`   - INI: ${stats.ini}`);
   if (stats.toml > 0) console.log(`   - TOML: ${stats.toml}`);
   if (stats.other > 0) console.log(`   - Other: ${stats.other}`);
+  const manifestCount = configFiles.filter((f) => f.kubernetes).length;
+  const chartCount = configFiles.filter((f) => f.helmChart).length;
+  if (manifestCount + chartCount > 0) {
+    console.log(`   - Kubernetes: ${manifestCount} manifest(s), ${chartCount} Helm chart(s)`);
+  }
+  const pipelineCount = configFiles.filter((f) => f.ciPipeline).length;
+  if (pipelineCount > 0) {
+    console.log(`   - CI pipelines: ${pipelineCount}`);
+  }
+  const specCount = configFiles.filter((f) => f.apiSpec).length;
+  if (specCount > 0) {
+    console.log(`   - API specs: ${specCount}`);
+  }
 
   return configFiles;
 }
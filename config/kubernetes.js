@@ -0,0 +1,429 @@
+/**
+ * Kubernetes / Helm Extraction
+ * Recognises Kubernetes manifests (multi-document YAML with apiVersion/kind)
+ * and Helm charts (Chart.yaml, values*.yaml, templates/) for the config
+ * analyzer, and aggregates them into projectMetaData.configs.kubernetesInfo.
+ *
+ * Helm templates are rendered just enough to be parsed: `.Values.*` and
+ * `.Chart.*` references are resolved from the chart's values.yaml and
+ * Chart.yaml, lines holding only template actions (if/range/include/toYaml)
+ * are dropped and anything else becomes "<template>".
+ *
+ * Only names are kept from ConfigMaps, Secrets and env — never values.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+const WORKLOAD_KINDS = ["Deployment", "StatefulSet", "DaemonSet", "ReplicaSet", "Job", "CronJob", "Pod"];
+const TEMPLATE_PLACEHOLDER = "<template>";
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Rendered templates can leave strings where lists are expected
+function asList(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function readYaml(filePath) {
+  try {
+    return YAML.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Whether YAML text looks like a Kubernetes manifest (cheap check before parsing)
+ */
+function looksLikeKubernetes(content) {
+  return /^apiVersion:\s*\S/m.test(content) && /^kind:\s*[A-Z]\w*/m.test(content);
+}
+
+// -------------------------------------------------------------
+// Helm
+// -------------------------------------------------------------
+
+/**
+ * Directory of the Helm chart containing `filePath` (Chart.yaml in it or an
+ * ancestor, not above `repoPath`), or null
+ */
+function findChartRoot(filePath, repoPath) {
+  const root = path.resolve(repoPath);
+  let dir = path.dirname(path.resolve(filePath));
+  while (dir.startsWith(root)) {
+    if (fs.existsSync(path.join(dir, "Chart.yaml"))) return dir;
+    if (dir === root) break;
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+function lookup(object, dottedPath) {
+  return dottedPath.split(".").reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), object);
+}
+
+// One `{{ ... }}` expression: `.Values.a.b | default "x" | quote`
+function resolveExpression(expr, context) {
+  const [head, ...pipes] = expr.split("|").map((part) => part.trim());
+  const reference = (term) => {
+    const values = term.match(/^\.Values\.([\w.]+)$/);
+    if (values) return lookup(context.values, values[1]);
+    const chart = term.match(/^\.Chart\.(\w+)$/);
+    if (chart) return context.chart[chart[1].charAt(0).toLowerCase() + chart[1].slice(1)];
+    const literal = term.match(/^"([^"]*)"$/) || term.match(/^(\d+)$/);
+    return literal ? literal[1] : undefined;
+  };
+
+  let value = reference(head);
+  for (const pipe of pipes) {
+    const fallback = pipe.match(/^default\s+(\S+)$/);
+    if (fallback && (value === undefined || value === null || value === "")) value = reference(fallback[1]);
+  }
+  return value === undefined || value === null || typeof value === "object" ? TEMPLATE_PLACEHOLDER : String(value);
+}
+
+/**
+ * Render a Helm template far enough for YAML parsing (see file header)
+ */
+function renderHelmTemplate(content, context) {
+  return content
+    .split("\n")
+    .filter((line) => !/^\s*\{\{[\s\S]*\}\}\s*$/.test(line))
+    .map((line) => line.replace(/\{\{-?\s*([\s\S]*?)\s*-?\}\}/g, (_, expr) => resolveExpression(expr, context)))
+    .join("\n");
+}
+
+/**
+ * Chart.yaml metadata
+ */
+function parseChartYaml(data) {
+  return {
+    name: data.name,
+    version: data.version,
+    appVersion: data.appVersion,
+    chartType: data.type || "application",
+    dependencies: asList(data.dependencies).map((d) => d && d.name).filter(Boolean)
+  };
+}
+
+/**
+ * Images, ports, env names and ingress hosts declared in a values file
+ */
+function parseHelmValues(values) {
+  const images = [];
+  const ports = [];
+  const envVars = [];
+  const ingressHosts = [];
+
+  (function walk(node, key) {
+    if (key === "env" && node !== null && typeof node === "object") {
+      const names = Array.isArray(node) ? node.map((e) => e && e.name) : Object.keys(node);
+      envVars.push(...names.filter((name) => typeof name === "string"));
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach((item) => walk(item, key));
+      return;
+    }
+    if (!isPlainObject(node)) {
+      if (key === "image" && typeof node === "string" && !/\s/.test(node)) images.push(node);
+      if (/port$/i.test(key || "") && Number.isInteger(node)) ports.push(node);
+      return;
+    }
+    if (typeof node.repository === "string") {
+      const registry = typeof node.registry === "string" ? `${node.registry}/` : "";
+      const tag = node.tag !== undefined && node.tag !== "" ? `:${node.tag}` : "";
+      images.push(`${registry}${node.repository}${tag}`);
+    }
+    for (const [childKey, child] of Object.entries(node)) {
+      walk(child, childKey);
+    }
+  })(values, undefined);
+
+  const ingress = isPlainObject(values) ? values.ingress : null;
+  for (const host of (isPlainObject(ingress) && Array.isArray(ingress.hosts) ? ingress.hosts : [])) {
+    const name = typeof host === "string" ? host : host && host.host;
+    if (name) ingressHosts.push(name);
+  }
+
+  return {
+    images: [...new Set(images)],
+    ports: [...new Set(ports)],
+    envVars: [...new Set(envVars)],
+    ingressHosts: [...new Set(ingressHosts)]
+  };
+}
+
+// -------------------------------------------------------------
+// Kubernetes resources
+// -------------------------------------------------------------
+
+function podTemplateOf(doc) {
+  const spec = doc.spec || {};
+  if (doc.kind === "Pod") return { metadata: doc.metadata, spec };
+  if (doc.kind === "CronJob") return spec.jobTemplate?.spec?.template || {};
+  return spec.template || {};
+}
+
+function describeWorkload(doc, resource) {
+  const template = podTemplateOf(doc);
+  const podSpec = template.spec || {};
+  const configMaps = new Set();
+  const secrets = new Set();
+
+  const containers = [...asList(podSpec.initContainers), ...asList(podSpec.containers)]
+    .filter(isPlainObject)
+    .map((container) => {
+      const env = [];
+      for (const entry of asList(container.env)) {
+        if (!entry || !entry.name) continue;
+        env.push(entry.name);
+        if (entry.valueFrom?.secretKeyRef?.name) secrets.add(entry.valueFrom.secretKeyRef.name);
+        if (entry.valueFrom?.configMapKeyRef?.name) configMaps.add(entry.valueFrom.configMapKeyRef.name);
+      }
+      for (const source of asList(container.envFrom)) {
+        if (source?.configMapRef?.name) configMaps.add(source.configMapRef.name);
+        if (source?.secretRef?.name) secrets.add(source.secretRef.name);
+      }
+      return {
+        name: container.name,
+        image: container.image,
+        ports: asList(container.ports).map((p) => p && p.containerPort).filter((p) => p !== undefined && p !== null),
+        env
+      };
+    });
+
+  for (const volume of asList(podSpec.volumes)) {
+    if (volume?.configMap?.name) configMaps.add(volume.configMap.name);
+    if (volume?.secret?.secretName) secrets.add(volume.secret.secretName);
+    for (const source of asList(volume?.projected?.sources)) {
+      if (source?.configMap?.name) configMaps.add(source.configMap.name);
+      if (source?.secret?.name) secrets.add(source.secret.name);
+    }
+  }
+  for (const pullSecret of asList(podSpec.imagePullSecrets)) {
+    if (pullSecret?.name) secrets.add(pullSecret.name);
+  }
+
+  resource.containers = containers;
+  resource.podLabels = isPlainObject(template.metadata?.labels) ? template.metadata.labels : {};
+  if (doc.spec?.replicas !== undefined) resource.replicas = doc.spec.replicas;
+  if (doc.kind === "CronJob") resource.schedule = doc.spec?.schedule;
+  resource.configMaps = [...configMaps];
+  resource.secrets = [...secrets];
+}
+
+function describeIngress(doc, resource) {
+  const spec = doc.spec || {};
+  resource.rules = [];
+  for (const rule of asList(spec.rules)) {
+    for (const rulePath of asList(rule?.http?.paths)) {
+      const backend = rulePath?.backend || {};
+      resource.rules.push({
+        host: rule.host || null,
+        path: rulePath.path || "/",
+        // networking.k8s.io/v1, then the older extensions/v1beta1 shape
+        service: backend.service?.name || backend.serviceName || null,
+        port: backend.service?.port?.number ?? backend.service?.port?.name ?? backend.servicePort ?? null
+      });
+    }
+  }
+  resource.tlsHosts = asList(spec.tls).flatMap((t) => asList(t && t.hosts));
+  if (spec.ingressClassName) resource.ingressClass = spec.ingressClassName;
+}
+
+/**
+ * Resources in one (multi-document) YAML text
+ */
+function parseKubernetesResources(content) {
+  const resources = [];
+  for (const document of YAML.parseAllDocuments(content)) {
+    if (document.errors.length > 0) continue;
+    const doc = document.toJSON();
+    if (!isPlainObject(doc) || typeof doc.apiVersion !== "string" || typeof doc.kind !== "string") continue;
+
+    // v1 List wraps other resources
+    const items = doc.kind === "List" && Array.isArray(doc.items) ? doc.items.filter(isPlainObject) : [doc];
+    for (const item of items) {
+      const resource = {
+        kind: item.kind,
+        apiVersion: item.apiVersion,
+        name: item.metadata?.name || null
+      };
+      if (item.metadata?.namespace) resource.namespace = item.metadata.namespace;
+
+      if (WORKLOAD_KINDS.includes(item.kind)) {
+        describeWorkload(item, resource);
+      } else if (item.kind === "Service") {
+        resource.serviceType = item.spec?.type || "ClusterIP";
+        resource.selector = isPlainObject(item.spec?.selector) ? item.spec.selector : {};
+        resource.ports = asList(item.spec?.ports).filter(isPlainObject).map((p) => ({
+          name: p.name,
+          port: p.port,
+          targetPort: p.targetPort,
+          protocol: p.protocol,
+          nodePort: p.nodePort
+        }));
+      } else if (item.kind === "Ingress") {
+        describeIngress(item, resource);
+      } else if (item.kind === "ConfigMap") {
+        resource.keys = [...Object.keys(item.data || {}), ...Object.keys(item.binaryData || {})];
+      } else if (item.kind === "Secret") {
+        resource.secretType = item.type || "Opaque";
+        resource.keys = [...Object.keys(item.data || {}), ...Object.keys(item.stringData || {})];
+      }
+      resources.push(resource);
+    }
+  }
+  return resources;
+}
+
+/**
+ * Kubernetes / Helm metadata for one YAML file, or null when it is neither
+ *
+ * @param {string} filePath - Absolute path
+ * @param {string} repoPath
+ * @param {string} content - File content
+ * @returns {{ kubernetes?: object, helmChart?: object, helmValues?: object }|null}
+ */
+function describeDeploymentYaml(filePath, repoPath, content) {
+  const fileName = path.basename(filePath);
+  const chartRoot = findChartRoot(filePath, repoPath);
+
+  if (chartRoot && fileName === "Chart.yaml" && path.dirname(path.resolve(filePath)) === chartRoot) {
+    const data = YAML.parse(content);
+    return isPlainObject(data) ? { helmChart: parseChartYaml(data) } : null;
+  }
+
+  const chart = chartRoot ? readYaml(path.join(chartRoot, "Chart.yaml")) || {} : null;
+  const relToChart = chartRoot ? path.relative(chartRoot, filePath).split(path.sep) : [];
+
+  if (chartRoot && relToChart.length === 1 && /^values.*\.ya?ml$/.test(fileName)) {
+    const values = YAML.parse(content);
+    return { helmValues: { chart: chart.name || null, ...parseHelmValues(isPlainObject(values) ? values : {}) } };
+  }
+
+  if (chartRoot && relToChart[0] === "templates") {
+    const values = readYaml(path.join(chartRoot, "values.yaml")) || {};
+    const resources = parseKubernetesResources(renderHelmTemplate(content, { values, chart }));
+    return resources.length > 0 ? { kubernetes: { chart: chart.name || null, resources } } : null;
+  }
+
+  if (!looksLikeKubernetes(content)) return null;
+  const resources = parseKubernetesResources(content);
+  return resources.length > 0 ? { kubernetes: { resources } } : null;
+}
+
+/**
+ * Point each Service at the workloads its selector matches (same namespace),
+ * across all parsed config files
+ */
+function linkServiceSelectors(configFiles) {
+  const all = configFiles.flatMap((file) => (file.kubernetes ? file.kubernetes.resources : []));
+  const workloads = all.filter((r) => WORKLOAD_KINDS.includes(r.kind));
+  for (const service of all.filter((r) => r.kind === "Service")) {
+    const selector = Object.entries(service.selector || {});
+    service.targets = selector.length === 0 ? [] : workloads
+      .filter((w) => (w.namespace || null) === (service.namespace || null))
+      .filter((w) => selector.every(([key, value]) => w.podLabels && w.podLabels[key] === value))
+      .map((w) => ({ kind: w.kind, name: w.name }));
+  }
+}
+
+// -------------------------------------------------------------
+// projectMetaData.configs.kubernetesInfo
+// -------------------------------------------------------------
+
+function emptyKubernetesInfo() {
+  return {
+    hasManifests: false,
+    hasHelmCharts: false,
+    resources: {},
+    images: [],
+    ports: [],
+    envVars: [],
+    configMaps: [],
+    secrets: [],
+    ingress: [],
+    serviceSelectors: [],
+    helmCharts: []
+  };
+}
+
+/**
+ * Add one config file's Kubernetes / Helm metadata to `info`
+ */
+function addKubernetesInfo(info, file) {
+  if (file.helmChart) {
+    info.hasHelmCharts = true;
+    info.helmCharts.push({ name: file.helmChart.name, version: file.helmChart.version, path: path.dirname(file.path).split(path.sep).join("/") });
+  }
+  if (file.helmValues) {
+    info.images.push(...file.helmValues.images);
+    info.ports.push(...file.helmValues.ports);
+    info.envVars.push(...file.helmValues.envVars);
+  }
+  if (!file.kubernetes) return;
+
+  info.hasManifests = true;
+  for (const resource of file.kubernetes.resources) {
+    info.resources[resource.kind] = (info.resources[resource.kind] || 0) + 1;
+    for (const container of resource.containers || []) {
+      if (container.image) info.images.push(container.image);
+      info.ports.push(...container.ports);
+      info.envVars.push(...container.env);
+    }
+    info.configMaps.push(...asList(resource.configMaps));
+    info.secrets.push(...asList(resource.secrets));
+    if (resource.kind === "ConfigMap" && resource.name) info.configMaps.push(resource.name);
+    if (resource.kind === "Secret" && resource.name) info.secrets.push(resource.name);
+    if (resource.kind === "Service") {
+      info.ports.push(...resource.ports.map((p) => p.port).filter((p) => p !== undefined));
+      info.serviceSelectors.push({ service: resource.name, selector: resource.selector, targets: resource.targets || [] });
+    }
+    info.ingress.push(...asList(resource.rules));
+  }
+}
+
+/** Remove duplicates from the list fields of `info` (after all files are added) */
+function dedupeKubernetesInfo(info) {
+  const byJson = (list) => [...new Map(list.map((item) => [JSON.stringify(item), item])).values()];
+  for (const key of ["images", "ports", "envVars", "configMaps", "secrets"]) {
+    info[key] = [...new Set(info[key])];
+  }
+  info.ingress = byJson(info.ingress);
+  info.serviceSelectors = byJson(info.serviceSelectors);
+  info.helmCharts = byJson(info.helmCharts);
+  return info;
+}
+
+/** Combine two kubernetesInfo objects (either may be missing) */
+function mergeKubernetesInfo(base, incoming) {
+  const a = base || emptyKubernetesInfo();
+  const b = incoming || emptyKubernetesInfo();
+  const resources = { ...a.resources };
+  for (const [kind, count] of Object.entries(b.resources)) {
+    resources[kind] = (resources[kind] || 0) + count;
+  }
+  const merged = { resources, hasManifests: a.hasManifests || b.hasManifests, hasHelmCharts: a.hasHelmCharts || b.hasHelmCharts };
+  for (const key of ["images", "ports", "envVars", "configMaps", "secrets", "ingress", "serviceSelectors", "helmCharts"]) {
+    merged[key] = [...a[key], ...b[key]];
+  }
+  return dedupeKubernetesInfo({ ...emptyKubernetesInfo(), ...merged });
+}
+
+module.exports = {
+  looksLikeKubernetes,
+  describeDeploymentYaml,
+  parseKubernetesResources,
+  renderHelmTemplate,
+  linkServiceSelectors,
+  emptyKubernetesInfo,
+  addKubernetesInfo,
+  dedupeKubernetesInfo,
+  mergeKubernetesInfo
+};
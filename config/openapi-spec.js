@@ -0,0 +1,264 @@
+/**
+ * OpenAPI / Swagger Spec Extraction
+ * Reads OpenAPI 3.x and Swagger 2.0 documents (YAML or JSON) into the
+ * operations they declare: method, path, parameters, request body and
+ * responses. Local `$ref`s to parameters, request bodies and responses are
+ * followed; schemas are summarised and keep the names of the component
+ * schemas they reference.
+ *
+ * The config analyzer writes spec files as `type: "api_spec"` records;
+ * api-spec-resolver.js links their operations to the route statements
+ * extracted from code.
+ */
+
+const YAML = require("yaml");
+
+// JSON specs below the root / module directories are only looked for under
+// these names (every YAML file is already read for Kubernetes manifests)
+const API_SPEC_JSON_PATTERNS = ["**/*{openapi,swagger,api-docs,apidocs,api-spec,apispec}*.json"];
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+
+// Nesting kept when summarising inline schemas
+const MAX_SCHEMA_DEPTH = 3;
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Cheap check on raw YAML / JSON text before parsing it as a spec
+ */
+function looksLikeApiSpec(content) {
+  return /^(openapi|swagger)\s*:/m.test(content) || /"(openapi|swagger)"\s*:/.test(content);
+}
+
+/** Name of the component a `$ref` points at ("#/components/schemas/Pet" -> "Pet") */
+function refName(ref) {
+  return ref.split("/").pop().replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+/**
+ * Follow a local `$ref` (a few hops at most). External refs
+ * (other-file.yaml#/...) are returned as they are.
+ */
+function resolveRef(doc, value) {
+  let current = value;
+  for (let hops = 0; hops < 5 && isPlainObject(current) && typeof current.$ref === "string"; hops++) {
+    if (!current.$ref.startsWith("#/")) return current;
+    const target = current.$ref
+      .slice(2)
+      .split("/")
+      .reduce((node, key) => (isPlainObject(node) ? node[key.replace(/~1/g, "/").replace(/~0/g, "~")] : undefined), doc);
+    if (target === undefined) return current;
+    current = target;
+  }
+  return current;
+}
+
+/**
+ * Compact description of a schema: type, format, enum, item / property
+ * types, and `ref` for named component schemas (not expanded)
+ */
+function summarizeSchema(schema, depth = 0) {
+  if (!isPlainObject(schema)) return null;
+  if (typeof schema.$ref === "string") return { ref: refName(schema.$ref) };
+
+  for (const combinator of ["allOf", "oneOf", "anyOf"]) {
+    if (Array.isArray(schema[combinator])) {
+      return { [combinator]: schema[combinator].map((s) => summarizeSchema(s, depth + 1)).filter(Boolean) };
+    }
+  }
+
+  const summary = {};
+  if (schema.type) summary.type = schema.type;
+  if (schema.format) summary.format = schema.format;
+  if (Array.isArray(schema.enum)) summary.enum = schema.enum.slice(0, 20);
+  if (schema.nullable) summary.nullable = true;
+
+  if (schema.items) {
+    summary.type = summary.type || "array";
+    summary.items = summarizeSchema(schema.items, depth + 1);
+  }
+  if (isPlainObject(schema.properties)) {
+    summary.type = summary.type || "object";
+    if (depth < MAX_SCHEMA_DEPTH) {
+      summary.properties = {};
+      for (const [name, property] of Object.entries(schema.properties)) {
+        summary.properties[name] = summarizeSchema(property, depth + 1);
+      }
+    }
+    if (Array.isArray(schema.required) && schema.required.length > 0) summary.required = schema.required;
+  }
+  if (isPlainObject(schema.additionalProperties)) {
+    summary.additionalProperties = summarizeSchema(schema.additionalProperties, depth + 1);
+  }
+  return summary;
+}
+
+// Swagger 2 puts type / format / items on the parameter itself
+function parameterSchema(param) {
+  if (param.schema) return summarizeSchema(param.schema);
+  if (!param.type) return null;
+  return summarizeSchema({ type: param.type, format: param.format, enum: param.enum, items: param.items });
+}
+
+/** Path-level parameters, overridden by operation parameters with the same name and location */
+function mergeParameters(doc, pathParams, opParams) {
+  const byKey = new Map();
+  for (const raw of [...(pathParams || []), ...(opParams || [])]) {
+    const param = resolveRef(doc, raw);
+    if (!isPlainObject(param) || !param.name || !param.in) continue;
+    byKey.set(`${param.in}:${param.name}`, param);
+  }
+  return [...byKey.values()];
+}
+
+function describeContent(content) {
+  const entries = isPlainObject(content) ? Object.entries(content) : [];
+  const withSchema = entries.find(([, media]) => isPlainObject(media) && media.schema);
+  return {
+    contentTypes: entries.map(([type]) => type),
+    schema: withSchema ? summarizeSchema(withSchema[1].schema) : null
+  };
+}
+
+function describeResponses(doc, responses, produces) {
+  if (!isPlainObject(responses)) return [];
+  return Object.entries(responses).map(([status, raw]) => {
+    const response = resolveRef(doc, raw) || {};
+    const described = response.content
+      ? describeContent(response.content)
+      : { contentTypes: response.schema ? produces : [], schema: summarizeSchema(response.schema) };
+    return { status: String(status), description: response.description || null, ...described };
+  });
+}
+
+function securityNames(requirements) {
+  if (!Array.isArray(requirements)) return null;
+  return [...new Set(requirements.flatMap((req) => (isPlainObject(req) ? Object.keys(req) : [])))];
+}
+
+/**
+ * Path prefixes the operations are served under: Swagger 2 `basePath` or
+ * the path part of OpenAPI 3 server URLs ("https://api.acme.io/v1" -> "/v1")
+ */
+function basePathsOf(doc, swagger2) {
+  const urls = swagger2 ? [doc.basePath] : (Array.isArray(doc.servers) ? doc.servers.map((s) => s && s.url) : []);
+  const prefixes = urls
+    .filter((url) => typeof url === "string")
+    .map((url) => url.replace(/^[a-z{][\w+.{}-]*:\/\/[^/]*/i, "").replace(/\/+$/, ""))
+    .filter((prefix) => prefix.startsWith("/"));
+  return [...new Set(prefixes)];
+}
+
+function describeOperation(doc, swagger2, method, routePath, pathItem, op) {
+  const consumes = op.consumes || doc.consumes || ["application/json"];
+  const produces = op.produces || doc.produces || ["application/json"];
+  const parameters = [];
+  let requestBody = null;
+
+  for (const param of mergeParameters(doc, pathItem.parameters, op.parameters)) {
+    if (swagger2 && param.in === "body") {
+      requestBody = { required: Boolean(param.required), contentTypes: consumes, schema: summarizeSchema(param.schema) };
+      continue;
+    }
+    if (swagger2 && param.in === "formData") {
+      const formTypes = consumes.filter((t) => /form/.test(t));
+      requestBody = requestBody || { required: false, contentTypes: formTypes.length > 0 ? formTypes : ["application/x-www-form-urlencoded"], schema: { type: "object", properties: {} } };
+      if (requestBody.schema && requestBody.schema.properties) requestBody.schema.properties[param.name] = parameterSchema(param);
+      if (param.required) requestBody.required = true;
+      continue;
+    }
+    parameters.push({
+      name: param.name,
+      in: param.in,
+      required: Boolean(param.required || param.in === "path"),
+      schema: parameterSchema(param)
+    });
+  }
+
+  if (!swagger2 && op.requestBody) {
+    const body = resolveRef(doc, op.requestBody) || {};
+    requestBody = { required: Boolean(body.required), ...describeContent(body.content) };
+  }
+
+  return {
+    method: method.toUpperCase(),
+    path: routePath,
+    operationId: op.operationId || null,
+    summary: op.summary || null,
+    tags: Array.isArray(op.tags) ? op.tags : [],
+    deprecated: op.deprecated === true,
+    parameters,
+    requestBody,
+    responses: describeResponses(doc, op.responses, produces),
+    security: securityNames(op.security || doc.security)
+  };
+}
+
+/**
+ * Describe a parsed OpenAPI 3 / Swagger 2 document, or null when `doc` is
+ * not one
+ *
+ * @param {object} doc - Parsed YAML / JSON
+ * @returns {{ apiSpec: object }|null}
+ */
+function describeApiSpec(doc) {
+  if (!isPlainObject(doc) || !isPlainObject(doc.paths)) return null;
+  const swagger2 = doc.swagger !== undefined && doc.openapi === undefined;
+  const specVersion = String(swagger2 ? doc.swagger : doc.openapi || "");
+  if (!/^[23]\./.test(specVersion)) return null;
+
+  const operations = [];
+  for (const [routePath, rawItem] of Object.entries(doc.paths)) {
+    const pathItem = resolveRef(doc, rawItem);
+    if (!isPlainObject(pathItem)) continue;
+    for (const method of HTTP_METHODS) {
+      if (isPlainObject(pathItem[method])) {
+        operations.push(describeOperation(doc, swagger2, method, routePath, pathItem, pathItem[method]));
+      }
+    }
+  }
+
+  const schemaDefs = swagger2 ? doc.definitions : doc.components && doc.components.schemas;
+  const schemas = {};
+  if (isPlainObject(schemaDefs)) {
+    for (const [name, schema] of Object.entries(schemaDefs)) {
+      schemas[name] = summarizeSchema(schema);
+    }
+  }
+  const securitySchemes = swagger2 ? doc.securityDefinitions : doc.components && doc.components.securitySchemes;
+  const info = isPlainObject(doc.info) ? doc.info : {};
+
+  return {
+    apiSpec: {
+      format: swagger2 ? "swagger" : "openapi",
+      specVersion,
+      title: info.title || null,
+      version: info.version != null ? String(info.version) : null,
+      basePaths: basePathsOf(doc, swagger2),
+      operationCount: operations.length,
+      operations,
+      schemas,
+      securitySchemes: isPlainObject(securitySchemes)
+        ? Object.entries(securitySchemes).map(([name, scheme]) => ({ name, type: (scheme && scheme.type) || null }))
+        : []
+    }
+  };
+}
+
+/**
+ * Describe an OpenAPI / Swagger YAML file's content, or null when it is not
+ * a spec
+ */
+function describeApiSpecYaml(content) {
+  if (!looksLikeApiSpec(content)) return null;
+  return describeApiSpec(YAML.parse(content));
+}
+
+module.exports = {
+  API_SPEC_JSON_PATTERNS,
+  looksLikeApiSpec,
+  summarizeSchema,
+  describeApiSpec,
+  describeApiSpecYaml
+};
@@ -0,0 +1,336 @@
+/**
+ * Workspace Module Discovery
+ * Finds the sub-projects of a monorepo so their config files can be parsed
+ * and every code file attributed to the module that owns it.
+ *
+ * Sources:
+ *   - package.json `workspaces` (npm, Yarn) and lerna.json `packages`
+ *   - pnpm-workspace.yaml `packages`
+ *   - Maven `<modules>` in pom.xml (followed into nested aggregators)
+ *   - Gradle `include` in settings.gradle / settings.gradle.kts
+ *   - uv `[tool.uv.workspace] members` in pyproject.toml
+ *
+ * A module: { name, path, manifest, kind, workspace, version, dependencies,
+ * internalDependencies }. `path` is the module directory relative to the repo
+ * root ("/"-separated); the root project itself is never a module.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const glob = require("glob");
+const YAML = require("yaml");
+
+// Workspace globs are declared by the repository itself, so the .repoignore
+// rules (which hide `packages/`) don't apply; only installed dependencies do.
+const DISCOVERY_IGNORE = ["**/node_modules/**"];
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf-8");
+  } catch (_) {
+    return null;
+  }
+}
+
+function readJson(filePath) {
+  const text = readText(filePath);
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return null;
+  }
+}
+
+function toPosix(relPath) {
+  return relPath.split(path.sep).join("/").replace(/^\.\/?/, "").replace(/\/+$/, "");
+}
+
+// -------------------------------------------------------------
+// TOML (the subset pyproject.toml needs)
+// -------------------------------------------------------------
+
+/**
+ * Read `key = value` pairs of one [section] from TOML text. Values are
+ * strings, numbers/booleans as text, or arrays of strings (may span lines).
+ */
+function readTomlSection(content, section) {
+  const values = {};
+  let inSection = false;
+  let pendingKey = null;
+  let pending = "";
+
+  for (const rawLine of content.split("\n")) {
+    const line = rawLine.replace(/\s+#.*$/, "").trim();
+    if (pendingKey) {
+      pending += ` ${line}`;
+      if (line.includes("]")) {
+        values[pendingKey] = [...pending.matchAll(/["']([^"']*)["']/g)].map((m) => m[1]);
+        pendingKey = null;
+      }
+      continue;
+    }
+    const header = line.match(/^\[([^\]]+)\]$/);
+    if (header) {
+      inSection = header[1].trim() === section;
+      continue;
+    }
+    if (!inSection) continue;
+
+    const pair = line.match(/^([\w.-]+)\s*=\s*(.*)$/);
+    if (!pair) continue;
+    const [, key, value] = pair;
+    if (value.startsWith("[")) {
+      if (value.includes("]")) {
+        values[key] = [...value.matchAll(/["']([^"']*)["']/g)].map((m) => m[1]);
+      } else {
+        pendingKey = key;
+        pending = value;
+      }
+    } else {
+      values[key] = value.replace(/^["']|["']$/g, "");
+    }
+  }
+  return values;
+}
+
+// -------------------------------------------------------------
+// Manifest readers: one module per directory
+// -------------------------------------------------------------
+
+function readNpmModule(repoPath, dir) {
+  const pkg = readJson(path.join(repoPath, dir, "package.json")) || {};
+  return {
+    name: pkg.name || path.basename(dir),
+    manifest: `${dir}/package.json`,
+    kind: "npm",
+    version: pkg.version || null,
+    dependencies: [
+      ...Object.keys(pkg.dependencies || {}),
+      ...Object.keys(pkg.devDependencies || {}),
+      ...Object.keys(pkg.peerDependencies || {}),
+    ],
+  };
+}
+
+// Strip comments and the blocks whose artifactIds aren't this project's own
+function pomBody(content) {
+  return content
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<parent>[\s\S]*?<\/parent>/g, "");
+}
+
+function readMavenModule(repoPath, dir) {
+  const content = pomBody(readText(path.join(repoPath, dir, "pom.xml")) || "");
+  const own = content
+    .replace(/<dependencies>[\s\S]*?<\/dependencies>/g, "")
+    .replace(/<dependencyManagement>[\s\S]*?<\/dependencyManagement>/g, "")
+    .replace(/<build>[\s\S]*?<\/build>/g, "")
+    .replace(/<profiles>[\s\S]*?<\/profiles>/g, "");
+  const artifactId = own.match(/<artifactId>\s*([^<\s]+)\s*<\/artifactId>/);
+  const version = own.match(/<version>\s*([^<\s]+)\s*<\/version>/);
+  const dependencies = [];
+  for (const block of content.match(/<dependency>[\s\S]*?<\/dependency>/g) || []) {
+    const dep = block.match(/<artifactId>\s*([^<\s]+)\s*<\/artifactId>/);
+    if (dep) dependencies.push(dep[1]);
+  }
+  return {
+    name: artifactId ? artifactId[1] : path.basename(dir),
+    manifest: `${dir}/pom.xml`,
+    kind: "maven",
+    version: version ? version[1] : null,
+    dependencies: [...new Set(dependencies)],
+  };
+}
+
+function gradleBuildFile(repoPath, dir) {
+  return ["build.gradle.kts", "build.gradle"].find((f) => fs.existsSync(path.join(repoPath, dir, f))) || null;
+}
+
+function readGradleModule(repoPath, dir, gradlePath) {
+  const buildFile = gradleBuildFile(repoPath, dir);
+  const content = buildFile ? readText(path.join(repoPath, dir, buildFile)) || "" : "";
+  // project(":core"), project(path: ":core")
+  const projectDeps = [...content.matchAll(/project\s*\(\s*(?:path\s*[:=]\s*)?["'](:?[^"']+)["']/g)]
+    .map((m) => (m[1].startsWith(":") ? m[1] : `:${m[1]}`));
+  const version = content.match(/^\s*version\s*=?\s*["']([^"']+)["']/m);
+  return {
+    name: gradlePath.split(":").pop(),
+    gradlePath,
+    manifest: buildFile ? `${dir}/${buildFile}` : null,
+    kind: "gradle",
+    version: version ? version[1] : null,
+    dependencies: [...new Set(projectDeps)],
+  };
+}
+
+function readPythonModule(repoPath, dir) {
+  const content = readText(path.join(repoPath, dir, "pyproject.toml")) || "";
+  const project = readTomlSection(content, "project");
+  const poetry = readTomlSection(content, "tool.poetry");
+  return {
+    name: project.name || poetry.name || path.basename(dir),
+    manifest: `${dir}/pyproject.toml`,
+    kind: "python",
+    version: project.version || poetry.version || null,
+    // "requests>=2" -> "requests"
+    dependencies: (Array.isArray(project.dependencies) ? project.dependencies : [])
+      .map((d) => d.split(/[\s<>=!~;[(]/)[0])
+      .filter(Boolean),
+  };
+}
+
+// -------------------------------------------------------------
+// Workspace sources
+// -------------------------------------------------------------
+
+/**
+ * Directories matching workspace globs that hold `manifestName`.
+ * "!pattern" entries exclude.
+ */
+function globModuleDirs(repoPath, patterns, manifestName) {
+  const excluded = patterns.filter((p) => p.startsWith("!")).map((p) => toPosix(p.slice(1)));
+  const dirs = new Set();
+  for (const pattern of patterns.filter((p) => !p.startsWith("!"))) {
+    const manifests = glob.sync(`${toPosix(pattern)}/${manifestName}`, {
+      cwd: repoPath,
+      nodir: true,
+      ignore: [...DISCOVERY_IGNORE, ...excluded.flatMap((e) => [`${e}/${manifestName}`, `${e}/**`])],
+    });
+    manifests.forEach((m) => dirs.add(toPosix(path.dirname(m))));
+  }
+  return [...dirs].filter(Boolean).sort();
+}
+
+function npmWorkspacePatterns(repoPath) {
+  const sources = [];
+  const pkg = readJson(path.join(repoPath, "package.json"));
+  const workspaces = pkg && (Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces && pkg.workspaces.packages);
+  if (Array.isArray(workspaces) && workspaces.length > 0) {
+    const yarn = fs.existsSync(path.join(repoPath, "yarn.lock")) || fs.existsSync(path.join(repoPath, ".yarnrc.yml"));
+    sources.push({ workspace: yarn ? "yarn" : "npm", patterns: workspaces });
+  }
+
+  const pnpmText = readText(path.join(repoPath, "pnpm-workspace.yaml"));
+  if (pnpmText) {
+    try {
+      const parsed = YAML.parse(pnpmText);
+      if (parsed && Array.isArray(parsed.packages)) sources.push({ workspace: "pnpm", patterns: parsed.packages });
+    } catch (_) {
+      // Malformed workspace file: no pnpm modules
+    }
+  }
+
+  const lerna = readJson(path.join(repoPath, "lerna.json"));
+  if (lerna) {
+    sources.push({ workspace: "lerna", patterns: Array.isArray(lerna.packages) ? lerna.packages : ["packages/*"] });
+  }
+  return sources;
+}
+
+function mavenModuleDirs(repoPath, dir = "", seen = new Set()) {
+  const content = readText(path.join(repoPath, dir, "pom.xml"));
+  if (!content) return [];
+  const dirs = [];
+  for (const match of pomBody(content).matchAll(/<module>\s*([^<]+?)\s*<\/module>/g)) {
+    const moduleDir = toPosix(path.posix.normalize(path.posix.join(dir, match[1].replace(/\/pom\.xml$/, ""))));
+    if (!moduleDir || moduleDir.startsWith("..") || seen.has(moduleDir)) continue;
+    seen.add(moduleDir);
+    dirs.push(moduleDir, ...mavenModuleDirs(repoPath, moduleDir, seen));
+  }
+  return dirs;
+}
+
+// [{ gradlePath, dir }] from settings.gradle(.kts)
+function gradleProjects(repoPath) {
+  const settingsFile = ["settings.gradle.kts", "settings.gradle"].find((f) => fs.existsSync(path.join(repoPath, f)));
+  if (!settingsFile) return [];
+  const content = (readText(path.join(repoPath, settingsFile)) || "")
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/^\s*\/\/.*$/gm, "");
+
+  const projectDirs = {};
+  // project(":app").projectDir = file("apps/app") / new File(settingsDir, "apps/app")
+  for (const m of content.matchAll(/project\s*\(\s*["'](:?[^"']+)["']\s*\)\s*\.projectDir\s*=\s*(?:file\s*\(|new\s+File\s*\([^,]+,)\s*["']([^"']+)["']/g)) {
+    projectDirs[m[1].startsWith(":") ? m[1] : `:${m[1]}`] = toPosix(m[2]);
+  }
+
+  const projects = [];
+  for (const statement of content.matchAll(/^\s*include\s*\(?([^\n]*)/gm)) {
+    for (const m of statement[1].matchAll(/["']([^"']+)["']/g)) {
+      const gradlePath = m[1].startsWith(":") ? m[1] : `:${m[1]}`;
+      projects.push({ gradlePath, dir: projectDirs[gradlePath] || gradlePath.slice(1).split(":").join("/") });
+    }
+  }
+  return projects;
+}
+
+function uvWorkspacePatterns(repoPath) {
+  const content = readText(path.join(repoPath, "pyproject.toml"));
+  if (!content) return null;
+  const workspace = readTomlSection(content, "tool.uv.workspace");
+  if (!Array.isArray(workspace.members)) return null;
+  return [...workspace.members, ...(workspace.exclude || []).map((e) => `!${e}`)];
+}
+
+/**
+ * Discover the workspace modules of a repository.
+ *
+ * @param {string} repoPath
+ * @returns {object[]} Modules sorted by path
+ */
+function discoverModules(repoPath) {
+  const modules = new Map(); // path -> module; the first source to claim a directory wins
+
+  function add(dir, workspace, read) {
+    if (!dir || modules.has(dir) || !fs.existsSync(path.join(repoPath, dir))) return;
+    modules.set(dir, { path: dir, workspace, ...read() });
+  }
+
+  for (const { workspace, patterns } of npmWorkspacePatterns(repoPath)) {
+    for (const dir of globModuleDirs(repoPath, patterns, "package.json")) {
+      add(dir, workspace, () => readNpmModule(repoPath, dir));
+    }
+  }
+  for (const dir of mavenModuleDirs(repoPath)) {
+    if (fs.existsSync(path.join(repoPath, dir, "pom.xml"))) add(dir, "maven", () => readMavenModule(repoPath, dir));
+  }
+  for (const { gradlePath, dir } of gradleProjects(repoPath)) {
+    add(dir, "gradle", () => readGradleModule(repoPath, dir, gradlePath));
+  }
+  const uvPatterns = uvWorkspacePatterns(repoPath);
+  if (uvPatterns) {
+    for (const dir of globModuleDirs(repoPath, uvPatterns, "pyproject.toml")) {
+      add(dir, "uv", () => readPythonModule(repoPath, dir));
+    }
+  }
+
+  // Dependencies on sibling modules, by name (Gradle: by project path)
+  const list = [...modules.values()].sort((a, b) => a.path.localeCompare(b.path));
+  for (const module of list) {
+    const siblings = list.filter((m) => m !== module && m.kind === module.kind);
+    module.internalDependencies = siblings
+      .filter((m) => module.dependencies.includes(module.kind === "gradle" ? m.gradlePath : m.name))
+      .map((m) => m.name);
+  }
+  return list;
+}
+
+/**
+ * Returns a function mapping a repo-relative file path to the name of the
+ * innermost module containing it, or null.
+ */
+function moduleResolver(modules) {
+  const byDepth = [...modules].sort((a, b) => b.path.length - a.path.length);
+  return (relPath) => {
+    const filePath = toPosix(relPath);
+    const owner = byDepth.find((m) => filePath === m.path || filePath.startsWith(`${m.path}/`));
+    return owner ? owner.name : null;
+  };
+}
+
+module.exports = {
+  discoverModules,
+  moduleResolver,
+  readTomlSection
+};
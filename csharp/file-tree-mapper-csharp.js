@@ -307,6 +307,7 @@ function analyzeCSharpRepo(repoPath, opts = {}) {
 
   for (let i = 0; i < csFiles.length; i++) {
     const file = csFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
 
     try {
       const percentage = ((i / totalFiles) * 100).toFixed(1);
@@ -415,6 +416,7 @@ function analyzeCSharpRepo(repoPath, opts = {}) {
     } catch (e) {
       process.stdout.write('\n');
       console.log(`❌ Error analyzing file: ${file} - ${e.message}`);
+      if (opts.onFileError) opts.onFileError(file, e);
     }
   }
 
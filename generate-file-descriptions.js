@@ -8,6 +8,7 @@
 const fs = require("fs");
 const path = require("path");
 const glob = require("glob");
+const { isNdjsonPath, readNdjson, createResumableWriter, isMetaRecord } = require("./ndjson-stream");
 
 // Command-line argument parsing
 function parseArgs() {
@@ -19,7 +20,7 @@ Usage: node generate-file-descriptions.js <repoPath> <treeJsonFile> [options]
 
 Required arguments:
   <repoPath>         Path to the repository to scan
-  <treeJsonFile>     JSON file with file tree (will be updated in-place)
+  <treeJsonFile>     JSON or .ndjson(.gz) file with file tree (will be updated in-place)
 
 Options:
   --provider <name>       LLM provider: openai, claude, gemini, bedrock, custom (default: openai)
@@ -642,6 +643,67 @@ function createProvider(config) {
 // Main Processing Logic
 // -------------------------------------------------------------
 
+// Generate descriptions for a single file record in place.
+// Returns "skipped" or "updated"; throws on LLM/API errors.
+async function describeFileEntry(provider, config, fileEntry) {
+  const relativePath = fileEntry.path;
+  const fullPath = path.join(config.repoPath, relativePath);
+  const maxFileSizeBytes = config.maxFileSizeKB * 1024;
+
+  // Skip if already has descriptions
+  const hasFileDesc = fileEntry.description && !fileEntry.description.startsWith("[Error:");
+  const allClassesHaveDesc = (fileEntry.classes || []).every(c => c.description);
+  const allFunctionsHaveDesc = (fileEntry.functions || []).every(f => f.description);
+
+  if (hasFileDesc && allClassesHaveDesc && allFunctionsHaveDesc) {
+    console.log(`⏭️  Already complete: ${relativePath}`);
+    return "skipped";
+  }
+
+  // Check if file exists
+  if (!fs.existsSync(fullPath)) {
+    console.log(`⚠️  File not found: ${relativePath}`);
+    return "skipped";
+  }
+
+  // Check file size
+  const stats = fs.statSync(fullPath);
+  if (stats.size > maxFileSizeBytes) {
+    console.log(`⏭️  Skipping large file: ${relativePath} (${Math.round(stats.size / 1024)}KB)`);
+    return "skipped";
+  }
+
+  // Read file content
+  const content = fs.readFileSync(fullPath, "utf8");
+
+  // Generate descriptions
+  console.log(`🔍 Processing: ${relativePath}`);
+  const descriptions = await provider.generateDescriptions(relativePath, content, fileEntry);
+
+  // Apply descriptions directly to the record (preserve existing)
+  if (descriptions.file && !fileEntry.description) {
+    fileEntry.description = descriptions.file;
+  }
+
+  // Class descriptions (preserve existing)
+  if (fileEntry.classes && descriptions.classes) {
+    fileEntry.classes = fileEntry.classes.map(cls => ({
+      ...cls,
+      description: cls.description || descriptions.classes[cls.name]
+    }));
+  }
+
+  // Function descriptions (preserve existing)
+  if (fileEntry.functions && descriptions.functions) {
+    fileEntry.functions = fileEntry.functions.map(fn => ({
+      ...fn,
+      description: fn.description || descriptions.functions[fn.name]
+    }));
+  }
+
+  return "updated";
+}
+
 async function processFiles(config) {
   console.log(`📂 Loading JSON file: ${config.treeJsonFile}`);
 
@@ -651,6 +713,10 @@ async function processFiles(config) {
     process.exit(1);
   }
 
+  if (isNdjsonPath(config.treeJsonFile)) {
+    return processNdjsonFiles(config);
+  }
+
   const fullData = JSON.parse(fs.readFileSync(config.treeJsonFile, "utf8"));
 
   // Support both old format (array) and new format (object with files array)
@@ -662,8 +728,6 @@ async function processFiles(config) {
   const provider = createProvider(config);
   console.log(`🤖 Using provider: ${config.provider} with model: ${config.model}`);
 
-  const maxFileSizeBytes = config.maxFileSizeKB * 1024;
-
   // Process files one at a time
   let processed = 0;
   let skipped = 0;
@@ -680,66 +744,16 @@ async function processFiles(config) {
   for (let i = 0; i < fileTree.length; i++) {
     const fileEntry = fileTree[i];
     const relativePath = fileEntry.path;
-    const fullPath = path.join(config.repoPath, relativePath);
-
-    // Skip if already has descriptions
-    const hasFileDesc = fileEntry.description && !fileEntry.description.startsWith("[Error:");
-    const allClassesHaveDesc = (fileEntry.classes || []).every(c => c.description);
-    const allFunctionsHaveDesc = (fileEntry.functions || []).every(f => f.description);
-
-    if (hasFileDesc && allClassesHaveDesc && allFunctionsHaveDesc) {
-      console.log(`⏭️  Already complete: ${relativePath}`);
-      skipped++;
-      continue;
-    }
-
-    // Check if file exists
-    if (!fs.existsSync(fullPath)) {
-      console.log(`⚠️  File not found: ${relativePath}`);
-      skipped++;
-      continue;
-    }
-
-    // Check file size
-    const stats = fs.statSync(fullPath);
-    if (stats.size > maxFileSizeBytes) {
-      console.log(`⏭️  Skipping large file: ${relativePath} (${Math.round(stats.size / 1024)}KB)`);
-      skipped++;
-      continue;
-    }
 
     try {
-      // Read file content
-      const content = fs.readFileSync(fullPath, "utf8");
-
-      // Generate descriptions
-      console.log(`🔍 Processing: ${relativePath}`);
-      const descriptions = await provider.generateDescriptions(relativePath, content, fileEntry);
+      const outcome = await describeFileEntry(provider, config, fileEntry);
+      if (outcome === "skipped") {
+        skipped++;
+        continue;
+      }
 
       processed++;
       updated++;
-
-      // Apply descriptions directly to fileTree entry (preserve existing)
-      if (descriptions.file && !fileEntry.description) {
-        fileEntry.description = descriptions.file;
-      }
-
-      // Class descriptions (preserve existing)
-      if (fileEntry.classes && descriptions.classes) {
-        fileEntry.classes = fileEntry.classes.map(cls => ({
-          ...cls,
-          description: cls.description || descriptions.classes[cls.name]
-        }));
-      }
-
-      // Function descriptions (preserve existing)
-      if (fileEntry.functions && descriptions.functions) {
-        fileEntry.functions = fileEntry.functions.map(fn => ({
-          ...fn,
-          description: fn.description || descriptions.functions[fn.name]
-        }));
-      }
-
       console.log(`✅ [${processed}] ${relativePath}`);
 
       // Save progress after each file
@@ -766,6 +780,67 @@ async function processFiles(config) {
   console.log(`   JSON file updated: ${config.treeJsonFile}`);
 }
 
+// NDJSON(.gz) mode: stream records one at a time into a resumable progress
+// file, then replace the input once every record has been written. Header
+// records (`__type: "projectMetaData"`) pass through unchanged.
+async function processNdjsonFiles(config) {
+  const provider = createProvider(config);
+  console.log(`🤖 Using provider: ${config.provider} with model: ${config.model}`);
+
+  const writer = createResumableWriter(config.treeJsonFile);
+  if (writer.discarded) {
+    console.log(`🗑️  Discarded ${writer.progressPath}: it was made from a different input`);
+  }
+  if (writer.resumeFrom > 0) {
+    console.log(`↩️  Resuming after ${writer.resumeFrom} records from ${writer.progressPath}`);
+  }
+
+  let index = 0;
+  let total = 0;
+  let processed = 0;
+  let skipped = 0;
+  let updated = 0;
+
+  for await (const record of readNdjson(config.treeJsonFile)) {
+    const i = index++;
+    if (i < writer.resumeFrom) continue;
+
+    if (isMetaRecord(record)) {
+      writer.write(record);
+      continue;
+    }
+    total++;
+
+    try {
+      const outcome = await describeFileEntry(provider, config, record);
+      if (outcome === "skipped") {
+        skipped++;
+      } else {
+        processed++;
+        updated++;
+        console.log(`✅ [${processed}] ${record.path}`);
+      }
+      writer.write(record);
+    } catch (error) {
+      writer.close();
+      console.error(`\n❌ Error processing ${record.path}:`, error.message || error);
+      console.log(`\n⚠️  Stopping due to error. Progress has been saved to ${writer.progressPath}`);
+      console.log(`   Re-run the same command to resume.`);
+      console.log(`   Updated: ${updated}`);
+      console.log(`   Skipped: ${skipped}`);
+      process.exit(1);
+    }
+  }
+
+  await writer.finish();
+
+  console.log(`\n✨ Processing complete!`);
+  console.log(`   Total files: ${total}`);
+  console.log(`   Updated: ${updated}`);
+  console.log(`   Skipped: ${skipped}`);
+  console.log(`   NDJSON file updated: ${config.treeJsonFile}`);
+}
+
 // -------------------------------------------------------------
 // MAIN EXECUTION
 // -------------------------------------------------------------
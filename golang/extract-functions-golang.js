@@ -371,6 +371,9 @@ function extractFunctionsAndCalls(filePath, repoPath, imports = null, captureSou
           call.path = resolvedPath;
         }
 
+        // Receiver variable (`s.step()`) or package alias (`util.Parse()`),
+        // resolved to a method or package by call-graph-resolver.js
+        if (call.objectName) call.receiver = call.objectName;
         delete call.objectName;
       });
     });
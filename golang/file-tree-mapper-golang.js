@@ -88,6 +88,7 @@ function analyzeImports(repoPath, opts = {}) {
 
   for (let i = 0; i < goFiles.length; i++) {
     const file = goFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
 
     try {
       const percentage = ((i / totalFiles) * 100).toFixed(1);
@@ -173,6 +174,7 @@ function analyzeImports(repoPath, opts = {}) {
       }
     } catch (e) {
       console.log(`\n❌ Error analyzing ${file}:`, e);
+      if (opts.onFileError) opts.onFileError(file, e);
     }
   }
 
@@ -7,10 +7,16 @@
 const fs = require("fs");
 const path = require("path");
 const glob = require("glob");
+const { discoverModules } = require("./config/workspace-modules");
 
 // Cache for parsed patterns to avoid re-reading files
 const patternCache = new Map();
 
+// Workspace module directories per repository. Bounded: the server analyzes
+// each request in a fresh temp dir.
+const moduleDirCache = new Map();
+const MODULE_DIR_CACHE_SIZE = 16;
+
 // Path to the tool's built-in .repoignore file
 const TOOL_REPOIGNORE_PATH = path.join(__dirname, ".repoignore");
 
@@ -19,10 +25,15 @@ const LANGUAGE_FOLDERS = [
   "csharp",
   "golang",
   "java",
+  "kotlin",
   "nodejs",
+  "perl",
   "php",
   "python",
+  "ruby",
+  "rust",
   "salesforce",
+  "terraform",
   "typescript",
   "vbnet"
 ];
@@ -154,6 +165,66 @@ function countLanguagePatterns(basePath, language) {
   return parseLanguageFolderIgnores(basePath, language).length;
 }
 
+/**
+ * Directories of the repository's declared workspace modules
+ * @param {string} repoPath - Target repository path
+ * @returns {string[]} - Module paths relative to repoPath ("/"-separated)
+ */
+function workspaceModuleDirs(repoPath) {
+  if (!moduleDirCache.has(repoPath)) {
+    if (moduleDirCache.size >= MODULE_DIR_CACHE_SIZE) {
+      moduleDirCache.delete(moduleDirCache.keys().next().value);
+    }
+    moduleDirCache.set(repoPath, discoverModules(repoPath).map((m) => m.path));
+  }
+  return moduleDirCache.get(repoPath);
+}
+
+/**
+ * Replacement for a built-in `**\/<segment>/**` pattern that leaves the
+ * workspace modules below a `<segment>` directory visible. glob's `ignore`
+ * has no negations, so the patterns walk the paths down to the modules:
+ * siblings of those paths stay ignored, and so do `<segment>` directories
+ * anywhere else (including inside the modules).
+ *
+ * @param {string} segment - Directory name, e.g. "packages"
+ * @param {string[]} moduleDirs - Module paths containing `segment`
+ * @returns {string[]} - Glob patterns relative to the repository
+ */
+function segmentIgnoreExcept(segment, moduleDirs) {
+  // Trie of the module paths: { children: Map<name, node>, module: boolean }
+  const root = { children: new Map(), module: false };
+  for (const dir of moduleDirs) {
+    let node = root;
+    for (const name of dir.split("/")) {
+      if (!node.children.has(name)) node.children.set(name, { children: new Map(), module: false });
+      node = node.children.get(name);
+    }
+    node.module = true;
+  }
+
+  const patterns = [];
+  const seg = glob.escape(segment);
+  // hidden: below a `segment` directory on the way to a module, where
+  // everything but that way stays ignored
+  const visit = (node, prefix, hidden) => {
+    const names = [...node.children.keys()];
+    const others = names.length > 0 ? `!(${names.map((n) => glob.escape(n)).join("|")})` : "*";
+    if (hidden) {
+      patterns.push(`${prefix}${others}/**`);
+    } else {
+      if (!node.children.has(segment)) patterns.push(`${prefix}${seg}/**`);
+      patterns.push(`${prefix}${others}/**/${seg}/**`);
+    }
+    for (const [name, child] of node.children) {
+      const childHidden = !child.module && (hidden || name === segment);
+      visit(child, `${prefix}${glob.escape(name)}/`, childHidden);
+    }
+  };
+  visit(root, "", false);
+  return patterns;
+}
+
 /**
  * Get ignore patterns for a repository (without repoPath prefix)
  * These patterns can be used with glob's cwd option
@@ -162,10 +233,11 @@ function countLanguagePatterns(basePath, language) {
  * @param {boolean} options.includeBuiltin - Include tool's built-in patterns (default: true)
  * @param {boolean} options.includeRepoIgnore - Check for repo's .repoignore (default: true)
  * @param {string} options.language - Language folder name (e.g., 'php', 'csharp') for language-specific patterns
+ * @param {object[]} options.modules - Workspace modules from discoverModules(); looked up (and cached) when omitted
  * @returns {string[]} - Array of glob patterns
  */
 function getIgnorePatterns(repoPath, options = {}) {
-  const { includeBuiltin = true, includeRepoIgnore = true, language = null } = options;
+  const { includeBuiltin = true, includeRepoIgnore = true, language = null, modules = null } = options;
 
   const allPatterns = new Set();
 
@@ -185,6 +257,24 @@ function getIgnorePatterns(repoPath, options = {}) {
     }
   }
 
+  // 1c. Workspace modules are first-party code: a built-in directory pattern
+  //     must not hide one (`packages/` is NuGet's folder, but also where most
+  //     JS monorepos keep their packages). Only the module directories are
+  //     let through; the pattern still applies everywhere else.
+  if (includeBuiltin && repoPath) {
+    const moduleDirs = modules ? modules.map((m) => m.path) : workspaceModuleDirs(repoPath);
+    for (const p of [...allPatterns]) {
+      const dirPattern = p.match(/^\*\*\/([^/*]+)\/\*\*$/);
+      if (!dirPattern) continue;
+      const covered = moduleDirs.filter((dir) => dir.split("/").includes(dirPattern[1]));
+      if (covered.length === 0) continue;
+      allPatterns.delete(p);
+      for (const replacement of segmentIgnoreExcept(dirPattern[1], covered)) {
+        allPatterns.add(replacement);
+      }
+    }
+  }
+
   // 2. Load target repo's .repoignore (if exists)
   if (includeRepoIgnore && repoPath) {
     const repoIgnorePath = path.join(repoPath, ".repoignore");
@@ -222,6 +312,7 @@ function getIgnorePatternsWithPrefix(repoPath, options = {}) {
  */
 function clearCache() {
   patternCache.clear();
+  moduleDirCache.clear();
 }
 
 /**
@@ -1,13 +1,16 @@
-const { execSync } = require("child_process");
 const path = require("path");
 const fs = require("fs");
 const zlib = require("zlib");
 const https = require("https");
 const http = require("http");
 const url = require("url");
-const { autoDetectAndProcess, generateDescriptions, addMetadata } = require("./main");
-
-const allowedLanguages = ["perl", "javascript", "python", "java", "typescript", "php", "vbnet", "vue"];
+const {
+  autoDetectAndProcess,
+  processLanguage,
+  generateDescriptions,
+  addMetadata,
+} = require("./main");
+const { getAnalyzerRegistry } = require("./analyzer-registry");
 
 async function run(opts) {
   const language = (opts.language || "").toLowerCase();
@@ -33,8 +36,19 @@ async function run(opts) {
     return;
   }
 
-  if (!allowedLanguages.includes(language)) {
-    console.error(`❌ Invalid language. Allowed: ${allowedLanguages.join(", ")}`);
+  if (opts.incremental) {
+    console.log("⚠️  --incremental is only supported in auto-detect mode; analyzing all files.");
+  }
+
+  if (opts.since) {
+    console.error("❌ --since is only supported in auto-detect mode (omit --language)");
+    process.exit(1);
+  }
+
+  const registry = getAnalyzerRegistry();
+  const analyzer = registry.get(language);
+  if (!analyzer) {
+    console.error(`❌ Invalid language. Allowed: ${registry.keys().join(", ")}`);
     process.exit(1);
   }
 
@@ -47,57 +61,37 @@ async function run(opts) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
-  const importsOutput = path.join(outputDir, `${language}-imports.json`);
-
-  const scriptMap = {
-    perl: "perl/file-tree-mapper.js",
-    javascript: "nodejs/file-tree-mapper-nodejs.js",
-    python: "python/file-tree-mapper-python.js",
-    java: "java/file-tree-main-java.js",
-    typescript: "typescript/file-tree-mapper-typescript.js",
-    php: "php/file-tree-mapper-php.js",
-    vbnet: "vbnet/file-tree-mapper-vbnet.js",
-    vue: "vue/file-tree-mapper-vue.js",
-  };
+  const ndjsonPath = path.join(outputDir, `${language}-imports.ndjson`);
 
   if (language === "typescript") {
     console.log("\n📝 Note: TypeScript mode will also parse JavaScript files (.js, .jsx)");
   }
 
-  const isWindows = process.platform === "win32";
-
   try {
-    const scriptPath = path.resolve(__dirname, scriptMap[language]);
-    let command = `node "${scriptPath}" "${repoPath}" "${importsOutput}"`;
-    if (opts.captureSourceCode) {
-      command += " --capture-source-code";
+    // Stream each file record straight to NDJSON
+    const fd = fs.openSync(ndjsonPath, "w");
+    let result;
+    try {
+      result = await processLanguage(analyzer, repoPath, opts.verbose, {
+        captureSourceCode: opts.captureSourceCode,
+        captureStatements: opts.captureStatements,
+        onResult: (record) => fs.writeSync(fd, JSON.stringify(record) + "\n"),
+      });
+    } finally {
+      fs.closeSync(fd);
     }
-    if (opts.captureStatements) {
-      command += " --capture-statements";
+    if (!result) {
+      throw new Error(`${analyzer.name} analysis failed`);
     }
 
-    console.log("\n🚀 Running command:");
-    console.log(command);
-
-    execSync(command, { stdio: "inherit", shell: isWindows ? "cmd.exe" : undefined });
-
     console.log("✅ Analysis finished!");
 
-    // Convert JSON to NDJSON + gzip
-    const jsonData = JSON.parse(fs.readFileSync(importsOutput, "utf-8"));
-    const ndjsonPath = importsOutput.replace(/\.json$/, ".ndjson");
-    const lines = Array.isArray(jsonData)
-      ? jsonData.map(item => JSON.stringify(item)).join("\n") + "\n"
-      : JSON.stringify(jsonData) + "\n";
-    fs.writeFileSync(ndjsonPath, lines);
-
     // Gzip the NDJSON file
     const gzipPath = ndjsonPath + ".gz";
     const gzipped = zlib.gzipSync(fs.readFileSync(ndjsonPath));
     fs.writeFileSync(gzipPath, gzipped);
 
     // Clean up intermediate files
-    fs.unlinkSync(importsOutput);
     fs.unlinkSync(ndjsonPath);
 
     console.log(`📦 Output: ${gzipPath}`);
@@ -370,6 +370,10 @@ function extractFunctionsAndCalls(filePath, repoPath, classIndex, captureSourceC
           call.path = resolvedPath;
         }
 
+        // `this.`, `super.`, a field or a class name (static call): the receiver
+        // lets call-graph-resolver.js pick the declaring class
+        if (call.objectName) call.receiver = call.objectName;
+
         // Clean up temporary fields
         delete call.objectName;
       });
@@ -45,13 +45,18 @@ function analyzeJavaRepo(repoPath, opts = {}) {
     console.log(`📂 Scanning Java repo: ${repoPath}`);
     const ignorePatterns = getIgnorePatternsWithPrefix(repoPath, { language: 'java' });
 
-    const javaFiles = glob.sync(`${repoPath}/**/*.java`, {
+    const allJavaFiles = glob.sync(`${repoPath}/**/*.java`, {
       ignore: ignorePatterns
     });
 
     const classIndex = buildJavaClassIndex(repoPath);
 
-    const cpuCount = Math.max(1, os.cpus().length - 1);
+    // Files the caller can serve itself (incremental cache) are not sent to workers
+    const javaFiles = opts.fileFilter ? allJavaFiles.filter(opts.fileFilter) : allJavaFiles;
+
+    const cpuCount = parseInt(opts.workers, 10) > 1
+      ? parseInt(opts.workers, 10)
+      : Math.max(1, os.cpus().length - 1);
     const chunkSize = Math.ceil(javaFiles.length / cpuCount);
 
     const results = [];
@@ -81,11 +86,14 @@ function analyzeJavaRepo(repoPath, opts = {}) {
         }
       );
 
-      worker.on("message", data => {
+      worker.on("message", ({ records, failures }) => {
+        if (opts.onFileError) {
+          failures.forEach(f => opts.onFileError(f.file, new Error(f.message)));
+        }
         if (opts.onResult) {
-          data.forEach(item => opts.onResult(item));
+          records.forEach(item => opts.onResult(item));
         } else {
-          results.push(...data);
+          results.push(...records);
         }
         done++;
         if (done === totalChunks) {
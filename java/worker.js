@@ -47,12 +47,14 @@ function analyzeFile(filePath) {
         };
     } catch (error) {
         console.error(`Error analyzing ${filePath}:`, error.message);
+        failures.push({ file: filePath, message: error.message });
         return null;
     }
 }
 
 // ---------- run ----------
 const output = [];
+const failures = [];
 for (const file of files) {
     const result = analyzeFile(file);
     if (result) {
@@ -60,4 +62,4 @@ for (const file of files) {
     }
 }
 
-parentPort.postMessage(output);
+parentPort.postMessage({ records: output, failures });
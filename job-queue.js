@@ -0,0 +1,292 @@
+/**
+ * Background job queue for the HTTP server (server.js).
+ *
+ * Long-running requests (clone + analyze + upload) are enqueued and the caller
+ * gets a job id back immediately. Jobs run with bounded concurrency; each
+ * runner gets an AbortSignal so `cancel(id)` can stop it between phases, and
+ * the temp directory it reports through `update({ tempDir })` is removed
+ * whatever the outcome.
+ *
+ * Job state is persisted as one JSON file per job under the store dir, so a
+ * restarted server still answers status requests. Queued jobs and jobs that
+ * were running when the process died are re-queued on `restore()` (running
+ * ones start over). Secret params (`secretParams`) are kept in memory only:
+ * an interrupted job that had secrets cannot be resumed and is marked failed.
+ * Finished jobs are dropped (from memory and disk) once older than
+ * `retentionMs`, checked on `restore()` and whenever a job finishes.
+ *
+ * Job lifecycle: queued -> running -> completed | failed | cancelled
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const FINISHED = new Set(["completed", "failed", "cancelled"]);
+
+// Progress-only updates (counts) are written at most this often
+const PERSIST_INTERVAL_MS = 1000;
+
+function removeDir(dir) {
+  if (!dir) return;
+  try {
+    fs.rmSync(dir, { recursive: true, force: true });
+  } catch (_) {
+    // best-effort cleanup
+  }
+}
+
+function abortError(message) {
+  const err = new Error(message);
+  err.name = "AbortError";
+  return err;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.storeDir - Directory for the persisted job files
+ * @param {number} [opts.concurrency=2] - Jobs running at the same time
+ * @param {{ [type: string]: (params: object, ctx: { signal: AbortSignal, update: (patch: object) => void, warn: (message: string) => void }) => Promise<object> }} opts.runners
+ *   Runner per job type; its resolved value becomes `job.result`
+ * @param {string[]} [opts.secretParams] - Param names never written to disk
+ * @param {number} [opts.retentionMs] - Finished jobs older than this are dropped
+ */
+function createJobQueue({ storeDir, concurrency = 2, runners, secretParams = [], retentionMs = 24 * 60 * 60 * 1000 }) {
+  const jobs = new Map();      // id -> job state (what gets persisted)
+  const secrets = new Map();   // id -> secret params
+  const controllers = new Map(); // id -> AbortController of a running job
+  const lastSaved = new Map();
+  const pending = [];
+  let running = 0;
+  let idleWaiters = [];
+
+  function jobFile(id) {
+    return path.join(storeDir, `${id}.json`);
+  }
+
+  function persist(job) {
+    fs.mkdirSync(storeDir, { recursive: true });
+    const file = jobFile(job.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+    lastSaved.set(job.id, Date.now());
+  }
+
+  function update(job, patch, force = false) {
+    const { progress, ...rest } = patch;
+    Object.assign(job, rest);
+    if (progress) job.progress = { ...job.progress, ...progress };
+    job.updatedAt = new Date().toISOString();
+
+    const due = Date.now() - (lastSaved.get(job.id) || 0) >= PERSIST_INTERVAL_MS;
+    if (force || due || Object.keys(rest).length > 0) persist(job);
+  }
+
+  function isExpired(job, cutoff) {
+    return FINISHED.has(job.status) && Date.parse(job.finishedAt) < cutoff;
+  }
+
+  // Forget finished jobs past the retention period
+  function prune() {
+    const cutoff = Date.now() - retentionMs;
+    for (const job of jobs.values()) {
+      if (!isExpired(job, cutoff)) continue;
+      jobs.delete(job.id);
+      lastSaved.delete(job.id);
+      fs.rmSync(jobFile(job.id), { force: true });
+    }
+  }
+
+  function finish(job, patch) {
+    removeDir(job.tempDir);
+    update(job, { ...patch, tempDir: null, finishedAt: new Date().toISOString() }, true);
+    secrets.delete(job.id);
+    controllers.delete(job.id);
+    prune();
+  }
+
+  /**
+   * Queue a job. Returns the job state (a copy).
+   */
+  function enqueue(type, params = {}) {
+    if (!runners[type]) throw new Error(`Unknown job type: ${type}`);
+
+    const stored = {};
+    const secret = {};
+    for (const [key, value] of Object.entries(params)) {
+      if (secretParams.includes(key)) {
+        if (value != null) secret[key] = value;
+      } else {
+        stored[key] = value;
+      }
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: "queued",
+      phase: "queued",
+      params: stored,
+      hasSecrets: Object.keys(secret).length > 0,
+      progress: { filesTotal: null, filesProcessed: 0 },
+      errors: [],
+      result: null,
+      tempDir: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    };
+    jobs.set(job.id, job);
+    secrets.set(job.id, secret);
+    persist(job);
+
+    const queued = get(job.id);
+    pending.push(job.id);
+    pump();
+    return queued;
+  }
+
+  function pump() {
+    while (running < concurrency && pending.length > 0) {
+      const job = jobs.get(pending.shift());
+      if (!job || job.status !== "queued") continue;
+      running++;
+      run(job).finally(() => {
+        running--;
+        pump();
+        if (running === 0 && pending.length === 0) {
+          idleWaiters.forEach((resolve) => resolve());
+          idleWaiters = [];
+        }
+      });
+    }
+  }
+
+  async function run(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    update(job, { status: "running", phase: "starting", startedAt: new Date().toISOString() }, true);
+
+    const ctx = {
+      signal: controller.signal,
+      update: (patch) => update(job, patch),
+      warn: (message) => {
+        job.errors.push({ phase: job.phase, message, fatal: false });
+        update(job, {});
+      },
+    };
+
+    try {
+      const params = { ...job.params, ...secrets.get(job.id) };
+      const result = await runners[job.type](params, ctx);
+      controller.signal.throwIfAborted();
+      finish(job, { status: "completed", phase: "done", result: result || null });
+    } catch (err) {
+      if (controller.signal.aborted) {
+        finish(job, { status: "cancelled", phase: "cancelled" });
+      } else {
+        console.error(`❌ Job ${job.id} (${job.type}) failed:`, err);
+        job.errors.push({ phase: job.phase, message: err.message, fatal: true });
+        finish(job, { status: "failed", statusCode: err.statusCode || 500 });
+      }
+    }
+  }
+
+  /**
+   * Job state by id, or null. Returns a copy so callers can't mutate the queue.
+   */
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? JSON.parse(JSON.stringify(job)) : null;
+  }
+
+  function list() {
+    return [...jobs.keys()].map(get);
+  }
+
+  /**
+   * Cancel a queued or running job. Queued jobs are cancelled at once; running
+   * ones are aborted and turn "cancelled" when their runner unwinds.
+   * Returns the job state, or null for an unknown id.
+   */
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (FINISHED.has(job.status)) return get(id);
+
+    if (job.status === "queued") {
+      finish(job, { status: "cancelled", phase: "cancelled" });
+    } else {
+      update(job, { phase: "cancelling" }, true);
+      controllers.get(id)?.abort(abortError(`Job ${id} was cancelled`));
+    }
+    return get(id);
+  }
+
+  /**
+   * Load persisted jobs. Call once at startup, before enqueueing.
+   */
+  function restore() {
+    let files = [];
+    try {
+      files = fs.readdirSync(storeDir).filter((f) => f.endsWith(".json"));
+    } catch (_) {
+      return { restored: 0, requeued: 0 };
+    }
+
+    const requeue = [];
+    const cutoff = Date.now() - retentionMs;
+    for (const file of files) {
+      let job;
+      try {
+        job = JSON.parse(fs.readFileSync(path.join(storeDir, file), "utf8"));
+      } catch (_) {
+        continue;
+      }
+      if (!job || !job.id || jobs.has(job.id)) continue;
+
+      if (FINISHED.has(job.status)) {
+        if (isExpired(job, cutoff)) {
+          fs.rmSync(path.join(storeDir, file), { force: true });
+          continue;
+        }
+        jobs.set(job.id, job);
+        continue;
+      }
+
+      // Interrupted by a restart: drop its partial work
+      jobs.set(job.id, job);
+      removeDir(job.tempDir);
+      if (job.hasSecrets || !runners[job.type]) {
+        job.errors.push({
+          phase: job.phase,
+          message: job.hasSecrets
+            ? "Server restarted before the job finished; credentials are not persisted, resubmit the request"
+            : `Unknown job type: ${job.type}`,
+          fatal: true,
+        });
+        finish(job, { status: "failed" });
+      } else {
+        update(job, { status: "queued", phase: "queued", tempDir: null, startedAt: null, progress: { filesTotal: null, filesProcessed: 0 } }, true);
+        requeue.push(job);
+      }
+    }
+
+    requeue.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    requeue.forEach((job) => pending.push(job.id));
+    pump();
+    return { restored: jobs.size, requeued: requeue.length };
+  }
+
+  // Resolves once nothing is running or queued (used by tests and shutdown)
+  function onIdle() {
+    if (running === 0 && pending.length === 0) return Promise.resolve();
+    return new Promise((resolve) => idleWaiters.push(resolve));
+  }
+
+  return { enqueue, get, list, cancel, restore, onIdle };
+}
+
+module.exports = { createJobQueue };
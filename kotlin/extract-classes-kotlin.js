@@ -0,0 +1,220 @@
+const {
+  parseKotlinFile,
+  getAnnotations,
+  getDeclarationName,
+  collectQueryStatements,
+  traverse,
+} = require("./extract-functions-kotlin");
+
+const CLASS_NODE_TYPES = new Set(["class_declaration", "object_declaration", "companion_object"]);
+
+function extractClasses(filePath, repoPath = null, captureStatements = false) {
+  const parsed = parseKotlinFile(filePath);
+
+  const classes = [];
+
+  traverse(parsed.tree.rootNode, (node) => {
+    if (CLASS_NODE_TYPES.has(node.type)) {
+      const classInfo = extractClassInfo(node, parsed, captureStatements);
+      if (classInfo?.name) {
+        classes.push(classInfo);
+      }
+    }
+  });
+
+  return classes;
+}
+
+const CLASS_STATEMENT_TYPES = ["property_declaration", "type_alias"];
+
+function extractClassStatements(node, source) {
+  const body = getClassBody(node);
+  if (!body) return [];
+
+  const statements = [];
+  for (let i = 0; i < body.namedChildCount; i++) {
+    const child = body.namedChild(i);
+    if (!CLASS_STATEMENT_TYPES.includes(child.type)) continue;
+    const nameNode = child.namedChildren.find((c) => c.type === "variable_declaration" || c.type === "identifier");
+    statements.push({
+      type: child.type,
+      name: nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex).split(":")[0].trim() : null,
+      text: source.slice(child.startIndex, child.endIndex),
+      startLine: child.startPosition.row + 1,
+      endLine: child.endPosition.row + 1,
+    });
+  }
+  collectQueryStatements(node, source, statements);
+  return statements;
+}
+
+function getClassBody(node) {
+  return node.namedChildren.find((c) => c.type === "class_body" || c.type === "enum_class_body") || null;
+}
+
+function extractClassInfo(node, parsed, captureStatements = false) {
+  const { source } = parsed;
+  const startLine = node.startPosition.row + 1;
+  const endLine = node.endPosition.row + 1;
+
+  const name = getDeclarationName(node, source);
+  const { superClass, interfaces } = getSupertypes(node, source);
+  const modifiers = getClassModifiers(node, source);
+
+  const {
+    constructorParams,
+    methods
+  } = extractClassMembers(node, source);
+
+  const decorators = getAnnotations(node, parsed).map((ann) => ann.source.slice(ann.node.startIndex, ann.node.endIndex));
+
+  const statements = captureStatements ? extractClassStatements(node, source) : [];
+
+  return {
+    name,
+    type: getClassType(node, modifiers),
+    visibility: modifiers.visibility,
+    isAbstract: modifiers.isAbstract,
+    isData: modifiers.isData,
+    isSealed: modifiers.isSealed,
+    extends: superClass,
+    implements: interfaces,
+    decorators,
+    constructorParams,
+    methods,
+    statements,
+    startLine,
+    endLine
+  };
+}
+
+// class | interface | enum | object | companion_object
+function getClassType(node, modifiers) {
+  if (node.type === "object_declaration") return "object";
+  if (node.type === "companion_object") return "companion_object";
+  if (modifiers.isEnum) return "enum";
+  for (let i = 0; i < node.childCount; i++) {
+    if (node.child(i).type === "interface") return "interface";
+  }
+  return "class";
+}
+
+function getClassModifiers(node, source) {
+  const result = {
+    visibility: "public", // Kotlin default
+    isAbstract: false,
+    isData: false,
+    isSealed: false,
+    isEnum: false,
+  };
+
+  const modifiers = node.namedChildren.find((c) => c.type === "modifiers");
+  if (!modifiers) return result;
+
+  for (let i = 0; i < modifiers.namedChildCount; i++) {
+    const modifier = modifiers.namedChild(i);
+    const modText = source.slice(modifier.startIndex, modifier.endIndex);
+
+    if (modifier.type === "visibility_modifier") {
+      result.visibility = modText;
+    } else if (modText === "abstract") {
+      result.isAbstract = true;
+    } else if (modText === "data") {
+      result.isData = true;
+    } else if (modText === "sealed") {
+      result.isSealed = true;
+      result.isAbstract = true; // sealed classes cannot be instantiated
+    } else if (modText === "enum") {
+      result.isEnum = true;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * `: Base(), Iface, Other by impl` — the supertype with a constructor call is
+ * the superclass; the rest are interfaces.
+ */
+function getSupertypes(node, source) {
+  let superClass = null;
+  const interfaces = [];
+
+  const specifiers = node.namedChildren.find((c) => c.type === "delegation_specifiers");
+  if (!specifiers) return { superClass, interfaces };
+
+  for (let i = 0; i < specifiers.namedChildCount; i++) {
+    const spec = specifiers.namedChild(i);
+    const typeNode = findFirst(spec, "user_type");
+    if (!typeNode) continue;
+    const typeName = source.slice(typeNode.startIndex, typeNode.endIndex).replace(/<.*$/, "");
+
+    if (findFirst(spec, "constructor_invocation") && !superClass) {
+      superClass = typeName;
+    } else {
+      interfaces.push(typeName);
+    }
+  }
+
+  return { superClass, interfaces };
+}
+
+function findFirst(node, type) {
+  let found = null;
+  traverse(node, (n) => {
+    if (!found && n.type === type) found = n;
+  });
+  return found;
+}
+
+function extractClassMembers(classNode, source) {
+  let constructorParams = [];
+  const methods = [];
+
+  // Primary constructor: class Foo(val a: Int, b: String)
+  const primary = classNode.namedChildren.find((c) => c.type === "primary_constructor");
+  if (primary) {
+    const params = primary.namedChildren.find((c) => c.type === "class_parameters");
+    if (params) {
+      constructorParams = params.namedChildren
+        .filter((c) => c.type === "class_parameter")
+        .map((c) => c.namedChildren.find((n) => n.type === "identifier"))
+        .filter(Boolean)
+        .map((n) => source.slice(n.startIndex, n.endIndex));
+    }
+  }
+
+  const body = getClassBody(classNode);
+  if (!body) {
+    return { constructorParams, methods };
+  }
+
+  for (let i = 0; i < body.namedChildCount; i++) {
+    const member = body.namedChild(i);
+
+    // Secondary constructor, when there is no primary one
+    if (member.type === "secondary_constructor" && constructorParams.length === 0) {
+      const paramsNode = member.namedChildren.find((c) => c.type === "function_value_parameters");
+      if (paramsNode) {
+        constructorParams = paramsNode.namedChildren
+          .filter((c) => c.type === "parameter")
+          .map((c) => c.namedChildren.find((n) => n.type === "identifier"))
+          .filter(Boolean)
+          .map((n) => source.slice(n.startIndex, n.endIndex));
+      }
+      continue;
+    }
+
+    // Methods - just extract names
+    if (member.type === "function_declaration") {
+      const nameNode = member.childForFieldName("name");
+      if (nameNode) {
+        methods.push(source.slice(nameNode.startIndex, nameNode.endIndex));
+      }
+    }
+  }
+
+  return { constructorParams, methods };
+}
+
+module.exports = { extractClasses };
@@ -0,0 +1,620 @@
+const Parser = require("tree-sitter");
+const Kotlin = require("@tree-sitter-grammars/tree-sitter-kotlin");
+const path = require("path");
+const { truncateSourceCode, readSource, containsDbQuery, getDbFromMethod, getStatementTextLimit } = require("../utils");
+
+const sharedParser = new Parser();
+sharedParser.setLanguage(Kotlin);
+
+const STATEMENT_TYPES = ["property_declaration", "type_alias", "return_expression"];
+
+// Containers whose members are declarations; an annotated_expression directly
+// inside one is the grammar misreading annotations that precede a declaration.
+const DECLARATION_CONTAINERS = new Set(["source_file", "class_body"]);
+
+// -------------------------------------------------------------
+// Parsing
+// -------------------------------------------------------------
+
+let _parsed = null;
+
+/**
+ * Parse a Kotlin file.
+ *
+ * tree-sitter-kotlin sometimes reads a run of annotations before a class
+ * (`@RestController\n@RequestMapping("/x")\nclass C { @GetMapping ... }`) as
+ * an annotated expression that swallows the class. Those annotations are
+ * blanked out (same length, so offsets and lines are unchanged), the file is
+ * re-parsed, and the annotations are kept as `detached` so getAnnotations()
+ * can re-attach them to the declaration that follows.
+ *
+ * Node offsets in the returned tree index into the original `source`.
+ */
+function parseKotlinFile(filePath) {
+  const source = readSource(filePath);
+  if (_parsed && _parsed.filePath === filePath && _parsed.source === source) return _parsed;
+
+  let masked = source;
+  let tree = sharedParser.parse(masked);
+  const detached = [];
+
+  for (let pass = 0; pass < 3; pass++) {
+    const spans = [];
+    traverse(tree.rootNode, (node) => {
+      if (node.type !== "annotated_expression" || !node.parent) return;
+      if (!DECLARATION_CONTAINERS.has(node.parent.type)) return;
+      spans.push(...annotationSpans(node));
+    });
+    if (spans.length === 0) break;
+
+    for (const span of spans) {
+      const text = source.slice(span.start, span.end);
+      masked = masked.slice(0, span.start) + text.replace(/[^\n]/g, " ") + masked.slice(span.end);
+      detached.push({ ...parseAnnotationText(text), start: span.start, end: span.end, line: span.line });
+    }
+    tree = sharedParser.parse(masked);
+  }
+
+  _parsed = { filePath, source, masked, tree, detached };
+  return _parsed;
+}
+
+// Source spans of the annotations in an annotated_expression chain. A
+// parenthesized expression glued to the last annotation is its argument list.
+function annotationSpans(node) {
+  const spans = [];
+  let current = node;
+  while (current && current.type === "annotated_expression") {
+    let annotation = null;
+    let inner = null;
+    for (let i = 0; i < current.namedChildCount; i++) {
+      const child = current.namedChild(i);
+      if (child.type === "annotation" && !annotation) annotation = child;
+      else inner = child;
+    }
+    if (!annotation) break;
+    const span = { start: annotation.startIndex, end: annotation.endIndex, line: annotation.startPosition.row + 1 };
+    if (inner && inner.type === "parenthesized_expression" && inner.startIndex === annotation.endIndex) {
+      span.end = inner.endIndex;
+      inner = null;
+    }
+    spans.push(span);
+    current = inner;
+  }
+  return spans;
+}
+
+// Re-parse a lone annotation against a dummy class so the usual node helpers work on it.
+function parseAnnotationText(text) {
+  const source = `${text}\nclass __Detached`;
+  const tree = sharedParser.parse(source);
+  let node = null;
+  traverse(tree.rootNode, (n) => {
+    if (!node && n.type === "annotation") node = n;
+  });
+  return { node, source };
+}
+
+/**
+ * Annotations on a declaration as `{ node, source }` pairs: the ones in its
+ * `modifiers`, plus detached ones directly above it (see parseKotlinFile).
+ */
+function getAnnotations(declNode, parsed) {
+  const out = parsed.detached
+    .filter((ann) => ann.node && ann.end <= declNode.startIndex)
+    .filter((ann) => parsed.masked.slice(ann.end, declNode.startIndex).trim() === "")
+    .sort((a, b) => a.start - b.start)
+    .map((ann) => ({ node: ann.node, source: ann.source }));
+
+  for (let i = 0; i < declNode.namedChildCount; i++) {
+    const child = declNode.namedChild(i);
+    if (child.type !== "modifiers") continue;
+    for (let j = 0; j < child.namedChildCount; j++) {
+      if (child.namedChild(j).type === "annotation") {
+        out.push({ node: child.namedChild(j), source: parsed.source });
+      }
+    }
+  }
+  return out;
+}
+
+/** Simple annotation name: `@GetMapping("/x")` -> "GetMapping", `@field:Json` -> "Json". */
+function annotationName(ann) {
+  const { node, source } = ann;
+  let typeNode = null;
+  traverse(node, (n) => {
+    if (!typeNode && n.type === "user_type") typeNode = n;
+  });
+  if (!typeNode) return null;
+  const text = source.slice(typeNode.startIndex, typeNode.endIndex).replace(/<.*$/, "");
+  return text.slice(text.lastIndexOf(".") + 1);
+}
+
+// -------------------------------------------------------------
+// Functions
+// -------------------------------------------------------------
+
+function extractFunctionsWithCalls(filePath, repoPath = null, captureSourceCode = false, captureStatements = false) {
+  const parsed = parseKotlinFile(filePath);
+  const { source, tree } = parsed;
+
+  const functions = [];
+
+  traverse(tree.rootNode, (node) => {
+    if (node.type === "function_declaration" || node.type === "secondary_constructor") {
+      const funcInfo = extractFunctionInfo(node, source, captureSourceCode, captureStatements);
+      if (funcInfo.name) {
+        functions.push(funcInfo);
+      }
+    }
+  });
+
+  return functions;
+}
+
+function extractFunctionInfo(node, source, captureSourceCode = false, captureStatements = false) {
+  const startLine = node.startPosition.row + 1;
+  const endLine = node.endPosition.row + 1;
+  const isConstructor = node.type === "secondary_constructor";
+  const owner = enclosingDeclaration(node);
+
+  const name = isConstructor ? (owner ? getDeclarationName(owner, source) : null) : getFunctionName(node, source);
+  const params = extractFunctionParams(node, source);
+  const calls = extractDirectCalls(node, source);
+  const { visibility, isSuspend } = getFunctionModifiers(node, source);
+  const { receiverType, returnType } = getFunctionTypes(node, source);
+
+  const statements = captureStatements ? extractStatements(node, source) : [];
+
+  const result = {
+    name,
+    type: isConstructor ? "constructor" : owner ? "method" : "function",
+    visibility,
+    kind: functionKind(owner),
+    params,
+    returnType,
+    receiverType,
+    isSuspend,
+    startLine,
+    endLine,
+    calls,
+    statements
+  };
+
+  if (captureSourceCode && source) {
+    result.sourceCode = truncateSourceCode(source.slice(node.startIndex, node.endIndex));
+  }
+
+  return result;
+}
+
+// Nearest class/object/companion the node is a member of (not crossing into a function body).
+function enclosingDeclaration(node) {
+  let p = node.parent;
+  while (p) {
+    if (p.type === "class_declaration" || p.type === "object_declaration" || p.type === "companion_object") return p;
+    if (p.type === "function_declaration" || p.type === "lambda_literal" || p.type === "anonymous_function") return null;
+    p = p.parent;
+  }
+  return null;
+}
+
+// Top-level -> function; object / companion object members -> static; class members -> instance
+function functionKind(owner) {
+  if (!owner) return "function";
+  if (owner.type === "object_declaration" || owner.type === "companion_object") return "static";
+  return "instance";
+}
+
+function getDeclarationName(node, source) {
+  const nameNode = node.childForFieldName("name");
+  if (nameNode) return source.slice(nameNode.startIndex, nameNode.endIndex);
+  return node.type === "companion_object" ? "Companion" : null;
+}
+
+function getFunctionName(node, source) {
+  const nameNode = node.childForFieldName("name");
+  return nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
+}
+
+function getFunctionModifiers(node, source) {
+  let visibility = "public"; // Kotlin default
+  let isSuspend = false;
+
+  for (let i = 0; i < node.namedChildCount; i++) {
+    const child = node.namedChild(i);
+    if (child.type !== "modifiers") continue;
+
+    for (let j = 0; j < child.namedChildCount; j++) {
+      const modifier = child.namedChild(j);
+      const modText = source.slice(modifier.startIndex, modifier.endIndex);
+
+      if (modifier.type === "visibility_modifier") {
+        visibility = modText;
+      } else if (modifier.type === "function_modifier" && modText === "suspend") {
+        isSuspend = true;
+      }
+    }
+  }
+
+  return { visibility, isSuspend };
+}
+
+const TYPE_NODE_TYPES = new Set(["user_type", "nullable_type", "function_type", "parenthesized_type"]);
+
+// Extension receiver (`fun String.shout()`) and declared return type.
+function getFunctionTypes(node, source) {
+  let receiverType = null;
+  let returnType = null;
+  let seenParams = false;
+
+  for (let i = 0; i < node.childCount; i++) {
+    const child = node.child(i);
+    if (child.type === "function_value_parameters") {
+      seenParams = true;
+    } else if (TYPE_NODE_TYPES.has(child.type)) {
+      const text = source.slice(child.startIndex, child.endIndex);
+      if (seenParams) returnType = text;
+      else if (node.child(i + 1) && node.child(i + 1).type === ".") receiverType = text;
+    }
+  }
+
+  return { receiverType, returnType };
+}
+
+function extractFunctionParams(node, source) {
+  const paramsNode = node.namedChildren.find((c) => c.type === "function_value_parameters");
+  if (!paramsNode) return [];
+
+  const params = [];
+  let vararg = false;
+
+  for (let i = 0; i < paramsNode.namedChildCount; i++) {
+    const child = paramsNode.namedChild(i);
+
+    if (child.type === "parameter_modifiers") {
+      // Applies to the parameter that follows
+      vararg = /\bvararg\b/.test(source.slice(child.startIndex, child.endIndex));
+    } else if (child.type === "parameter") {
+      const nameNode = child.namedChildren.find((c) => c.type === "identifier");
+      if (nameNode) {
+        params.push((vararg ? "..." : "") + source.slice(nameNode.startIndex, nameNode.endIndex));
+      }
+      vararg = false;
+    }
+  }
+
+  return params;
+}
+
+// -------------------------------------------------------------
+// Calls
+// -------------------------------------------------------------
+
+function extractDirectCalls(funcNode, source) {
+  const calls = [];
+
+  traverse(funcNode, (node) => {
+    if (node.type === "call_expression") {
+      const callInfo = extractCallInfo(node, source);
+      if (callInfo) {
+        calls.push(callInfo);
+      }
+    }
+  });
+
+  return calls;
+}
+
+function extractCallInfo(node, source) {
+  const callee = node.namedChild(0);
+  if (!callee) return null;
+
+  // `get("/x") { ... }` nests the value-argument call inside the trailing-lambda call
+  if (callee.type === "call_expression") return null;
+
+  if (callee.type === "identifier") {
+    return { name: source.slice(callee.startIndex, callee.endIndex), objectName: null, path: null };
+  }
+
+  if (callee.type === "navigation_expression") {
+    const nameNode = callee.namedChild(callee.namedChildCount - 1);
+    if (!nameNode || nameNode.type !== "identifier") return null;
+
+    // Handle chained calls - get the root object
+    let current = callee.namedChild(0);
+    while (current && (current.type === "call_expression" || current.type === "navigation_expression")) {
+      current = current.namedChild(0);
+    }
+
+    let objectName = null;
+    if (current && current.type === "this_expression") objectName = "this";
+    else if (current) objectName = source.slice(current.startIndex, current.endIndex);
+
+    return {
+      name: source.slice(nameNode.startIndex, nameNode.endIndex),
+      objectName,
+      path: null // Will be resolved later
+    };
+  }
+
+  return null;
+}
+
+// -------------------------------------------------------------
+// Statements
+// -------------------------------------------------------------
+
+function getBody(node) {
+  const body = node.namedChildren.find((c) => c.type === "function_body" || c.type === "block");
+  if (!body) return null;
+  if (body.type === "function_body") {
+    const block = body.namedChildren.find((c) => c.type === "block");
+    return block || body;
+  }
+  return body;
+}
+
+function extractStatements(node, source) {
+  const body = getBody(node);
+  if (!body) return [];
+
+  const statements = [];
+  for (let i = 0; i < body.namedChildCount; i++) {
+    const child = body.namedChild(i);
+    if (STATEMENT_TYPES.includes(child.type)) {
+      statements.push({
+        type: child.type,
+        text: source.slice(child.startIndex, child.endIndex).slice(0, getStatementTextLimit(child)),
+        startLine: child.startPosition.row + 1,
+        endLine: child.endPosition.row + 1,
+      });
+    }
+  }
+
+  // Collect return statements from nested blocks (if/else, when, loops, try/catch, etc.)
+  collectReturnStatements(body, source, statements, body);
+
+  collectQueryStatements(node, source, statements);
+
+  return statements;
+}
+
+function collectReturnStatements(node, source, statements, functionBody) {
+  for (let i = 0; i < node.namedChildCount; i++) {
+    const child = node.namedChild(i);
+    // Nested functions and lambdas return on their own behalf
+    if (child.type === "function_declaration" || child.type === "lambda_literal" || child.type === "anonymous_function") continue;
+    if (child.type === "return_expression") {
+      // Skip if already captured as direct child of function body
+      if (child.parent === functionBody) continue;
+      statements.push({
+        type: child.type,
+        text: source.slice(child.startIndex, child.endIndex).slice(0, getStatementTextLimit(child)),
+        startLine: child.startPosition.row + 1,
+        endLine: child.endPosition.row + 1,
+      });
+    } else {
+      collectReturnStatements(child, source, statements, functionBody);
+    }
+  }
+}
+
+function traverse(node, cb) {
+  cb(node);
+  for (let i = 0; i < node.childCount; i++) {
+    traverse(node.child(i), cb);
+  }
+}
+
+// -------------------------------------------------------------
+// Imports
+// -------------------------------------------------------------
+
+/**
+ * Extract imports from a file, resolved against the repo declaration index
+ * built by file-tree-mapper-kotlin.js (`fqNames`: fully-qualified top-level
+ * name -> files, `packages`: package -> files, `javaFiles`: repo .java paths).
+ */
+function extractImports(filePath, declIndex) {
+  const { source, tree } = parseKotlinFile(filePath);
+
+  const imports = {
+    importFiles: [],
+    externalImports: [],
+    aliases: {}
+  };
+
+  for (let i = 0; i < tree.rootNode.namedChildCount; i++) {
+    const node = tree.rootNode.namedChild(i);
+    if (node.type !== "import") continue;
+
+    const nameNode = node.namedChildren.find((c) => c.type === "qualified_identifier");
+    if (!nameNode) continue;
+    const importName = source.slice(nameNode.startIndex, nameNode.endIndex).replace(/\s+/g, "");
+    const text = source.slice(node.startIndex, node.endIndex);
+    const isWildcard = /\.\s*\*\s*$/.test(text);
+
+    const aliasNode = node.namedChildren.find((c) => c.type === "identifier");
+    if (aliasNode) {
+      imports.aliases[source.slice(aliasNode.startIndex, aliasNode.endIndex)] = importName.split(".").pop();
+    }
+
+    const resolved = classifyImport(importName, isWildcard, declIndex);
+    if (resolved.type === "local") {
+      imports.importFiles.push(...resolved.values);
+    } else {
+      imports.externalImports.push(...resolved.values);
+    }
+  }
+
+  imports.importFiles = [...new Set(imports.importFiles)];
+  imports.externalImports = [...new Set(imports.externalImports)];
+
+  return imports;
+}
+
+function classifyImport(importName, isWildcard, declIndex = {}) {
+  const { fqNames = {}, packages = {}, javaFiles = [] } = declIndex;
+
+  if (isWildcard) {
+    if (packages[importName]) return { type: "local", values: packages[importName] };
+    // `import com.acme.Outer.*` pulls in members of a declaration
+    if (fqNames[importName]) return { type: "local", values: fqNames[importName] };
+    return { type: "external", values: [`${importName}.*`] };
+  }
+
+  // Exact top-level declaration, or a member of one (`com.acme.Outer.Inner`)
+  const parts = importName.split(".");
+  for (let end = parts.length; end > 1; end--) {
+    const files = fqNames[parts.slice(0, end).join(".")];
+    if (files) return { type: "local", values: files };
+  }
+
+  // Java interop: class in a .java file under the matching package path
+  const suffix = importName.replace(/\./g, "/") + ".java";
+  const javaMatched = javaFiles.filter((f) => f === suffix || f.endsWith("/" + suffix));
+  if (javaMatched.length > 0) {
+    return { type: "local", values: javaMatched };
+  }
+
+  // Unresolved → external dependency
+  return { type: "external", values: [importName] };
+}
+
+function extractFunctionsAndCalls(filePath, repoPath, declIndex, captureSourceCode = false, captureStatements = false) {
+  try {
+    const functions = extractFunctionsWithCalls(filePath, repoPath, captureSourceCode, captureStatements);
+    const imports = extractImports(filePath, declIndex);
+    const relPath = path.relative(repoPath, filePath);
+
+    // Build function and class map for call resolution
+    const functionMap = new Map();
+
+    // Map imports: imported simple names (or their aliases) -> defining file
+    const importedNames = new Map();
+    for (const [fqName, files] of Object.entries((declIndex && declIndex.fqNames) || {})) {
+      if (files.some((f) => imports.importFiles.includes(f))) {
+        importedNames.set(fqName.split(".").pop(), files[0]);
+      }
+    }
+    importedNames.forEach((file, simpleName) => functionMap.set(simpleName, file));
+    for (const [alias, original] of Object.entries(imports.aliases)) {
+      if (importedNames.has(original)) functionMap.set(alias, importedNames.get(original));
+    }
+
+    imports.externalImports.forEach(extImport => {
+      const parts = extImport.split('.');
+      const name = parts[parts.length - 1];
+      if (name !== "*") functionMap.set(name, extImport);
+    });
+
+    // Map local functions (take precedence over imports)
+    functions.forEach(func => {
+      functionMap.set(func.name, relPath);
+    });
+
+    // Resolve call paths
+    functions.forEach(func => {
+      func.calls.forEach(call => {
+        // Try to resolve by function name first, then by object name
+        let resolvedPath = functionMap.get(call.name);
+
+        if (!resolvedPath && call.objectName) {
+          resolvedPath = functionMap.get(call.objectName);
+        }
+
+        if (resolvedPath) {
+          call.path = resolvedPath;
+        }
+
+        // `this.save()`, `repo.save()` or `UserRepo.find()` (object / companion):
+        // the receiver lets call-graph-resolver.js find the declaring class
+        if (call.objectName) call.receiver = call.objectName;
+
+        // Clean up temporary fields
+        delete call.objectName;
+      });
+    });
+
+    return functions;
+  } catch (error) {
+    console.error(`Error processing ${filePath}:`, error);
+    return [];
+  }
+}
+
+function extractFileStatements(filePath) {
+  const { source, tree } = parseKotlinFile(filePath);
+  const statements = [];
+  for (let i = 0; i < tree.rootNode.namedChildCount; i++) {
+    const child = tree.rootNode.namedChild(i);
+    if (!STATEMENT_TYPES.includes(child.type)) continue;
+    statements.push({
+      type: child.type,
+      text: source.slice(child.startIndex, child.endIndex).slice(0, getStatementTextLimit(child)),
+      startLine: child.startPosition.row + 1,
+      endLine: child.endPosition.row + 1,
+    });
+  }
+
+  collectQueryStatements(tree.rootNode, source, statements);
+
+  return statements;
+}
+
+function collectQueryStatements(node, source, statements) {
+  const seen = new Set(
+    statements
+      .filter(s => s.type === 'query_statement' || s.type === 'db_method_call')
+      .map(s => `${s.startLine}:${s.endLine}`)
+  );
+
+  traverse(node, (n) => {
+    if (n.type === "call_expression") {
+      const info = extractCallInfo(n, source);
+      const db = info ? getDbFromMethod(info.name) : null;
+      if (db) {
+        const key = `${n.startPosition.row + 1}:${n.endPosition.row + 1}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          statements.push({
+            type: "db_method_call", db,
+            text: source.slice(n.startIndex, n.endIndex).slice(0, 500),
+            startLine: n.startPosition.row + 1,
+            endLine: n.endPosition.row + 1,
+          });
+        }
+        return;
+      }
+    }
+
+    if (n.type === "string_literal" || n.type === "multiline_string_literal") {
+      const text = source.slice(n.startIndex, n.endIndex);
+      if (containsDbQuery(text)) {
+        const key = `${n.startPosition.row + 1}:${n.endPosition.row + 1}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          statements.push({
+            type: "query_statement",
+            text: text.slice(0, 500),
+            startLine: n.startPosition.row + 1,
+            endLine: n.endPosition.row + 1,
+          });
+        }
+      }
+    }
+  });
+}
+
+module.exports = {
+  extractFunctionsAndCalls,
+  extractImports,
+  extractFileStatements,
+  collectQueryStatements,
+  parseKotlinFile,
+  getAnnotations,
+  annotationName,
+  getDeclarationName,
+  traverse,
+};
@@ -0,0 +1,328 @@
+/**
+ * Kotlin web-route extractor (static, tree-sitter based)
+ *
+ * Detects HTTP route declarations for the two common Kotlin server stacks and
+ * returns them as structured route objects (same shape as the Java and Go
+ * route extractors):
+ *
+ *   Spring MVC / WebFlux (annotation based, function-scoped)
+ *     class : @RequestMapping("/base")  (base path)
+ *     method: @GetMapping / @PostMapping / @PutMapping / @DeleteMapping /
+ *             @PatchMapping / @RequestMapping(value = ["/x"], method = [RequestMethod.X])
+ *
+ *   Ktor (routing DSL, file-scoped like Go's call-based routers)
+ *     routing { route("/v1") { get("/x") { ... }; post<Body>("/y") { ... } } }
+ *     Also inside `fun Route.userRoutes() { get("/x") { ... } }` extensions.
+ *     Gated on an `io.ktor` import so `map.get("/x")` elsewhere is not a route.
+ *
+ * The effective endpoint is the enclosing base path(s) joined with the route path.
+ */
+const path = require("path");
+const {
+  parseKotlinFile,
+  getAnnotations,
+  annotationName,
+  traverse,
+} = require("./extract-functions-kotlin");
+
+// Spring shortcut annotations -> HTTP method.
+const SPRING_METHOD_ANNOS = {
+  GetMapping: "GET",
+  PostMapping: "POST",
+  PutMapping: "PUT",
+  DeleteMapping: "DELETE",
+  PatchMapping: "PATCH",
+};
+
+// Ktor routing-DSL verbs -> HTTP method.
+const KTOR_VERBS = {
+  get: "GET",
+  post: "POST",
+  put: "PUT",
+  delete: "DELETE",
+  patch: "PATCH",
+  head: "HEAD",
+  options: "OPTIONS",
+};
+
+const TYPE_DECL_TYPES = new Set(["class_declaration", "object_declaration"]);
+
+const MAX_TEXT = 500;
+
+function slice(source, node, limit = MAX_TEXT) {
+  return node ? source.slice(node.startIndex, node.endIndex).slice(0, limit) : null;
+}
+
+// Literal value of a string_literal node (null if it has ${} templates or none).
+function stringLiteralValue(node, source) {
+  if (!node || node.type !== "string_literal") return null;
+  let out = "";
+  for (let i = 0; i < node.namedChildCount; i++) {
+    const c = node.namedChild(i);
+    if (c.type === "string_content") out += slice(source, c);
+    else return slice(source, node).replace(/^"|"$/g, "");
+  }
+  return out;
+}
+
+// Resolve a value node to a string: string literal, or the first string of ["a", "b"] / arrayOf("a").
+function valueToString(node, source) {
+  if (!node) return null;
+  if (node.type === "string_literal") return stringLiteralValue(node, source);
+  if (node.type === "collection_literal" || node.type === "call_expression") {
+    let found = null;
+    traverse(node, (n) => {
+      if (found == null && n.type === "string_literal") found = stringLiteralValue(n, source);
+    });
+    return found;
+  }
+  return null;
+}
+
+// -------------------------------------------------------------------
+// Annotation helpers
+// -------------------------------------------------------------------
+
+function annotationArgs(ann) {
+  let args = null;
+  traverse(ann.node, (n) => {
+    if (!args && n.type === "value_arguments") args = n;
+  });
+  if (!args) return [];
+  return args.namedChildren
+    .filter((c) => c.type === "value_argument")
+    .map((arg) => {
+      const named = arg.namedChildCount > 1 && arg.child(1) && arg.child(1).type === "=";
+      return {
+        name: named ? slice(ann.source, arg.namedChild(0)) : null,
+        value: arg.namedChild(arg.namedChildCount - 1),
+      };
+    });
+}
+
+// Path declared by an annotation: positional string, or value=/path= argument.
+function annotationPath(ann) {
+  const args = annotationArgs(ann);
+  const positional = args.find((a) => !a.name);
+  const named = args.find((a) => a.name === "value" || a.name === "path");
+  const chosen = positional || named;
+  return chosen ? valueToString(chosen.value, ann.source) : null;
+}
+
+// HTTP methods from @RequestMapping(method = [RequestMethod.X, RequestMethod.Y]).
+function springRequestMethods(ann) {
+  const arg = annotationArgs(ann).find((a) => a.name === "method");
+  if (!arg) return [];
+  const methods = [];
+  const text = slice(ann.source, arg.value) || "";
+  for (const m of text.matchAll(/(?:^|[.\s[(,])([A-Z]+)\b/g)) {
+    if (m[1] !== "RequestMethod") methods.push(m[1]);
+  }
+  return methods;
+}
+
+// -------------------------------------------------------------------
+// Path joining: <base> + <sub>
+// -------------------------------------------------------------------
+function joinPaths(base, sub) {
+  base = base || "";
+  sub = sub || "";
+  if (!base) return sub;
+  if (!sub) return base;
+  const b = base.endsWith("/") ? base.slice(0, -1) : base;
+  const s = sub.startsWith("/") ? sub : "/" + sub;
+  return b + s;
+}
+
+function makeRoute(fields) {
+  const method = fields.method || "ANY";
+  const endpoint = fields.path != null ? fields.path : "";
+  return {
+    type: "route",
+    framework: fields.framework,
+    method,
+    path: endpoint,
+    handler: fields.handler || null,
+    kind: fields.kind || "route",
+    isRegex: false,
+    decorator: fields.decorator || null,
+    scope: fields.scope,
+    handlerLine: fields.handlerLine != null ? fields.handlerLine : null,
+    text: (fields.text || `[${fields.framework}] ${method} ${endpoint}`).slice(0, MAX_TEXT),
+    startLine: fields.startLine,
+    endLine: fields.endLine,
+  };
+}
+
+// -------------------------------------------------------------------
+// Spring
+// -------------------------------------------------------------------
+function enclosingType(node) {
+  let p = node.parent;
+  while (p && !TYPE_DECL_TYPES.has(p.type)) p = p.parent;
+  return p || null;
+}
+
+function classBasePath(typeNode, parsed) {
+  if (!typeNode) return "";
+  for (const ann of getAnnotations(typeNode, parsed)) {
+    if (annotationName(ann) === "RequestMapping") return annotationPath(ann) || "";
+  }
+  return "";
+}
+
+function springRoutes(fnNode, base, parsed) {
+  const annos = getAnnotations(fnNode, parsed);
+  if (!annos.length) return [];
+
+  const nameNode = fnNode.childForFieldName("name");
+  const handler = nameNode ? slice(parsed.source, nameNode) : null;
+  // Match the startLine that extract-functions-kotlin records for this function
+  const handlerLine = fnNode.startPosition.row + 1;
+
+  const routes = [];
+  for (const ann of annos) {
+    const name = annotationName(ann);
+    const common = {
+      framework: "spring",
+      handler, handlerLine,
+      scope: "function",
+      text: slice(ann.source, ann.node),
+      startLine: ann.node.startPosition.row + 1,
+      endLine: ann.node.endPosition.row + 1,
+    };
+
+    if (SPRING_METHOD_ANNOS[name]) {
+      routes.push(makeRoute({
+        ...common,
+        method: SPRING_METHOD_ANNOS[name],
+        path: joinPaths(base, annotationPath(ann)),
+        decorator: `@${name}`,
+      }));
+    } else if (name === "RequestMapping") {
+      const methods = springRequestMethods(ann);
+      routes.push(makeRoute({
+        ...common,
+        method: methods.length ? methods.join(",") : "ANY",
+        path: joinPaths(base, annotationPath(ann)),
+        decorator: "@RequestMapping",
+      }));
+    }
+  }
+  return routes;
+}
+
+// -------------------------------------------------------------------
+// Ktor
+// -------------------------------------------------------------------
+
+// `get("/x") { }` / `get { }` / `post<Body>("/x") { }` -> { verb, pathArg, lambda }
+function ktorCallParts(node, source) {
+  if (node.type !== "call_expression") return null;
+  const lambda = node.namedChildren.find((c) => c.type === "annotated_lambda");
+  if (!lambda) return null;
+
+  let callee = node.namedChild(0);
+  let args = null;
+  if (callee && callee.type === "call_expression") {
+    args = callee.namedChildren.find((c) => c.type === "value_arguments") || null;
+    callee = callee.namedChild(0);
+  }
+  if (!callee || callee.type !== "identifier") return null;
+
+  let pathArg = null;
+  if (args) {
+    const first = args.namedChildren.find((c) => c.type === "value_argument");
+    pathArg = first ? stringLiteralValue(first.namedChild(first.namedChildCount - 1), source) : null;
+  }
+  return { verb: slice(source, callee), pathArg, hasArgs: !!args };
+}
+
+// Prefix from enclosing `route("/p") { }` blocks, outermost first.
+function ktorPrefix(node, source) {
+  const prefixes = [];
+  let p = node.parent;
+  while (p) {
+    const parts = ktorCallParts(p, source);
+    if (parts && parts.verb === "route" && parts.pathArg != null) prefixes.unshift(parts.pathArg);
+    p = p.parent;
+  }
+  return prefixes.reduce((acc, seg) => joinPaths(acc, seg), "");
+}
+
+function importsKtor(tree, source) {
+  for (let i = 0; i < tree.rootNode.namedChildCount; i++) {
+    const node = tree.rootNode.namedChild(i);
+    if (node.type === "import" && /\bio\.ktor\b/.test(slice(source, node))) return true;
+  }
+  return false;
+}
+
+function ktorRoutes(tree, source) {
+  const routes = [];
+  traverse(tree.rootNode, (node) => {
+    const parts = ktorCallParts(node, source);
+    if (!parts || !KTOR_VERBS[parts.verb]) return;
+    // A path argument that is not a route-like string (e.g. get(key) { }) is not a route
+    if (parts.hasArgs && !(parts.pathArg != null && (parts.pathArg === "" || parts.pathArg.startsWith("/") || parts.pathArg.startsWith("{")))) return;
+
+    const method = KTOR_VERBS[parts.verb];
+    const endpoint = joinPaths(ktorPrefix(node, source), parts.pathArg || "");
+    routes.push(makeRoute({
+      framework: "ktor",
+      method,
+      path: endpoint,
+      scope: "file",
+      text: `[ktor] ${method} ${endpoint}`,
+      startLine: node.startPosition.row + 1,
+      endLine: node.endPosition.row + 1,
+    }));
+  });
+  return routes;
+}
+
+/**
+ * Main entry: returns an array of route objects for a single Kotlin file.
+ */
+function extractRoutes(parsed) {
+  const { source, tree } = parsed;
+  const routes = [];
+  const baseCache = new Map(); // typeNode.startIndex -> base path
+
+  traverse(tree.rootNode, (node) => {
+    if (node.type !== "function_declaration") return;
+    const type = enclosingType(node);
+    const key = type ? type.startIndex : -1;
+    if (!baseCache.has(key)) baseCache.set(key, classBasePath(type, parsed));
+    routes.push(...springRoutes(node, baseCache.get(key), parsed));
+  });
+
+  if (importsKtor(tree, source)) routes.push(...ktorRoutes(tree, source));
+
+  routes.sort((a, b) => a.startLine - b.startLine || a.endLine - b.endLine);
+  return routes;
+}
+
+function extractFileRoutes(filePath) {
+  try {
+    return extractRoutes(parseKotlinFile(filePath));
+  } catch (e) {
+    return [];
+  }
+}
+
+module.exports = { extractRoutes, extractFileRoutes };
+
+// -------------------------------------------------------------
+// CLI: node kotlin/extract-routes-kotlin.js <File.kt>
+// -------------------------------------------------------------
+if (require.main === module) {
+  const target = process.argv[2];
+  if (!target) {
+    console.error("Usage: node kotlin/extract-routes-kotlin.js <File.kt>");
+    process.exit(1);
+  }
+  const routes = extractFileRoutes(path.resolve(target));
+  console.log(JSON.stringify(routes, null, 2));
+  console.log(`\n${routes.length} route(s) detected.`);
+}
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const glob = require("glob");
+const { extractFunctionsAndCalls, extractImports, extractFileStatements } = require("./extract-functions-kotlin");
+const { extractClasses } = require("./extract-classes-kotlin");
+const { extractFileRoutes } = require("./extract-routes-kotlin");
+const { getIgnorePatternsWithPrefix } = require("../ignore-patterns");
+
+// -------------------------------------------------------------
+// Helpers
+// -------------------------------------------------------------
+function getKotlinFiles(repoPath, ignorePatterns = null) {
+  const patterns = ignorePatterns || getIgnorePatternsWithPrefix(repoPath, { language: 'kotlin' });
+  return glob.sync(`${repoPath}/**/*.{kt,kts}`, {
+    ignore: patterns,
+  });
+}
+
+// Top-level declarations start at column 0 (after optional modifiers/annotations).
+const TOP_LEVEL_DECL = /^(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|internal|private|data|sealed|enum|abstract|open|annotation|inline|value|suspend|tailrec|operator|infix|const|lateinit|expect|actual|fun)\s+)*(?:class|interface|object|fun|val|var|typealias)\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?(\w+)/gm;
+
+/**
+ * Build the repo declaration index used to resolve imports:
+ *   fqNames  : "com.acme.User" -> ["src/main/kotlin/com/acme/User.kt"]
+ *   packages : "com.acme"      -> [every file declaring that package]
+ *   javaFiles: repo-relative .java paths (Kotlin/Java interop)
+ * Regex based - parsing every file twice would double the analysis time.
+ */
+function buildDeclarationIndex(repoPath, files) {
+  const fqNames = {};
+  const packages = {};
+
+  for (const file of files) {
+    let source;
+    try {
+      source = fs.readFileSync(file, "utf8");
+    } catch {
+      continue;
+    }
+    const rel = path.relative(repoPath, file);
+    const pkgMatch = source.match(/^\s*package\s+([\w.]+)/m);
+    const pkg = pkgMatch ? pkgMatch[1] : "";
+
+    if (pkg) (packages[pkg] || (packages[pkg] = [])).push(rel);
+
+    for (const m of source.matchAll(TOP_LEVEL_DECL)) {
+      const fq = pkg ? `${pkg}.${m[1]}` : m[1];
+      const list = fqNames[fq] || (fqNames[fq] = []);
+      if (!list.includes(rel)) list.push(rel);
+    }
+  }
+
+  const javaFiles = glob.sync(`${repoPath}/**/*.java`, {
+    ignore: getIgnorePatternsWithPrefix(repoPath, { language: 'java' }),
+  }).map((f) => path.relative(repoPath, f));
+
+  return { fqNames, packages, javaFiles };
+}
+
+// -------------------------------------------------------------
+// Analyze a single file
+// -------------------------------------------------------------
+function analyzeFile(file, repoPath, declIndex, opts) {
+  const imports = extractImports(file, declIndex);
+  const functions = extractFunctionsAndCalls(file, repoPath, declIndex, opts.captureSourceCode, opts.captureStatements);
+  const classes = extractClasses(file, repoPath, opts.captureStatements);
+
+  const statements = opts.captureStatements ? extractFileStatements(file) : [];
+
+  // Spring routes attach to their handler function (name + startLine), like
+  // the Java analyzer; Ktor DSL routes have no handler and stay file-level.
+  if (opts.captureStatements) {
+    for (const rt of extractFileRoutes(file)) {
+      const fn = functions.find(
+        f => f.name === rt.handler && f.startLine === rt.handlerLine
+      );
+      if (fn) {
+        (fn.statements || (fn.statements = [])).push(rt);
+      } else {
+        statements.push(rt);
+      }
+    }
+  }
+
+  return {
+    path: path.relative(repoPath, file),
+    importFiles: imports.importFiles,
+    externalImports: imports.externalImports,
+    functions,
+    classes,
+    statements,
+  };
+}
+
+// -------------------------------------------------------------
+// Analyze Repo
+// -------------------------------------------------------------
+function analyzeKotlinRepo(repoPath, opts = {}) {
+  const kotlinFiles = getKotlinFiles(repoPath, opts.ignorePatterns);
+  const results = opts.onResult ? null : [];
+  const totalFiles = kotlinFiles.length;
+
+  const spinnerFrames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+  let spinnerIndex = 0;
+
+  console.log(`\n📊 Kotlin files to process: ${totalFiles}\n`);
+
+  // The index covers every Kotlin file so that filtered (incremental) runs
+  // still resolve imports into unchanged files.
+  const declIndex = buildDeclarationIndex(repoPath, kotlinFiles);
+
+  for (let i = 0; i < kotlinFiles.length; i++) {
+    const file = kotlinFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
+
+    try {
+      const percentage = ((i / totalFiles) * 100).toFixed(1);
+      const spinner = spinnerFrames[spinnerIndex % spinnerFrames.length];
+      const fileName = path.relative(repoPath, file);
+
+      process.stdout.write(`\r${spinner} Processing Kotlin: ${i}/${totalFiles} (${percentage}%) - ${fileName.substring(0, 60).padEnd(60, ' ')}`);
+      spinnerIndex++;
+
+      const fileResult = analyzeFile(file, repoPath, declIndex, opts);
+      if (opts.onResult) {
+        opts.onResult(fileResult);
+      } else {
+        results.push(fileResult);
+      }
+    } catch (e) {
+      console.log(`\n❌ Error analyzing ${file}:`, e);
+      if (opts.onFileError) opts.onFileError(file, e);
+    }
+  }
+
+  // Clear the progress line and show completion
+  process.stdout.write(`\r${' '.repeat(120)}\r`);
+  console.log(`✅ Processed ${totalFiles} Kotlin files\n`);
+
+  return results || [];
+}
+
+module.exports = { analyzeKotlinRepo, buildDeclarationIndex };
+
+// -------------------------------------------------------------
+// Main
+// -------------------------------------------------------------
+if (require.main === module) {
+  if (process.argv.length < 4) {
+    console.error(
+      "Usage: node file-tree-mapper-kotlin.js <repoPath> <importsOutput.json>"
+    );
+    process.exit(1);
+  }
+
+  const repoPath = path.resolve(process.argv[2]);
+  const importsOutput = path.resolve(process.argv[3]);
+  const captureSourceCode = process.argv.includes("--capture-source-code");
+  const captureStatements = process.argv.includes("--capture-statements");
+
+  console.log(`Scanning Kotlin repo: ${repoPath}`);
+
+  const analysis = analyzeKotlinRepo(repoPath, { captureSourceCode, captureStatements });
+  fs.writeFileSync(importsOutput, JSON.stringify(analysis, null, 2));
+
+  console.log(`Output written to → ${importsOutput}`);
+}
@@ -0,0 +1,98 @@
+/**
+ * Local git-diff mode for the CLI (`repo-to-json-tree --since <commit> [--until <commit>]`).
+ *
+ * Offline counterpart of server.js `resolveGitDiff()`: instead of the provider
+ * REST APIs it uses plain `git` against a local clone. The `--until` snapshot
+ * is exported into a temp dir with `git archive`, so uncommitted changes in
+ * the working tree never leak into the output and unchanged files are still
+ * on disk for cross-file import resolution.
+ */
+
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+function git(repoPath, args) {
+  try {
+    return execFileSync("git", ["-C", repoPath, ...args], {
+      encoding: "utf8",
+      maxBuffer: 256 * 1024 * 1024,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  } catch (err) {
+    const stderr = err.stderr ? err.stderr.toString().trim() : "";
+    throw new Error(`git ${args[0]} failed: ${stderr || err.message}`);
+  }
+}
+
+function resolveCommit(repoPath, ref) {
+  return git(repoPath, ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`]).trim();
+}
+
+/**
+ * List files changed between two commits. Renames are reported as a delete
+ * plus an add (`--no-renames`), matching what the provider compare APIs give
+ * the server.
+ *
+ * @returns {{ changed: string[], deleted: string[] }}
+ */
+function diffNameStatus(repoPath, sinceCommit, untilCommit) {
+  const out = git(repoPath, [
+    "diff", "--name-status", "--no-renames", "-z", sinceCommit, untilCommit,
+  ]);
+  const parts = out.split("\0").filter(Boolean);
+  const changed = [];
+  const deleted = [];
+  for (let i = 0; i + 1 < parts.length; i += 2) {
+    const status = parts[i][0];
+    const filePath = parts[i + 1];
+    if (status === "D") deleted.push(filePath);
+    else changed.push(filePath); // A, M, T
+  }
+  return { changed, deleted };
+}
+
+/**
+ * Resolve the diff between `since` and `until` (default HEAD) in a local
+ * clone and export the `until` snapshot into a temp dir.
+ *
+ * @returns {{ tempDir: string, filterSet: Set<string>, deletedFiles: string[], sinceCommit: string, untilCommit: string }}
+ */
+function resolveLocalGitDiff(repoPath, { since, until = "HEAD" }) {
+  let sinceCommit;
+  let untilCommit;
+  try {
+    sinceCommit = resolveCommit(repoPath, since);
+    untilCommit = resolveCommit(repoPath, until);
+  } catch (err) {
+    throw new Error(`Cannot resolve --since/--until in ${repoPath}: ${err.message}`);
+  }
+
+  const { changed, deleted } = diffNameStatus(repoPath, sinceCommit, untilCommit);
+  if (changed.length === 0 && deleted.length === 0) {
+    throw new Error(`No changed files found between ${since} and ${until}`);
+  }
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "ontology-diff-"));
+  const tarPath = `${tempDir}.tar`;
+  try {
+    git(repoPath, ["archive", "--format=tar", "-o", tarPath, untilCommit]);
+    execFileSync("tar", ["-xf", tarPath, "-C", tempDir], { stdio: ["ignore", "ignore", "pipe"] });
+  } catch (err) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    throw err;
+  } finally {
+    fs.rmSync(tarPath, { force: true });
+  }
+
+  return {
+    tempDir,
+    filterSet: new Set(changed),
+    deletedFiles: deleted,
+    sinceCommit,
+    untilCommit,
+  };
+}
+
+module.exports = { resolveLocalGitDiff, diffNameStatus };
@@ -0,0 +1,117 @@
+/**
+ * Structured logging for the HTTP server (server.js).
+ *
+ * LOG_FORMAT=json writes one JSON object per line:
+ *   { "time", "level", "msg", "requestId", "jobId", ...fields }
+ * The default ("pretty") keeps the human-readable console lines.
+ *
+ * Request context (requestId, jobId, …) is carried with AsyncLocalStorage:
+ * everything logged while handling a request — in runAnalysis, the diff jobs
+ * and the language analyzers — is tagged with the request's id without
+ * threading a logger through every call. `captureConsole()` routes the
+ * existing console.* output (analyzers included) through the logger.
+ */
+
+const util = require("util");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `fields` added to the current log context.
+ */
+function runWithContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+function logContext() {
+  return contextStorage.getStore() || {};
+}
+
+function serializeError(err) {
+  return { message: err.message, name: err.name, statusCode: err.statusCode, stack: err.stack };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {"json"|"pretty"} [opts.format="pretty"]
+ * @param {"debug"|"info"|"warn"|"error"} [opts.level="info"]
+ * @param {{ write: (s: string) => void }} [opts.stream] - JSON output (default: stdout)
+ * @param {object} [opts.fields] - Added to every entry
+ */
+function createLogger({ format = "pretty", level = "info", stream, fields = {} } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+  // Bound at creation so captureConsole() can't loop back into itself
+  const write = stream ? (line) => stream.write(line) : process.stdout.write.bind(process.stdout);
+  const consoleMethods = { debug: console.log, info: console.log, warn: console.warn, error: console.error };
+
+  function log(entryLevel, msg, extra = {}) {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = { ...fields, ...logContext(), ...extra };
+    if (entry.err instanceof Error) entry.err = serializeError(entry.err);
+
+    if (format === "json") {
+      write(JSON.stringify({ time: new Date().toISOString(), level: entryLevel, msg, ...entry }) + "\n");
+      return;
+    }
+    const pairs = Object.entries(extra)
+      .filter(([key, value]) => value !== undefined && key !== "err")
+      .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`);
+    const suffix = pairs.length ? ` (${pairs.join(", ")})` : "";
+    const args = [`${msg}${suffix}`];
+    if (extra.err) args.push(extra.err instanceof Error ? extra.err : entry.err.message);
+    consoleMethods[entryLevel](...args);
+  }
+
+  return {
+    format,
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    child: (childFields) => createLogger({ format, level, stream, fields: { ...fields, ...childFields } }),
+  };
+}
+
+/**
+ * Route console.log / info / warn / error through a JSON `logger`, and drop
+ * the analyzers' carriage-return progress redraws, which would otherwise
+ * break the one-object-per-line output. Returns a function that undoes it.
+ */
+function captureConsole(logger) {
+  const original = {
+    log: console.log,
+    info: console.info,
+    warn: console.warn,
+    error: console.error,
+    stdoutWrite: process.stdout.write,
+  };
+  const forward = (level) => (...args) => {
+    const msg = util.format(...args).trim();
+    if (msg) logger[level](msg);
+  };
+  console.log = forward("info");
+  console.info = forward("info");
+  console.warn = forward("warn");
+  console.error = forward("error");
+  process.stdout.write = function write(chunk, ...rest) {
+    if (typeof chunk === "string" && (chunk.startsWith("\r") || chunk.trim() === "")) {
+      const callback = rest.find((arg) => typeof arg === "function");
+      if (callback) process.nextTick(callback);
+      return true;
+    }
+    return original.stdoutWrite.call(process.stdout, chunk, ...rest);
+  };
+
+  return () => {
+    console.log = original.log;
+    console.info = original.info;
+    console.warn = original.warn;
+    console.error = original.error;
+    process.stdout.write = original.stdoutWrite;
+  };
+}
+
+module.exports = { createLogger, captureConsole, runWithContext, logContext };
@@ -11,24 +11,28 @@ const fs = require("fs");
 const zlib = require("zlib");
 const glob = require("glob");
 const { readSource } = require("./utils");
-
-// Import language analyzers
+const { openAnalysisCache } = require("./analysis-cache");
+const { resolveLocalGitDiff } = require("./local-git-diff");
+const { runAnalyzerInPool } = require("./worker-pool");
+const { resolveCallGraphFile } = require("./call-graph-resolver");
+const { reconcileApiSpecsFile } = require("./api-spec-resolver");
+const { version: packageVersion } = require("./package.json");
+
+const { getAnalyzerRegistry, supportedExtensions } = require("./analyzer-registry");
+const { analyzeConfigRepo } = require("./config/file-tree-mapper-config");
+const { discoverModules, moduleResolver } = require("./config/workspace-modules");
 const {
-  analyzeTypeScriptRepo,
-} = require("./typescript/file-tree-mapper-typescript");
-const { analyzeJavaScriptRepo } = require("./nodejs/file-tree-mapper-nodejs");
-const { analyzePythonRepo } = require("./python/file-tree-mapper-python");
-const { analyzeJavaRepo } = require("./java/file-tree-main-java");
-const { analyzeCSharpRepo } = require("./csharp/file-tree-mapper-csharp");
-const { analyzeGolangRepo } = require("./golang/file-tree-mapper-golang");
+  emptyKubernetesInfo,
+  addKubernetesInfo,
+  dedupeKubernetesInfo,
+  mergeKubernetesInfo,
+} = require("./config/kubernetes");
 const {
-  analyzeSalesforceRepo,
-} = require("./salesforce/file-tree-mapper-salesforce");
-const { analyzePHPRepo } = require("./php/file-tree-mapper-php");
-const { analyzeVBNetRepo } = require("./vbnet/file-tree-mapper-vbnet");
-const { analyzeConfigRepo } = require("./config/file-tree-mapper-config");
-const { analyzeVueRepo } = require("./vue/file-tree-mapper-vue");
-const { analyzePerlRepo } = require("./perl/file-tree-mapper-perl");
+  emptyCiInfo,
+  addCiInfo,
+  dedupeCiInfo,
+  mergeCiInfo,
+} = require("./config/ci-pipelines");
 const {
   getIgnorePatterns,
   getIgnorePatternsWithPrefix,
@@ -52,67 +56,6 @@ function countLinesOfCode(filePath) {
   }
 }
 
-// Language configuration
-const LANGUAGE_CONFIG = {
-  typescript: {
-    extensions: ["**/*.ts", "**/*.tsx", "**/*.mts", "**/*.cts"],
-    name: "TypeScript",
-    analyzer: analyzeTypeScriptRepo,
-    priority: 1, // Higher priority means it's checked first
-  },
-  javascript: {
-    extensions: ["**/*.js", "**/*.jsx", "**/*.mjs", "**/*.cjs"],
-    name: "JavaScript",
-    analyzer: analyzeJavaScriptRepo,
-  },
-  python: {
-    extensions: ["**/*.py"],
-    name: "Python",
-    analyzer: analyzePythonRepo,
-  },
-  java: {
-    extensions: ["**/*.java"],
-    name: "Java",
-    analyzer: analyzeJavaRepo,
-  },
-  csharp: {
-    extensions: ["**/*.cs"],
-    name: "C#",
-    analyzer: analyzeCSharpRepo,
-  },
-  golang: {
-    extensions: ["**/*.go"],
-    name: "Go",
-    analyzer: analyzeGolangRepo,
-  },
-  salesforce: {
-    extensions: ["**/*.cls", "**/*.trigger"],
-    name: "Salesforce Apex",
-    analyzer: analyzeSalesforceRepo,
-  },
-  php: {
-    extensions: ["**/*.php"],
-    name: "PHP",
-    analyzer: analyzePHPRepo,
-  },
-  vbnet: {
-    extensions: ["**/*.vb"],
-    name: "VB.NET",
-    analyzer: analyzeVBNetRepo,
-  },
-  vue: {
-    extensions: ["**/*.vue"],
-    name: "Vue",
-    analyzer: analyzeVueRepo,
-    priority: 2, // Check before plain JavaScript so .vue files are detected
-  },
-  perl: {
-    extensions: ["**/*.pl", "**/*.pm", "**/*.psgi", "**/*.t"],
-    name: "Perl",
-    analyzer: analyzePerlRepo,
-  },
-};
-
 // ----------------------------
 // Detect languages in repository
 // ----------------------------
@@ -129,14 +72,8 @@ function detectLanguages(repoPath, verbose = false) {
   // Get ignore patterns from centralized module (supports .repoignore files)
   const ignorePatterns = getIgnorePatterns(repoPath);
 
-  // Sort by priority (if defined) to check TypeScript before JavaScript
-  const languageEntries = Object.entries(LANGUAGE_CONFIG).sort((a, b) => {
-    const priorityA = a[1].priority || 0;
-    const priorityB = b[1].priority || 0;
-    return priorityB - priorityA;
-  });
-
-  for (const [langKey, config] of languageEntries) {
+  // Registry lists by priority, so TypeScript is checked before JavaScript
+  for (const config of getAnalyzerRegistry().list()) {
     if (verbose) {
       console.log(`   Checking for ${config.name} files...`);
     }
@@ -156,18 +93,14 @@ function detectLanguages(repoPath, verbose = false) {
           console.log(`   ✓ Found ${files.length} ${pattern} files`);
         }
         // Always log skipped files for detected languages
-        logSkippedFiles(repoPath, pattern, config.name, verbose, langKey);
+        logSkippedFiles(repoPath, pattern, config.name, verbose, config.ignoreKey);
 
         break;
       }
     }
 
     if (hasFiles) {
-      detectedLanguages.push({
-        key: langKey,
-        name: config.name,
-        analyzer: config.analyzer,
-      });
+      detectedLanguages.push({ ...config });
       if (verbose) {
         console.log(`   ✅ ${config.name} detected`);
       }
@@ -177,6 +110,22 @@ function detectLanguages(repoPath, verbose = false) {
   return detectedLanguages;
 }
 
+// ----------------------------
+// Repo-relative files a language analyzer will see (for the incremental cache)
+// ----------------------------
+function languageFiles(repoPath, language) {
+  const ignore = getIgnorePatternsWithPrefix(repoPath, {
+    language: language.ignoreKey || language.key,
+  });
+  const files = new Set();
+  for (const pattern of getAnalyzerRegistry().get(language.key).extensions) {
+    glob
+      .sync(path.join(repoPath, pattern), { nodir: true, ignore })
+      .forEach((file) => files.add(path.relative(repoPath, file)));
+  }
+  return [...files];
+}
+
 // ----------------------------
 // Process a single language
 // ----------------------------
@@ -186,18 +135,19 @@ async function processLanguage(language, repoPath, verbose = false, opts = {}) {
 
     // Get language-specific ignore patterns (common + language-specific)
     const ignorePatterns = getIgnorePatternsWithPrefix(repoPath, {
-      language: language.key,
+      language: language.ignoreKey || language.key,
     });
 
     // Call the analyzer function with language-specific ignore patterns
-    const data = await Promise.resolve(
-      language.analyzer(repoPath, { ...opts, ignorePatterns }),
-    );
+    // (pooled analyzers compute the same patterns in their workers)
+    const data = await runLanguageAnalyzer(language, repoPath, { ...opts, ignorePatterns });
 
     console.log(`✅ ${language.name} analysis complete!`);
 
     return { language: language.key, name: language.name, data };
   } catch (err) {
+    // A cancelled run is not an analyzer failure
+    if (opts.signal && opts.signal.aborted) throw opts.signal.reason;
     console.error(`\n❌ ${language.name} analysis failed:`, err);
     return null;
   }
@@ -212,6 +162,7 @@ function mergeLanguageOutputs(
   outputDir,
   ndjsonTarget,
   filterPaths,
+  moduleOf,
 ) {
   console.log("\n🔄 Merging all language outputs...");
 
@@ -257,15 +208,29 @@ function mergeLanguageOutputs(
       services: [],
       exposedPorts: [],
     },
+    kubernetesInfo: emptyKubernetesInfo(),
+    ciInfo: emptyCiInfo(),
     buildTools: [],
     dependencies: {
       total: 0,
       production: 0,
       development: 0,
     },
+    modules: [],
   };
 
   for (const result of languageResults) {
+    // Workspace modules are entities, not files of an analyzed language
+    if (result && result.language === "module" && Array.isArray(result.data)) {
+      result.data.forEach((module) => {
+        if (!filterPaths || (module.manifest && filterPaths.has(module.manifest))) {
+          writeNdjsonLine({ ...module, type: "module", language: "config" });
+        }
+        configStats.modules.push(module.name);
+      });
+      continue;
+    }
+
     if (result && result.data) {
       analyzedLanguages.push(result.language);
 
@@ -287,6 +252,7 @@ function mergeLanguageOutputs(
               "size",
               "lines",
               "language",
+              "module",
             ];
             const metadata = {};
 
@@ -298,11 +264,12 @@ function mergeLanguageOutputs(
 
             const configFileData = {
               path: file.path,
-              type: "config",
+              type: file.apiSpec ? "api_spec" : "config",
               language: "config",
               loc,
               metadata,
             };
+            if (file.module) configFileData.module = file.module;
 
             if (!filterPaths || filterPaths.has(file.path)) {
               writeNdjsonLine(configFileData);
@@ -359,6 +326,12 @@ function mergeLanguageOutputs(
               }
             }
 
+            // Extract Kubernetes manifest / Helm chart info
+            addKubernetesInfo(configStats.kubernetesInfo, file);
+
+            // Extract CI pipeline info
+            addCiInfo(configStats.ciInfo, file);
+
             // Extract Maven info
             if (file.fileName === "pom.xml") {
               configStats.packageManagers.push("maven");
@@ -415,6 +388,8 @@ function mergeLanguageOutputs(
               language: result.language,
               loc,
             };
+            const module = moduleOf && moduleOf(file.path);
+            if (module) codeFileData.module = module;
 
             if (!filterPaths || filterPaths.has(file.path)) {
               writeNdjsonLine(codeFileData);
@@ -453,6 +428,8 @@ function mergeLanguageOutputs(
   configStats.dockerInfo.exposedPorts = [
     ...new Set(configStats.dockerInfo.exposedPorts),
   ];
+  dedupeKubernetesInfo(configStats.kubernetesInfo);
+  dedupeCiInfo(configStats.ciInfo);
 
   // Add language file counts into byType
   Object.entries(languageFileCount).forEach(([lang, count]) => {
@@ -513,6 +490,24 @@ function mergeLanguageOutputs(
         );
       }
     }
+    const { kubernetesInfo } = configStats;
+    if (kubernetesInfo.hasManifests || kubernetesInfo.hasHelmCharts) {
+      const kinds = Object.entries(kubernetesInfo.resources).map(([kind, count]) => `${count} ${kind}`);
+      console.log(
+        `   - Kubernetes: ${kinds.length > 0 ? kinds.join(", ") : "no resources"}${kubernetesInfo.hasHelmCharts ? ` (Helm: ${kubernetesInfo.helmCharts.map((c) => c.name).join(", ")})` : ""}`,
+      );
+    }
+    const { ciInfo } = configStats;
+    if (ciInfo.pipelines.length > 0) {
+      console.log(
+        `   - CI/CD: ${ciInfo.pipelines.length} pipeline(s) (${ciInfo.providers.join(", ")})${ciInfo.environments.length > 0 ? `, environments: ${ciInfo.environments.join(", ")}` : ""}`,
+      );
+    }
+  }
+  if (configStats.modules.length > 0) {
+    console.log(
+      `   - Workspace modules: ${configStats.modules.length} (${configStats.modules.join(", ")})`,
+    );
   }
 
   if (isStream || isFilePath) {
@@ -584,12 +579,23 @@ function mergeProjectMetaData(base, incoming) {
           ]),
         ],
       },
+      kubernetesInfo: mergeKubernetesInfo(
+        base.configs.kubernetesInfo,
+        incoming.configs.kubernetesInfo,
+      ),
+      ciInfo: mergeCiInfo(base.configs.ciInfo, incoming.configs.ciInfo),
       buildTools: [
         ...new Set([
           ...base.configs.buildTools,
           ...incoming.configs.buildTools,
         ]),
       ],
+      modules: [
+        ...new Set([
+          ...(base.configs.modules || []),
+          ...(incoming.configs.modules || []),
+        ]),
+      ],
       dependencies: {
         total:
           base.configs.dependencies.total + incoming.configs.dependencies.total,
@@ -753,11 +759,40 @@ function addMetadata(mergedOutputPath, repoPath, opts, verbose = false) {
   }
 }
 
+// ----------------------------
+// Run one analyzer, in-process or on the worker pool
+// ----------------------------
+// `poolFilter` mirrors analyzerOpts.fileFilter in a form workers can use:
+// `only` = paths to parse, `serve` = paths analyzerOpts.fileFilter emits itself.
+// `analyzerOpts.offMainThread` uses the pool even for a single worker.
+function runLanguageAnalyzer(language, repoPath, analyzerOpts, poolFilter = {}) {
+  const workers = parseInt(analyzerOpts.workers, 10) || 1;
+  if ((workers <= 1 && !analyzerOpts.offMainThread) || language.pooled === false) {
+    return Promise.resolve(language.analyzer(repoPath, analyzerOpts));
+  }
+  return runAnalyzerInPool(language, repoPath, {
+    workers,
+    signal: analyzerOpts.signal,
+    onResult: analyzerOpts.onResult,
+    onFileError: analyzerOpts.onFileError,
+    analyzerOpts: {
+      captureSourceCode: !!analyzerOpts.captureSourceCode,
+      captureStatements: !!analyzerOpts.captureStatements,
+    },
+    only: poolFilter.only,
+    serve: poolFilter.serve,
+    serveFile: analyzerOpts.fileFilter,
+  });
+}
+
 // ----------------------------
 // Main auto-detect function
 // ----------------------------
 async function autoDetectAndProcess(repoPath, outputDir, opts) {
   const verbose = opts.verbose || false;
+  // In --since mode the `--until` snapshot is exported to a temp dir and only
+  // files changed in the diff are parsed and written.
+  let diff = null;
 
   try {
     console.log(
@@ -772,14 +807,31 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
     console.log(`\n📂 Repository: ${repoPath}`);
     console.log(`📁 Output directory: ${outputDir}`);
 
+    if (opts.since) {
+      diff = resolveLocalGitDiff(repoPath, { since: opts.since, until: opts.until });
+      console.log(
+        `\n🔀 Diff ${diff.sinceCommit.slice(0, 12)}..${diff.untilCommit.slice(0, 12)}: ${diff.filterSet.size} added/modified, ${diff.deletedFiles.length} deleted`,
+      );
+      if (opts.incremental) {
+        console.log("⚠️  --incremental is ignored with --since; only changed files are analyzed.");
+      }
+    }
+    const sourcePath = diff ? diff.tempDir : repoPath;
+    const inDiff = (relPath) =>
+      !diff || diff.filterSet.has(relPath.split(path.sep).join("/"));
+    // Workspace modules: each code file is attributed to the one containing it
+    const modules = discoverModules(sourcePath);
+    const moduleOf = moduleResolver(modules);
+    if (modules.length > 0) {
+      console.log(`\n📦 Found ${modules.length} workspace module(s): ${modules.map((m) => m.name).join(", ")}`);
+    }
+
     // Step 1: Detect languages
-    const detectedLanguages = detectLanguages(repoPath, verbose);
+    const detectedLanguages = detectLanguages(sourcePath, verbose);
 
     if (detectedLanguages.length === 0) {
       console.log("\n⚠️  No supported languages detected in the repository.");
-      console.log(
-        "Supported file types: .js, .jsx, .ts, .tsx, .py, .java, .cs, .go, .cls, .trigger, .php, .vb",
-      );
+      console.log(`Supported file types: ${supportedExtensions().join(", ")}`);
       return { success: true, languagesDetected: 0 };
     }
 
@@ -811,13 +863,16 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
 
         // Streaming callback: each file result is written to NDJSON immediately.
         const onResult = (fileData) => {
-          const filePath = path.join(repoPath, fileData.path);
+          if (!inDiff(fileData.path)) return;
+          const filePath = path.join(sourcePath, fileData.path);
           const loc = countLinesOfCode(filePath);
           totalLinesOfCode += loc;
 
           fileData.type = "code";
           fileData.language = language.key;
           fileData.loc = loc;
+          const module = moduleOf(fileData.path);
+          if (module) fileData.module = module;
 
           fs.writeSync(ndjsonFd, JSON.stringify(fileData) + "\n");
           totalFiles++;
@@ -832,9 +887,40 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
           }
         };
 
-        await Promise.resolve(
-          language.analyzer(repoPath, { ...opts, onResult }),
-        );
+        if (diff) {
+          // Unchanged files stay on disk for import resolution but are not parsed
+          const fileFilter = (absPath) => inDiff(path.relative(sourcePath, absPath));
+          await runLanguageAnalyzer(language, sourcePath, { ...opts, onResult, fileFilter }, {
+            only: [...diff.filterSet],
+          });
+        } else if (opts.incremental) {
+          const cache = openAnalysisCache(
+            opts.cacheDir || path.join(outputDir, ".ontology-cache"),
+            language.key,
+            repoPath,
+            {
+              analyzerVersion: `${packageVersion}+${language.version || 0}`,
+              captureSourceCode: opts.captureSourceCode,
+              captureStatements: opts.captureStatements,
+              files: languageFiles(repoPath, language),
+            },
+          );
+          try {
+            await runLanguageAnalyzer(language, repoPath, { ...opts, ...cache.attach(onResult) }, {
+              serve: cache.reusablePaths(),
+            });
+          } catch (err) {
+            cache.discard();
+            throw err;
+          }
+          cache.commit();
+          const { reused, parsed, added, modified, deleted, rechecked } = cache.stats;
+          console.log(
+            `♻️  ${language.name} cache: ${reused} reused, ${parsed} parsed (${added} added, ${modified} modified, ${deleted} deleted, ${rechecked} re-checked importers)`,
+          );
+        } else {
+          await runLanguageAnalyzer(language, repoPath, { ...opts, onResult });
+        }
         analyzedLanguages.push(language.key);
         languagesProcessed++;
         console.log(`✅ ${language.name} analysis complete!`);
@@ -853,6 +939,7 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
     }
 
     // Step 2.5: Process config files (always run - these are few root-level files)
+    const codeFiles = totalFiles;
     const configStats = {
       totalConfigFiles: 0,
       byType: {
@@ -874,15 +961,18 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
         services: [],
         exposedPorts: [],
       },
+      kubernetesInfo: emptyKubernetesInfo(),
+      ciInfo: emptyCiInfo(),
       buildTools: [],
       dependencies: { total: 0, production: 0, development: 0 },
+      modules: modules.map((m) => m.name),
     };
 
     try {
-      const configData = analyzeConfigRepo(repoPath);
+      const configData = analyzeConfigRepo(sourcePath, modules);
       if (configData && configData.length > 0) {
         for (const file of configData) {
-          const filePath = path.join(repoPath, file.path);
+          const filePath = path.join(sourcePath, file.path);
           const loc = countLinesOfCode(filePath);
           totalLinesOfCode += loc;
 
@@ -893,6 +983,7 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
             "size",
             "lines",
             "language",
+            "module",
           ];
           const metadata = {};
           Object.keys(file).forEach((key) => {
@@ -903,13 +994,18 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
 
           const configFileData = {
             path: file.path,
-            type: "config",
+            type: file.apiSpec ? "api_spec" : "config",
             language: "config",
             loc,
             metadata,
           };
-          fs.writeSync(ndjsonFd, JSON.stringify(configFileData) + "\n");
-          totalFiles++;
+          if (file.module) configFileData.module = file.module;
+          // Like the server's diff stream, configs outside the diff still
+          // feed the project-level stats but are not written.
+          if (inDiff(file.path)) {
+            fs.writeSync(ndjsonFd, JSON.stringify(configFileData) + "\n");
+            totalFiles++;
+          }
           configStats.totalConfigFiles++;
 
           if (
@@ -948,6 +1044,8 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
                 ...file.dockerCompose.exposedPorts,
               );
           }
+          addKubernetesInfo(configStats.kubernetesInfo, file);
+          addCiInfo(configStats.ciInfo, file);
           if (file.fileName === "pom.xml") {
             configStats.packageManagers.push("maven");
             configStats.buildTools.push("maven");
@@ -980,6 +1078,11 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
           }
         }
       }
+      for (const module of modules) {
+        if (!diff || (module.manifest && inDiff(module.manifest))) {
+          fs.writeSync(ndjsonFd, JSON.stringify({ ...module, type: "module", language: "config" }) + "\n");
+        }
+      }
     } catch (err) {
       console.warn(`\n⚠️  Config file processing failed: ${err.message}`);
     }
@@ -995,6 +1098,8 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
     configStats.dockerInfo.exposedPorts = [
       ...new Set(configStats.dockerInfo.exposedPorts),
     ];
+    dedupeKubernetesInfo(configStats.kubernetesInfo);
+    dedupeCiInfo(configStats.ciInfo);
 
     // Add language file counts
     Object.entries(languageFileCount).forEach(([lang, count]) => {
@@ -1013,19 +1118,38 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
       generatedAt: new Date().toISOString(),
       toolVersion: "1.0.0",
     };
+    if (diff) {
+      projectMetaData.commitId = diff.untilCommit;
+      projectMetaData.baseCommitId = diff.sinceCommit;
+      projectMetaData.deletedFiles = diff.deletedFiles;
+    }
 
     // Log summary
     console.log(`\n✅ Processing complete!`);
     console.log(`   - Languages: ${analyzedLanguages.join(", ")}`);
     console.log(`   - Total files: ${totalFiles}`);
-    console.log(
-      `   - Code files: ${totalFiles - configStats.totalConfigFiles}`,
-    );
+    console.log(`   - Code files: ${codeFiles}`);
     console.log(`   - Config files: ${configStats.totalConfigFiles}`);
     console.log(`   - Total functions: ${totalFunctions}`);
     console.log(`   - Total classes: ${totalClasses}`);
     console.log(`   - Total lines of code: ${totalLinesOfCode}`);
 
+    // Link function calls to their definitions across files
+    const { resolvedCalls } = await resolveCallGraphFile(ndjsonPath);
+    console.log(`🔗 Resolved ${resolvedCalls} call(s) to their definitions`);
+
+    // Link OpenAPI operations to route handlers (needs every code file, so
+    // not for a diff)
+    if (!diff) {
+      const apiSpecInfo = await reconcileApiSpecsFile(ndjsonPath);
+      if (apiSpecInfo.specs > 0) {
+        projectMetaData.configs.apiSpecInfo = apiSpecInfo;
+        console.log(
+          `🧭 API specs: ${apiSpecInfo.operations} operation(s), ${apiSpecInfo.implemented} implemented, ${apiSpecInfo.missingHandlers} without a handler, ${apiSpecInfo.undocumentedRoutes} undocumented route(s)`,
+        );
+      }
+    }
+
     // Prepend projectMetaData using streaming (avoid reading entire file into memory)
     const tmpPath = ndjsonPath + ".tmp";
     const metaLine =
@@ -1058,12 +1182,12 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
 
     // Step 5: Generate descriptions if requested
     if (opts.generateDescriptions) {
-      generateDescriptions(gzipPath, repoPath, opts, verbose);
+      generateDescriptions(gzipPath, sourcePath, opts, verbose);
     }
 
     // Step 6: Add metadata if requested
     if (opts.addMetadata) {
-      addMetadata(gzipPath, repoPath, opts, verbose);
+      addMetadata(gzipPath, sourcePath, opts, verbose);
     }
 
     // Summary
@@ -1104,12 +1228,21 @@ async function autoDetectAndProcess(repoPath, outputDir, opts) {
       "   4. On Windows, try running in WSL or Git Bash if issues persist",
     );
     return { success: false, error: err.message };
+  } finally {
+    if (diff) {
+      try {
+        fs.rmSync(diff.tempDir, { recursive: true, force: true });
+      } catch (_) {
+        // best-effort cleanup
+      }
+    }
   }
 }
 
 // Export functions
 module.exports = {
   autoDetectAndProcess,
+  countLinesOfCode,
   detectLanguages,
   processLanguage,
   mergeLanguageOutputs,
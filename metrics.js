@@ -0,0 +1,208 @@
+/**
+ * Prometheus metrics for the HTTP server (server.js), served at /metrics in
+ * the text exposition format (version 0.0.4).
+ *
+ * A small registry of counters and histograms with fixed label names. Label
+ * values should come from bounded sets (route patterns, language keys, sink
+ * names), never from raw URLs or ids.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return "";
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  return String(value);
+}
+
+function createMetricsRegistry() {
+  const metrics = new Map(); // name -> metric
+
+  function register(metric) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(metric.name)) throw new Error(`Invalid metric name: ${metric.name}`);
+    if (metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  // Series are keyed by their label values, in labelNames order
+  function seriesKey(labelNames, labels = {}) {
+    for (const name of Object.keys(labels)) {
+      if (!labelNames.includes(name)) throw new Error(`Unknown label "${name}"`);
+    }
+    return JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? "" : String(labels[name]))));
+  }
+
+  function labelPairs(labelNames, key) {
+    return JSON.parse(key).map((value, i) => [labelNames[i], value]);
+  }
+
+  /**
+   * Monotonic counter: inc(labels?, value = 1).
+   */
+  function counter({ name, help, labelNames = [] }) {
+    const series = new Map(); // key -> value
+    return register({
+      name,
+      inc(labels, value = 1) {
+        if (value < 0) throw new Error(`Counter ${name} cannot decrease`);
+        const key = seriesKey(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + value);
+      },
+      get(labels) {
+        return series.get(seriesKey(labelNames, labels)) || 0;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const [key, value] of series) lines.push(`${name}${formatLabels(labelPairs(labelNames, key))} ${formatValue(value)}`);
+        return lines;
+      },
+    });
+  }
+
+  /**
+   * Gauge: set(labels?, value), or `collect()` to read the value at scrape time.
+   */
+  function gauge({ name, help, labelNames = [], collect }) {
+    const series = new Map();
+    return register({
+      name,
+      set(labels, value) {
+        series.set(seriesKey(labelNames, labels), value);
+      },
+      render() {
+        if (collect) series.set(seriesKey(labelNames), collect());
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+        for (const [key, value] of series) lines.push(`${name}${formatLabels(labelPairs(labelNames, key))} ${formatValue(value)}`);
+        return lines;
+      },
+    });
+  }
+
+  /**
+   * Histogram: observe(labels?, seconds). `startTimer()` returns a function
+   * that observes the elapsed seconds with the labels it is given.
+   */
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map(); // key -> { counts, sum, count }
+    function observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: bounds.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      bounds.forEach((bound, i) => {
+        if (value <= bound) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+    }
+    return register({
+      name,
+      observe,
+      startTimer() {
+        const start = process.hrtime.bigint();
+        return (labels) => {
+          const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+          observe(labels, seconds);
+          return seconds;
+        };
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const [key, s] of series) {
+          const pairs = labelPairs(labelNames, key);
+          bounds.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels([...pairs, ["le", formatValue(bound)]])} ${s.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels([...pairs, ["le", "+Inf"]])} ${s.count}`);
+          lines.push(`${name}_sum${formatLabels(pairs)} ${s.sum}`);
+          lines.push(`${name}_count${formatLabels(pairs)} ${s.count}`);
+        }
+        return lines;
+      },
+    });
+  }
+
+  // Exposition text for every registered metric
+  function render() {
+    return [...metrics.values()].map((m) => m.render().join("\n")).join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+/**
+ * The server's metrics.
+ */
+function createServerMetrics(registry = createMetricsRegistry()) {
+  const startedAt = Date.now();
+  return {
+    registry,
+    httpRequests: registry.counter({
+      name: "breeze_http_requests_total",
+      help: "HTTP requests by method, route pattern and status code.",
+      labelNames: ["method", "route", "status"],
+    }),
+    httpDuration: registry.histogram({
+      name: "breeze_http_request_duration_seconds",
+      help: "HTTP request latency by method, route pattern and status code.",
+      labelNames: ["method", "route", "status"],
+    }),
+    analysisDuration: registry.histogram({
+      name: "breeze_analysis_duration_seconds",
+      help: "Time one language analyzer took over a project, by language and outcome (ok or failed).",
+      labelNames: ["language", "outcome"],
+      buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600],
+    }),
+    filesParsed: registry.counter({
+      name: "breeze_files_parsed_total",
+      help: "Files parsed by the language analyzers, by language.",
+      labelNames: ["language"],
+    }),
+    parseFailures: registry.counter({
+      name: "breeze_parse_failures_total",
+      help: "Files an analyzer could not parse, by language.",
+      labelNames: ["language"],
+    }),
+    analyzerFailures: registry.counter({
+      name: "breeze_analyzer_failures_total",
+      help: "Language analyzer runs that failed as a whole, by language.",
+      labelNames: ["language"],
+    }),
+    uploadBytes: registry.counter({
+      name: "breeze_storage_upload_bytes_total",
+      help: "NDJSON bytes (before compression) of completed uploads, by storage sink.",
+      labelNames: ["sink"],
+    }),
+    notificationAttempts: registry.counter({
+      name: "breeze_notification_attempts_total",
+      help: "Stream-ingest notification delivery attempts by kind and outcome (delivered, retry or failed).",
+      labelNames: ["kind", "outcome"],
+    }),
+    uptime: registry.gauge({
+      name: "breeze_process_uptime_seconds",
+      help: "Seconds since the server started.",
+      collect: () => Math.round((Date.now() - startedAt) / 1000),
+    }),
+    residentMemory: registry.gauge({
+      name: "breeze_process_resident_memory_bytes",
+      help: "Resident memory of the server process.",
+      collect: () => process.memoryUsage().rss,
+    }),
+  };
+}
+
+module.exports = { createMetricsRegistry, createServerMetrics };
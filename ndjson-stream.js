@@ -0,0 +1,162 @@
+/**
+ * Streaming helpers for the NDJSON(.gz) ontology output
+ * (`<repo>-project-analysis.ndjson.gz`).
+ *
+ * The enrichment scripts (generate-file-descriptions.js, add-metadata.js) use
+ * these to walk the records one at a time instead of loading the whole
+ * repository into memory, and to write their results resumably.
+ */
+
+const fs = require("fs");
+const zlib = require("zlib");
+const readline = require("readline");
+
+/**
+ * True if the path looks like NDJSON output (`.ndjson` or `.ndjson.gz`).
+ */
+function isNdjsonPath(filePath) {
+  return /\.ndjson(\.gz)?$/i.test(filePath);
+}
+
+/**
+ * Async iterator over the records of an NDJSON file. Gzip is detected by the
+ * `.gz` extension. Blank lines are skipped.
+ *
+ * @param {string} filePath
+ * @returns {AsyncGenerator<object>}
+ */
+async function* readNdjson(filePath) {
+  let input = fs.createReadStream(filePath);
+  if (filePath.endsWith(".gz")) {
+    input = input.pipe(zlib.createGunzip());
+  }
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of rl) {
+    const trimmed = line.trim();
+    if (trimmed) yield JSON.parse(trimmed);
+  }
+}
+
+/**
+ * Count complete lines in a file without reading it into memory. A trailing
+ * partial line (left by a crash mid-write) is truncated away so the file can
+ * be appended to safely.
+ */
+function countCompleteLines(filePath) {
+  const fd = fs.openSync(filePath, "r+");
+  const buf = Buffer.alloc(64 * 1024);
+  let lines = 0;
+  let offset = 0;
+  let lastNewline = -1;
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buf, 0, buf.length, offset)) > 0) {
+      for (let i = 0; i < bytesRead; i++) {
+        if (buf[i] === 10) {
+          lines++;
+          lastNewline = offset + i;
+        }
+      }
+      offset += bytesRead;
+    }
+    if (lastNewline + 1 < offset) {
+      fs.ftruncateSync(fd, lastNewline + 1);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return lines;
+}
+
+/**
+ * Size and mtime of the input, stored next to the progress file so a resume
+ * only happens against the input the progress was made from.
+ */
+function inputFingerprint(inputPath) {
+  const stat = fs.statSync(inputPath);
+  return { size: stat.size, mtimeMs: stat.mtimeMs };
+}
+
+function readFingerprint(metaPath) {
+  try {
+    return JSON.parse(fs.readFileSync(metaPath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resumable NDJSON writer that eventually replaces `targetPath`.
+ *
+ * Records are appended to an uncompressed `<targetPath>.progress` file as they
+ * are written, so an interrupted run can pick up where it stopped:
+ * `resumeFrom` is the number of records already written by a previous run,
+ * and the caller should skip that many input records. The input's size and
+ * mtime are kept in `<targetPath>.progress.meta`; progress left from a
+ * different input (or without that file) is discarded and `discarded` is set.
+ * `finish()` gzips the progress file (when the target ends in `.gz`) over the
+ * target and removes both files.
+ *
+ * @param {string} targetPath - Final output path (`.ndjson` or `.ndjson.gz`)
+ * @param {object} [options]
+ * @param {string} [options.inputPath] - File the records are read from (defaults to `targetPath`)
+ * @returns {{ progressPath: string, resumeFrom: number, discarded: boolean, write: (record: object) => void, close: () => void, finish: () => Promise<void> }}
+ */
+function createResumableWriter(targetPath, options = {}) {
+  const progressPath = `${targetPath}.progress`;
+  const metaPath = `${progressPath}.meta`;
+  const fingerprint = inputFingerprint(options.inputPath || targetPath);
+  const previous = readFingerprint(metaPath);
+  const sameInput = previous !== null && previous.size === fingerprint.size && previous.mtimeMs === fingerprint.mtimeMs;
+
+  const hasProgress = fs.existsSync(progressPath);
+  const discarded = hasProgress && !sameInput;
+  const resumeFrom = hasProgress && sameInput ? countCompleteLines(progressPath) : 0;
+  if (discarded) fs.truncateSync(progressPath, 0);
+  fs.writeFileSync(metaPath, JSON.stringify(fingerprint));
+  let fd = fs.openSync(progressPath, "a");
+
+  function close() {
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+  }
+
+  function write(record) {
+    fs.writeSync(fd, JSON.stringify(record) + "\n");
+  }
+
+  async function finish() {
+    close();
+    if (!targetPath.endsWith(".gz")) {
+      fs.renameSync(progressPath, targetPath);
+      fs.rmSync(metaPath, { force: true });
+      return;
+    }
+    const tmpPath = `${targetPath}.tmp`;
+    await new Promise((resolve, reject) => {
+      const input = fs.createReadStream(progressPath);
+      const output = fs.createWriteStream(tmpPath);
+      input.pipe(zlib.createGzip()).pipe(output);
+      output.on("finish", resolve);
+      output.on("error", reject);
+      input.on("error", reject);
+    });
+    fs.renameSync(tmpPath, targetPath);
+    fs.unlinkSync(progressPath);
+    fs.rmSync(metaPath, { force: true });
+  }
+
+  return { progressPath, resumeFrom, discarded, write, close, finish };
+}
+
+/**
+ * True for the non-file header/trailer records (e.g. `__type: "projectMetaData"`)
+ * that enrichment passes through untouched.
+ */
+function isMetaRecord(record) {
+  return !!(record && record.__type);
+}
+
+module.exports = { isNdjsonPath, readNdjson, createResumableWriter, isMetaRecord };
@@ -510,6 +510,9 @@ function extractFuncitonAndItsCalls(filePath, repoPath, imports = null, captureS
         func.calls.forEach(call => {
           const path = functionMap.get(call.name) || functionMap.get(call.objectName);
           if(path) call.path = path;
+          // `this` or a required module (`const b = require("./b"); b.run()`),
+          // resolved to a class or file by call-graph-resolver.js
+          if (call.objectName) call.receiver = call.objectName;
           delete call.objectName;
           delete call.type;
         })
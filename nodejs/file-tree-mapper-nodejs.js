@@ -129,6 +129,7 @@ function analyzeImports(repoPath, mapper, opts = {}) {
 
   for (let i = 0; i < jsFiles.length; i++) {
     const file = jsFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
 
     try {
       // Show progress with spinner
@@ -268,6 +269,7 @@ function analyzeImports(repoPath, mapper, opts = {}) {
     } catch (e) {
       process.stdout.write('\n');
       console.log(`❌ Error analyzing file: ${file} - ${e.message}`);
+      if (opts.onFileError) opts.onFileError(file, e);
     }
   }
 
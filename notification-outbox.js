@@ -0,0 +1,275 @@
+/**
+ * Persistent outbox for the server's stream-ingest notifications to the
+ * Breeze backend (server.js).
+ *
+ * A notification is written to disk before the first delivery attempt, so
+ * an uploaded object is never orphaned by a backend outage or a restart.
+ * Deliveries are retried with exponential backoff (plus jitter); every attempt
+ * carries the same `Idempotency-Key` header (the notification id) so the
+ * backend can drop duplicates. Network errors, 408, 429 and 5xx are retried;
+ * other 4xx responses — and exhausting `maxAttempts` — mark the notification
+ * failed. Failed notifications stay in the outbox until replayed; delivered
+ * ones are dropped once older than `retentionMs`.
+ *
+ * Lifecycle: pending -> delivering -> delivered | pending (retry) | failed
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const STATUSES = ["pending", "delivering", "delivered", "failed"];
+
+function isRetryable(err) {
+  const code = err.statusCode;
+  return !code || code === 408 || code === 429 || code >= 500;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.storeDir - Directory for the persisted notification files
+ * @param {(url: string, payload: object, headers: object) => Promise<object|null>} opts.send
+ *   Delivers one notification; rejects with `err.statusCode` set for HTTP errors
+ * @param {number} [opts.maxAttempts=8] - Attempts before a notification is marked failed
+ * @param {number} [opts.baseDelayMs=1000] - Delay before the first retry; doubled on each retry
+ * @param {number} [opts.maxDelayMs=300000] - Upper bound for the retry delay
+ * @param {number} [opts.retentionMs] - Delivered notifications older than this are dropped (memory and
+ *   store) whenever a delivery completes, and on restore()
+ * @param {(notification: object, outcome: "delivered"|"retry"|"failed") => void} [opts.onAttempt]
+ *   Called after every delivery attempt (metrics)
+ */
+function createNotificationOutbox({
+  storeDir,
+  send,
+  maxAttempts = 8,
+  baseDelayMs = 1000,
+  maxDelayMs = 5 * 60 * 1000,
+  retentionMs = 24 * 60 * 60 * 1000,
+  onAttempt = () => {},
+}) {
+  const notifications = new Map(); // id -> notification state (what gets persisted)
+  const timers = new Map();        // id -> retry timer
+  const inFlight = new Set();
+  let idleWaiters = [];
+
+  function notificationFile(id) {
+    return path.join(storeDir, `${id}.json`);
+  }
+
+  function persist(notification) {
+    fs.mkdirSync(storeDir, { recursive: true });
+    const file = notificationFile(notification.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(notification, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function update(notification, patch) {
+    Object.assign(notification, patch, { updatedAt: new Date().toISOString() });
+    persist(notification);
+  }
+
+  function isExpired(notification, cutoff) {
+    return notification.status === "delivered" && Date.parse(notification.deliveredAt) < cutoff;
+  }
+
+  // Forget delivered notifications past the retention period
+  function prune() {
+    const cutoff = Date.now() - retentionMs;
+    for (const notification of notifications.values()) {
+      if (!isExpired(notification, cutoff)) continue;
+      notifications.delete(notification.id);
+      fs.rmSync(notificationFile(notification.id), { force: true });
+    }
+  }
+
+  function retryDelay(attempts) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  function schedule(notification, delayMs) {
+    clearTimeout(timers.get(notification.id));
+    const timer = setTimeout(() => {
+      timers.delete(notification.id);
+      deliver(notification);
+    }, delayMs);
+    timers.set(notification.id, timer);
+  }
+
+  // One attempt; throws only when the outcome can't be persisted
+  async function attempt(notification, label) {
+    update(notification, { status: "delivering", attempts: notification.attempts + 1, nextAttemptAt: null });
+
+    try {
+      const response = await send(notification.url, notification.payload, { "Idempotency-Key": notification.id });
+      update(notification, { status: "delivered", deliveredAt: new Date().toISOString(), lastError: null });
+      onAttempt(notification, "delivered");
+      console.log(
+        `${label} ✓ delivered (attempt ${notification.attempts})` +
+        (response ? ` — response: ${JSON.stringify(response).slice(0, 200)}` : ""),
+      );
+      prune();
+    } catch (err) {
+      if (notification.status !== "delivering") throw err; // persisting "delivered" failed
+      const lastError = { message: err.message, statusCode: err.statusCode || null, at: new Date().toISOString() };
+      if (isRetryable(err) && notification.attempts < maxAttempts) {
+        const delayMs = retryDelay(notification.attempts);
+        update(notification, { status: "pending", lastError, nextAttemptAt: new Date(Date.now() + delayMs).toISOString() });
+        onAttempt(notification, "retry");
+        console.warn(`${label} ✗ attempt ${notification.attempts}/${maxAttempts} failed, retrying in ${delayMs}ms: ${err.message}`);
+        schedule(notification, delayMs);
+      } else {
+        update(notification, { status: "failed", lastError, failedAt: new Date().toISOString() });
+        onAttempt(notification, "failed");
+        console.error(`${label} ✗ failed after ${notification.attempts} attempt(s): ${err.message}`);
+      }
+    }
+  }
+
+  // Started without being awaited, so it never rejects
+  async function deliver(notification) {
+    if (notification.status !== "pending" || inFlight.has(notification.id)) return;
+    inFlight.add(notification.id);
+    const label = `📬 [outbox] ${notification.kind} ${notification.id}`;
+
+    try {
+      await attempt(notification, label);
+    } catch (err) {
+      // The store could not be written (disk full, permissions). The state is
+      // kept in memory and the attempt counts against maxAttempts.
+      console.error(`${label} ✗ could not persist the delivery state: ${err.message}`);
+      if (notification.status === "delivering") {
+        notification.status = notification.attempts < maxAttempts ? "pending" : "failed";
+      }
+      if (notification.status === "pending" && !timers.has(notification.id)) {
+        schedule(notification, retryDelay(notification.attempts));
+      }
+    } finally {
+      inFlight.delete(notification.id);
+      if (inFlight.size === 0 && timers.size === 0) {
+        idleWaiters.forEach((resolve) => resolve());
+        idleWaiters = [];
+      }
+    }
+  }
+
+  /**
+   * Record a notification and start delivering it. Returns its state (a copy).
+   *
+   * @param {{ kind: string, url: string, payload: object }} notification
+   */
+  function enqueue({ kind, url, payload }) {
+    const now = new Date().toISOString();
+    const notification = {
+      id: crypto.randomUUID(),
+      kind,
+      url,
+      payload,
+      status: "pending",
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+      deliveredAt: null,
+      failedAt: null,
+    };
+    notifications.set(notification.id, notification);
+    persist(notification);
+
+    const queued = get(notification.id);
+    deliver(notification);
+    return queued;
+  }
+
+  /**
+   * Notification state by id, or null. Returns a copy.
+   */
+  function get(id) {
+    const notification = notifications.get(id);
+    return notification ? JSON.parse(JSON.stringify(notification)) : null;
+  }
+
+  /**
+   * Notifications, newest first, optionally filtered by status.
+   */
+  function list({ status } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      const err = new Error(`Unknown notification status "${status}" (expected ${STATUSES.join(", ")})`);
+      err.statusCode = 400;
+      throw err;
+    }
+    return [...notifications.values()]
+      .filter((n) => !status || n.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map((n) => get(n.id));
+  }
+
+  /**
+   * Deliver a failed notification again with a fresh attempt budget (same
+   * idempotency key). Returns the state, or null for an unknown id; other
+   * statuses are returned unchanged.
+   */
+  function replay(id) {
+    const notification = notifications.get(id);
+    if (!notification) return null;
+    if (notification.status !== "failed") return get(id);
+
+    update(notification, { status: "pending", attempts: 0, failedAt: null, nextAttemptAt: new Date().toISOString() });
+    const replayed = get(id);
+    deliver(notification);
+    return replayed;
+  }
+
+  /**
+   * Load persisted notifications and resume pending deliveries. Call once at
+   * startup, before enqueueing.
+   */
+  function restore() {
+    let files = [];
+    try {
+      files = fs.readdirSync(storeDir).filter((f) => f.endsWith(".json"));
+    } catch (_) {
+      return { restored: 0, resumed: 0, failed: 0 };
+    }
+
+    let resumed = 0;
+    const cutoff = Date.now() - retentionMs;
+    for (const file of files) {
+      let notification;
+      try {
+        notification = JSON.parse(fs.readFileSync(path.join(storeDir, file), "utf8"));
+      } catch (_) {
+        continue;
+      }
+      if (!notification || !notification.id || notifications.has(notification.id)) continue;
+
+      if (isExpired(notification, cutoff)) {
+        fs.rmSync(path.join(storeDir, file), { force: true });
+        continue;
+      }
+      notifications.set(notification.id, notification);
+
+      // "delivering" means the process died mid-request; the idempotency key makes a resend safe
+      if (notification.status === "pending" || notification.status === "delivering") {
+        update(notification, { status: "pending" });
+        const due = Date.parse(notification.nextAttemptAt) || 0;
+        schedule(notification, Math.max(0, due - Date.now()));
+        resumed++;
+      }
+    }
+
+    const failed = [...notifications.values()].filter((n) => n.status === "failed").length;
+    return { restored: notifications.size, resumed, failed };
+  }
+
+  // Resolves once no delivery is in flight or waiting for a retry (used by tests)
+  function onIdle() {
+    if (inFlight.size === 0 && timers.size === 0) return Promise.resolve();
+    return new Promise((resolve) => idleWaiters.push(resolve));
+  }
+
+  return { enqueue, get, list, replay, restore, onIdle };
+}
+
+module.exports = { createNotificationOutbox };
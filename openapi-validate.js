@@ -0,0 +1,274 @@
+/**
+ * Request / response validation driven by the OpenAPI document (openapi.js).
+ *
+ * Schemas use the JSON Schema subset the document needs: type (incl. "null"
+ * and type arrays), enum, const, required, properties, additionalProperties,
+ * items, min/maxItems, min/maxLength, pattern, minimum/maximum, oneOf and
+ * local $refs ("#/components/...").
+ *
+ * Every problem is collected, not just the first, and reported as
+ *   400 { error: "Invalid request: <summary>", details: [{ location, field, message }] }
+ * where `location` is body | query | path | file and `field` a dotted path
+ * ("files[2].content").
+ */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function joinField(parent, key) {
+  if (typeof key === "number") return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Resolve a local $ref against the document.
+ */
+function resolveRef(spec, schema) {
+  let resolved = schema;
+  const seen = new Set();
+  while (resolved && resolved.$ref) {
+    if (seen.has(resolved.$ref)) throw new Error(`Circular $ref: ${resolved.$ref}`);
+    seen.add(resolved.$ref);
+    if (!resolved.$ref.startsWith("#/")) throw new Error(`Only local $refs are supported: ${resolved.$ref}`);
+    resolved = resolved.$ref
+      .slice(2)
+      .split("/")
+      .reduce((node, part) => (node ? node[part.replace(/~1/g, "/").replace(/~0/g, "~")] : undefined), spec);
+    if (!resolved) throw new Error(`Unresolved $ref: ${[...seen].pop()}`);
+  }
+  return resolved;
+}
+
+/**
+ * Validate `value` against `schema`; returns [{ field, message }].
+ */
+function validateSchema(spec, schema, value, field = "", errors = []) {
+  schema = resolveRef(spec, schema);
+  if (!schema) return errors;
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((s) => validateSchema(spec, s, value, field).length === 0);
+    if (matches.length !== 1) {
+      errors.push({ field, message: matches.length === 0 ? "does not match any allowed shape" : "matches more than one allowed shape" });
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({ field, message: `must be ${types.join(" or ")}` });
+      return errors;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ field, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}` });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ field, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ field, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: schema.minItems === 1 ? "must not be empty" : `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) value.forEach((item, i) => validateSchema(spec, schema.items, item, joinField(field, i), errors));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ field: joinField(field, key), message: "is required" });
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateSchema(spec, properties[key], child, joinField(field, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinField(field, key), message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        validateSchema(spec, schema.additionalProperties, child, joinField(field, key), errors);
+      }
+    }
+  }
+  return errors;
+}
+
+// Query / path / multipart values arrive as strings: coerce to the schema's type first
+function coerce(spec, schema, value) {
+  const types = [].concat(resolveRef(spec, schema).type || []);
+  if (typeof value !== "string") return value;
+  if ((types.includes("integer") || types.includes("number")) && value.trim() !== "" && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes("boolean") && /^(true|false)$/i.test(value)) return value.toLowerCase() === "true";
+  return value;
+}
+
+function isBinary(spec, schema) {
+  const resolved = resolveRef(spec, schema);
+  return resolved.format === "binary" || (resolved.type === "array" && resolveRef(spec, resolved.items || {}).format === "binary");
+}
+
+function validationResponse(details) {
+  const summary = details.map((d) => `${d.field || d.location} ${d.message}`).join("; ");
+  return { error: `Invalid request: ${summary}`, details };
+}
+
+/**
+ * @param {object} spec - The OpenAPI document
+ * @param {{ validateResponses?: boolean, onResponseMismatch?: (info: object) => void }} [opts]
+ *   With `validateResponses`, JSON responses are checked against the documented
+ *   schema for their status; mismatches are reported, never sent to the client.
+ */
+function createOpenApiValidator(spec, { validateResponses = false, onResponseMismatch } = {}) {
+  const report = onResponseMismatch || (({ method, path, status, errors }) => {
+    console.warn(`⚠️  [openapi] ${method.toUpperCase()} ${path} ${status} response does not match the spec: ` +
+      errors.map((e) => `${e.field || "(body)"} ${e.message}`).join("; "));
+  });
+
+  function operationFor(path, method) {
+    const operation = spec.paths[path] && spec.paths[path][method];
+    if (!operation) throw new Error(`No OpenAPI operation for ${method.toUpperCase()} ${path}`);
+    return operation;
+  }
+
+  /**
+   * Validate a request against the operation's parameters and request body.
+   * Returns [{ location, field, message }].
+   */
+  function validateRequest(operation, req) {
+    const details = [];
+
+    for (const param of operation.parameters || []) {
+      const resolved = resolveRef(spec, param);
+      const source = resolved.in === "path" ? req.params : resolved.in === "query" ? req.query : null;
+      if (!source) continue;
+      const raw = source[resolved.name];
+      if (raw === undefined) {
+        if (resolved.required) details.push({ location: resolved.in, field: resolved.name, message: "is required" });
+        continue;
+      }
+      for (const e of validateSchema(spec, resolved.schema, coerce(spec, resolved.schema, raw), resolved.name)) {
+        details.push({ location: resolved.in, ...e });
+      }
+    }
+
+    const body = operation.requestBody && resolveRef(spec, operation.requestBody);
+    if (!body) return details;
+
+    if (body.content["multipart/form-data"]) {
+      if (!req.is("multipart/form-data")) {
+        if (body.required) details.push({ location: "body", field: "", message: "must be multipart/form-data" });
+        return details;
+      }
+      const schema = resolveRef(spec, body.content["multipart/form-data"].schema);
+      const fields = { ...(req.body || {}) };
+      const uploaded = {};
+      for (const f of req.file ? [req.file] : [].concat(req.files || [])) {
+        (uploaded[f.fieldname] = uploaded[f.fieldname] || []).push(f);
+      }
+      for (const [name, propSchema] of Object.entries(schema.properties || {})) {
+        if (isBinary(spec, propSchema)) {
+          const count = (uploaded[name] || []).length;
+          const resolved = resolveRef(spec, propSchema);
+          if (count === 0 && (schema.required || []).includes(name)) {
+            details.push({ location: "file", field: name, message: "is required" });
+          } else if (resolved.maxItems !== undefined && count > resolved.maxItems) {
+            details.push({ location: "file", field: name, message: `must have at most ${resolved.maxItems} files` });
+          }
+        } else if (fields[name] !== undefined) {
+          fields[name] = coerce(spec, propSchema, fields[name]);
+        }
+      }
+      const fieldSchema = {
+        ...schema,
+        required: (schema.required || []).filter((name) => !isBinary(spec, schema.properties[name])),
+      };
+      for (const e of validateSchema(spec, fieldSchema, fields)) details.push({ location: "body", ...e });
+      return details;
+    }
+
+    const json = body.content["application/json"];
+    if (!json) return details;
+    if (req.body === undefined || (body.required && !req.is("application/json"))) {
+      if (body.required) details.push({ location: "body", field: "", message: "must be a JSON object (Content-Type: application/json)" });
+      return details;
+    }
+    for (const e of validateSchema(spec, json.schema, req.body)) details.push({ location: "body", ...e });
+    return details;
+  }
+
+  /**
+   * Check a JSON response body against the documented schema for its status.
+   * Returns [{ field, message }]; undocumented statuses are reported too.
+   */
+  function validateResponse(operation, status, body) {
+    const responses = operation.responses || {};
+    const response = resolveRef(spec, responses[String(status)] || responses[`${String(status)[0]}XX`] || responses.default);
+    if (!response) return [{ field: "", message: `status ${status} is not documented` }];
+    const json = response.content && response.content["application/json"];
+    return json ? validateSchema(spec, json.schema, body) : [];
+  }
+
+  /**
+   * Express middleware for one documented operation. Mount it after any body
+   * parser the route needs (multer for multipart routes).
+   */
+  function validate(path, method) {
+    const operation = operationFor(path, method);
+    return (req, res, next) => {
+      const details = validateRequest(operation, req);
+      if (details.length > 0) {
+        console.warn(`🌐 [openapi] ✗ ${method.toUpperCase()} ${path} rejected: ${details.map((d) => `${d.field || d.location} ${d.message}`).join("; ")}`);
+        return res.status(400).json(validationResponse(details));
+      }
+
+      if (validateResponses) {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          const errors = validateResponse(operation, res.statusCode, body);
+          if (errors.length > 0) report({ method, path, status: res.statusCode, errors });
+          return json(body);
+        };
+      }
+      next();
+    };
+  }
+
+  return {
+    validate,
+    validateRequest: (path, method, req) => validateRequest(operationFor(path, method), req),
+    validateResponse: (path, method, status, body) => validateResponse(operationFor(path, method), status, body),
+  };
+}
+
+module.exports = { createOpenApiValidator, validateSchema, validationResponse };
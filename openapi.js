@@ -0,0 +1,558 @@
+/**
+ * OpenAPI 3.1 document for the HTTP server (server.js), served at
+ * /openapi.json. The request schemas here are what the server validates
+ * against (openapi-validate.js) — change the contract here, not in the route.
+ */
+
+const { version } = require("./package.json");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, description) => ({ description, content: { "application/json": { schema } } });
+const error = (description) => json(ref("Error"), description);
+const nonEmpty = (description) => ({ type: "string", minLength: 1, description });
+
+const llmPlatform = {
+  name: "llmPlatform",
+  in: "query",
+  description: "LLM platform the backend uses for ingestion",
+  schema: { type: "string", minLength: 1, default: "AWSBEDROCK" },
+};
+const idParam = (what) => ({ name: "id", in: "path", required: true, description: `${what} id`, schema: { type: "string", minLength: 1 } });
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: { type: "string" },
+      details: {
+        type: "array",
+        description: "Every invalid field (validation errors only)",
+        items: {
+          type: "object",
+          required: ["location", "field", "message"],
+          properties: {
+            location: { type: "string", enum: ["body", "query", "path", "file"] },
+            field: { type: "string" },
+            message: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+
+  ProjectMetaData: {
+    type: "object",
+    required: ["repositoryName", "analyzedLanguages", "totalFiles"],
+    properties: {
+      repositoryPath: { type: "string" },
+      repositoryName: { type: "string" },
+      analyzedLanguages: { type: "array", items: { type: "string" } },
+      totalFiles: { type: "integer" },
+      totalFunctions: { type: "integer" },
+      totalClasses: { type: "integer" },
+      totalLinesOfCode: { type: "integer" },
+      configs: { type: "object" },
+      generatedAt: { type: "string" },
+      toolVersion: { type: "string" },
+    },
+  },
+  FileRecord: {
+    type: "object",
+    description: "One analyzed file, or a workspace module (type \"module\", path is its directory); see the Readme for the full record layout",
+    required: ["path", "type"],
+    properties: {
+      path: { type: "string" },
+      type: { type: "string", enum: ["code", "config", "api_spec", "module"] },
+      language: { type: "string" },
+      module: { type: "string", description: "Name of the workspace module containing the file" },
+      loc: { type: "integer" },
+      functions: { type: "array", items: { type: "object" } },
+      classes: { type: "array", items: { type: "object" } },
+      importFiles: { type: "array", items: { type: "string" } },
+      externalImports: { type: "array", items: { type: "string" } },
+    },
+  },
+  AnalysisOutput: {
+    type: "object",
+    required: ["projectMetaData", "files"],
+    properties: {
+      projectMetaData: ref("ProjectMetaData"),
+      files: { type: "array", items: ref("FileRecord") },
+    },
+  },
+
+  AnalyzeRequest: {
+    type: "object",
+    required: ["files"],
+    properties: {
+      projectName: { type: "string" },
+      files: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["path", "content"],
+          properties: {
+            path: { type: "string", minLength: 1, description: "Relative path; must not contain \"..\"" },
+            content: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+
+  AnalyzeDiffRequest: {
+    type: "object",
+    required: ["repoUrl", "incomingCommitId", "gitBranch", "projectUuid", "codeOntologyId"],
+    properties: {
+      repoUrl: nonEmpty("GitHub (+ Enterprise), Bitbucket Cloud, GitLab or Azure DevOps repository URL"),
+      currentCommitId: {
+        type: ["string", "null"],
+        description: "Last analyzed commit; omit or null for a first-time (full clone) analysis",
+      },
+      incomingCommitId: nonEmpty("Commit to analyze"),
+      gitBranch: nonEmpty("Branch the commit is on"),
+      gitToken: { type: "string", description: "Provider token (Bitbucket: username:api_key); never persisted" },
+      projectUuid: nonEmpty("Breeze project"),
+      codeOntologyId: nonEmpty("Breeze code ontology"),
+    },
+  },
+  StorageLocation: {
+    type: "object",
+    description: "Where the output is stored; uri is null for the stdout sink",
+    required: ["sink", "key", "uri"],
+    properties: {
+      sink: { type: "string", enum: ["s3", "local", "stdout", "http"] },
+      key: { type: "string" },
+      uri: { type: ["string", "null"] },
+    },
+  },
+  AnalyzeDiffAccepted: {
+    type: "object",
+    required: ["success", "jobId", "status", "statusUrl", "s3Key"],
+    properties: {
+      success: { const: true },
+      jobId: { type: "string" },
+      status: { type: "string" },
+      statusUrl: { type: "string" },
+      s3Key: { type: "string" },
+      location: ref("StorageLocation"),
+      message: { type: "string" },
+    },
+  },
+
+  Job: {
+    type: "object",
+    required: ["id", "type", "status", "phase", "params", "progress", "errors"],
+    properties: {
+      id: { type: "string" },
+      type: { type: "string" },
+      status: { type: "string", enum: ["queued", "running", "completed", "failed", "cancelled"] },
+      phase: { type: "string" },
+      params: { type: "object", description: "Request parameters, without secrets" },
+      hasSecrets: { type: "boolean" },
+      progress: {
+        type: "object",
+        properties: {
+          filesTotal: { type: ["integer", "null"] },
+          filesProcessed: { type: "integer" },
+        },
+      },
+      errors: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { phase: { type: "string" }, message: { type: "string" }, fatal: { type: "boolean" } },
+        },
+      },
+      result: { type: ["object", "null"] },
+      statusCode: { type: "integer" },
+      tempDir: { type: ["string", "null"] },
+      createdAt: { type: "string" },
+      updatedAt: { type: "string" },
+      startedAt: { type: ["string", "null"] },
+      finishedAt: { type: ["string", "null"] },
+    },
+  },
+
+  Notification: {
+    type: "object",
+    required: ["id", "kind", "url", "status", "attempts"],
+    properties: {
+      id: { type: "string", description: "Also the Idempotency-Key sent with every attempt" },
+      kind: { type: "string" },
+      url: { type: "string" },
+      payload: { type: "object" },
+      status: { type: "string", enum: ["pending", "delivering", "delivered", "failed"] },
+      attempts: { type: "integer" },
+      lastError: {
+        type: ["object", "null"],
+        properties: { message: { type: "string" }, statusCode: { type: ["integer", "null"] }, at: { type: "string" } },
+      },
+      nextAttemptAt: { type: ["string", "null"] },
+      createdAt: { type: "string" },
+      updatedAt: { type: "string" },
+      deliveredAt: { type: ["string", "null"] },
+      failedAt: { type: ["string", "null"] },
+    },
+  },
+  NotificationList: {
+    type: "object",
+    required: ["count", "notifications"],
+    properties: {
+      count: { type: "integer" },
+      notifications: { type: "array", items: ref("Notification") },
+    },
+  },
+
+  DbUploadFields: {
+    type: "object",
+    required: ["projectUuid", "dataLakeId"],
+    properties: {
+      projectUuid: nonEmpty("Breeze project"),
+      dataLakeId: nonEmpty("Data lake the schema belongs to"),
+      repositoryName: { type: "string", description: "Source attribution; defaults to the uploaded file name" },
+      llmPlatform: { type: "string", description: "Same as the llmPlatform query parameter" },
+    },
+  },
+  AnalyzeSqlAccepted: {
+    type: "object",
+    required: ["success", "s3Key", "fileName", "dialect"],
+    properties: {
+      success: { const: true },
+      s3Key: { type: "string" },
+      location: ref("StorageLocation"),
+      notificationId: { type: "string" },
+      fileName: { type: "string" },
+      dialect: { type: "string" },
+      tableCount: { type: "integer" },
+      viewCount: { type: "integer" },
+      procedureCount: { type: "integer" },
+      indexCount: { type: "integer" },
+      sequenceCount: { type: "integer" },
+      message: { type: "string" },
+    },
+  },
+  AnalyzeEsAccepted: {
+    type: "object",
+    required: ["success", "s3Key", "mode"],
+    properties: {
+      success: { const: true },
+      s3Key: { type: "string" },
+      location: ref("StorageLocation"),
+      notificationId: { type: "string" },
+      mode: { type: "string", enum: ["mapping", "settings-only"] },
+      mapping: { type: ["string", "null"] },
+      setting: { type: ["string", "null"] },
+      mappings: { type: "array", items: { type: "string" } },
+      settings: { type: "array", items: { type: "string" } },
+      recordCount: { type: "integer" },
+      indexCount: { type: "integer" },
+      fieldCount: { type: "integer" },
+      settingsMatched: { type: "integer" },
+      message: { type: "string" },
+    },
+  },
+
+  WebhookResult: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      ignored: { type: "boolean" },
+      reason: { type: "string" },
+      jobs: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            jobId: { type: "string" },
+            projectUuid: { type: "string" },
+            branch: { type: "string" },
+            incomingCommitId: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+};
+
+const authErrors = {
+  401: error("Missing or invalid credentials (when AUTH_TENANTS_FILE is set)"),
+  403: error("The tenant may not access this project / route"),
+  429: error("Tenant rate limit exceeded; see Retry-After"),
+};
+
+const webhook = (provider, header) => ({
+  post: {
+    tags: ["webhooks"],
+    summary: `${provider} push webhook`,
+    description: `Verified with ${header}; queues an /api/analyze-diff job per mapped project and branch.`,
+    security: [],
+    requestBody: { required: true, content: { "application/json": { schema: { type: "object" } } } },
+    responses: {
+      200: json(ref("WebhookResult"), "Delivery acknowledged but ignored (not a push, unmapped repo or untracked branch)"),
+      202: json(ref("WebhookResult"), "Jobs queued"),
+      400: error("Payload is not JSON"),
+      401: error("Missing or invalid webhook secret"),
+      500: error("Project table is invalid"),
+    },
+  },
+});
+
+const openapi = {
+  openapi: "3.1.0",
+  info: {
+    title: "Breeze Code Ontology Generator API",
+    version,
+    description: "Analyze source code, SQL DDL and Elasticsearch mappings into the Breeze code ontology.",
+  },
+  servers: [{ url: "/" }],
+  security: [{ apiKey: [] }, { bearer: [] }],
+  tags: [
+    { name: "analysis" },
+    { name: "jobs" },
+    { name: "notifications" },
+    { name: "webhooks" },
+  ],
+  paths: {
+    "/health": {
+      get: {
+        summary: "Health check",
+        security: [],
+        responses: {
+          200: json({ type: "object", required: ["status"], properties: { status: { const: "ok" } } }, "Server is up"),
+        },
+      },
+    },
+    "/metrics": {
+      get: {
+        summary: "Prometheus metrics",
+        security: [],
+        responses: {
+          200: { description: "Text exposition format 0.0.4", content: { "text/plain": { schema: { type: "string" } } } },
+        },
+      },
+    },
+    "/openapi.json": {
+      get: {
+        summary: "This document",
+        security: [],
+        responses: { 200: json({ type: "object" }, "OpenAPI document") },
+      },
+    },
+
+    "/api/analyze": {
+      post: {
+        tags: ["analysis"],
+        summary: "Analyze inline files",
+        parameters: [
+          {
+            name: "format",
+            in: "query",
+            description: "json (default) or ndjson — one file record per line, projectMetaData last; gzipped with Accept-Encoding: gzip",
+            schema: { type: "string", enum: ["json", "ndjson"], default: "json" },
+          },
+        ],
+        requestBody: { required: true, content: { "application/json": { schema: ref("AnalyzeRequest") } } },
+        responses: {
+          200: {
+            description: "Analysis output",
+            content: {
+              "application/json": { schema: ref("AnalysisOutput") },
+              "application/x-ndjson": { schema: { type: "string" } },
+            },
+          },
+          400: error("Invalid request"),
+          422: error("No supported languages detected"),
+          500: error("Analysis failed"),
+          ...authErrors,
+        },
+      },
+    },
+
+    "/api/analyze-archive": {
+      post: {
+        tags: ["analysis"],
+        summary: "Analyze a .zip / .tar / .tar.gz of a project",
+        requestBody: {
+          required: true,
+          content: {
+            "multipart/form-data": {
+              schema: {
+                type: "object",
+                required: ["archive"],
+                properties: {
+                  archive: { type: "string", format: "binary" },
+                  projectName: { type: "string" },
+                  subdir: { type: "string", description: "Analyze only this directory of the archive" },
+                  captureSourceCode: { type: "boolean" },
+                  captureStatements: { type: "boolean" },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: json(ref("AnalysisOutput"), "Analysis output"),
+          400: error("Invalid request or unsafe archive"),
+          413: error("Archive exceeds the entry-count or size caps"),
+          422: error("No supported languages detected"),
+          500: error("Analysis failed"),
+          ...authErrors,
+        },
+      },
+    },
+
+    "/api/analyze-diff": {
+      post: {
+        tags: ["analysis", "jobs"],
+        summary: "Queue a diff (or first-time full) analysis of a Git repository",
+        parameters: [llmPlatform],
+        requestBody: { required: true, content: { "application/json": { schema: ref("AnalyzeDiffRequest") } } },
+        responses: {
+          202: json(ref("AnalyzeDiffAccepted"), "Job queued"),
+          400: error("Invalid request"),
+          500: error("Could not queue the job"),
+          ...authErrors,
+        },
+      },
+    },
+    "/api/jobs/{id}": {
+      get: {
+        tags: ["jobs"],
+        summary: "Job status",
+        parameters: [idParam("Job")],
+        responses: { 200: json(ref("Job"), "Job state"), 404: error("Unknown job"), ...authErrors },
+      },
+      delete: {
+        tags: ["jobs"],
+        summary: "Cancel a queued or running job",
+        parameters: [idParam("Job")],
+        responses: {
+          202: json(ref("Job"), "Cancellation accepted"),
+          404: error("Unknown job"),
+          409: error("Job already finished"),
+          ...authErrors,
+        },
+      },
+    },
+
+    "/api/notifications": {
+      get: {
+        tags: ["notifications"],
+        summary: "Stream-ingest notifications in the outbox, newest first (admin tenants)",
+        parameters: [
+          { name: "status", in: "query", schema: { type: "string", enum: ["pending", "delivering", "delivered", "failed"] } },
+        ],
+        responses: { 200: json(ref("NotificationList"), "Notifications"), 400: error("Invalid request"), ...authErrors },
+      },
+    },
+    "/api/notifications/{id}": {
+      get: {
+        tags: ["notifications"],
+        summary: "One notification",
+        parameters: [idParam("Notification")],
+        responses: { 200: json(ref("Notification"), "Notification"), 404: error("Unknown notification"), ...authErrors },
+      },
+    },
+    "/api/notifications/replay": {
+      post: {
+        tags: ["notifications"],
+        summary: "Replay every failed notification",
+        responses: { 202: json(ref("NotificationList"), "Replayed notifications"), ...authErrors },
+      },
+    },
+    "/api/notifications/{id}/replay": {
+      post: {
+        tags: ["notifications"],
+        summary: "Replay one failed notification",
+        parameters: [idParam("Notification")],
+        responses: {
+          202: json(ref("Notification"), "Replay queued"),
+          404: error("Unknown notification"),
+          409: error("Notification is not failed"),
+          ...authErrors,
+        },
+      },
+    },
+
+    "/api/analyze-sql": {
+      post: {
+        tags: ["analysis"],
+        summary: "Parse one SQL DDL file and stream it to the backend",
+        parameters: [llmPlatform],
+        requestBody: {
+          required: true,
+          content: {
+            "multipart/form-data": {
+              schema: {
+                type: "object",
+                required: ["file", "projectUuid", "dataLakeId"],
+                properties: {
+                  file: { type: "string", format: "binary", description: "The .sql file" },
+                  ...schemas.DbUploadFields.properties,
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          202: json(ref("AnalyzeSqlAccepted"), "Parsed, uploaded and notification queued"),
+          400: error("Invalid request"),
+          422: error("No DDL objects could be extracted"),
+          500: error("Processing failed"),
+          ...authErrors,
+        },
+      },
+    },
+
+    "/api/analyze-es": {
+      post: {
+        tags: ["analysis"],
+        summary: "Parse Elasticsearch mapping and/or settings dumps and stream them to the backend",
+        parameters: [llmPlatform],
+        requestBody: {
+          required: true,
+          content: {
+            "multipart/form-data": {
+              schema: {
+                type: "object",
+                required: ["file", "projectUuid", "dataLakeId"],
+                properties: {
+                  file: {
+                    type: "array",
+                    maxItems: 500,
+                    items: { type: "string", format: "binary" },
+                    description: "Mapping and/or settings JSON files",
+                  },
+                  ...schemas.DbUploadFields.properties,
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          202: json(ref("AnalyzeEsAccepted"), "Parsed, uploaded and notification queued"),
+          400: error("Invalid request"),
+          422: error("Files are not Elasticsearch mappings / settings"),
+          500: error("Processing failed"),
+          ...authErrors,
+        },
+      },
+    },
+
+    "/webhooks/github": webhook("GitHub", "X-Hub-Signature-256"),
+    "/webhooks/bitbucket": webhook("Bitbucket", "X-Hub-Signature"),
+    "/webhooks/gitlab": webhook("GitLab", "X-Gitlab-Token"),
+  },
+  components: {
+    schemas,
+    securitySchemes: {
+      apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+      bearer: { type: "http", scheme: "bearer", bearerFormat: "JWT or API key" },
+    },
+  },
+};
+
+module.exports = { openapi };
@@ -141,6 +141,7 @@ async function analyzeFiles(repoPath, opts = {}) {
 
   for (let i = 0; i < perlFiles.length; i++) {
     const file = perlFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
 
     try {
       const percentage = ((i / totalFiles) * 100).toFixed(1);
@@ -223,6 +224,7 @@ async function analyzeFiles(repoPath, opts = {}) {
     } catch (e) {
       process.stdout.write("\n");
       console.log(`❌ Error analyzing file: ${file} - ${e.message}`);
+      if (opts.onFileError) opts.onFileError(file, e);
     }
   }
 
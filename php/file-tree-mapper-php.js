@@ -479,6 +479,7 @@ function analyzePHPRepo(repoPath, opts = {}) {
 
   for (let i = 0; i < phpFiles.length; i++) {
     const file = phpFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
 
     try {
       const percentage = ((i / totalFiles) * 100).toFixed(1);
@@ -561,6 +562,7 @@ function analyzePHPRepo(repoPath, opts = {}) {
     } catch (e) {
       process.stdout.write('\n');
       console.log(`❌ Error analyzing file: ${file} - ${e.message}`);
+      if (opts.onFileError) opts.onFileError(file, e);
     }
   }
 
@@ -575,6 +577,7 @@ function analyzePHPRepo(repoPath, opts = {}) {
     const yamlFiles = getRoutingYamlFiles(repoPath);
     if (yamlFiles.length) console.log(`📊 Routing YAML files to process: ${yamlFiles.length}`);
     for (const yfile of yamlFiles) {
+      if (opts.fileFilter && !opts.fileFilter(yfile)) continue;
       try {
         const routes = extractYamlRoutes(yfile);
         if (!routes.length) continue;
@@ -326,6 +326,9 @@ function extractFunctionsAndCalls(filePath, repoPath, imports = null, captureSou
           call.path = resolvedPath;
         }
 
+        // `self` / `cls` or an imported module alias (`pu.helper()`), resolved
+        // to a method or module by call-graph-resolver.js
+        if (call.objectName) call.receiver = call.objectName;
         delete call.objectName;
       });
     });
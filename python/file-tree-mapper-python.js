@@ -134,6 +134,7 @@ function analyzeFiles(repoPath, opts = {}) {
 
   for (let i = 0; i < pyFiles.length; i++) {
     const file = pyFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
 
     try {
       const percentage = ((i / totalFiles) * 100).toFixed(1);
@@ -214,6 +215,7 @@ function analyzeFiles(repoPath, opts = {}) {
     } catch (e) {
       process.stdout.write('\n');
       console.log(`❌ Error analyzing file: ${file} - ${e.message}`);
+      if (opts.onFileError) opts.onFileError(file, e);
     }
   }
 
@@ -0,0 +1,160 @@
+const {
+  parseRubyFile,
+  extractFunctionParams,
+  symbolArguments,
+  callName,
+  collectQueryStatements,
+  traverse,
+} = require("./extract-functions-ruby");
+
+const CLASS_NODE_TYPES = new Set(["class", "module"]);
+
+// Class-body calls that mix a module in
+const MIXIN_METHODS = new Set(["include", "extend", "prepend"]);
+
+function extractClasses(filePath, repoPath = null, captureStatements = false) {
+  const { source, tree } = parseRubyFile(filePath);
+
+  const classes = [];
+
+  traverse(tree.rootNode, (node) => {
+    if (CLASS_NODE_TYPES.has(node.type)) {
+      const classInfo = extractClassInfo(node, source, captureStatements);
+      if (classInfo?.name) {
+        classes.push(classInfo);
+      }
+    }
+  });
+
+  return classes;
+}
+
+function extractClassInfo(node, source, captureStatements = false) {
+  const startLine = node.startPosition.row + 1;
+  const endLine = node.endPosition.row + 1;
+
+  const nameNode = node.childForFieldName("name");
+  if (!nameNode) return null;
+  const declaredName = source.slice(nameNode.startIndex, nameNode.endIndex);
+
+  const superclassNode = node.childForFieldName("superclass");
+  const superClass = superclassNode
+    ? source.slice(superclassNode.startIndex, superclassNode.endIndex).replace(/^<\s*/, "")
+    : null;
+
+  const { constructorParams, methods, mixins } = extractClassMembers(node, source);
+
+  const statements = captureStatements ? extractClassStatements(node, source) : [];
+
+  return {
+    name: declaredName.split("::").pop(),
+    fullName: qualifiedName(node, declaredName, source),
+    type: node.type, // class | module
+    visibility: "public",
+    isAbstract: false,
+    extends: superClass,
+    implements: mixins,
+    constructorParams,
+    methods,
+    statements,
+    startLine,
+    endLine
+  };
+}
+
+// `module Admin; class Users` -> "Admin::Users"
+function qualifiedName(node, declaredName, source) {
+  const parts = [declaredName.replace(/^::/, "")];
+  let p = node.parent;
+  while (p && !declaredName.startsWith("::")) {
+    if (CLASS_NODE_TYPES.has(p.type)) {
+      const n = p.childForFieldName("name");
+      if (n) parts.unshift(source.slice(n.startIndex, n.endIndex));
+    }
+    p = p.parent;
+  }
+  return parts.join("::");
+}
+
+function classBodyChildren(classNode) {
+  const body = classNode.childForFieldName("body");
+  return body ? body.namedChildren : [];
+}
+
+function extractClassMembers(classNode, source) {
+  let constructorParams = [];
+  const methods = [];
+  const mixins = [];
+
+  const collect = (member) => {
+    if (member.type === "method" || member.type === "singleton_method") {
+      const nameNode = member.childForFieldName("name");
+      if (!nameNode) return;
+      const name = source.slice(nameNode.startIndex, nameNode.endIndex);
+      methods.push(name);
+      if (name === "initialize" && member.type === "method") {
+        constructorParams = extractFunctionParams(member, source);
+      }
+    } else if (member.type === "singleton_class") {
+      // class << self ... end
+      const body = member.childForFieldName("body");
+      if (body) body.namedChildren.forEach(collect);
+    } else if (member.type === "call" && !member.childForFieldName("receiver")) {
+      const name = callName(member, source);
+      const args = member.childForFieldName("arguments");
+      if (MIXIN_METHODS.has(name) && args) {
+        args.namedChildren
+          .filter((a) => a.type === "constant" || a.type === "scope_resolution")
+          .forEach((a) => mixins.push(source.slice(a.startIndex, a.endIndex)));
+      } else if (args) {
+        // private def x / memoize def y
+        args.namedChildren.forEach(collect);
+      }
+    }
+  };
+
+  classBodyChildren(classNode).forEach(collect);
+
+  return { constructorParams, methods, mixins: [...new Set(mixins)] };
+}
+
+/**
+ * Class-level statements: constants/assignments and class macros such as
+ * `has_many :posts`, `validates :name` or `before_action :load_user`.
+ */
+function extractClassStatements(node, source) {
+  const statements = [];
+
+  for (const child of classBodyChildren(node)) {
+    if (child.type === "assignment") {
+      statements.push({
+        type: "assignment",
+        text: source.slice(child.startIndex, child.endIndex).slice(0, 1000),
+        startLine: child.startPosition.row + 1,
+        endLine: child.endPosition.row + 1,
+      });
+    } else if (child.type === "call" && !child.childForFieldName("receiver")) {
+      const name = callName(child, source);
+      if (!name || MIXIN_METHODS.has(name)) continue;
+      const argsNode = child.childForFieldName("arguments");
+      if (argsNode && argsNode.namedChildren.some((a) => a.type === "method")) continue;
+      statements.push({
+        type: "macro_call",
+        name,
+        args: symbolArguments(child, source),
+        text: source.slice(child.startIndex, child.endIndex).slice(0, 500),
+        startLine: child.startPosition.row + 1,
+        endLine: child.endPosition.row + 1,
+      });
+    }
+  }
+
+  for (const child of classBodyChildren(node)) {
+    if (child.type === "method" || child.type === "singleton_method" || CLASS_NODE_TYPES.has(child.type)) continue;
+    collectQueryStatements(child, source, statements);
+  }
+
+  return statements;
+}
+
+module.exports = { extractClasses };
@@ -0,0 +1,448 @@
+const Parser = require("tree-sitter");
+const Ruby = require("tree-sitter-ruby");
+const path = require("path");
+const { truncateSourceCode, parseSource, containsDbQuery, getDbFromMethod, getStatementTextLimit } = require("../utils");
+
+const sharedParser = new Parser();
+sharedParser.setLanguage(Ruby);
+
+const STATEMENT_TYPES = ["assignment", "operator_assignment", "return"];
+
+// Containers whose body holds method definitions
+const OWNER_TYPES = new Set(["class", "module", "singleton_class"]);
+
+// Bare words in a class body that change the visibility of the defs after them
+const VISIBILITY_KEYWORDS = new Set(["private", "protected", "public", "module_function"]);
+
+// Calls that load other files
+const IMPORT_METHODS = new Set(["require", "require_relative", "load", "autoload"]);
+
+function parseRubyFile(filePath) {
+  return parseSource(filePath, sharedParser);
+}
+
+function extractFunctionsWithCalls(filePath, repoPath = null, captureSourceCode = false, captureStatements = false) {
+  const { source, tree } = parseRubyFile(filePath);
+
+  const functions = [];
+
+  traverse(tree.rootNode, (node) => {
+    if (node.type === "method" || node.type === "singleton_method") {
+      const funcInfo = extractFunctionInfo(node, source, captureSourceCode, captureStatements);
+      if (funcInfo.name) {
+        functions.push(funcInfo);
+      }
+    }
+  });
+
+  return functions;
+}
+
+function extractFunctionInfo(node, source, captureSourceCode = false, captureStatements = false) {
+  const startLine = node.startPosition.row + 1;
+  const endLine = node.endPosition.row + 1;
+
+  const nameNode = node.childForFieldName("name");
+  const name = nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
+  const owner = enclosingOwner(node);
+  const { visibility, isModuleFunction } = getVisibility(node, name, source);
+
+  let kind = "function";
+  if (node.type === "singleton_method" || (owner && owner.type === "singleton_class") || isModuleFunction) {
+    kind = "static";
+  } else if (owner) {
+    kind = "instance";
+  }
+
+  let type = owner ? "method" : "function";
+  if (name === "initialize" && kind === "instance") type = "constructor";
+
+  const result = {
+    name,
+    type,
+    visibility,
+    kind,
+    params: extractFunctionParams(node, source),
+    startLine,
+    endLine,
+    calls: extractDirectCalls(node, source),
+    statements: captureStatements ? extractStatements(node, source) : [],
+  };
+
+  if (captureSourceCode && source) {
+    result.sourceCode = truncateSourceCode(source.slice(node.startIndex, node.endIndex));
+  }
+
+  return result;
+}
+
+// Nearest class / module / `class << self` around a node (null at top level).
+function enclosingOwner(node) {
+  let p = node.parent;
+  while (p) {
+    if (OWNER_TYPES.has(p.type)) return p;
+    if (p.type === "method" || p.type === "singleton_method") return null;
+    p = p.parent;
+  }
+  return null;
+}
+
+/**
+ * Ruby visibility is positional: a bare `private` affects every later def in
+ * the same body, `private def x` wraps one def, and `private :x, :y` can come
+ * after the defs it names.
+ */
+function getVisibility(node, name, source) {
+  const result = { visibility: "public", isModuleFunction: false };
+
+  // private def x ... end
+  const wrapper = node.parent && node.parent.type === "argument_list" ? node.parent.parent : null;
+  const wrapperName = wrapper && wrapper.type === "call" ? callName(wrapper, source) : null;
+  const statement = wrapperName && VISIBILITY_KEYWORDS.has(wrapperName) ? wrapper : node;
+
+  const body = statement.parent;
+  if (!body || body.type !== "body_statement") return result;
+
+  for (let i = 0; i < body.namedChildCount; i++) {
+    const child = body.namedChild(i);
+    const before = child.startIndex < statement.startIndex;
+
+    if (child.type === "identifier" && before) {
+      applyVisibility(result, source.slice(child.startIndex, child.endIndex));
+    } else if (child.type === "call" && !child.childForFieldName("receiver")) {
+      const keyword = callName(child, source);
+      if (!VISIBILITY_KEYWORDS.has(keyword)) continue;
+      if (child === statement) {
+        applyVisibility(result, keyword);
+      } else if (name && symbolArguments(child, source).includes(name)) {
+        // private :x (before or after the def)
+        applyVisibility(result, keyword);
+      }
+    }
+  }
+
+  return result;
+}
+
+function applyVisibility(result, keyword) {
+  if (keyword === "module_function") {
+    result.isModuleFunction = true;
+  } else if (VISIBILITY_KEYWORDS.has(keyword)) {
+    result.visibility = keyword;
+  }
+}
+
+function callName(node, source) {
+  const methodNode = node.childForFieldName("method");
+  return methodNode ? source.slice(methodNode.startIndex, methodNode.endIndex) : null;
+}
+
+// :a, :b / %i[a b] / "a" arguments of a call, as plain names.
+function symbolArguments(node, source) {
+  const args = node.childForFieldName("arguments");
+  if (!args) return [];
+  const names = [];
+  traverse(args, (n) => {
+    if (n.type === "simple_symbol") names.push(source.slice(n.startIndex + 1, n.endIndex));
+    else if (n.type === "bare_symbol") names.push(source.slice(n.startIndex, n.endIndex));
+    else if (n.type === "string_content" && n.parent.type === "string") names.push(source.slice(n.startIndex, n.endIndex));
+  });
+  return names;
+}
+
+function extractFunctionParams(node, source) {
+  const paramsNode = node.childForFieldName("parameters");
+  if (!paramsNode) return [];
+
+  const params = [];
+  for (let i = 0; i < paramsNode.namedChildCount; i++) {
+    const param = paramsNode.namedChild(i);
+    if (param.type === "identifier") {
+      params.push(source.slice(param.startIndex, param.endIndex));
+      continue;
+    }
+    const nameNode = param.childForFieldName("name");
+    if (!nameNode) continue;
+    const paramName = source.slice(nameNode.startIndex, nameNode.endIndex);
+    if (param.type === "splat_parameter") params.push(`*${paramName}`);
+    else if (param.type === "hash_splat_parameter") params.push(`**${paramName}`);
+    else if (param.type === "block_parameter") params.push(`&${paramName}`);
+    else params.push(paramName);
+  }
+
+  return params;
+}
+
+function extractDirectCalls(funcNode, source) {
+  const calls = [];
+  const locals = localNames(funcNode, source);
+  const body = funcNode.childForFieldName("body");
+
+  traverse(funcNode, (node) => {
+    if (node.type === "call") {
+      const callInfo = extractCallInfo(node, source);
+      if (callInfo) calls.push(callInfo);
+    }
+  });
+
+  // A bare word on its own line is a call when it is not a local (`authenticate!`)
+  if (body && body.type === "body_statement") {
+    for (let i = 0; i < body.namedChildCount; i++) {
+      const child = body.namedChild(i);
+      if (child.type !== "identifier") continue;
+      const word = source.slice(child.startIndex, child.endIndex);
+      if (!locals.has(word)) calls.push({ name: word, path: null });
+    }
+  }
+
+  return calls;
+}
+
+function localNames(funcNode, source) {
+  const names = new Set(extractFunctionParams(funcNode, source).map((p) => p.replace(/^[*&]+/, "")));
+  traverse(funcNode, (n) => {
+    if (n.type === "assignment") {
+      const left = n.childForFieldName("left");
+      if (left && left.type === "identifier") names.add(source.slice(left.startIndex, left.endIndex));
+    }
+  });
+  return names;
+}
+
+function extractCallInfo(node, source) {
+  const name = callName(node, source);
+  if (!name || IMPORT_METHODS.has(name)) return null;
+
+  const objectName = rootReceiver(node.childForFieldName("receiver"), source);
+  return {
+    name,
+    objectName,
+    path: null,
+  };
+}
+
+// Root of a receiver chain: `User.where(..).order` -> "User", `self.x` -> "self".
+function rootReceiver(node, source) {
+  while (node) {
+    switch (node.type) {
+      case "self":
+        return "self";
+      case "constant":
+      case "scope_resolution":
+      case "identifier":
+      case "instance_variable":
+      case "class_variable":
+      case "global_variable":
+        return source.slice(node.startIndex, node.endIndex);
+      case "call":
+        node = node.childForFieldName("receiver");
+        break;
+      case "element_reference":
+        node = node.childForFieldName("object");
+        break;
+      case "parenthesized_statements":
+        node = node.namedChild(0);
+        break;
+      default:
+        return null;
+    }
+  }
+  return null;
+}
+
+function extractStatements(node, source) {
+  const body = node.childForFieldName("body");
+  if (!body) return [];
+
+  const statements = [];
+  traverse(body, (child) => {
+    if (!STATEMENT_TYPES.includes(child.type)) return;
+    // Skip nested defs; they are extracted on their own
+    if (enclosingMethod(child) !== node) return;
+    statements.push({
+      type: child.type,
+      text: source.slice(child.startIndex, child.endIndex).slice(0, getStatementTextLimit(child)),
+      startLine: child.startPosition.row + 1,
+      endLine: child.endPosition.row + 1,
+    });
+  });
+
+  collectQueryStatements(body, source, statements);
+
+  return statements;
+}
+
+function enclosingMethod(node) {
+  let p = node.parent;
+  while (p && p.type !== "method" && p.type !== "singleton_method") p = p.parent;
+  return p || null;
+}
+
+function traverse(node, cb) {
+  cb(node);
+  for (let i = 0; i < node.namedChildCount; i++) {
+    traverse(node.namedChild(i), cb);
+  }
+}
+
+/**
+ * `require` / `require_relative` / `load` / `autoload` calls with a literal
+ * path, in source order. Resolution against the repo is done by the mapper.
+ */
+function extractImports(filePath) {
+  const { source, tree } = parseRubyFile(filePath);
+  const imports = [];
+
+  traverse(tree.rootNode, (node) => {
+    if (node.type !== "call" || node.childForFieldName("receiver")) return;
+    const name = callName(node, source);
+    if (!IMPORT_METHODS.has(name)) return;
+
+    const args = node.childForFieldName("arguments");
+    if (!args) return;
+    // autoload :Const, "path" -> the path is the second argument
+    const strings = args.namedChildren.filter((c) => c.type === "string");
+    const target = strings[0];
+    if (!target || target.namedChildren.some((c) => c.type === "interpolation")) return;
+
+    imports.push({
+      source: source.slice(target.startIndex, target.endIndex).replace(/^['"]|['"]$/g, ""),
+      type: name,
+      line: node.startPosition.row + 1,
+    });
+  });
+
+  return imports;
+}
+
+/**
+ * Resolve call paths: local defs first, then constants through the repo
+ * constant index (Rails autoloading means most constants are never required).
+ */
+function extractFunctionsAndCalls(filePath, repoPath, constantIndex = {}, captureSourceCode = false, captureStatements = false) {
+  try {
+    const functions = extractFunctionsWithCalls(filePath, repoPath, captureSourceCode, captureStatements);
+    const relPath = path.relative(repoPath, filePath);
+
+    const functionMap = new Map();
+    functions.forEach((func) => {
+      functionMap.set(func.name, relPath);
+    });
+
+    functions.forEach((func) => {
+      func.calls.forEach((call) => {
+        let resolvedPath = null;
+
+        if (call.objectName && /^[A-Z]/.test(call.objectName)) {
+          resolvedPath = resolveConstant(call.objectName, constantIndex);
+        } else if (!call.objectName || call.objectName === "self") {
+          resolvedPath = functionMap.get(call.name) || null;
+        }
+
+        if (resolvedPath) {
+          call.path = resolvedPath;
+        }
+
+        // Keep the receiver (self/Const/variable) for call-graph-resolver.js
+        if (call.objectName) call.receiver = call.objectName;
+        delete call.objectName;
+      });
+    });
+
+    return functions;
+  } catch (error) {
+    console.error(`Error processing ${filePath}:`, error);
+    return [];
+  }
+}
+
+// "Admin::User" -> file, falling back to the unqualified name when unique.
+function resolveConstant(name, constantIndex) {
+  const clean = name.replace(/^::/, "");
+  const files = constantIndex[clean];
+  if (files && files.length) return files[0];
+  const simple = clean.split("::").pop();
+  const candidates = constantIndex[simple];
+  return candidates && candidates.length === 1 ? candidates[0] : null;
+}
+
+function extractFileStatements(filePath) {
+  const { source, tree } = parseRubyFile(filePath);
+  const statements = [];
+
+  for (let i = 0; i < tree.rootNode.namedChildCount; i++) {
+    const child = tree.rootNode.namedChild(i);
+    if (!STATEMENT_TYPES.includes(child.type)) continue;
+    statements.push({
+      type: child.type,
+      text: source.slice(child.startIndex, child.endIndex).slice(0, getStatementTextLimit(child)),
+      startLine: child.startPosition.row + 1,
+      endLine: child.endPosition.row + 1,
+    });
+  }
+
+  // Query statements outside any def or class
+  for (let i = 0; i < tree.rootNode.namedChildCount; i++) {
+    const child = tree.rootNode.namedChild(i);
+    if (child.type === "method" || child.type === "class" || child.type === "module") continue;
+    collectQueryStatements(child, source, statements);
+  }
+
+  return statements;
+}
+
+function collectQueryStatements(node, source, statements) {
+  const seen = new Set(
+    statements
+      .filter(s => s.type === 'query_statement' || s.type === 'db_method_call')
+      .map(s => `${s.startLine}:${s.endLine}`)
+  );
+
+  traverse(node, (n) => {
+    if (n.type === "call") {
+      const name = callName(n, source);
+      const db = name ? getDbFromMethod(name) : null;
+      if (db) {
+        const key = `${n.startPosition.row + 1}:${n.endPosition.row + 1}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          statements.push({
+            type: "db_method_call", db,
+            text: source.slice(n.startIndex, n.endIndex).slice(0, 500),
+            startLine: n.startPosition.row + 1,
+            endLine: n.endPosition.row + 1,
+          });
+        }
+        return;
+      }
+    }
+
+    if (n.type === "string" || n.type === "heredoc_body") {
+      const text = source.slice(n.startIndex, n.endIndex);
+      if (containsDbQuery(text)) {
+        const key = `${n.startPosition.row + 1}:${n.endPosition.row + 1}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          statements.push({
+            type: "query_statement",
+            text: text.slice(0, 500),
+            startLine: n.startPosition.row + 1,
+            endLine: n.endPosition.row + 1,
+          });
+        }
+      }
+    }
+  });
+}
+
+module.exports = {
+  extractFunctionsAndCalls,
+  extractImports,
+  extractFileStatements,
+  collectQueryStatements,
+  parseRubyFile,
+  extractFunctionParams,
+  symbolArguments,
+  callName,
+  traverse,
+};
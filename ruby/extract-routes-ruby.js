@@ -0,0 +1,411 @@
+/**
+ * Ruby on Rails route extractor (static, tree-sitter based).
+ *
+ * Walks the routing DSL in config/routes.rb (and config/routes/*.rb files
+ * pulled in with `draw`), tracking the enclosing path / controller-module
+ * prefixes, and emits one `type:"route"` statement per endpoint:
+ *
+ *   get 'about' => 'pages#about'            get '/health', to: 'health#show'
+ *   post :activate (inside member/collection or a resources block)
+ *   match 'ping', to: 'ping#pong', via: [:get, :post]
+ *   root 'home#index'                       mount Sidekiq::Web => '/sidekiq'
+ *   resources :users, only: [:index, :show] -> expanded to REST routes
+ *   resource :profile                       -> singular REST routes (no index)
+ *   namespace :admin / scope '/api', module: 'api' / controller :users
+ *
+ * `handler` is the Rails "controller#action" string with module prefixes
+ * applied ("admin/users#index"); file-tree-mapper-ruby.js uses it to attach
+ * each route to the action method in app/controllers/admin/users_controller.rb.
+ */
+const path = require("path");
+const { parseRubyFile, callName } = require("./extract-functions-ruby");
+
+const MAX_TEXT = 500;
+
+const VERBS = {
+  get: "GET", post: "POST", put: "PUT", patch: "PATCH", delete: "DELETE",
+  options: "OPTIONS", head: "HEAD",
+};
+
+// REST routes that `resources` generates (Rails order).
+const RESOURCES_ACTIONS = [
+  { action: "index", method: "GET", suffix: "" },
+  { action: "create", method: "POST", suffix: "" },
+  { action: "new", method: "GET", suffix: "/new" },
+  { action: "edit", method: "GET", suffix: "/:id/edit" },
+  { action: "show", method: "GET", suffix: "/:id" },
+  { action: "update", method: "PATCH,PUT", suffix: "/:id" },
+  { action: "destroy", method: "DELETE", suffix: "/:id" },
+];
+
+// ... and the singular `resource` (no index, no :id).
+const RESOURCE_ACTIONS = [
+  { action: "create", method: "POST", suffix: "" },
+  { action: "new", method: "GET", suffix: "/new" },
+  { action: "edit", method: "GET", suffix: "/edit" },
+  { action: "show", method: "GET", suffix: "" },
+  { action: "update", method: "PATCH,PUT", suffix: "" },
+  { action: "destroy", method: "DELETE", suffix: "" },
+];
+
+function text(source, node, limit = MAX_TEXT) {
+  return node ? source.slice(node.startIndex, node.endIndex).slice(0, limit) : null;
+}
+
+function firstLine(source, node) {
+  return text(source, node).split("\n")[0].trim();
+}
+
+// Literal value of a string / symbol node (null for interpolated strings and other nodes).
+function literal(source, node) {
+  if (!node) return null;
+  if (node.type === "simple_symbol") return text(source, node).slice(1);
+  if (node.type === "bare_symbol" || node.type === "hash_key_symbol") return text(source, node);
+  if (node.type === "delimited_symbol" || node.type === "string") {
+    if (node.namedChildren.some((c) => c.type === "interpolation")) return null;
+    return node.namedChildren
+      .filter((c) => c.type === "string_content")
+      .map((c) => text(source, c))
+      .join("");
+  }
+  return null;
+}
+
+// [:a, :b] / %i[a b] / :a -> ["a", "b"]
+function symbolList(source, node) {
+  if (!node) return [];
+  const single = literal(source, node);
+  if (single != null) return [single];
+  const out = [];
+  for (const c of node.namedChildren) {
+    const v = literal(source, c);
+    if (v != null) out.push(v);
+  }
+  return out;
+}
+
+/**
+ * Split a DSL call's arguments into positional values and options.
+ * `get 'a' => 'c#a', as: :x` -> positional ['a'], options { "=>": 'c#a', as: ... }
+ */
+function callArgs(source, node) {
+  const positional = [];
+  const options = {};
+  const args = node.childForFieldName("arguments");
+  if (!args) return { positional, options };
+
+  const addPair = (pair) => {
+    const keyNode = pair.childForFieldName("key");
+    const valueNode = pair.childForFieldName("value");
+    const key = literal(source, keyNode);
+    const isRocket = pair.children.some((c) => c.type === "=>");
+    // 'path' => 'ctrl#action' (route shorthand) vs :only => [...] (option)
+    if (isRocket && keyNode && keyNode.type === "string") {
+      positional.push(keyNode);
+      options["=>"] = valueNode;
+    } else if (isRocket && keyNode && !key) {
+      // mount Engine => '/path'
+      positional.push(keyNode);
+      options["=>"] = valueNode;
+    } else if (key != null) {
+      options[key] = valueNode;
+    }
+  };
+
+  for (const arg of args.namedChildren) {
+    if (arg.type === "pair") addPair(arg);
+    else if (arg.type === "hash") arg.namedChildren.filter((c) => c.type === "pair").forEach(addPair);
+    else positional.push(arg);
+  }
+  return { positional, options };
+}
+
+function blockBody(node) {
+  const block = node.childForFieldName("block");
+  if (!block) return null;
+  return block.childForFieldName("body") || null;
+}
+
+function joinPaths(base, sub) {
+  base = base || "";
+  sub = sub || "";
+  if (!base) return sub ? (sub.startsWith("/") ? sub : "/" + sub) : "";
+  if (!sub) return base;
+  const b = base.endsWith("/") ? base.slice(0, -1) : base;
+  const s = sub.startsWith("/") ? sub : "/" + sub;
+  return b + s;
+}
+
+function joinModules(base, sub) {
+  if (!sub) return base || "";
+  return base ? `${base}/${sub}` : sub;
+}
+
+function singularize(word) {
+  if (/ies$/.test(word)) return word.replace(/ies$/, "y");
+  if (/(ss|us)$/.test(word)) return word;
+  if (/(x|ch|sh|ss)es$/.test(word)) return word.replace(/es$/, "");
+  if (/s$/.test(word)) return word.replace(/s$/, "");
+  return word;
+}
+
+function pluralize(word) {
+  if (/[^aeiou]y$/.test(word)) return word.replace(/y$/, "ies");
+  if (/(s|x|z|ch|sh)$/.test(word)) return word + "es";
+  return word + "s";
+}
+
+function makeRoute(f) {
+  const method = f.method || "ANY";
+  const endpoint = f.path != null ? f.path : "";
+  const arrow = f.handler ? ` -> ${f.handler}` : "";
+  return {
+    type: "route",
+    framework: "rails",
+    method,
+    path: endpoint,
+    handler: f.handler || null,
+    kind: f.kind || "route",
+    isRegex: false,
+    decorator: f.decorator || null,
+    scope: "file",
+    handlerLine: null,
+    text: (f.text || `[rails] ${method} ${endpoint}${arrow}`).slice(0, MAX_TEXT),
+    startLine: f.startLine,
+    endLine: f.endLine,
+  };
+}
+
+// -------------------------------------------------------------------
+// DSL walker
+// -------------------------------------------------------------------
+
+/**
+ * ctx: {
+ *   path       URL prefix ("/admin/users/:user_id")
+ *   module     controller module prefix ("admin")
+ *   controller controller for bare verbs (set by resources / controller / scope)
+ *   resource   { member, collection } paths while inside a resources block
+ * }
+ */
+function walk(body, ctx, source, routes) {
+  if (!body) return;
+  for (const node of body.namedChildren) {
+    if (node.type !== "call") continue;
+    handleCall(node, ctx, source, routes);
+  }
+}
+
+function handleCall(node, ctx, source, routes) {
+  const name = callName(node, source);
+  const { positional, options } = callArgs(source, node);
+  const lines = { startLine: node.startPosition.row + 1, endLine: node.endPosition.row + 1 };
+  const body = blockBody(node);
+
+  if (node.childForFieldName("receiver")) {
+    // Rails.application.routes.draw do ... end
+    walk(body, ctx, source, routes);
+    return;
+  }
+
+  if (VERBS[name] || name === "match") {
+    verbRoute(name, positional, options, ctx, source, routes, node, lines);
+    return;
+  }
+
+  switch (name) {
+    case "root": {
+      const to = literal(source, options.to) || literal(source, positional[0]);
+      routes.push(makeRoute({
+        method: "GET", path: ctx.path || "/",
+        handler: qualifyHandler(to, ctx), decorator: "root",
+        text: firstLine(source, node), ...lines,
+      }));
+      return;
+    }
+
+    case "mount": {
+      const app = positional[0] ? text(source, positional[0]) : null;
+      const at = literal(source, options["=>"]) || literal(source, options.at) || "";
+      routes.push(makeRoute({
+        method: "ANY", path: joinPaths(ctx.path, at) || "/",
+        handler: app, kind: "mount", decorator: "mount",
+        text: firstLine(source, node), ...lines,
+      }));
+      return;
+    }
+
+    case "resources":
+    case "resource":
+      resourceRoutes(name, positional, options, ctx, source, routes, node, lines);
+      return;
+
+    case "namespace": {
+      const ns = literal(source, positional[0]);
+      if (ns == null) return;
+      walk(body, {
+        ...ctx,
+        path: joinPaths(ctx.path, literal(source, options.path) ?? ns),
+        module: joinModules(ctx.module, literal(source, options.module) ?? ns),
+        controller: null,
+        resource: null,
+      }, source, routes);
+      return;
+    }
+
+    case "scope": {
+      const scopePath = literal(source, options.path) ?? literal(source, positional[0]);
+      walk(body, {
+        ...ctx,
+        path: joinPaths(ctx.path, scopePath),
+        module: joinModules(ctx.module, literal(source, options.module)),
+        controller: literal(source, options.controller) || ctx.controller,
+      }, source, routes);
+      return;
+    }
+
+    case "controller": {
+      walk(body, { ...ctx, controller: literal(source, positional[0]) || ctx.controller }, source, routes);
+      return;
+    }
+
+    case "member":
+    case "collection": {
+      if (!ctx.resource) return;
+      walk(body, { ...ctx, path: ctx.resource[name] }, source, routes);
+      return;
+    }
+
+    default:
+      // constraints / defaults / draw-style wrappers: same prefixes inside
+      walk(body, ctx, source, routes);
+  }
+}
+
+function verbRoute(name, positional, options, ctx, source, routes, node, lines) {
+  let method = VERBS[name];
+  if (name === "match") {
+    const via = symbolList(source, options.via).map((v) => v.toUpperCase());
+    method = via.length ? via.join(",") : "ANY";
+  }
+
+  const rawPath = literal(source, positional[0]);
+  const to = literal(source, options["=>"]) || literal(source, options.to);
+
+  let basePath = ctx.path;
+  if (ctx.resource && options.on) {
+    const on = literal(source, options.on);
+    if (on === "member" || on === "collection") basePath = ctx.resource[on];
+  }
+
+  let handler = null;
+  if (to && to.includes("#")) {
+    handler = qualifyHandler(to, ctx);
+  } else {
+    const controller = literal(source, options.controller) || ctx.controller;
+    let action = literal(source, options.action);
+    if (!action && rawPath != null) {
+      const segments = rawPath.split("/").filter((s) => s && !s.startsWith(":") && !s.startsWith("*"));
+      action = segments.length ? segments[segments.length - 1].replace(/\(.*$/, "") : null;
+      // get 'photos/search' outside any controller scope -> photos#search
+      if (!controller && segments.length > 1) {
+        handler = qualifyHandler(`${segments.slice(0, -1).join("/")}#${action}`, ctx);
+      }
+    }
+    if (!handler && controller && action) handler = qualifyHandler(`${controller}#${action}`, ctx);
+    if (!handler && to) handler = to; // redirect(...) / Rack app
+  }
+
+  routes.push(makeRoute({
+    method, path: joinPaths(basePath, rawPath != null ? rawPath : "") || "/",
+    handler, decorator: name,
+    text: firstLine(source, node), ...lines,
+  }));
+}
+
+function resourceRoutes(name, positional, options, ctx, source, routes, node, lines) {
+  const singular = name === "resource";
+  const only = options.only ? new Set(symbolList(source, options.only)) : null;
+  const except = new Set(symbolList(source, options.except));
+  const moduleName = joinModules(ctx.module, literal(source, options.module));
+
+  for (const arg of positional) {
+    const resName = literal(source, arg);
+    if (resName == null) continue;
+
+    const controller = literal(source, options.controller) || (singular ? pluralize(resName) : resName);
+    const handlerBase = joinModules(moduleName, controller);
+    const base = joinPaths(ctx.path, literal(source, options.path) ?? resName);
+    const param = literal(source, options.param) || "id";
+
+    for (const r of singular ? RESOURCE_ACTIONS : RESOURCES_ACTIONS) {
+      if (only && !only.has(r.action)) continue;
+      if (except.has(r.action)) continue;
+      routes.push(makeRoute({
+        method: r.method,
+        path: base + r.suffix.replace(":id", `:${param}`),
+        handler: `${handlerBase}#${r.action}`,
+        kind: "resource", decorator: name,
+        text: `${firstLine(source, node)} (${r.action})`, ...lines,
+      }));
+    }
+
+    const body = blockBody(node);
+    if (!body) continue;
+    const memberPath = singular ? base : `${base}/:${param}`;
+    const nestedPath = singular ? base : `${base}/:${singularize(resName)}_${param}`;
+    walk(body, {
+      path: nestedPath,
+      module: ctx.module,
+      controller: joinModules(literal(source, options.module), controller),
+      resource: { member: memberPath, collection: base },
+    }, source, routes);
+  }
+}
+
+// "users#index" -> "admin/users#index" inside namespace :admin / scope module: 'admin'
+function qualifyHandler(handler, ctx) {
+  if (!handler || !handler.includes("#")) return handler || null;
+  if (handler.startsWith("/")) return handler.slice(1);
+  return joinModules(ctx.module, handler);
+}
+
+/**
+ * Main entry: routes declared in a Rails routes file.
+ */
+function extractRoutes(source, tree) {
+  const routes = [];
+  walk(tree.rootNode, { path: "", module: "", controller: null, resource: null }, source, routes);
+  routes.sort((a, b) => a.startLine - b.startLine || a.endLine - b.endLine);
+  return routes;
+}
+
+function extractFileRoutes(filePath) {
+  try {
+    const { source, tree } = parseRubyFile(filePath);
+    return extractRoutes(source, tree);
+  } catch (e) {
+    return [];
+  }
+}
+
+// config/routes.rb and config/routes/*.rb (files loaded with `draw(:admin)`)
+function isRoutesFile(relPath) {
+  return /(^|\/)config\/routes(\.rb|\/.+\.rb)$/.test(relPath.split(path.sep).join("/"));
+}
+
+module.exports = { extractFileRoutes, isRoutesFile };
+
+// -------------------------------------------------------------
+// CLI: node ruby/extract-routes-ruby.js <config/routes.rb>
+// -------------------------------------------------------------
+if (require.main === module) {
+  const target = process.argv[2];
+  if (!target) {
+    console.error("Usage: node ruby/extract-routes-ruby.js <config/routes.rb>");
+    process.exit(1);
+  }
+  const routes = extractFileRoutes(path.resolve(target));
+  console.log(JSON.stringify(routes, null, 2));
+  console.log(`\n${routes.length} route(s) detected.`);
+}
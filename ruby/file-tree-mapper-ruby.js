@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * Ruby Import Analyzer
+ * Analyzes Ruby files (.rb, .rake) and Gemfiles: functions, classes/modules,
+ * require/require_relative imports, and Rails routes.
+ * Usage: node file-tree-mapper-ruby.js <repoPath> <importsOutput.json>
+ */
+
+const fs = require("fs");
+const path = require("path");
+const glob = require("glob");
+const { extractFunctionsAndCalls, extractImports, extractFileStatements } = require("./extract-functions-ruby");
+const { extractClasses } = require("./extract-classes-ruby");
+const { extractFileRoutes, isRoutesFile } = require("./extract-routes-ruby");
+const { getIgnorePatternsWithPrefix } = require("../ignore-patterns");
+
+// -------------------------------------------------------------
+// Helpers
+// -------------------------------------------------------------
+function getRubyFiles(repoPath, ignorePatterns = null) {
+  const patterns = ignorePatterns || getIgnorePatternsWithPrefix(repoPath, { language: 'ruby' });
+  return glob.sync(`${repoPath}/**/{*.rb,*.rake,Gemfile}`, {
+    ignore: patterns,
+  });
+}
+
+const isGemfile = (file) => path.basename(file) === "Gemfile";
+
+// "admin/users_controller" -> "Admin::UsersController"
+function camelize(relPath) {
+  return relPath
+    .split("/")
+    .map((seg) => seg.replace(/(^|_)([a-z0-9])/g, (m, sep, ch) => ch.toUpperCase()))
+    .join("::");
+}
+
+/**
+ * Constant name -> defining files. Rails autoloads constants from their file
+ * path (app/models/admin/user.rb -> Admin::User), so paths under app/* and
+ * lib/ are indexed by name; explicit class/module declarations elsewhere are
+ * picked up by a line scan.
+ */
+function buildConstantIndex(repoPath, files) {
+  const index = {};
+  const add = (name, rel) => {
+    const list = index[name] || (index[name] = []);
+    if (!list.includes(rel)) list.push(rel);
+  };
+
+  for (const file of files) {
+    if (isGemfile(file)) continue;
+    const rel = path.relative(repoPath, file).split(path.sep).join("/");
+
+    const autoload = rel.match(/(?:^|\/)(?:app\/[^/]+\/(?:concerns\/)?|lib\/)(.+)\.rb$/);
+    if (autoload) {
+      const name = camelize(autoload[1]);
+      add(name, rel);
+      add(name.split("::").pop(), rel);
+    }
+
+    let source;
+    try {
+      source = fs.readFileSync(file, "utf8");
+    } catch {
+      continue;
+    }
+    for (const m of source.matchAll(/^\s*(?:class|module)\s+((?:::)?[A-Z][\w:]*)/gm)) {
+      const name = m[1].replace(/^::/, "");
+      add(name, rel);
+      add(name.split("::").pop(), rel);
+    }
+  }
+
+  return index;
+}
+
+// "admin/users" -> "app/controllers/admin/users_controller.rb"
+function buildControllerIndex(repoPath, files) {
+  const index = {};
+  for (const file of files) {
+    const rel = path.relative(repoPath, file).split(path.sep).join("/");
+    const m = rel.match(/(?:^|\/)app\/controllers\/(.+)_controller\.rb$/);
+    if (m && !index[m[1]]) index[m[1]] = rel;
+  }
+  return index;
+}
+
+function readGemfile(gemfilePath) {
+  try {
+    const content = fs.readFileSync(gemfilePath, "utf8");
+    return [...content.matchAll(/^\s*gem\s+['"]([^'"]+)['"]/gm)].map((m) => m[1]);
+  } catch {
+    return [];
+  }
+}
+
+// Nearest Gemfile at or above dir, without leaving the repo.
+function findGemfile(startDir, repoPath, cache) {
+  let dir = path.resolve(startDir);
+  const root = path.resolve(repoPath);
+  const visited = [];
+  let found = null;
+
+  while (true) {
+    if (cache.has(dir)) {
+      found = cache.get(dir);
+      break;
+    }
+    visited.push(dir);
+    const candidate = path.join(dir, "Gemfile");
+    if (fs.existsSync(candidate)) {
+      found = candidate;
+      break;
+    }
+    if (dir === root || dir === path.dirname(dir)) break;
+    dir = path.dirname(dir);
+  }
+
+  visited.forEach((d) => cache.set(d, found));
+  return found;
+}
+
+// -------------------------------------------------------------
+// Import resolution
+// -------------------------------------------------------------
+
+/**
+ * require_relative resolves from the file's directory; require/load/autoload
+ * from the repo root, lib/ and app/ (the usual $LOAD_PATH entries), or any
+ * lib/ directory in the repo (engines, in-repo gems).
+ */
+function resolveRequire(imp, file, repoPath, relFiles) {
+  const target = imp.source.endsWith(".rb") ? imp.source : `${imp.source}.rb`;
+
+  if (imp.type === "require_relative") {
+    const abs = path.resolve(path.dirname(file), target);
+    const rel = path.relative(repoPath, abs).split(path.sep).join("/");
+    return relFiles.has(rel) ? rel : null;
+  }
+
+  for (const base of ["", "lib/", "app/"]) {
+    if (relFiles.has(base + target)) return base + target;
+  }
+  for (const rel of relFiles) {
+    if (rel.endsWith("/lib/" + target)) return rel;
+  }
+  return null;
+}
+
+// `require "aws-sdk-s3"` / `require "active_support/all"` -> the Gemfile gem it belongs to
+function gemForRequire(requirePath, gems) {
+  const top = requirePath.split("/")[0];
+  return gems.find((gem) =>
+    gem === requirePath || gem === top || gem.replace(/-/g, "/") === requirePath || gem.replace(/_/g, "") === top.replace(/_/g, "")
+  ) || null;
+}
+
+// -------------------------------------------------------------
+// Rails routes -> controller actions
+// -------------------------------------------------------------
+
+/**
+ * Routes from every config/routes*.rb, grouped by the controller file their
+ * "controller#action" handler points to.
+ */
+function buildRouteTable(repoPath, files, controllerIndex) {
+  const byRoutesFile = new Map();
+  const byController = new Map();
+
+  for (const file of files) {
+    const rel = path.relative(repoPath, file).split(path.sep).join("/");
+    if (!isRoutesFile(rel)) continue;
+    const routes = extractFileRoutes(file);
+    byRoutesFile.set(rel, routes);
+
+    for (const rt of routes) {
+      if (!rt.handler || !rt.handler.includes("#")) continue;
+      const [controller, action] = rt.handler.split("#");
+      const controllerFile = controllerIndex[controller];
+      if (!controllerFile) continue;
+      const list = byController.get(controllerFile) || [];
+      list.push({ route: rt, action, routesFile: rel });
+      byController.set(controllerFile, list);
+    }
+  }
+
+  return { byRoutesFile, byController };
+}
+
+// Copy each route onto its public action method (routes.rb keeps the full table).
+function attachRoutesToActions(entries, functions) {
+  for (const { route, action, routesFile } of entries) {
+    const fn = functions.find((f) => f.name === action && f.kind === "instance" && f.visibility === "public");
+    if (!fn) continue;
+    (fn.statements || (fn.statements = [])).push({
+      ...route,
+      scope: "function",
+      handlerLine: fn.startLine,
+      routesFile,
+    });
+  }
+}
+
+// -------------------------------------------------------------
+// Analyze a single file
+// -------------------------------------------------------------
+function analyzeFile(file, repoPath, ctx, opts) {
+  const relPath = path.relative(repoPath, file).split(path.sep).join("/");
+  const gemfile = findGemfile(path.dirname(file), repoPath, ctx.gemfileCache);
+  const gems = gemfile ? ctx.gemsFor(gemfile) : [];
+
+  // Gemfile: its gems are the external dependencies
+  if (isGemfile(file)) {
+    return {
+      path: path.relative(repoPath, file),
+      importFiles: [],
+      externalImports: [...new Set(readGemfile(file))],
+      functions: [],
+      classes: [],
+      statements: [],
+    };
+  }
+
+  const importFiles = [];
+  const externalImports = [];
+  for (const imp of extractImports(file)) {
+    const resolved = resolveRequire(imp, file, repoPath, ctx.relFiles);
+    if (resolved) {
+      if (resolved !== relPath) importFiles.push(resolved);
+    } else if (imp.type !== "require_relative") {
+      externalImports.push(gemForRequire(imp.source, gems) || imp.source);
+    }
+  }
+
+  const functions = extractFunctionsAndCalls(file, repoPath, ctx.constantIndex, opts.captureSourceCode, opts.captureStatements);
+  const classes = extractClasses(file, repoPath, opts.captureStatements);
+
+  const statements = opts.captureStatements ? extractFileStatements(file) : [];
+
+  if (opts.captureStatements) {
+    // config/routes.rb: the whole route table as file-level statements
+    const routes = ctx.routeTable.byRoutesFile.get(relPath);
+    if (routes && routes.length) statements.push(...routes);
+
+    // Controllers: each action gets the routes that point to it
+    const entries = ctx.routeTable.byController.get(relPath);
+    if (entries) attachRoutesToActions(entries, functions);
+  }
+
+  return {
+    path: path.relative(repoPath, file),
+    importFiles: [...new Set(importFiles)],
+    externalImports: [...new Set(externalImports)],
+    functions,
+    classes,
+    statements,
+  };
+}
+
+// -------------------------------------------------------------
+// Analyze Repo
+// -------------------------------------------------------------
+function analyzeRubyRepo(repoPath, opts = {}) {
+  const rubyFiles = getRubyFiles(repoPath, opts.ignorePatterns);
+  const results = opts.onResult ? null : [];
+  const totalFiles = rubyFiles.length;
+
+  const spinnerFrames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+  let spinnerIndex = 0;
+
+  console.log(`\n📊 Ruby files to process: ${totalFiles}\n`);
+
+  // Indexes cover every file so filtered (incremental / pooled) runs still
+  // resolve constants, requires and routes into files they do not parse.
+  const gemCache = new Map();
+  const controllerIndex = buildControllerIndex(repoPath, rubyFiles);
+  const ctx = {
+    relFiles: new Set(rubyFiles.map((f) => path.relative(repoPath, f).split(path.sep).join("/"))),
+    constantIndex: buildConstantIndex(repoPath, rubyFiles),
+    routeTable: opts.captureStatements
+      ? buildRouteTable(repoPath, rubyFiles, controllerIndex)
+      : { byRoutesFile: new Map(), byController: new Map() },
+    gemfileCache: new Map(),
+    gemsFor: (gemfile) => {
+      if (!gemCache.has(gemfile)) gemCache.set(gemfile, readGemfile(gemfile));
+      return gemCache.get(gemfile);
+    },
+  };
+
+  for (let i = 0; i < rubyFiles.length; i++) {
+    const file = rubyFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
+
+    try {
+      const percentage = ((i / totalFiles) * 100).toFixed(1);
+      const spinner = spinnerFrames[spinnerIndex % spinnerFrames.length];
+      const fileName = path.relative(repoPath, file);
+
+      process.stdout.write(`\r${spinner} Processing Ruby: ${i}/${totalFiles} (${percentage}%) - ${fileName.substring(0, 60).padEnd(60, ' ')}`);
+      spinnerIndex++;
+
+      const fileResult = analyzeFile(file, repoPath, ctx, opts);
+      if (opts.onResult) {
+        opts.onResult(fileResult);
+      } else {
+        results.push(fileResult);
+      }
+    } catch (e) {
+      console.log(`\n❌ Error analyzing ${file}:`, e);
+      if (opts.onFileError) opts.onFileError(file, e);
+    }
+  }
+
+  // Clear the progress line and show completion
+  process.stdout.write(`\r${' '.repeat(120)}\r`);
+  console.log(`✅ Processed ${totalFiles} Ruby files\n`);
+
+  return results || [];
+}
+
+module.exports = { analyzeRubyRepo };
+
+// -------------------------------------------------------------
+// Main
+// -------------------------------------------------------------
+if (require.main === module) {
+  if (process.argv.length < 4) {
+    console.error(
+      "Usage: node file-tree-mapper-ruby.js <repoPath> <importsOutput.json>"
+    );
+    process.exit(1);
+  }
+
+  const repoPath = path.resolve(process.argv[2]);
+  const importsOutput = path.resolve(process.argv[3]);
+  const captureSourceCode = process.argv.includes("--capture-source-code");
+  const captureStatements = process.argv.includes("--capture-statements");
+
+  console.log(`Scanning Ruby repo: ${repoPath}`);
+
+  const analysis = analyzeRubyRepo(repoPath, { captureSourceCode, captureStatements });
+  fs.writeFileSync(importsOutput, JSON.stringify(analysis, null, 2));
+
+  console.log(`Output written to → ${importsOutput}`);
+}
@@ -0,0 +1,180 @@
+const { parseRustFile, typeName, collectQueryStatements, traverse } = require("./extract-functions-rust");
+
+// struct / enum / union / trait items -> class record `type`
+const CLASS_NODE_TYPES = {
+  struct_item: "struct",
+  enum_item: "enum",
+  union_item: "union",
+  trait_item: "trait",
+};
+
+const METHOD_NODE_TYPES = new Set(["function_item", "function_signature_item"]);
+
+/**
+ * Structs, enums, unions and traits. Rust keeps methods in separate `impl`
+ * blocks, so every `impl Type` / `impl Trait for Type` in the file is folded
+ * into the type's record: its fns become `methods` and the trait goes to
+ * `implements` (after any `#[derive(..)]` traits).
+ */
+function extractClasses(filePath, repoPath = null, captureStatements = false) {
+  const { source, tree } = parseRustFile(filePath);
+
+  const impls = collectImpls(tree.rootNode, source);
+  const classes = [];
+
+  traverse(tree.rootNode, (node) => {
+    if (CLASS_NODE_TYPES[node.type]) {
+      const classInfo = extractClassInfo(node, source, impls, captureStatements);
+      if (classInfo?.name) {
+        classes.push(classInfo);
+      }
+    }
+  });
+
+  return classes;
+}
+
+// type name -> { methods, traits } from the impl blocks in the file
+function collectImpls(root, source) {
+  const impls = new Map();
+
+  traverse(root, (node) => {
+    if (node.type !== "impl_item") return;
+    const name = typeName(node.childForFieldName("type"), source);
+    if (!name) return;
+    const entry = impls.get(name) || { methods: [], traits: [] };
+    const traitNode = node.childForFieldName("trait");
+    if (traitNode) entry.traits.push(typeName(traitNode, source));
+    entry.methods.push(...declaredFunctions(node, source));
+    impls.set(name, entry);
+  });
+
+  return impls;
+}
+
+function declaredFunctions(node, source) {
+  const body = node.childForFieldName("body");
+  if (!body) return [];
+  return body.namedChildren
+    .filter((c) => METHOD_NODE_TYPES.has(c.type))
+    .map((c) => c.childForFieldName("name"))
+    .filter(Boolean)
+    .map((n) => source.slice(n.startIndex, n.endIndex));
+}
+
+function extractClassInfo(node, source, impls, captureStatements = false) {
+  const startLine = node.startPosition.row + 1;
+  const endLine = node.endPosition.row + 1;
+
+  const nameNode = node.childForFieldName("name");
+  if (!nameNode) return null;
+  const name = source.slice(nameNode.startIndex, nameNode.endIndex);
+  const type = CLASS_NODE_TYPES[node.type];
+  const impl = impls.get(name) || { methods: [], traits: [] };
+
+  // trait Repo: Send + Sync -> supertraits
+  const bounds = node.type === "trait_item" ? node.childForFieldName("bounds") : null;
+  const supertraits = bounds
+    ? bounds.namedChildren.map((b) => typeName(b, source)).filter((t) => t && !t.startsWith("'"))
+    : [];
+
+  const methods = type === "trait" ? declaredFunctions(node, source) : [];
+  methods.push(...impl.methods.filter((m) => !methods.includes(m)));
+
+  const result = {
+    name,
+    type,
+    visibility: getVisibility(node, source),
+    isAbstract: type === "trait",
+    extends: null, // Rust has no inheritance
+    implements: [...new Set([...derivedTraits(node, source), ...impl.traits, ...supertraits])],
+    constructorParams: node.type === "struct_item" || node.type === "union_item" ? extractFields(node, source) : [],
+    methods,
+    statements: captureStatements ? extractClassStatements(node, source) : [],
+    startLine,
+    endLine
+  };
+
+  if (type === "enum") result.variants = extractVariants(node, source);
+
+  return result;
+}
+
+function getVisibility(node, source) {
+  const modifier = node.namedChildren.find((c) => c.type === "visibility_modifier");
+  if (!modifier) return "private";
+  const text = source.slice(modifier.startIndex, modifier.endIndex).replace(/\s+/g, "");
+  if (text === "pub") return "public";
+  return text === "pub(self)" ? "private" : "internal";
+}
+
+// #[derive(Debug, Clone, serde::Serialize)] above the item -> ["Debug", "Clone", "Serialize"]
+function derivedTraits(node, source) {
+  const attributes = [];
+  let prev = node.previousNamedSibling;
+  while (prev && (prev.type === "attribute_item" || prev.type === "line_comment" || prev.type === "block_comment")) {
+    if (prev.type === "attribute_item") attributes.unshift(source.slice(prev.startIndex, prev.endIndex));
+    prev = prev.previousNamedSibling;
+  }
+
+  const traits = [];
+  for (const attr of attributes) {
+    const m = attr.match(/^#\[\s*derive\s*\(([\s\S]*)\)\s*\]$/);
+    if (m) m[1].split(",").map((t) => t.trim().split("::").pop()).filter(Boolean).forEach((t) => traits.push(t));
+  }
+  return traits;
+}
+
+// Named fields, or positional ones ("0", "1") for tuple structs
+function extractFields(node, source) {
+  const body = node.childForFieldName("body");
+  if (!body) return [];
+
+  if (body.type === "ordered_field_declaration_list") {
+    const types = body.childrenForFieldName("type");
+    return types.map((_, i) => String(i));
+  }
+
+  return body.namedChildren
+    .filter((c) => c.type === "field_declaration")
+    .map((c) => c.childForFieldName("name"))
+    .filter(Boolean)
+    .map((n) => source.slice(n.startIndex, n.endIndex));
+}
+
+function extractVariants(node, source) {
+  const body = node.childForFieldName("body");
+  if (!body) return [];
+  return body.namedChildren
+    .filter((c) => c.type === "enum_variant")
+    .map((c) => c.childForFieldName("name"))
+    .filter(Boolean)
+    .map((n) => source.slice(n.startIndex, n.endIndex));
+}
+
+const CLASS_STATEMENT_TYPES = ["field_declaration", "enum_variant", "const_item", "associated_type"];
+
+function extractClassStatements(node, source) {
+  const statements = [];
+  const body = node.childForFieldName("body");
+
+  if (body) {
+    for (const member of body.namedChildren) {
+      if (!CLASS_STATEMENT_TYPES.includes(member.type)) continue;
+      const nameNode = member.childForFieldName("name");
+      statements.push({
+        type: member.type,
+        name: nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null,
+        text: source.slice(member.startIndex, member.endIndex).slice(0, 1000),
+        startLine: member.startPosition.row + 1,
+        endLine: member.endPosition.row + 1,
+      });
+    }
+  }
+
+  // Queries in trait default bodies / associated consts
+  collectQueryStatements(node, source, statements);
+  return statements;
+}
+
+module.exports = { extractClasses };
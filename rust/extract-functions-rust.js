@@ -0,0 +1,501 @@
+const Parser = require("tree-sitter");
+const Rust = require("tree-sitter-rust");
+const path = require("path");
+const { truncateSourceCode, parseSource, containsDbQuery, getDbFromMethod, getStatementTextLimit } = require("../utils");
+
+const sharedParser = new Parser();
+sharedParser.setLanguage(Rust);
+
+const STATEMENT_TYPES = ["let_declaration", "const_item", "static_item", "return_expression"];
+
+const FUNCTION_TYPES = new Set(["function_item", "function_signature_item"]);
+
+// Item declarations that become class records
+const TYPE_ITEM_TYPES = new Set(["struct_item", "enum_item", "union_item", "trait_item"]);
+
+function parseRustFile(filePath) {
+  return parseSource(filePath, sharedParser);
+}
+
+function extractFunctionsWithCalls(filePath, repoPath = null, captureSourceCode = false, captureStatements = false) {
+  const { source, tree } = parseRustFile(filePath);
+
+  const functions = [];
+
+  traverse(tree.rootNode, (node) => {
+    if (FUNCTION_TYPES.has(node.type)) {
+      const funcInfo = extractFunctionInfo(node, source, captureSourceCode, captureStatements);
+      if (funcInfo.name) {
+        functions.push(funcInfo);
+      }
+    }
+  });
+
+  return functions;
+}
+
+function extractFunctionInfo(node, source, captureSourceCode = false, captureStatements = false) {
+  const startLine = node.startPosition.row + 1;
+  const endLine = node.endPosition.row + 1;
+
+  const nameNode = node.childForFieldName("name");
+  const name = nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
+  const owner = enclosingOwner(node);
+  const params = extractFunctionParams(node, source);
+
+  let kind = "function";
+  if (owner) kind = params[0] === "self" ? "instance" : "static";
+
+  const returnTypeNode = node.childForFieldName("return_type");
+  const modifiers = node.namedChildren.find((c) => c.type === "function_modifiers");
+
+  const result = {
+    name,
+    type: node.type,
+    visibility: getVisibility(node, owner, source),
+    kind,
+    receiver: owner ? ownerTypeName(owner, source) : null,
+    params,
+    returnType: returnTypeNode ? source.slice(returnTypeNode.startIndex, returnTypeNode.endIndex) : null,
+    isAsync: !!modifiers && /\basync\b/.test(source.slice(modifiers.startIndex, modifiers.endIndex)),
+    startLine,
+    endLine,
+    calls: extractDirectCalls(node, source),
+    statements: captureStatements ? extractStatements(node, source) : [],
+  };
+
+  if (owner && owner.type === "impl_item") {
+    const traitNode = owner.childForFieldName("trait");
+    if (traitNode) result.trait = typeName(traitNode, source);
+  }
+
+  if (captureSourceCode && source) {
+    result.sourceCode = truncateSourceCode(source.slice(node.startIndex, node.endIndex));
+  }
+
+  return result;
+}
+
+// impl / trait block a function is declared in (null for free and nested functions).
+function enclosingOwner(node) {
+  const list = node.parent;
+  if (!list || list.type !== "declaration_list") return null;
+  const owner = list.parent;
+  return owner && (owner.type === "impl_item" || owner.type === "trait_item") ? owner : null;
+}
+
+// `impl<T> Repo<T>` -> "Repo", `impl Display for User` -> "User", `trait Store` -> "Store"
+function ownerTypeName(owner, source) {
+  const typeNode = owner.type === "impl_item" ? owner.childForFieldName("type") : owner.childForFieldName("name");
+  return typeName(typeNode, source);
+}
+
+function typeName(node, source) {
+  while (node) {
+    switch (node.type) {
+      case "type_identifier":
+      case "identifier":
+        return source.slice(node.startIndex, node.endIndex);
+      case "generic_type":
+        node = node.childForFieldName("type");
+        break;
+      case "scoped_type_identifier":
+      case "scoped_identifier":
+        node = node.childForFieldName("name");
+        break;
+      case "reference_type":
+      case "pointer_type":
+        node = node.childForFieldName("type");
+        break;
+      default:
+        return source.slice(node.startIndex, node.endIndex);
+    }
+  }
+  return null;
+}
+
+/**
+ * `pub` -> public; `pub(crate)` / `pub(super)` / `pub(in path)` -> internal;
+ * no modifier -> private. Trait items and trait impl methods take the
+ * trait's visibility, so they are reported as public.
+ */
+function getVisibility(node, owner, source) {
+  const modifier = node.namedChildren.find((c) => c.type === "visibility_modifier");
+  if (modifier) {
+    const text = source.slice(modifier.startIndex, modifier.endIndex).replace(/\s+/g, "");
+    if (text === "pub") return "public";
+    return text === "pub(self)" ? "private" : "internal";
+  }
+  if (owner && (owner.type === "trait_item" || owner.childForFieldName("trait"))) return "public";
+  return "private";
+}
+
+function extractFunctionParams(node, source) {
+  const paramsNode = node.childForFieldName("parameters");
+  if (!paramsNode) return [];
+
+  const params = [];
+  for (let i = 0; i < paramsNode.namedChildCount; i++) {
+    const param = paramsNode.namedChild(i);
+    if (param.type === "self_parameter") {
+      params.push("self");
+    } else if (param.type === "parameter") {
+      const pattern = param.childForFieldName("pattern");
+      if (pattern) params.push(source.slice(pattern.startIndex, pattern.endIndex));
+    } else if (param.type === "variadic_parameter") {
+      params.push("...");
+    }
+  }
+
+  return params;
+}
+
+function extractDirectCalls(funcNode, source) {
+  const calls = [];
+
+  traverse(funcNode, (node) => {
+    if (node.type !== "call_expression") return;
+    const callInfo = extractCallInfo(node, source);
+    if (callInfo) calls.push(callInfo);
+  });
+
+  return calls;
+}
+
+function extractCallInfo(node, source) {
+  let fn = node.childForFieldName("function");
+  if (fn && fn.type === "generic_function") fn = fn.childForFieldName("function");
+  if (!fn) return null;
+
+  // foo()
+  if (fn.type === "identifier") {
+    return { name: source.slice(fn.startIndex, fn.endIndex), path: null };
+  }
+
+  // User::new() / crate::util::helper() / Self::build()
+  if (fn.type === "scoped_identifier") {
+    const nameNode = fn.childForFieldName("name");
+    const pathNode = fn.childForFieldName("path");
+    if (!nameNode) return null;
+    return {
+      name: source.slice(nameNode.startIndex, nameNode.endIndex),
+      objectName: pathNode ? receiverText(pathNode, source) : null,
+      path: null,
+    };
+  }
+
+  // self.save() / repo.find(id) / Router::new().route(..)
+  if (fn.type === "field_expression") {
+    const field = fn.childForFieldName("field");
+    if (!field || field.type !== "field_identifier") return null;
+    return {
+      name: source.slice(field.startIndex, field.endIndex),
+      objectName: receiverText(fn.childForFieldName("value"), source),
+      path: null,
+    };
+  }
+
+  return null;
+}
+
+// Compact text of a call target: `self.repo`, `User`, `Router::new()`
+function receiverText(node, source) {
+  if (!node) return null;
+  switch (node.type) {
+    case "self":
+    case "identifier":
+    case "type_identifier":
+    case "scoped_identifier":
+    case "scoped_type_identifier":
+      return source.slice(node.startIndex, node.endIndex);
+    case "generic_type":
+    case "generic_function":
+      return receiverText(node.namedChild(0), source);
+    case "field_expression": {
+      const field = node.childForFieldName("field");
+      return `${receiverText(node.childForFieldName("value"), source)}.${field ? source.slice(field.startIndex, field.endIndex) : ""}`;
+    }
+    case "call_expression":
+      return `${receiverText(node.childForFieldName("function"), source)}()`;
+    case "try_expression":
+    case "await_expression":
+    case "parenthesized_expression":
+    case "reference_expression":
+      return receiverText(node.namedChildren[node.namedChildCount - 1], source);
+    default:
+      return source.slice(node.startIndex, node.endIndex).replace(/\s+/g, " ").slice(0, 80);
+  }
+}
+
+function extractStatements(node, source) {
+  const body = node.childForFieldName("body");
+  if (!body) return [];
+
+  const statements = [];
+  traverse(body, (child) => {
+    if (!STATEMENT_TYPES.includes(child.type)) return;
+    // Skip nested fns; they are extracted on their own
+    if (enclosingFunction(child) !== node) return;
+    statements.push({
+      type: child.type,
+      text: source.slice(child.startIndex, child.endIndex).slice(0, child.type === "return_expression" ? 200 : getStatementTextLimit(child)),
+      startLine: child.startPosition.row + 1,
+      endLine: child.endPosition.row + 1,
+    });
+  });
+
+  collectQueryStatements(body, source, statements);
+
+  return statements;
+}
+
+function enclosingFunction(node) {
+  let p = node.parent;
+  while (p && !FUNCTION_TYPES.has(p.type)) p = p.parent;
+  return p || null;
+}
+
+function traverse(node, cb) {
+  cb(node);
+  for (let i = 0; i < node.namedChildCount; i++) {
+    traverse(node.namedChild(i), cb);
+  }
+}
+
+// -------------------------------------------------------------
+// Imports
+// -------------------------------------------------------------
+
+/**
+ * `use` trees flattened to one entry per imported path, plus `mod x;`
+ * declarations and `extern crate` items:
+ *
+ *   use crate::models::{user::User, Post as P};
+ *     -> { source: "crate::models::user::User", path: [...], alias: "User", type: "use" }
+ *     -> { source: "crate::models::Post",       path: [...], alias: "P",    type: "use" }
+ *   use super::*;   -> { path: ["super"], alias: "*" }
+ *   mod handlers;   -> { path: ["self", "handlers"], alias: "handlers", type: "mod" }
+ *
+ * Resolution against the crate layout is done by the mapper.
+ */
+function extractImports(filePath) {
+  const { source, tree } = parseRustFile(filePath);
+  const imports = [];
+  const text = (n) => source.slice(n.startIndex, n.endIndex);
+
+  const push = (segments, alias, type, node) => {
+    if (!segments.length) return;
+    imports.push({
+      source: segments.join("::"),
+      path: segments,
+      alias,
+      type,
+      line: node.startPosition.row + 1,
+    });
+  };
+
+  const pathSegments = (n) => {
+    if (!n) return [];
+    if (n.type === "scoped_identifier") {
+      return [...pathSegments(n.childForFieldName("path")), ...pathSegments(n.childForFieldName("name"))];
+    }
+    return [text(n)];
+  };
+
+  const flatten = (n, prefix, decl) => {
+    switch (n.type) {
+      case "use_as_clause": {
+        const segments = [...prefix, ...pathSegments(n.childForFieldName("path"))];
+        push(segments, text(n.childForFieldName("alias")), "use", decl);
+        break;
+      }
+      case "use_wildcard":
+        push([...prefix, ...pathSegments(n.namedChild(0))], "*", "use", decl);
+        break;
+      case "scoped_use_list": {
+        const base = [...prefix, ...pathSegments(n.childForFieldName("path"))];
+        const list = n.childForFieldName("list");
+        if (list) list.namedChildren.forEach((c) => flatten(c, base, decl));
+        break;
+      }
+      case "use_list":
+        n.namedChildren.forEach((c) => flatten(c, prefix, decl));
+        break;
+      case "self":
+        // use a::b::{self, c} -> a::b
+        push(prefix, prefix[prefix.length - 1], "use", decl);
+        break;
+      default: {
+        const segments = [...prefix, ...pathSegments(n)];
+        push(segments, segments[segments.length - 1], "use", decl);
+      }
+    }
+  };
+
+  traverse(tree.rootNode, (node) => {
+    if (node.type === "use_declaration") {
+      const arg = node.childForFieldName("argument");
+      if (arg) flatten(arg, [], node);
+    } else if (node.type === "mod_item" && !node.childForFieldName("body")) {
+      const name = text(node.childForFieldName("name"));
+      push(["self", name], name, "mod", node);
+    } else if (node.type === "extern_crate_declaration") {
+      const name = text(node.childForFieldName("name"));
+      const alias = node.childForFieldName("alias");
+      push([name], alias ? text(alias) : name, "extern_crate", node);
+    }
+  });
+
+  return imports;
+}
+
+/**
+ * Resolve call paths: functions and types defined in the file first, then
+ * `use` aliases and module paths through `resolveModulePath(segments)`,
+ * supplied by the mapper (returns a repo-relative file or null).
+ */
+function extractFunctionsAndCalls(filePath, repoPath, resolveModulePath = null, captureSourceCode = false, captureStatements = false) {
+  try {
+    const functions = extractFunctionsWithCalls(filePath, repoPath, captureSourceCode, captureStatements);
+    const relPath = path.relative(repoPath, filePath);
+    const resolve = resolveModulePath || (() => null);
+
+    const uses = new Map();
+    for (const imp of extractImports(filePath)) {
+      if (imp.alias !== "*" && imp.alias !== "_") uses.set(imp.alias, imp.path);
+    }
+
+    const localFunctions = new Set(functions.filter((f) => !f.receiver).map((f) => f.name));
+    const localMethods = new Set(functions.map((f) => f.name));
+    const localTypes = declaredTypeNames(filePath);
+
+    const resolveSegments = (segments) => {
+      const head = uses.get(segments[0]);
+      return resolve(head ? [...head, ...segments.slice(1)] : segments);
+    };
+
+    functions.forEach((func) => {
+      func.calls.forEach((call) => {
+        let resolvedPath = null;
+        const receiver = call.objectName;
+
+        if (!receiver) {
+          if (localFunctions.has(call.name)) resolvedPath = relPath;
+          else if (uses.has(call.name)) resolvedPath = resolve(uses.get(call.name));
+        } else if (receiver === "self" || receiver === "Self") {
+          if (localMethods.has(call.name)) resolvedPath = relPath;
+        } else if (/^[A-Za-z_]\w*(::[A-Za-z_]\w*)*$/.test(receiver)) {
+          const segments = receiver.split("::");
+          if (segments.length === 1 && localTypes.has(receiver)) resolvedPath = relPath;
+          else if (segments.length > 1 || /^[A-Z]/.test(receiver) || uses.has(receiver)) {
+            resolvedPath = resolveSegments(segments);
+          }
+        }
+
+        if (resolvedPath) {
+          call.path = resolvedPath;
+        }
+
+        // Keep the receiver (self/Type/module path/variable) for call-graph-resolver.js
+        if (receiver) call.receiver = receiver;
+        delete call.objectName;
+      });
+    });
+
+    return functions;
+  } catch (error) {
+    console.error(`Error processing ${filePath}:`, error);
+    return [];
+  }
+}
+
+function declaredTypeNames(filePath) {
+  const { source, tree } = parseRustFile(filePath);
+  const names = new Set();
+  traverse(tree.rootNode, (node) => {
+    if (!TYPE_ITEM_TYPES.has(node.type)) return;
+    const nameNode = node.childForFieldName("name");
+    if (nameNode) names.add(source.slice(nameNode.startIndex, nameNode.endIndex));
+  });
+  return names;
+}
+
+function extractFileStatements(filePath) {
+  const { source, tree } = parseRustFile(filePath);
+  const statements = [];
+
+  for (let i = 0; i < tree.rootNode.namedChildCount; i++) {
+    const child = tree.rootNode.namedChild(i);
+    if (!STATEMENT_TYPES.includes(child.type)) continue;
+    statements.push({
+      type: child.type,
+      text: source.slice(child.startIndex, child.endIndex).slice(0, getStatementTextLimit(child)),
+      startLine: child.startPosition.row + 1,
+      endLine: child.endPosition.row + 1,
+    });
+  }
+
+  // Query statements outside any fn, impl or type
+  for (let i = 0; i < tree.rootNode.namedChildCount; i++) {
+    const child = tree.rootNode.namedChild(i);
+    if (FUNCTION_TYPES.has(child.type) || TYPE_ITEM_TYPES.has(child.type) || child.type === "impl_item") continue;
+    collectQueryStatements(child, source, statements);
+  }
+
+  return statements;
+}
+
+function collectQueryStatements(node, source, statements) {
+  const seen = new Set(
+    statements
+      .filter(s => s.type === 'query_statement' || s.type === 'db_method_call')
+      .map(s => `${s.startLine}:${s.endLine}`)
+  );
+
+  traverse(node, (n) => {
+    if (n.type === "call_expression") {
+      const callInfo = extractCallInfo(n, source);
+      const db = callInfo ? getDbFromMethod(callInfo.name) : null;
+      if (db) {
+        const key = `${n.startPosition.row + 1}:${n.endPosition.row + 1}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          statements.push({
+            type: "db_method_call", db, method: callInfo.name, object: callInfo.objectName || null,
+            text: source.slice(n.startIndex, n.endIndex).slice(0, 500),
+            startLine: n.startPosition.row + 1,
+            endLine: n.endPosition.row + 1,
+          });
+        }
+        return;
+      }
+    }
+
+    // Plain and raw strings, including those inside sqlx::query!(..) macros
+    if (n.type === "string_literal" || n.type === "raw_string_literal") {
+      const text = source.slice(n.startIndex, n.endIndex);
+      if (containsDbQuery(text)) {
+        const key = `${n.startPosition.row + 1}:${n.endPosition.row + 1}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          statements.push({
+            type: "query_statement",
+            text: text.slice(0, 500),
+            startLine: n.startPosition.row + 1,
+            endLine: n.endPosition.row + 1,
+          });
+        }
+      }
+    }
+  });
+}
+
+module.exports = {
+  extractFunctionsAndCalls,
+  extractImports,
+  extractFileStatements,
+  collectQueryStatements,
+  parseRustFile,
+  typeName,
+  traverse,
+};
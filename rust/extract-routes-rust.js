@@ -0,0 +1,379 @@
+/**
+ * Rust web-route extractor (static, tree-sitter based).
+ *
+ *   Actix Web (attribute macros, function-scoped)
+ *     #[get("/users/{id}")] / #[post(..)] / ... on the handler fn
+ *     #[route("/x", method = "GET", method = "HEAD")]
+ *     (Rocket uses the same attributes: `#[get("/hello/<name>")]`)
+ *
+ *   Actix Web (builder calls, file-scoped)
+ *     App::new().route("/x", web::get().to(handler))
+ *     web::resource("/x").route(web::post().to(handler)) / .to(handler)
+ *     web::scope("/api").service(..)  (prefixes everything registered inside)
+ *
+ *   Axum (router chains, file-scoped like Go's call-based routers)
+ *     Router::new().route("/x", get(list).post(create))
+ *     .nest("/api", Router::new().route(..))  (prefix + mount)
+ *
+ * Detection is gated on an actix_web / axum / rocket reference so that
+ * `map.get("/x")` and friends are not mistaken for routes. Same route shape
+ * as golang/extract-routes-golang.js.
+ */
+const path = require("path");
+const { parseRustFile, traverse } = require("./extract-functions-rust");
+
+const MAX_TEXT = 500;
+
+const HTTP_VERBS = {
+  get: "GET",
+  post: "POST",
+  put: "PUT",
+  delete: "DELETE",
+  patch: "PATCH",
+  head: "HEAD",
+  options: "OPTIONS",
+  trace: "TRACE",
+  connect: "CONNECT",
+};
+
+// Axum MethodRouter constructors / chained methods
+const AXUM_METHODS = { ...HTTP_VERBS, any: "ANY" };
+
+function text(source, node, limit = MAX_TEXT) {
+  return node ? source.slice(node.startIndex, node.endIndex).slice(0, limit) : null;
+}
+
+function getString(source, node) {
+  if (!node) return null;
+  if (node.type === "string_literal") {
+    return node.namedChildren
+      .filter((c) => c.type === "string_content" || c.type === "escape_sequence")
+      .map((c) => text(source, c))
+      .join("");
+  }
+  if (node.type === "raw_string_literal") {
+    const content = node.namedChildren.find((c) => c.type === "string_content");
+    return content ? text(source, content) : "";
+  }
+  return null;
+}
+
+function pathLike(p) {
+  return typeof p === "string" && p.startsWith("/");
+}
+
+function joinPaths(base, sub) {
+  base = base || "";
+  sub = sub || "";
+  if (!base) return sub;
+  if (!sub) return base;
+  const b = base.endsWith("/") ? base.slice(0, -1) : base;
+  const s = sub.startsWith("/") ? sub : "/" + sub;
+  return b + s;
+}
+
+function handlerText(source, node) {
+  if (!node) return null;
+  if (node.type === "identifier" || node.type === "scoped_identifier" || node.type === "field_expression") {
+    return text(source, node, 80);
+  }
+  return null; // closures, inline routers, etc.
+}
+
+function makeRoute(f) {
+  const method = f.method || "ANY";
+  const endpoint = f.path != null ? f.path : "";
+  const arrow = f.handler ? ` -> ${f.handler}` : "";
+  return {
+    type: "route",
+    framework: f.framework,
+    method,
+    path: endpoint,
+    handler: f.handler || null,
+    kind: f.kind || "route",
+    isRegex: false,
+    decorator: f.decorator || null,
+    scope: f.scope || "file",
+    handlerLine: f.handlerLine != null ? f.handlerLine : null,
+    text: (f.text || `[${f.framework}] ${method} ${endpoint}${arrow}`).slice(0, MAX_TEXT),
+    startLine: f.startLine,
+    endLine: f.endLine,
+  };
+}
+
+function detectFrameworks(source) {
+  return {
+    actix: /\bactix_web\b/.test(source),
+    axum: /\baxum\b/.test(source),
+    rocket: /\brocket\b/.test(source),
+  };
+}
+
+// -------------------------------------------------------------
+// Call helpers
+// -------------------------------------------------------------
+
+function calleeName(source, call) {
+  let fn = call.childForFieldName("function");
+  if (fn && fn.type === "generic_function") fn = fn.childForFieldName("function");
+  if (!fn) return null;
+  if (fn.type === "identifier") return text(source, fn);
+  if (fn.type === "scoped_identifier") return text(source, fn.childForFieldName("name"));
+  if (fn.type === "field_expression") return text(source, fn.childForFieldName("field"));
+  return null;
+}
+
+function positionalArgs(call) {
+  const args = call.childForFieldName("arguments");
+  return args ? args.namedChildren.filter((c) => c.type !== "line_comment" && c.type !== "block_comment") : [];
+}
+
+// `a().b().c()` -> [c(), b(), a()] (outermost call first)
+function chainCalls(call) {
+  const calls = [];
+  let cur = call;
+  while (cur && cur.type === "call_expression") {
+    calls.push(cur);
+    const fn = cur.childForFieldName("function");
+    cur = fn && fn.type === "field_expression" ? fn.childForFieldName("value") : null;
+  }
+  return calls;
+}
+
+function within(node, outer) {
+  return node.startIndex >= outer.startIndex && node.endIndex <= outer.endIndex;
+}
+
+// Path of the first `scope("/p")` / `resource("/p")` call in a chain
+function chainPath(source, calls, name) {
+  const call = calls.find((c) => calleeName(source, c) === name);
+  return call ? getString(source, positionalArgs(call)[0]) : null;
+}
+
+/**
+ * Prefix from the Actix scopes and Axum nests a call is registered under:
+ * `web::scope("/api").route(..)`, `web::scope("/api").service(<node>)` and
+ * `.nest("/api", <node>)`, outermost first.
+ */
+function routePrefix(source, node) {
+  const prefixes = [];
+  const own = chainPath(source, chainCalls(node).slice(1), "scope");
+  if (own) prefixes.push(own);
+
+  let p = node.parent;
+  while (p) {
+    if (p.type === "call_expression") {
+      const args = positionalArgs(p);
+      const inArgs = args.some((a) => within(node, a));
+      if (inArgs && calleeName(source, p) === "nest" && args[1] && within(node, args[1])) {
+        const prefix = getString(source, args[0]);
+        if (prefix) prefixes.unshift(prefix);
+      } else if (inArgs) {
+        const prefix = chainPath(source, chainCalls(p), "scope");
+        if (prefix) prefixes.unshift(prefix);
+      }
+    }
+    p = p.parent;
+  }
+
+  return prefixes.reduce((acc, seg) => joinPaths(acc, seg), "");
+}
+
+// Actix `web::get().to(handler)` -> { method, handler }, else null
+function actixRouteTarget(source, node) {
+  if (!node || node.type !== "call_expression" || calleeName(source, node) !== "to") return null;
+  const calls = chainCalls(node);
+  const verbCall = calls.find((c) => HTTP_VERBS[calleeName(source, c)]);
+  return {
+    method: verbCall ? HTTP_VERBS[calleeName(source, verbCall)] : "ANY",
+    handler: handlerText(source, positionalArgs(node)[0]),
+  };
+}
+
+// Axum `get(list).post(create)` -> [{ method, handler }]
+function axumMethodRouter(source, node) {
+  if (!node || node.type !== "call_expression") return [];
+  const out = [];
+  for (const call of chainCalls(node).reverse()) {
+    const name = calleeName(source, call);
+    const base = name && name.endsWith("_service") ? name.slice(0, -"_service".length) : name;
+    if (!AXUM_METHODS[base]) return [];
+    out.push({ method: AXUM_METHODS[base], handler: handlerText(source, positionalArgs(call)[0]) });
+  }
+  return out;
+}
+
+// -------------------------------------------------------------
+// Attribute routes (Actix / Rocket)
+// -------------------------------------------------------------
+
+function attributeRoutes(source, fnNode, framework) {
+  const routes = [];
+  const nameNode = fnNode.childForFieldName("name");
+  const handler = nameNode ? text(source, nameNode) : null;
+  // Match the startLine that extract-functions-rust records for this fn
+  const handlerLine = fnNode.startPosition.row + 1;
+
+  let prev = fnNode.previousNamedSibling;
+  while (prev && (prev.type === "attribute_item" || prev.type === "line_comment" || prev.type === "block_comment")) {
+    if (prev.type === "attribute_item") {
+      const route = attributeRoute(source, prev, framework);
+      if (route) routes.push(makeRoute({ ...route, handler, handlerLine, scope: "function" }));
+    }
+    prev = prev.previousNamedSibling;
+  }
+
+  return routes.reverse();
+}
+
+function attributeRoute(source, item, framework) {
+  const attr = item.namedChildren.find((c) => c.type === "attribute");
+  if (!attr) return null;
+  const nameNode = attr.namedChild(0);
+  const name = nameNode && nameNode.type === "scoped_identifier"
+    ? text(source, nameNode.childForFieldName("name"))
+    : text(source, nameNode);
+  if (!HTTP_VERBS[name] && name !== "route") return null;
+
+  const args = attr.childForFieldName("arguments");
+  if (!args) return null;
+  const tokens = args.namedChildren;
+  const routePath = getString(source, tokens[0]);
+  if (!pathLike(routePath)) return null;
+
+  let method = HTTP_VERBS[name];
+  if (name === "route") {
+    // #[route("/x", method = "GET", method = "POST")]
+    const methods = [];
+    for (let i = 1; i < tokens.length - 1; i++) {
+      if (tokens[i].type === "identifier" && text(source, tokens[i]) === "method") {
+        const value = getString(source, tokens[i + 1]);
+        if (value) methods.push(value.toUpperCase());
+      }
+    }
+    method = methods.length ? methods.join(",") : "ANY";
+  }
+
+  return {
+    framework,
+    method,
+    path: routePath,
+    decorator: `#[${name}]`,
+    text: text(source, item),
+    startLine: item.startPosition.row + 1,
+    endLine: item.endPosition.row + 1,
+  };
+}
+
+// -------------------------------------------------------------
+// Builder routes (Actix App/scope/resource, Axum Router)
+// -------------------------------------------------------------
+
+function builderRoutes(source, node, fw) {
+  const name = calleeName(source, node);
+  const args = positionalArgs(node);
+  const li = { startLine: node.startPosition.row + 1, endLine: node.endPosition.row + 1 };
+  const snippet = text(source, node);
+  const calls = chainCalls(node);
+
+  if (name === "route" && args.length >= 2) {
+    const routePath = getString(source, args[0]);
+    if (!pathLike(routePath)) return [];
+    const endpoint = joinPaths(routePrefix(source, node), routePath);
+
+    const actix = fw.actix && actixRouteTarget(source, args[1]);
+    if (actix) {
+      return [makeRoute({ framework: "actix", ...actix, path: endpoint, decorator: ".route", text: snippet, ...li })];
+    }
+    if (!fw.axum) return [];
+    return axumMethodRouter(source, args[1]).map((m) =>
+      makeRoute({ framework: "axum", ...m, path: endpoint, decorator: ".route", text: snippet, ...li })
+    );
+  }
+
+  if (!fw.actix) {
+    // Axum: .nest("/api", router) mounts a sub-router
+    if (name === "nest" && fw.axum && args.length >= 2) {
+      const prefix = getString(source, args[0]);
+      if (!pathLike(prefix)) return [];
+      return [makeRoute({
+        framework: "axum", method: "ANY", path: joinPaths(routePrefix(source, node), prefix), kind: "mount",
+        handler: handlerText(source, args[1]), decorator: ".nest", text: snippet, ...li,
+      })];
+    }
+    return [];
+  }
+
+  // Actix: web::resource("/x").route(web::get().to(h)) / .to(h)
+  if ((name === "route" && args.length === 1) || name === "to") {
+    const resourcePath = chainPath(source, calls.slice(1), "resource");
+    if (resourcePath == null) return [];
+    const target = name === "to"
+      ? { method: "ANY", handler: handlerText(source, args[0]) }
+      : actixRouteTarget(source, args[0]);
+    if (!target) return [];
+    return [makeRoute({
+      framework: "actix", ...target, path: joinPaths(routePrefix(source, node), resourcePath),
+      decorator: "web::resource", text: snippet, ...li,
+    })];
+  }
+
+  // Actix: web::scope("/api") (prefix scope, best-effort like Go's groups)
+  if (name === "scope" && calls.length === 1) {
+    const prefix = getString(source, args[0]);
+    if (!pathLike(prefix)) return [];
+    return [makeRoute({
+      framework: "actix", method: "ANY", path: joinPaths(routePrefix(source, node), prefix), kind: "mount",
+      decorator: "web::scope", text: snippet, ...li,
+    })];
+  }
+
+  return [];
+}
+
+/**
+ * Main entry: returns an array of route objects for a single Rust file.
+ */
+function extractRoutes(parsed) {
+  const { source, tree } = parsed;
+  const fw = detectFrameworks(source);
+  const routes = [];
+  if (!fw.actix && !fw.axum && !fw.rocket) return routes;
+
+  const attributeFramework = fw.actix || !fw.rocket ? "actix" : "rocket";
+
+  traverse(tree.rootNode, (node) => {
+    if (node.type === "function_item" && (fw.actix || fw.rocket)) {
+      routes.push(...attributeRoutes(source, node, attributeFramework));
+    } else if (node.type === "call_expression") {
+      routes.push(...builderRoutes(source, node, fw));
+    }
+  });
+
+  routes.sort((a, b) => a.startLine - b.startLine || a.endLine - b.endLine);
+  return routes;
+}
+
+function extractFileRoutes(filePath) {
+  try {
+    return extractRoutes(parseRustFile(filePath));
+  } catch (e) {
+    return [];
+  }
+}
+
+module.exports = { extractRoutes, extractFileRoutes };
+
+// -------------------------------------------------------------
+// CLI: node rust/extract-routes-rust.js <file.rs>
+// -------------------------------------------------------------
+if (require.main === module) {
+  const target = process.argv[2];
+  if (!target) {
+    console.error("Usage: node rust/extract-routes-rust.js <file.rs>");
+    process.exit(1);
+  }
+  const routes = extractFileRoutes(path.resolve(target));
+  console.log(JSON.stringify(routes, null, 2));
+  console.log(`\n${routes.length} route(s) detected.`);
+}
@@ -0,0 +1,403 @@
+#!/usr/bin/env node
+/**
+ * Rust Import Analyzer
+ * Analyzes Rust files (.rs) and Cargo.toml manifests: functions, structs/
+ * enums/traits with their impl methods, mod/use imports, and web routes.
+ * Usage: node file-tree-mapper-rust.js <repoPath> <importsOutput.json>
+ */
+
+const fs = require("fs");
+const path = require("path");
+const glob = require("glob");
+const { extractFunctionsAndCalls, extractImports, extractFileStatements } = require("./extract-functions-rust");
+const { extractClasses } = require("./extract-classes-rust");
+const { extractFileRoutes } = require("./extract-routes-rust");
+const { getIgnorePatternsWithPrefix } = require("../ignore-patterns");
+
+// Crates that ship with the toolchain
+const SYSROOT_CRATES = new Set(["std", "core", "alloc", "proc_macro", "test"]);
+
+// Cargo target directories whose top-level files are crate roots
+const TARGET_DIRS = new Set(["tests", "examples", "benches"]);
+
+// -------------------------------------------------------------
+// Helpers
+// -------------------------------------------------------------
+function getRustFiles(repoPath, ignorePatterns = null) {
+  const patterns = ignorePatterns || getIgnorePatternsWithPrefix(repoPath, { language: 'rust' });
+  return glob.sync(`${repoPath}/**/{*.rs,Cargo.toml}`, {
+    ignore: patterns,
+  });
+}
+
+const isManifest = (file) => path.basename(file) === "Cargo.toml";
+const toRel = (repoPath, file) => path.relative(repoPath, file).split(path.sep).join("/");
+
+// `serde-json` is written `serde_json` in code
+const crateIdent = (name) => name.replace(/-/g, "_");
+
+/**
+ * Minimal Cargo.toml reader: package / lib name and the dependency tables
+ * ([dependencies], [dev-dependencies], [build-dependencies],
+ * [target.'cfg(..)'.dependencies], [workspace.dependencies] and
+ * [dependencies.foo] sub-tables). Only `path = ".."` is read from a
+ * dependency's settings.
+ */
+function readCargoManifest(manifestPath) {
+  const manifest = { name: null, libName: null, dependencies: [] };
+  let content;
+  try {
+    content = fs.readFileSync(manifestPath, "utf8");
+  } catch {
+    return manifest;
+  }
+
+  const dir = path.dirname(manifestPath);
+  const byName = new Map();
+  const addDependency = (name) => {
+    if (!byName.has(name)) {
+      const dep = { name, path: null };
+      byName.set(name, dep);
+      manifest.dependencies.push(dep);
+    }
+    return byName.get(name);
+  };
+  const pathSetting = (value) => {
+    const m = value.match(/\bpath\s*=\s*["']([^"']+)["']/);
+    return m ? path.resolve(dir, m[1]) : null;
+  };
+
+  let section = "";
+  let tableDependency = null;
+
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.replace(/\s+#.*$/, "").trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const header = line.match(/^\[\s*([^\]]+?)\s*\]$/);
+    if (header) {
+      section = header[1].replace(/["']/g, "");
+      const table = section.match(/(?:^|\.)(?:dev-|build-)?dependencies\.([\w-]+)$/);
+      tableDependency = table ? addDependency(table[1]) : null;
+      continue;
+    }
+
+    const kv = line.match(/^["']?([\w-]+)["']?\s*=\s*(.*)$/);
+    if (!kv) continue;
+    const [, key, value] = kv;
+
+    if (tableDependency) {
+      if (key === "path") tableDependency.path = pathSetting(line);
+    } else if (/(?:^|\.)(?:dev-|build-)?dependencies$/.test(section)) {
+      const dep = addDependency(key);
+      dep.path = dep.path || pathSetting(value);
+    } else if (section === "package" && key === "name") {
+      manifest.name = value.replace(/["']/g, "").trim();
+    } else if (section === "lib" && key === "name") {
+      manifest.libName = value.replace(/["']/g, "").trim();
+    }
+  }
+
+  return manifest;
+}
+
+// Nearest Cargo.toml at or above dir, without leaving the repo.
+function findManifest(startDir, repoPath, cache) {
+  let dir = path.resolve(startDir);
+  const root = path.resolve(repoPath);
+  const visited = [];
+  let found = null;
+
+  while (true) {
+    if (cache.has(dir)) {
+      found = cache.get(dir);
+      break;
+    }
+    visited.push(dir);
+    const candidate = path.join(dir, "Cargo.toml");
+    if (fs.existsSync(candidate)) {
+      found = candidate;
+      break;
+    }
+    if (dir === root || dir === path.dirname(dir)) break;
+    dir = path.dirname(dir);
+  }
+
+  visited.forEach((d) => cache.set(d, found));
+  return found;
+}
+
+// -------------------------------------------------------------
+// Module resolution
+// -------------------------------------------------------------
+
+/**
+ * Module tree over repo-relative paths. A module is `{ dir, file }`: `file`
+ * defines it and `dir` holds its child modules. For `src/a/b.rs` that is
+ * `src/a/b/`; for crate roots (`src/lib.rs`, `src/main.rs`, `tests/x.rs`, ..)
+ * and `mod.rs` files it is the file's own directory.
+ */
+function createModuleResolver(repoPath, relFiles, crates, manifestFor) {
+  const has = (rel) => relFiles.has(rel);
+  const join = (...parts) => path.posix.join(...parts).replace(/^\.\//, "");
+
+  function crateDirFor(rel) {
+    const manifest = manifestFor(rel);
+    return manifest ? toRel(repoPath, path.dirname(manifest)) : "";
+  }
+
+  // The crate root module `crate::` refers to from file `rel`
+  function crateRoot(rel) {
+    const crateDir = crateDirFor(rel);
+    const parts = path.posix.relative(crateDir || ".", rel).split("/");
+
+    if (TARGET_DIRS.has(parts[0])) {
+      const dir = join(crateDir, parts[0]);
+      return { dir, file: parts.length === 2 ? rel : null };
+    }
+    if (parts[0] === "src" && parts[1] === "bin" && parts.length > 2) {
+      if (parts.length === 3) return { dir: join(crateDir, "src/bin"), file: rel };
+      const dir = join(crateDir, "src/bin", parts[2]);
+      return { dir, file: has(join(dir, "main.rs")) ? join(dir, "main.rs") : null };
+    }
+    if (parts.length === 1) return { dir: crateDir, file: rel }; // build.rs
+    return libraryRoot(crateDir);
+  }
+
+  function libraryRoot(crateDir) {
+    const dir = join(crateDir, "src");
+    const file = [join(dir, "lib.rs"), join(dir, "main.rs")].find(has) || null;
+    return { dir, file };
+  }
+
+  function moduleOf(rel) {
+    const root = crateRoot(rel);
+    if (root.file === rel || path.posix.basename(rel) === "mod.rs") {
+      return { dir: path.posix.dirname(rel) === "." ? "" : path.posix.dirname(rel), file: rel };
+    }
+    return { dir: rel.replace(/\.rs$/, ""), file: rel };
+  }
+
+  function childModule(mod, name) {
+    const dir = join(mod.dir, name);
+    if (has(`${dir}.rs`)) return { dir, file: `${dir}.rs` };
+    if (has(join(dir, "mod.rs"))) return { dir, file: join(dir, "mod.rs") };
+    return null;
+  }
+
+  function parentModule(mod, rel) {
+    const dir = path.posix.dirname(mod.dir) === "." ? "" : path.posix.dirname(mod.dir);
+    const root = crateRoot(rel);
+    if (dir === root.dir || !dir) return { dir: root.dir, file: root.file };
+    if (has(`${dir}.rs`)) return { dir, file: `${dir}.rs` };
+    return { dir, file: has(join(dir, "mod.rs")) ? join(dir, "mod.rs") : null };
+  }
+
+  /**
+   * File a path like `crate::models::user::User` (seen from `rel`) lives in:
+   * the deepest module the segments reach, the rest being items. `super`,
+   * `self`, `crate`, child modules of the current one and workspace crates
+   * are followed; anything else is an external crate (null).
+   */
+  function resolve(segments, rel) {
+    if (!segments.length) return null;
+    let mod;
+    let i = 0;
+
+    if (segments[0] === "crate") {
+      mod = crateRoot(rel);
+      i = 1;
+    } else if (segments[0] === "self" || segments[0] === "super") {
+      mod = moduleOf(rel);
+      if (segments[0] === "self") i = 1;
+      while (segments[i] === "super") {
+        mod = parentModule(mod, rel);
+        i++;
+      }
+    } else if (childModule(moduleOf(rel), segments[0])) {
+      mod = moduleOf(rel);
+    } else if (crates.has(segments[0])) {
+      mod = libraryRoot(crates.get(segments[0]));
+      i = 1;
+    } else {
+      return null;
+    }
+
+    for (; i < segments.length; i++) {
+      const child = childModule(mod, segments[i]);
+      if (!child) break;
+      mod = child;
+    }
+    return mod.file;
+  }
+
+  return { resolve, libraryRoot };
+}
+
+// -------------------------------------------------------------
+// Analyze a single file
+// -------------------------------------------------------------
+function analyzeFile(file, repoPath, ctx, opts) {
+  const relPath = toRel(repoPath, file);
+  const manifestPath = ctx.manifestFor(relPath);
+  const manifest = manifestPath ? ctx.manifest(manifestPath) : { dependencies: [] };
+
+  // Cargo.toml: path dependencies are local crates, the rest external
+  if (isManifest(file)) {
+    const importFiles = [];
+    const externalImports = [];
+    for (const dep of ctx.manifest(file).dependencies) {
+      const root = dep.path ? ctx.modules.libraryRoot(toRel(repoPath, dep.path)).file : null;
+      if (root) importFiles.push(root);
+      else externalImports.push(dep.name);
+    }
+    return {
+      path: path.relative(repoPath, file),
+      importFiles: [...new Set(importFiles)],
+      externalImports: [...new Set(externalImports)],
+      functions: [],
+      classes: [],
+      statements: [],
+    };
+  }
+
+  const dependencyNames = new Map(manifest.dependencies.map((d) => [crateIdent(d.name), d.name]));
+  const importFiles = [];
+  const externalImports = [];
+
+  for (const imp of extractImports(file)) {
+    const resolved = ctx.modules.resolve(imp.path, relPath);
+    if (resolved) {
+      if (resolved !== relPath) importFiles.push(resolved);
+      continue;
+    }
+    const head = imp.path[0];
+    if (imp.type === "mod" || ["crate", "self", "super"].includes(head)) continue;
+    externalImports.push(dependencyNames.get(head) || head);
+  }
+
+  const resolveModulePath = (segments) => ctx.modules.resolve(segments, relPath);
+  const functions = extractFunctionsAndCalls(file, repoPath, resolveModulePath, opts.captureSourceCode, opts.captureStatements);
+  const classes = extractClasses(file, repoPath, opts.captureStatements);
+
+  const statements = opts.captureStatements ? extractFileStatements(file) : [];
+
+  // Attribute routes (#[get("/x")]) attach to their handler fn; builder
+  // routes (Axum Router / Actix App) stay file-level like Go's.
+  if (opts.captureStatements) {
+    for (const rt of extractFileRoutes(file)) {
+      const fn = rt.scope === "function"
+        ? functions.find(f => f.name === rt.handler && f.startLine === rt.handlerLine)
+        : null;
+      if (fn) {
+        (fn.statements || (fn.statements = [])).push(rt);
+      } else {
+        statements.push(rt);
+      }
+    }
+  }
+
+  return {
+    path: path.relative(repoPath, file),
+    importFiles: [...new Set(importFiles)],
+    externalImports: [...new Set(externalImports)],
+    functions,
+    classes,
+    statements,
+  };
+}
+
+// -------------------------------------------------------------
+// Analyze Repo
+// -------------------------------------------------------------
+function analyzeRustRepo(repoPath, opts = {}) {
+  const rustFiles = getRustFiles(repoPath, opts.ignorePatterns);
+  const results = opts.onResult ? null : [];
+  const totalFiles = rustFiles.length;
+
+  const spinnerFrames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+  let spinnerIndex = 0;
+
+  console.log(`\n📊 Rust files to process: ${totalFiles}\n`);
+
+  // Module and crate indexes cover every file so filtered (incremental /
+  // pooled) runs still resolve paths into files they do not parse.
+  const manifests = new Map();
+  const manifestCache = new Map();
+  const manifest = (manifestPath) => {
+    if (!manifests.has(manifestPath)) manifests.set(manifestPath, readCargoManifest(manifestPath));
+    return manifests.get(manifestPath);
+  };
+  const manifestFor = (rel) => findManifest(path.dirname(path.join(repoPath, rel)), repoPath, manifestCache);
+
+  // Workspace crates, by the name `use` refers to them with
+  const crates = new Map();
+  for (const file of rustFiles.filter(isManifest)) {
+    const m = manifest(file);
+    const crateDir = toRel(repoPath, path.dirname(file));
+    if (m.name) crates.set(crateIdent(m.libName || m.name), crateDir);
+  }
+
+  const relFiles = new Set(rustFiles.map((f) => toRel(repoPath, f)));
+  const ctx = {
+    manifest,
+    manifestFor,
+    modules: createModuleResolver(repoPath, relFiles, crates, manifestFor),
+  };
+
+  for (let i = 0; i < rustFiles.length; i++) {
+    const file = rustFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
+
+    try {
+      const percentage = ((i / totalFiles) * 100).toFixed(1);
+      const spinner = spinnerFrames[spinnerIndex % spinnerFrames.length];
+      const fileName = path.relative(repoPath, file);
+
+      process.stdout.write(`\r${spinner} Processing Rust: ${i}/${totalFiles} (${percentage}%) - ${fileName.substring(0, 60).padEnd(60, ' ')}`);
+      spinnerIndex++;
+
+      const fileResult = analyzeFile(file, repoPath, ctx, opts);
+      if (opts.onResult) {
+        opts.onResult(fileResult);
+      } else {
+        results.push(fileResult);
+      }
+    } catch (e) {
+      console.log(`\n❌ Error analyzing ${file}:`, e);
+      if (opts.onFileError) opts.onFileError(file, e);
+    }
+  }
+
+  // Clear the progress line and show completion
+  process.stdout.write(`\r${' '.repeat(120)}\r`);
+  console.log(`✅ Processed ${totalFiles} Rust files\n`);
+
+  return results || [];
+}
+
+module.exports = { analyzeRustRepo };
+
+// -------------------------------------------------------------
+// Main
+// -------------------------------------------------------------
+if (require.main === module) {
+  if (process.argv.length < 4) {
+    console.error(
+      "Usage: node file-tree-mapper-rust.js <repoPath> <importsOutput.json>"
+    );
+    process.exit(1);
+  }
+
+  const repoPath = path.resolve(process.argv[2]);
+  const importsOutput = path.resolve(process.argv[3]);
+  const captureSourceCode = process.argv.includes("--capture-source-code");
+  const captureStatements = process.argv.includes("--capture-statements");
+
+  console.log(`Scanning Rust repo: ${repoPath}`);
+
+  const analysis = analyzeRustRepo(repoPath, { captureSourceCode, captureStatements });
+  fs.writeFileSync(importsOutput, JSON.stringify(analysis, null, 2));
+
+  console.log(`Output written to → ${importsOutput}`);
+}
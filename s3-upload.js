@@ -2,26 +2,57 @@ const { PassThrough } = require("stream");
 const zlib = require("zlib");
 const { S3Client } = require("@aws-sdk/client-s3");
 const { Upload } = require("@aws-sdk/lib-storage");
-const { AWS_ACCESS_KEY, AWS_SECRET_KEY, AWS_REGION, AWS_S3_BUCKET } = require("./app-config");
+const {
+  AWS_ACCESS_KEY,
+  AWS_SECRET_KEY,
+  AWS_REGION,
+  AWS_S3_BUCKET,
+  AWS_S3_ENDPOINT,
+  AWS_S3_FORCE_PATH_STYLE,
+} = require("./app-config");
+
+const DEFAULT_S3_CONFIG = {
+  bucket: AWS_S3_BUCKET,
+  region: AWS_REGION,
+  accessKeyId: AWS_ACCESS_KEY,
+  secretAccessKey: AWS_SECRET_KEY,
+  endpoint: AWS_S3_ENDPOINT,
+  forcePathStyle: /^(1|true|yes)$/i.test(String(AWS_S3_FORCE_PATH_STYLE || "").trim()),
+};
+
+/**
+ * S3Client options. A custom `endpoint` (MinIO, Ceph, R2, …) usually needs
+ * `forcePathStyle`. Without static keys the SDK's default credential chain
+ * applies (AWS_ACCESS_KEY_ID, shared config, IRSA, instance profile).
+ */
+function s3ClientConfig(config) {
+  const clientConfig = { region: config.region || "us-east-1" };
+  if (config.endpoint) clientConfig.endpoint = config.endpoint;
+  if (config.forcePathStyle) clientConfig.forcePathStyle = true;
+  if (config.accessKeyId && config.secretAccessKey) {
+    clientConfig.credentials = {
+      accessKeyId: config.accessKeyId,
+      secretAccessKey: config.secretAccessKey,
+    };
+  }
+  return clientConfig;
+}
 
 /**
  * Creates a streaming pipeline: PassThrough → gzip → S3 multipart upload.
+ * `abort()` stops an in-flight upload (e.g. a cancelled job); leavePartsOnError
+ * is off, so the multipart parts already sent are deleted.
  *
  * @param {string} s3Key - The S3 object key (e.g. "code-ontology/{uuid}/{commit}.ndjson.gz")
- * @returns {{ passThrough: import("stream").PassThrough, uploadPromise: Promise<void> }}
+ * @param {object} [config] - Bucket/endpoint/credentials; defaults to the AWS_* settings
+ * @returns {{ passThrough: import("stream").PassThrough, uploadPromise: Promise<void>, abort: () => Promise<void>, location: string }}
  */
-function createS3UploadStream(s3Key) {
-  if (!AWS_S3_BUCKET) {
+function createS3UploadStream(s3Key, config = DEFAULT_S3_CONFIG) {
+  if (!config.bucket) {
     throw new Error("AWS_S3_BUCKET is not configured");
   }
 
-  const s3Client = new S3Client({
-    region: AWS_REGION,
-    credentials: {
-      accessKeyId: AWS_ACCESS_KEY,
-      secretAccessKey: AWS_SECRET_KEY,
-    },
-  });
+  const s3Client = new S3Client(s3ClientConfig(config));
 
   const passThrough = new PassThrough();
   const gzip = zlib.createGzip();
@@ -31,7 +62,7 @@ function createS3UploadStream(s3Key) {
   const upload = new Upload({
     client: s3Client,
     params: {
-      Bucket: AWS_S3_BUCKET,
+      Bucket: config.bucket,
       Key: s3Key,
       Body: gzipStream,
       ContentType: "application/x-ndjson",
@@ -43,11 +74,17 @@ function createS3UploadStream(s3Key) {
     leavePartsOnError: false,
   });
 
+  const location = `s3://${config.bucket}/${s3Key}`;
   const uploadPromise = upload.done().then(() => {
-    console.log(`S3 upload complete: s3://${AWS_S3_BUCKET}/${s3Key}`);
+    console.log(`S3 upload complete: ${location}`);
   });
 
-  return { passThrough, uploadPromise };
+  const abort = async () => {
+    uploadPromise.catch(() => {}); // done() rejects once aborted
+    await upload.abort();
+  };
+
+  return { passThrough, uploadPromise, abort, location };
 }
 
-module.exports = { createS3UploadStream };
+module.exports = { createS3UploadStream, s3ClientConfig };
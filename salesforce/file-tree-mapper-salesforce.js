@@ -214,6 +214,7 @@ function analyzeApexFiles(repoPath, classIndex, opts = {}) {
 
   for (let i = 0; i < apexFiles.length; i++) {
     const file = apexFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
 
     try {
       // Show progress with spinner
@@ -296,6 +297,7 @@ function analyzeApexFiles(repoPath, classIndex, opts = {}) {
     } catch (e) {
       process.stdout.write('\n');
       console.log(`❌ Error analyzing file: ${file} - ${e.message}`);
+      if (opts.onFileError) opts.onFileError(file, e);
     }
   }
 
@@ -0,0 +1,227 @@
+/**
+ * Storage sinks for the server's NDJSON output (/api/analyze-diff,
+ * /api/analyze-sql, /api/analyze-es), selected by STORAGE_SINK:
+ *
+ *   s3      (default) S3 or any S3-compatible endpoint — AWS_S3_ENDPOINT and
+ *           AWS_S3_FORCE_PATH_STYLE for MinIO (see s3-upload.js)
+ *   local   gzip files under STORAGE_LOCAL_DIR/<key>
+ *   stdout  gzip NDJSON on file descriptor STORAGE_STDOUT_FD (default 3), for
+ *           local testing — kept off fd 1, where the logs go. Run e.g.
+ *           `node server.js 3>output.ndjson.gz`
+ *   http    gzip body PUT to STORAGE_HTTP_URL — "{key}" in the URL is replaced
+ *           by the key, otherwise "/<key>" is appended. STORAGE_HTTP_HEADERS is
+ *           a JSON object of extra headers (e.g. Authorization)
+ *
+ * Every sink has the shape of createS3UploadStream: write NDJSON lines to
+ * `passThrough`, end it, then await `uploadPromise`. `abort()` discards a
+ * partial upload and `location` describes where the object goes (for logs).
+ * `storageLocation` is the structured form sent to the backend.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const zlib = require("zlib");
+const { PassThrough } = require("stream");
+const { pipeline } = require("stream/promises");
+const {
+  STORAGE_SINK,
+  STORAGE_LOCAL_DIR,
+  STORAGE_HTTP_URL,
+  STORAGE_HTTP_HEADERS,
+  STORAGE_STDOUT_FD,
+  AWS_S3_BUCKET,
+} = require("./app-config");
+
+function storageConfig() {
+  return {
+    sink: (STORAGE_SINK || "s3").trim().toLowerCase(),
+    localDir: STORAGE_LOCAL_DIR,
+    httpUrl: STORAGE_HTTP_URL,
+    httpHeaders: STORAGE_HTTP_HEADERS,
+    stdoutFd: STORAGE_STDOUT_FD ? Number(STORAGE_STDOUT_FD) : 3,
+  };
+}
+
+// -------------------------------------------------------------
+// local
+// -------------------------------------------------------------
+function createLocalUploadStream(key, config) {
+  if (!config.localDir) {
+    throw new Error("STORAGE_LOCAL_DIR is not configured");
+  }
+  const root = path.resolve(config.localDir);
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Storage key escapes STORAGE_LOCAL_DIR: ${key}`);
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Written to a .partial file and renamed once complete, so readers never see half an object
+  const partialPath = `${filePath}.partial`;
+  const passThrough = new PassThrough();
+  const uploadPromise = pipeline(passThrough, zlib.createGzip(), fs.createWriteStream(partialPath))
+    .then(() => fs.promises.rename(partialPath, filePath))
+    .then(() => {
+      console.log(`Local upload complete: ${filePath}`);
+    });
+
+  const abort = async () => {
+    uploadPromise.catch(() => {});
+    passThrough.destroy(new Error("Upload aborted"));
+    await uploadPromise.catch(() => {});
+    fs.rmSync(partialPath, { force: true });
+  };
+
+  return { passThrough, uploadPromise, abort, location: filePath };
+}
+
+// -------------------------------------------------------------
+// stdout
+// -------------------------------------------------------------
+// Uploads take turns on the descriptor. Each one is a complete gzip member,
+// and concatenated members read back as a single stream (gunzip, zcat).
+let stdoutTurn = Promise.resolve();
+
+function createStdoutUploadStream(key, config) {
+  const fd = config.stdoutFd === undefined ? 3 : config.stdoutFd;
+  try {
+    fs.fstatSync(fd);
+  } catch (_) {
+    throw new Error(`STORAGE_STDOUT_FD ${fd} is not open — start the server with e.g. ${fd}>output.ndjson.gz`);
+  }
+
+  const passThrough = new PassThrough();
+  const gzipStream = passThrough.pipe(zlib.createGzip());
+  let aborted = false;
+  const uploadPromise = stdoutTurn.then(() => new Promise((resolve, reject) => {
+    if (aborted) return resolve();
+    const out = fs.createWriteStream(null, { fd, autoClose: false });
+    out.on("finish", resolve);
+    out.on("error", reject);
+    gzipStream.on("error", reject);
+    gzipStream.pipe(out);
+  }));
+  stdoutTurn = uploadPromise.catch(() => {});
+
+  // The gzip member is closed over the lines written so far rather than cut
+  // off, so the uploads after it stay readable
+  const abort = async () => {
+    aborted = true;
+    passThrough.unpipe(gzipStream);
+    gzipStream.end();
+    await uploadPromise.catch(() => {});
+  };
+
+  return { passThrough, uploadPromise, abort, location: `fd ${fd} (${key})` };
+}
+
+// -------------------------------------------------------------
+// http
+// -------------------------------------------------------------
+function httpTargetUrl(baseUrl, key) {
+  const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+  return baseUrl.includes("{key}")
+    ? baseUrl.replace("{key}", encodedKey)
+    : `${baseUrl.replace(/\/+$/, "")}/${encodedKey}`;
+}
+
+// Credentials / query strings (presigned URLs) are kept out of logs and notifications
+function redactUrl(url) {
+  return url.split("?")[0].replace(/\/\/[^/@]+@/, "//");
+}
+
+function createHttpUploadStream(key, config) {
+  if (!config.httpUrl) {
+    throw new Error("STORAGE_HTTP_URL is not configured");
+  }
+  let extraHeaders = {};
+  if (config.httpHeaders) {
+    try {
+      extraHeaders = JSON.parse(config.httpHeaders);
+    } catch (err) {
+      throw new Error(`STORAGE_HTTP_HEADERS must be a JSON object: ${err.message}`);
+    }
+  }
+
+  const url = httpTargetUrl(config.httpUrl, key);
+  const location = `PUT ${redactUrl(url)}`;
+  const passThrough = new PassThrough();
+  const gzipStream = passThrough.pipe(zlib.createGzip());
+  const controller = new AbortController();
+
+  // Streamed with chunked transfer encoding — the endpoint must accept a body without Content-Length
+  const uploadPromise = fetch(url, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/x-ndjson",
+      "Content-Encoding": "gzip",
+      ...extraHeaders,
+    },
+    body: gzipStream,
+    duplex: "half",
+    signal: controller.signal,
+  }).then(async (res) => {
+    if (!res.ok) {
+      const body = await res.text();
+      throw new Error(`HTTP PUT ${res.status}: ${body.slice(0, 500)}`);
+    }
+    console.log(`HTTP upload complete: ${location}`);
+  });
+
+  const abort = async () => {
+    uploadPromise.catch(() => {});
+    controller.abort();
+    passThrough.destroy(new Error("Upload aborted"));
+  };
+
+  return { passThrough, uploadPromise, abort, location };
+}
+
+/**
+ * Open an upload stream for `key` on the configured sink.
+ *
+ * @param {string} key - Object key, e.g. "code-ontology/{uuid}/{commit}.ndjson.gz"
+ * @param {object} [config] - { sink, localDir, httpUrl, httpHeaders, s3? }; defaults to the STORAGE_* settings
+ * @returns {{ passThrough: import("stream").PassThrough, uploadPromise: Promise<void>, abort: () => Promise<void>, location: string }}
+ */
+function createUploadStream(key, config = storageConfig()) {
+  switch (config.sink) {
+    case "s3": {
+      // Loaded lazily so the other sinks work without the AWS SDK configured
+      const { createS3UploadStream } = require("./s3-upload");
+      return config.s3 ? createS3UploadStream(key, config.s3) : createS3UploadStream(key);
+    }
+    case "local":
+      return createLocalUploadStream(key, config);
+    case "stdout":
+      return createStdoutUploadStream(key, config);
+    case "http":
+      return createHttpUploadStream(key, config);
+    default:
+      throw new Error(`Unknown STORAGE_SINK "${config.sink}" (expected s3, local, stdout or http)`);
+  }
+}
+
+/**
+ * Where `key` is stored, in a form that does not depend on the sink. `uri` is
+ * null for the stdout sink, which keeps nothing a reader could fetch.
+ *
+ * @param {string} key
+ * @param {object} [config] - Same as createUploadStream
+ * @returns {{ sink: string, key: string, uri: string|null }}
+ */
+function storageLocation(key, config = storageConfig()) {
+  let uri = null;
+  if (config.sink === "s3") {
+    const bucket = config.s3 ? config.s3.bucket : AWS_S3_BUCKET;
+    uri = `s3://${bucket}/${key}`;
+  } else if (config.sink === "local" && config.localDir) {
+    uri = pathToFileURL(path.resolve(config.localDir, key)).href;
+  } else if (config.sink === "http" && config.httpUrl) {
+    uri = redactUrl(httpTargetUrl(config.httpUrl, key));
+  }
+  return { sink: config.sink, key, uri };
+}
+
+module.exports = { createUploadStream, storageConfig, storageLocation };
@@ -0,0 +1,285 @@
+/**
+ * Terraform entity extraction: resources, data sources, modules, variables,
+ * outputs, providers and the `terraform` block of one .tf file, plus the
+ * infrastructure dependencies (buckets, queues, databases...) its resources
+ * stand for.
+ */
+
+const { parseHcl, literalValue } = require("./parse-hcl");
+const { truncateSourceCode } = require("../utils");
+
+// Addresses an expression can refer to. The last form is `<type>.<name>`:
+// resource types always have a provider prefix, so `each.key`, `count.index`
+// and `path.module` don't match.
+const REFERENCE_PATTERN =
+  /(?<![\w.-])(data\.[A-Za-z_][\w-]*\.[A-Za-z_][\w-]*|module\.[A-Za-z_][\w-]*|var\.[A-Za-z_][\w-]*|local\.[A-Za-z_][\w-]*|[a-z][a-z0-9]*_[a-z0-9_]+\.[A-Za-z_][\w-]*)/g;
+
+// Meta-arguments, not resource / module configuration
+const META_ARGUMENTS = ["count", "for_each", "provider", "providers", "depends_on", "lifecycle", "source", "version"];
+
+// Literal attributes worth keeping are never credentials
+const SENSITIVE_ATTRIBUTE = /password|secret|token|private_key|access_key|credentials/i;
+
+const PROVIDER_ATTRIBUTES = ["alias", "region", "project", "location", "profile"];
+
+/**
+ * Resource types that stand for infrastructure code talks to. `db` uses the
+ * DB_METHOD_MAP identifiers in utils.js, so query statements detected in code
+ * can be matched with the resource that backs them.
+ */
+const INFRA_RESOURCE_TYPES = [
+  // [type pattern, category, service, db]
+  [/^aws_s3_bucket$/, "storage", "s3"],
+  [/^aws_sqs_queue$/, "queue", "sqs"],
+  [/^aws_sns_topic$/, "topic", "sns"],
+  [/^aws_kinesis_stream$/, "stream", "kinesis"],
+  [/^aws_msk_cluster$/, "stream", "kafka"],
+  [/^aws_dynamodb_table$/, "database", "dynamodb", "dynamodb"],
+  [/^aws_(db_instance|rds_cluster)$/, "database", "rds", "sql"],
+  [/^aws_docdb_cluster$/, "database", "documentdb", "mongodb"],
+  [/^aws_elasticache_(cluster|replication_group)$/, "cache", "elasticache", "redis"],
+  [/^aws_(elasticsearch|opensearch)_domain$/, "search", "opensearch", "elasticsearch"],
+  [/^aws_(api_gateway_rest_api|apigatewayv2_api)$/, "api", "api-gateway"],
+  [/^google_storage_bucket$/, "storage", "gcs"],
+  [/^google_pubsub_topic$/, "topic", "pubsub"],
+  [/^google_pubsub_subscription$/, "queue", "pubsub"],
+  [/^google_sql_database_instance$/, "database", "cloud-sql", "sql"],
+  [/^google_firestore_database$/, "database", "firestore", "firebase"],
+  [/^google_redis_instance$/, "cache", "memorystore", "redis"],
+  [/^google_bigquery_dataset$/, "database", "bigquery"],
+  [/^azurerm_storage_(account|container)$/, "storage", "azure-storage"],
+  [/^azurerm_servicebus_queue$/, "queue", "service-bus"],
+  [/^azurerm_servicebus_topic$/, "topic", "service-bus"],
+  [/^azurerm_eventhub$/, "stream", "event-hubs"],
+  [/^azurerm_(postgresql|mysql|mssql|mariadb)_(flexible_)?(server|database)$/, "database", "azure-sql", "sql"],
+  [/^azurerm_cosmosdb_mongo_database$/, "database", "cosmosdb", "mongodb"],
+  [/^azurerm_cosmosdb_account$/, "database", "cosmosdb"],
+  [/^azurerm_redis_cache$/, "cache", "azure-redis", "redis"],
+  [/^azurerm_api_management_api$/, "api", "api-management"],
+];
+
+// Attributes naming the cloud-side resource, in order of preference
+const NAME_ATTRIBUTES = ["bucket", "name", "identifier", "cluster_identifier", "replication_group_id", "cluster_id", "domain_name", "function_name"];
+
+function attribute(body, name) {
+  return body.attributes.find((a) => a.name === name);
+}
+
+function literalOf(body, name) {
+  const attr = attribute(body, name);
+  return attr ? literalValue(attr.expr) : undefined;
+}
+
+/** Addresses referenced in a block (or expression), excluding `self` */
+function referencesIn(refText, self) {
+  const found = new Set();
+  for (const m of refText.matchAll(REFERENCE_PATTERN)) {
+    if (m[1] !== self) found.add(m[1]);
+  }
+  return [...found];
+}
+
+/** Literal, non-sensitive, non-meta top-level attributes */
+function literalAttributes(body) {
+  const attributes = {};
+  for (const attr of body.attributes) {
+    if (META_ARGUMENTS.includes(attr.name) || SENSITIVE_ATTRIBUTE.test(attr.name)) continue;
+    const value = literalValue(attr.expr);
+    if (value !== undefined) attributes[attr.name] = value;
+  }
+  return attributes;
+}
+
+function dependsOn(body) {
+  const attr = attribute(body, "depends_on");
+  return attr ? referencesIn(attr.refText) : [];
+}
+
+/**
+ * Where a module comes from: local path, Terraform registry, git, or an
+ * archive URL
+ */
+function moduleSourceType(source) {
+  if (!source) return null;
+  if (source.startsWith("./") || source.startsWith("../")) return "local";
+  if (/^git::|^git@|^github\.com\/|^bitbucket\.org\//.test(source)) return "git";
+  if (/^(s3|gcs)::|^https?:\/\//.test(source)) return "archive";
+  if (/^([\w.-]+\/)?[\w-]+\/[\w-]+\/[\w-]+(\/\/.*)?$/.test(source)) return "registry";
+  return "other";
+}
+
+function describeInfra(resource, body, existing) {
+  const match = INFRA_RESOURCE_TYPES.find(([pattern]) => pattern.test(resource.type));
+  if (!match) return null;
+  const [, category, service, db] = match;
+  const nameAttr = NAME_ATTRIBUTES.map((n) => attribute(body, n)).find(Boolean);
+  const dependency = {
+    address: resource.address,
+    category,
+    service,
+    // Literal name, or the expression it is built from (e.g. "${var.env}-uploads")
+    name: nameAttr ? (literalValue(nameAttr.expr) ?? nameAttr.expr.replace(/^"|"$/g, "")) : null,
+  };
+  if (db) dependency.db = db;
+  const engine = literalOf(body, "engine");
+  if (typeof engine === "string") {
+    dependency.engine = engine;
+    if (engine === "memcached") delete dependency.db;
+  }
+  if (existing) dependency.existing = true; // looked up by a data source, not managed here
+  return dependency;
+}
+
+/**
+ * Entities of one .tf file
+ *
+ * @param {string} source - File content
+ * @param {object} [opts]
+ * @param {boolean} [opts.captureSourceCode] - Keep each block's text as `sourceCode`
+ */
+function extractTerraform(source, opts = {}) {
+  const { blocks } = parseHcl(source);
+  const result = {
+    resources: [],
+    dataSources: [],
+    modules: [],
+    variables: [],
+    outputs: [],
+    providers: [],
+    requiredProviders: [],
+    backend: null,
+    locals: [],
+    infraDependencies: [],
+  };
+  const withSource = (entity, block) => {
+    if (opts.captureSourceCode) entity.sourceCode = truncateSourceCode(block.text);
+    return entity;
+  };
+
+  for (const block of blocks) {
+    const [first, second] = block.labels;
+    const lines = { startLine: block.startLine, endLine: block.endLine };
+
+    switch (block.type) {
+      case "resource":
+      case "data": {
+        if (!first || !second) break;
+        const isData = block.type === "data";
+        const address = isData ? `data.${first}.${second}` : `${first}.${second}`;
+        const providerAttr = attribute(block.body, "provider");
+        const entity = {
+          address,
+          type: first,
+          name: second,
+          provider: providerAttr ? providerAttr.expr : first.split("_")[0],
+          ...lines,
+          attributes: literalAttributes(block.body),
+          references: referencesIn(block.refText, address),
+          dependsOn: dependsOn(block.body),
+        };
+        if (attribute(block.body, "count")) entity.count = attribute(block.body, "count").expr;
+        if (attribute(block.body, "for_each")) entity.forEach = attribute(block.body, "for_each").expr;
+        (isData ? result.dataSources : result.resources).push(withSource(entity, block));
+
+        const infra = describeInfra(entity, block.body, isData);
+        if (infra) result.infraDependencies.push(infra);
+        break;
+      }
+
+      case "module": {
+        if (!first) break;
+        const moduleSource = literalOf(block.body, "source");
+        const version = literalOf(block.body, "version");
+        result.modules.push(withSource({
+          address: `module.${first}`,
+          name: first,
+          source: moduleSource ?? null,
+          sourceType: moduleSourceType(moduleSource),
+          version: version ?? null,
+          ...lines,
+          inputs: block.body.attributes.map((a) => a.name).filter((n) => !META_ARGUMENTS.includes(n)),
+          references: referencesIn(block.refText),
+          dependsOn: dependsOn(block.body),
+        }, block));
+        break;
+      }
+
+      case "variable": {
+        if (!first) break;
+        const sensitive = literalOf(block.body, "sensitive") === true;
+        const defaultAttr = attribute(block.body, "default");
+        const variable = {
+          name: first,
+          type: attribute(block.body, "type")?.expr ?? null,
+          description: literalOf(block.body, "description") ?? null,
+          sensitive,
+          ...lines,
+        };
+        // Never record the default of a sensitive variable
+        if (defaultAttr && !sensitive) {
+          const value = literalValue(defaultAttr.expr);
+          variable.default = value !== undefined ? value : defaultAttr.expr;
+        }
+        result.variables.push(variable);
+        break;
+      }
+
+      case "output": {
+        if (!first) break;
+        const value = attribute(block.body, "value");
+        result.outputs.push({
+          name: first,
+          value: value ? value.expr.slice(0, 200) : null,
+          description: literalOf(block.body, "description") ?? null,
+          sensitive: literalOf(block.body, "sensitive") === true,
+          ...lines,
+          references: referencesIn(block.refText),
+        });
+        break;
+      }
+
+      case "provider": {
+        if (!first) break;
+        const provider = { name: first, ...lines };
+        for (const name of PROVIDER_ATTRIBUTES) {
+          const value = literalOf(block.body, name);
+          if (value !== undefined) provider[name] = value;
+        }
+        result.providers.push(provider);
+        break;
+      }
+
+      case "terraform": {
+        const requiredVersion = literalOf(block.body, "required_version");
+        if (requiredVersion !== undefined) result.requiredVersion = requiredVersion;
+        for (const inner of block.body.blocks) {
+          if (inner.type === "required_providers") {
+            for (const attr of inner.body.attributes) {
+              // aws = { source = "hashicorp/aws", version = "~> 5.0" }, or the legacy version string
+              const object = attr.expr.startsWith("{") ? parseHcl(attr.expr.slice(1, -1)) : null;
+              result.requiredProviders.push({
+                name: attr.name,
+                source: object ? literalOf(object, "source") ?? null : null,
+                version: object ? literalOf(object, "version") ?? null : literalValue(attr.expr) ?? null,
+              });
+            }
+          } else if (inner.type === "backend" || inner.type === "cloud") {
+            result.backend = { type: inner.type === "cloud" ? "cloud" : inner.labels[0], ...literalAttributes(inner.body) };
+          }
+        }
+        break;
+      }
+
+      case "locals":
+        result.locals.push(...block.body.attributes.map((a) => a.name));
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  return result;
+}
+
+module.exports = { extractTerraform, moduleSourceType, INFRA_RESOURCE_TYPES };
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Terraform Analyzer
+ * Can be used as a CLI tool or imported as a module
+ *
+ * CLI Usage: node file-tree-mapper-terraform.js <repoPath> <importsOutput.json>
+ * Module Usage: const { analyzeTerraformRepo } = require('./file-tree-mapper-terraform'); const data = await analyzeTerraformRepo(repoPath);
+ */
+
+const fs = require("fs");
+const path = require("path");
+const glob = require("glob");
+const { getIgnorePatternsWithPrefix } = require("../ignore-patterns");
+const { extractTerraform } = require("./extract-terraform");
+
+// -------------------------------------------------------------
+// Get Terraform files
+// -------------------------------------------------------------
+function getTerraformFiles(repoPath, ignorePatterns = null) {
+  const patterns =
+    ignorePatterns ||
+    getIgnorePatternsWithPrefix(repoPath, { language: "terraform" });
+  return glob.sync(`${repoPath}/**/*.tf`, {
+    ignore: patterns,
+  });
+}
+
+// -------------------------------------------------------------
+// Address index - Terraform resolves names per directory (module)
+// -------------------------------------------------------------
+
+/**
+ * Map each module directory to { address: { kind, path } } for everything
+ * declared in its .tf files, so references can be linked across files.
+ */
+function buildAddressIndex(repoPath, files, parsed) {
+  const index = new Map();
+  for (const file of files) {
+    const entities = parsed.get(file);
+    if (!entities) continue;
+    const dir = path.dirname(file);
+    if (!index.has(dir)) index.set(dir, {});
+    const addresses = index.get(dir);
+    const relPath = path.relative(repoPath, file);
+    const add = (address, kind) => {
+      if (!addresses[address]) addresses[address] = { kind, path: relPath };
+    };
+
+    entities.resources.forEach((r) => add(r.address, "resource"));
+    entities.dataSources.forEach((d) => add(d.address, "data"));
+    entities.modules.forEach((m) => add(m.address, "module"));
+    entities.variables.forEach((v) => add(`var.${v.name}`, "variable"));
+    entities.locals.forEach((name) => add(`local.${name}`, "local"));
+  }
+  return index;
+}
+
+function resolveReferences(references, addresses) {
+  return references
+    .filter((address) => addresses[address])
+    .map((address) => ({ address, ...addresses[address] }));
+}
+
+// .tf files of a local module (`source = "../modules/vpc"`)
+function localModuleFiles(source, currentFile, repoPath) {
+  const dir = path.resolve(path.dirname(currentFile), source);
+  if (!dir.startsWith(path.resolve(repoPath) + path.sep)) return [];
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".tf"))
+      .sort()
+      .map((f) => path.relative(repoPath, path.join(dir, f)));
+  } catch {
+    return [];
+  }
+}
+
+// -------------------------------------------------------------
+// Analyze files
+// -------------------------------------------------------------
+async function analyzeFiles(repoPath, opts = {}) {
+  const tfFiles = getTerraformFiles(repoPath, opts.ignorePatterns);
+  const results = opts.onResult ? null : [];
+  const totalFiles = tfFiles.length;
+
+  const spinnerFrames = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
+  let spinnerIndex = 0;
+
+  console.log(`\n📊 Total files to process: ${totalFiles}\n`);
+
+  // References cross files within a directory, so every file is parsed
+  // before any record is emitted (including files outside fileFilter).
+  const parsed = new Map();
+  const parseErrors = new Map();
+  for (const file of tfFiles) {
+    try {
+      const source = fs.readFileSync(file, "utf8").replace(/\0/g, "");
+      parsed.set(file, extractTerraform(source, { captureSourceCode: opts.captureSourceCode }));
+    } catch (e) {
+      parseErrors.set(file, e);
+    }
+  }
+  const addressIndex = buildAddressIndex(repoPath, tfFiles, parsed);
+
+  for (let i = 0; i < tfFiles.length; i++) {
+    const file = tfFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
+
+    try {
+      const percentage = ((i / totalFiles) * 100).toFixed(1);
+      const spinner = spinnerFrames[spinnerIndex % spinnerFrames.length];
+      const fileName = path.relative(repoPath, file);
+
+      process.stdout.write(
+        `\r${spinner} Processing: ${i}/${totalFiles} (${percentage}%) - ${fileName.substring(0, 60).padEnd(60, " ")}`,
+      );
+      spinnerIndex++;
+
+      if (parseErrors.has(file)) throw parseErrors.get(file);
+      const entities = parsed.get(file);
+      const addresses = addressIndex.get(path.dirname(file)) || {};
+      const link = (entity) => ({
+        ...entity,
+        references: resolveReferences(entity.references, addresses),
+        dependsOn: entity.dependsOn ? resolveReferences(entity.dependsOn, addresses) : undefined,
+      });
+
+      const importFiles = [];
+      const externalImports = [];
+      entities.modules.forEach((m) => {
+        if (m.sourceType === "local") importFiles.push(...localModuleFiles(m.source, file, repoPath));
+        else if (m.source) externalImports.push(m.source);
+      });
+      entities.requiredProviders.forEach((p) => {
+        if (p.source) externalImports.push(p.source);
+      });
+
+      const fileResult = {
+        path: fileName,
+        importFiles: [...new Set(importFiles)],
+        externalImports: [...new Set(externalImports)],
+        functions: [],
+        classes: [],
+        ...entities,
+        resources: entities.resources.map(link),
+        dataSources: entities.dataSources.map(link),
+        modules: entities.modules.map(link),
+        outputs: entities.outputs.map(link),
+      };
+
+      if (opts.onResult) {
+        opts.onResult(fileResult);
+      } else {
+        results.push(fileResult);
+      }
+    } catch (e) {
+      process.stdout.write("\n");
+      console.log(`❌ Error analyzing file: ${file} - ${e.message}`);
+      if (opts.onFileError) opts.onFileError(file, e);
+    }
+  }
+
+  process.stdout.write("\r" + " ".repeat(150) + "\r");
+  console.log(`✅ Completed processing ${totalFiles} files\n`);
+
+  return results || [];
+}
+
+// -------------------------------------------------------------
+// Main export function - to be called from main.js
+// -------------------------------------------------------------
+async function analyzeTerraformRepo(repoPath, opts = {}) {
+  console.log(`📂 Scanning Terraform repo: ${repoPath}`);
+
+  const analysis = await analyzeFiles(repoPath, opts);
+
+  if (!opts.onResult) {
+    console.log(`\n📊 Summary:`);
+    console.log(`   Terraform files: ${analysis.length}`);
+    console.log(`   Resources: ${analysis.reduce((n, f) => n + f.resources.length, 0)}`);
+    console.log(`   Infra dependencies: ${analysis.reduce((n, f) => n + f.infraDependencies.length, 0)}`);
+  }
+
+  return analysis;
+}
+
+// Export the main function
+module.exports = { analyzeTerraformRepo };
+
+// -------------------------------------------------------------
+// CLI mode - only run if executed directly (not imported)
+// -------------------------------------------------------------
+if (require.main === module) {
+  if (process.argv.length < 4) {
+    console.error(
+      "Usage: node terraform/file-tree-mapper-terraform.js <repoPath> <importsOutput.json>",
+    );
+    process.exit(1);
+  }
+
+  const repoPath = path.resolve(process.argv[2]);
+  const importsOutput = path.resolve(process.argv[3]);
+  const captureSourceCode = process.argv.includes("--capture-source-code");
+
+  analyzeTerraformRepo(repoPath, { captureSourceCode })
+    .then((results) => {
+      fs.writeFileSync(importsOutput, JSON.stringify(results, null, 2));
+      console.log(`✅ Final output written → ${importsOutput}`);
+    })
+    .catch((err) => {
+      console.error("Error:", err);
+      process.exit(1);
+    });
+}
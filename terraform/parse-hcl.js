@@ -0,0 +1,256 @@
+/**
+ * Minimal HCL2 reader for the Terraform analyzer.
+ *
+ * Produces the block / attribute structure of a .tf file:
+ *   { attributes: [{ name, expr, refText, line }],
+ *     blocks: [{ type, labels, body, refText, startLine, endLine, text }] }
+ * Expressions are not evaluated: `expr` is the raw source text and `refText`
+ * the same text with comments and literal string parts blanked (template
+ * interpolations `${...}` kept), for finding references without matching
+ * words inside descriptions.
+ */
+
+const HEREDOC_START = /^<<-?([A-Za-z_][\w-]*)[ \t]*\r?\n/;
+
+/**
+ * Three views of the source, all the same length so offsets line up:
+ *   code      comments blanked
+ *   refs      comments and literal string text blanked, interpolations kept
+ *   skeleton  comments and all string / heredoc content blanked (structure only)
+ */
+function maskSource(src) {
+  const code = src.split("");
+  const refs = src.split("");
+  const skeleton = src.split("");
+  const blank = (view, from, to) => {
+    for (let k = from; k < to && k < src.length; k++) {
+      if (view[k] !== "\n") view[k] = " ";
+    }
+  };
+  const blankAll = (from, to) => [code, refs, skeleton].forEach((view) => blank(view, from, to));
+
+  // "string" or { depth } for a template interpolation inside a string
+  const stack = [];
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    const next = src[i + 1];
+    const top = stack[stack.length - 1];
+
+    if (top === "string") {
+      if (c === "\\") {
+        blank(refs, i, i + 2);
+        blank(skeleton, i, i + 2);
+        i += 2;
+      } else if (c === '"') {
+        stack.pop();
+        if (stack.length > 0) blank(skeleton, i, i + 1);
+        i++;
+      } else if ((c === "$" || c === "%") && next === "{") {
+        stack.push({ depth: 0 });
+        blank(refs, i, i + 2);
+        blank(skeleton, i, i + 2);
+        i += 2;
+      } else {
+        blank(refs, i, i + 1);
+        blank(skeleton, i, i + 1);
+        i++;
+      }
+      continue;
+    }
+
+    // Code, or an interpolation's expression
+    if (c === "#" || (c === "/" && next === "/")) {
+      const end = src.indexOf("\n", i);
+      blankAll(i, end === -1 ? src.length : end);
+      i = end === -1 ? src.length : end;
+      continue;
+    }
+    if (c === "/" && next === "*") {
+      const end = src.indexOf("*/", i + 2);
+      const stop = end === -1 ? src.length : end + 2;
+      blankAll(i, stop);
+      i = stop;
+      continue;
+    }
+    const inInterpolation = top !== undefined;
+    if (c === '"') {
+      stack.push("string");
+      if (inInterpolation) blank(skeleton, i, i + 1);
+      i++;
+      continue;
+    }
+    if (c === "<" && next === "<" && !inInterpolation) {
+      const header = src.slice(i).match(HEREDOC_START);
+      if (header) {
+        const bodyStart = i + header[0].length;
+        const terminator = new RegExp(`^[ \\t]*${header[1]}[ \\t]*$`, "m");
+        const match = terminator.exec(src.slice(bodyStart));
+        const bodyEnd = match ? bodyStart + match.index : src.length;
+        const stop = match ? bodyEnd + match[0].length : src.length;
+        // Literal text, except the heredoc's own interpolations
+        blank(refs, i, stop);
+        blank(skeleton, i + 2, stop);
+        for (const m of src.slice(bodyStart, bodyEnd).matchAll(/[$%]\{[^}]*\}/g)) {
+          for (let k = bodyStart + m.index; k < bodyStart + m.index + m[0].length; k++) refs[k] = src[k];
+        }
+        i = stop;
+        continue;
+      }
+    }
+    if (inInterpolation) {
+      blank(skeleton, i, i + 1);
+      if (c === "{") top.depth++;
+      else if (c === "}") {
+        if (top.depth === 0) {
+          stack.pop();
+          blank(refs, i, i + 1);
+        } else top.depth--;
+      }
+    }
+    i++;
+  }
+  return { code: code.join(""), refs: refs.join(""), skeleton: skeleton.join("") };
+}
+
+function lineIndex(src) {
+  const starts = [0];
+  for (let i = 0; i < src.length; i++) {
+    if (src[i] === "\n") starts.push(i + 1);
+  }
+  // 1-based line of an offset
+  return (offset) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+}
+
+// Offset of the bracket closing the one at `open`, by the skeleton
+function matchingClose(skeleton, open, end) {
+  let depth = 0;
+  for (let i = open; i < end; i++) {
+    const c = skeleton[i];
+    if (c === "{" || c === "[" || c === "(") depth++;
+    else if (c === "}" || c === "]" || c === ")") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return end;
+}
+
+function parseBody(views, lineOf, start, end) {
+  const { code, refs, skeleton } = views;
+  const attributes = [];
+  const blocks = [];
+  let i = start;
+
+  const skipTo = (pattern) => {
+    pattern.lastIndex = i;
+    const m = pattern.exec(skeleton);
+    return m && m.index < end ? m : null;
+  };
+
+  while (i < end) {
+    const ident = skipTo(/[A-Za-z_][\w-]*/g);
+    if (!ident) break;
+    const nameStart = ident.index;
+    const name = ident[0];
+    i = nameStart + name.length;
+
+    let j = i;
+    while (skeleton[j] === " " || skeleton[j] === "\t") j++;
+
+    // name = expression (to the end of the line, or of its brackets)
+    if (skeleton[j] === "=" && skeleton[j + 1] !== "=") {
+      const valueStart = j + 1;
+      let k = valueStart;
+      while (k < end && skeleton[k] !== "\n" && skeleton[k] !== ",") {
+        if ("{[(".includes(skeleton[k])) k = matchingClose(skeleton, k, end);
+        k++;
+      }
+      // A heredoc's body is blanked in the skeleton; its text ends at the terminator
+      const heredoc = code.slice(valueStart, k).trim().match(/^<<-?([A-Za-z_][\w-]*)$/);
+      if (heredoc) {
+        const terminator = new RegExp(`^[ \\t]*${heredoc[1]}[ \\t]*$`, "m");
+        const match = terminator.exec(code.slice(k));
+        if (match) k = Math.min(end, k + match.index + match[0].length);
+      }
+      attributes.push({
+        name,
+        expr: code.slice(valueStart, k).trim(),
+        refText: refs.slice(valueStart, k),
+        line: lineOf(nameStart)
+      });
+      i = k;
+      continue;
+    }
+
+    // type "label" label { ... }
+    const labels = [];
+    let m;
+    while (true) {
+      while (skeleton[j] === " " || skeleton[j] === "\t") j++;
+      if (skeleton[j] === '"') {
+        const close = skeleton.indexOf('"', j + 1);
+        if (close === -1 || close > end) break;
+        labels.push(code.slice(j + 1, close));
+        j = close + 1;
+      } else if ((m = /^[A-Za-z_][\w-]*/.exec(skeleton.slice(j, Math.min(end, j + 256))))) {
+        labels.push(m[0]);
+        j += m[0].length;
+      } else {
+        break;
+      }
+    }
+    if (skeleton[j] === "{") {
+      const close = matchingClose(skeleton, j, end);
+      blocks.push({
+        type: name,
+        labels,
+        body: parseBody(views, lineOf, j + 1, close),
+        refText: refs.slice(j + 1, close),
+        startLine: lineOf(nameStart),
+        endLine: lineOf(close),
+        text: code.slice(nameStart, close + 1)
+      });
+      i = close + 1;
+      continue;
+    }
+
+    const eol = skeleton.indexOf("\n", i);
+    i = eol === -1 || eol > end ? end : eol + 1;
+  }
+
+  return { attributes, blocks };
+}
+
+/**
+ * Parse HCL source into its top-level body
+ */
+function parseHcl(src) {
+  const views = maskSource(src);
+  return parseBody(views, lineIndex(src), 0, src.length);
+}
+
+/**
+ * Value of a literal expression (string without interpolation, number,
+ * boolean, null), or undefined for anything else
+ */
+function literalValue(expr) {
+  if (expr === undefined) return undefined;
+  const string = expr.match(/^"((?:[^"\\$%]|\\.|\$(?!\{)|%(?!\{))*)"$/);
+  if (string) return string[1].replace(/\\(.)/g, (_, ch) => ({ n: "\n", t: "\t" })[ch] || ch);
+  if (/^-?\d+(\.\d+)?$/.test(expr)) return Number(expr);
+  if (expr === "true" || expr === "false") return expr === "true";
+  if (expr === "null") return null;
+  return undefined;
+}
+
+module.exports = { parseHcl, literalValue, maskSource };
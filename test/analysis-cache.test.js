@@ -0,0 +1,103 @@
+/**
+ * Tests for the incremental analysis cache (analysis-cache.js):
+ *   - unchanged files are served from the cache via fileFilter
+ *   - modified files and their importers are re-parsed
+ *   - deleted files are dropped and force their importers to be re-checked
+ *   - added files re-check files whose import they may now resolve
+ *   - changing capture flags invalidates the cache
+ * Run: node test/analysis-cache.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { openAnalysisCache } = require("../analysis-cache");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const repo = fs.mkdtempSync(path.join(os.tmpdir(), "analysis-cache-repo-"));
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "analysis-cache-dir-"));
+
+function write(rel, content) {
+  fs.writeFileSync(path.join(repo, rel), content);
+}
+
+// Minimal stand-in for a language analyzer: honours fileFilter and reports
+// which files it actually parsed.
+const IMPORTS = { "a.js": ["b.js"], "b.js": [], "c.js": [], "d.js": [] };
+// Imports the stand-in could not resolve
+const EXTERNAL = { "c.js": ["lodash"], "d.js": ["./helpers/format"] };
+function runAnalyzer(opts = {}) {
+  const files = fs.readdirSync(repo, { recursive: true }).filter((f) => f.endsWith(".js"));
+  const cache = openAnalysisCache(cacheDir, "javascript", repo, { analyzerVersion: "1", files, ...opts });
+  const emitted = [];
+  const parsed = [];
+  const { onResult, fileFilter } = cache.attach((record) => emitted.push(record));
+  for (const rel of Object.keys(IMPORTS)) {
+    const abs = path.join(repo, rel);
+    if (!fs.existsSync(abs)) continue;
+    if (!fileFilter(abs)) continue;
+    parsed.push(rel);
+    onResult({ path: rel, importFiles: IMPORTS[rel], externalImports: EXTERNAL[rel] || [], body: fs.readFileSync(abs, "utf8") });
+  }
+  cache.commit();
+  return { emitted, parsed, stats: cache.stats };
+}
+
+try {
+  write("a.js", "require('./b');\n");
+  write("b.js", "module.exports = 1;\n");
+  write("c.js", "module.exports = 3;\n");
+
+  // ------------------------------------------------------------ cold run ----
+  let run = runAnalyzer();
+  check("cold run parses every file", run.parsed.length === 3);
+
+  // ------------------------------------------------------------ warm run ----
+  run = runAnalyzer();
+  check("warm run parses nothing", run.parsed.length === 0);
+  check("warm run emits every cached record", run.emitted.length === 3);
+  check("cached record content is preserved",
+    run.emitted.find((r) => r.path === "b.js").body === "module.exports = 1;\n");
+  check("cached records keep analyzer order",
+    run.emitted.map((r) => r.path).join(",") === "a.js,b.js,c.js");
+
+  // ------------------------------------- modified file + its importer ----
+  write("b.js", "module.exports = 22;\n");
+  run = runAnalyzer();
+  check("modified file and importer re-parsed", run.parsed.sort().join(",") === "a.js,b.js");
+  check("modified stat counted", run.stats.modified === 1 && run.stats.rechecked === 1);
+  check("fresh content emitted",
+    run.emitted.find((r) => r.path === "b.js").body === "module.exports = 22;\n");
+
+  // ---------------------------------------------------- deleted import ----
+  fs.unlinkSync(path.join(repo, "b.js"));
+  run = runAnalyzer();
+  check("importer of deleted file re-parsed", run.parsed.join(",") === "a.js");
+  check("deleted file not emitted", !run.emitted.some((r) => r.path === "b.js"));
+  check("deleted stat counted", run.stats.deleted === 1);
+
+  // ------------------------------------------------------- added file ----
+  write("d.js", "require('./helpers/format');\n");
+  runAnalyzer();
+  fs.mkdirSync(path.join(repo, "helpers"));
+  write("helpers/format.js", "module.exports = 4;\n");
+  run = runAnalyzer();
+  check("file with a matching unresolved import re-checked", run.parsed.join(",") === "d.js");
+  check("added stat counted", run.stats.added === 1 && run.stats.rechecked === 1);
+  check("unrelated external imports still reused", run.emitted.some((r) => r.path === "c.js") && !run.parsed.includes("c.js"));
+
+  // ------------------------------------------ capture flags invalidate ----
+  run = runAnalyzer({ captureStatements: true });
+  check("changing capture flags re-parses everything", run.parsed.length === 3);
+} finally {
+  fs.rmSync(repo, { recursive: true, force: true });
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+}
+
+console.log(`\n✅ All ${passed} assertions passed.`);
@@ -0,0 +1,85 @@
+/**
+ * Tests for the streaming mode of /api/analyze (server.js):
+ *   - ?format=ndjson emits one record per file, projectMetaData last
+ *   - totals agree with the default JSON response
+ *   - gzip when the client accepts it
+ *   - errors before the first record keep their status code
+ * Run: node test/analyze-stream.test.js
+ */
+const assert = require("assert");
+const http = require("http");
+const { isDeepStrictEqual } = require("util");
+const zlib = require("zlib");
+const { app } = require("../server");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const files = [
+  { path: "src/user.js", content: "class User {\n  save() { return validate(this); }\n}\nfunction validate(u) { return !!u; }\nmodule.exports = { User };\n" },
+  { path: "src/index.js", content: "const { User } = require('./user');\nfunction main() { return new User().save(); }\nmain();\n" },
+  { path: "package.json", content: JSON.stringify({ name: "demo", dependencies: { express: "^5.0.0" } }) },
+];
+
+// Raw POST so the gzip body can be checked as sent
+function post(query, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${base}/api/analyze${query}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(payload), ...headers },
+    }, (res) => {
+      const chunks = [];
+      res.on("data", (c) => chunks.push(c));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+const lines = (buf) => buf.toString("utf8").trim().split("\n").map((l) => JSON.parse(l));
+
+let base;
+(async () => {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const streamed = await post("?format=ndjson", { files, projectName: "demo" });
+    check("200 with NDJSON content type", streamed.status === 200 && streamed.headers["content-type"].startsWith("application/x-ndjson"));
+    const records = lines(streamed.body);
+    const meta = records[records.length - 1];
+    check("projectMetaData is the last record", meta.__type === "projectMetaData" && meta.repositoryName === "demo");
+    const fileRecords = records.slice(0, -1);
+    check("one record per file", fileRecords.map((r) => r.path).sort().join() === "package.json,src/index.js,src/user.js");
+    const user = fileRecords.find((r) => r.path === "src/user.js");
+    check("code record shape", user.type === "code" && user.language && user.loc === 6 && user.classes.length === 1);
+    check("config record", fileRecords.find((r) => r.path === "package.json").type === "config");
+
+    const json = await post("", { files, projectName: "demo" });
+    const { projectMetaData } = JSON.parse(json.body);
+    check("totals match the JSON response",
+      ["totalFiles", "totalFunctions", "totalClasses", "totalLinesOfCode"].every((k) => meta[k] === projectMetaData[k]));
+    check("languages match", meta.analyzedLanguages.join() === projectMetaData.analyzedLanguages.join());
+    check("config stats match", isDeepStrictEqual(meta.configs, projectMetaData.configs));
+
+    const gzipped = await post("?format=ndjson", { files, projectName: "demo" }, { "Accept-Encoding": "gzip" });
+    check("gzip when accepted", gzipped.headers["content-encoding"] === "gzip");
+    check("gzip body is the same stream", lines(zlib.gunzipSync(gzipped.body)).length === records.length);
+
+    const unsupported = await post("?format=ndjson", { files: [{ path: "notes.xyz", content: "hi" }] });
+    check("422 before streaming starts", unsupported.status === 422 && JSON.parse(unsupported.body).error.includes("No supported languages"));
+    check("unknown format rejected", (await post("?format=xml", { files })).status === 400);
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
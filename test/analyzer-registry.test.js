@@ -0,0 +1,121 @@
+/**
+ * Tests for the analyzer registry (analyzer-registry.js):
+ *   - built-ins are listed by priority with their ignore-folder keys
+ *   - plugins load from a config file and from breeze-analyzer-* packages
+ *   - invalid and duplicate plugins are skipped, not fatal
+ *   - detectLanguages and the worker pool pick up plugin analyzers
+ * Run: node test/analyzer-registry.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "analyzer-registry-"));
+const write = (rel, content) => {
+  fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+  fs.writeFileSync(path.join(dir, rel), content);
+};
+
+// Minimal plugin analyzer: one record per matching file, honouring the
+// onResult/fileFilter contract of the built-in analyzers.
+const pluginSource = (key, ext) => `
+const fs = require("fs");
+const path = require("path");
+function walk(d, out) {
+  for (const e of fs.readdirSync(d, { withFileTypes: true })) {
+    const p = path.join(d, e.name);
+    if (e.isDirectory()) walk(p, out);
+    else if (p.endsWith("${ext}")) out.push(p);
+  }
+  return out;
+}
+function analyzer(repoPath, opts = {}) {
+  const results = [];
+  for (const file of walk(repoPath, []).sort()) {
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
+    const record = { path: path.relative(repoPath, file), functions: [], classes: [] };
+    if (opts.onResult) opts.onResult(record);
+    else results.push(record);
+  }
+  return results;
+}
+module.exports = { key: "${key}", name: "${key.toUpperCase()}", extensions: ["**/*${ext}"], analyzer, ignoreKey: "java", version: 3 };
+`;
+
+write("plugins/elixir.js", pluginSource("elixir", ".ex"));
+write("plugins/broken.js", "module.exports = { key: 'broken', extensions: ['**/*.x'] };\n");
+write("plugins/dup.js", pluginSource("python", ".py2"));
+write("breeze-analyzers.json", JSON.stringify({ analyzers: ["./plugins/elixir.js", "./plugins/broken.js", "./plugins/dup.js"] }));
+write("node_modules/breeze-analyzer-scala/package.json", JSON.stringify({ name: "breeze-analyzer-scala", main: "index.js" }));
+write("node_modules/breeze-analyzer-scala/index.js", pluginSource("scala", ".scala"));
+write("node_modules/@acme/breeze-analyzer-dart/index.js", pluginSource("dart", ".dart"));
+write("node_modules/unrelated/index.js", "throw new Error('should not load');\n");
+for (let i = 0; i < 5; i++) write(`repo/src/f${i}.ex`, `def f${i}, do: ${i}\n`);
+
+process.env.BREEZE_ANALYZERS_CONFIG = path.join(dir, "breeze-analyzers.json");
+
+const {
+  createAnalyzerRegistry,
+  registerBuiltins,
+  loadAnalyzerPlugins,
+  getAnalyzerRegistry,
+  supportedExtensions,
+} = require("../analyzer-registry");
+const { detectLanguages } = require("../main");
+const { runAnalyzerInPool } = require("../worker-pool");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+(async () => {
+  try {
+    // ── Built-ins ──
+    const builtins = createAnalyzerRegistry();
+    registerBuiltins(builtins);
+    const keys = builtins.list().map((a) => a.key);
+    check("priority order", keys[0] === "vue" && keys[1] === "typescript" && keys[2] === "javascript");
+    check("every built-in registered",
+      ["csharp", "golang", "salesforce", "perl", "php", "vbnet", "java", "kotlin", "python"].every((k) => builtins.get(k)));
+    check("javascript uses the nodejs ignore folder", builtins.get("javascript").ignoreKey === "nodejs");
+    check("ignore key defaults to the language key", builtins.get("golang").ignoreKey === "golang");
+    check("built-in modules are absolute", path.isAbsolute(builtins.get("python").module));
+    check("supported extensions listed", supportedExtensions(builtins).includes(".cls"));
+
+    // ── Plugin discovery ──
+    const { loaded, errors } = loadAnalyzerPlugins(builtins, {
+      configPath: path.join(dir, "breeze-analyzers.json"),
+      nodeModulesDirs: [path.join(dir, "node_modules")],
+    });
+    check("config and package plugins loaded", ["elixir", "scala", "dart"].every((k) => loaded.includes(k)));
+    check("invalid plugin skipped", errors.some((e) => /broken\.js.*"analyzer" function/.test(e)));
+    check("duplicate key rejected", errors.some((e) => /"python".*already registered/.test(e)));
+    check("built-in kept on duplicate", builtins.get("python").source === "built-in");
+    check("plugin fields carried", builtins.get("elixir").ignoreKey === "java" && builtins.get("elixir").version === 3);
+    assert.throws(() => builtins.register({ key: "Bad Key", extensions: ["**/*.b"], analyzer() {} }), /lowercase "key"/);
+    passed++;
+
+    // ── Process-wide registry (BREEZE_ANALYZERS_CONFIG) ──
+    check("default registry loads configured plugins", getAnalyzerRegistry().get("elixir") !== null);
+    const detected = detectLanguages(path.join(dir, "repo"));
+    check("detectLanguages finds plugin language", detected.length === 1 && detected[0].key === "elixir");
+
+    // ── Plugin analyzer on the worker pool ──
+    const pooled = [];
+    await runAnalyzerInPool(detected[0], path.join(dir, "repo"), {
+      workers: 2,
+      onResult: (r) => pooled.push(r.path),
+    });
+    const sequential = detected[0].analyzer(path.join(dir, "repo")).map((r) => r.path);
+    check("plugin runs on the worker pool", pooled.join(",") === sequential.join(",") && pooled.length === 5);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
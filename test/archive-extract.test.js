@@ -0,0 +1,225 @@
+/**
+ * Tests for archive uploads (archive-extract.js, /api/analyze-archive):
+ *   - .zip (stored + deflate), .tar and .tar.gz extraction, long tar names
+ *   - zip-slip, absolute paths and file / directory name clashes rejected,
+ *     symlinks skipped
+ *   - entry-count and uncompressed-size caps (zip bomb)
+ *   - subdir filter re-rooting the project
+ *   - the endpoint runs the normal analysis on the extracted tree
+ *   - multer upload errors (size cap, unexpected field) answered in JSON
+ * Run: node test/archive-extract.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { extractArchive } = require("../archive-extract");
+const express = require("express");
+const multer = require("multer");
+const { app, uploadErrorHandler } = require("../server");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+function rejects(fn, statusCode, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err.statusCode === statusCode && pattern.test(err.message);
+  }
+}
+
+// Minimal zip writer: [{ name, content, deflate?, mode? }]
+function makeZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const e of entries) {
+    const name = Buffer.from(e.name);
+    const raw = Buffer.from(e.content || "");
+    const data = e.deflate ? zlib.deflateRawSync(raw) : raw;
+    const crc = zlib.crc32(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(e.deflate ? 8 : 0, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(e.deflate ? 8 : 0, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(e.size !== undefined ? e.size : raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(((e.mode || 0o100644) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+    offset += 30 + name.length + data.length;
+  }
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cd, eocd]);
+}
+
+// Minimal ustar writer: [{ name, content, type? }]
+function makeTar(entries) {
+  const blocks = [];
+  for (const e of entries) {
+    const data = Buffer.from(e.content || "");
+    const header = Buffer.alloc(512);
+    let name = e.name;
+    let prefix = "";
+    if (name.length > 100) {
+      const cut = name.lastIndexOf("/", name.length - 1 - 0);
+      prefix = name.slice(0, cut);
+      name = name.slice(cut + 1);
+    }
+    header.write(name, 0);
+    header.write("0000644\0", 100);
+    header.write(data.length.toString(8).padStart(11, "0") + "\0", 124);
+    header.write(e.type || "0", 156);
+    header.write("ustar\x0000", 257, "latin1");
+    header.write(prefix, 345);
+    header.fill(" ", 148, 156);
+    let sum = 0;
+    for (const b of header) sum += b;
+    header.write(sum.toString(8).padStart(6, "0") + "\0 ", 148);
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "archive-extract-"));
+let n = 0;
+const freshDir = () => fs.mkdirSync(path.join(tmp, String(++n)), { recursive: true }) || path.join(tmp, String(n));
+const read = (dir, rel) => fs.readFileSync(path.join(dir, rel), "utf8");
+
+const project = [
+  { name: "demo-main/", content: "" },
+  { name: "demo-main/src/user.js", content: "class User { save() {} }\nmodule.exports = { User };\n", deflate: true },
+  { name: "demo-main/src/index.js", content: "const { User } = require('./user');\nnew User().save();\n" },
+  { name: "demo-main/docs/readme.md", content: "# demo\n" },
+];
+
+(async () => {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const upload = (buffer, fileName, fields = {}) => {
+    const form = new FormData();
+    form.append("archive", new Blob([buffer]), fileName);
+    for (const [k, v] of Object.entries(fields)) form.append(k, v);
+    return fetch(`${base}/api/analyze-archive`, { method: "POST", body: form });
+  };
+
+  try {
+    // ── zip ──
+    let dir = freshDir();
+    const zip = extractArchive(makeZip(project), dir);
+    check("zip extracted (stored + deflate)", zip.format === "zip" && zip.files === 3 && read(dir, "demo-main/src/user.js").startsWith("class User"));
+
+    // ── tar / tar.gz ──
+    const longName = `demo-main/${"nested/".repeat(20)}deep.js`;
+    const tar = makeTar([...project.filter((e) => !e.name.endsWith("/")), { name: longName, content: "x" }]);
+    dir = freshDir();
+    check("tar extracted", extractArchive(tar, dir).format === "tar" && read(dir, "demo-main/src/index.js").includes("require"));
+    check("ustar prefix joins long names", read(dir, longName) === "x");
+    dir = freshDir();
+    const tgz = extractArchive(zlib.gzipSync(tar), dir);
+    check("tar.gz extracted", tgz.format === "tar.gz" && tgz.files === 4);
+
+    // ── Unsafe entries ──
+    check("zip-slip rejected", rejects(() => extractArchive(makeZip([{ name: "../evil.js", content: "x" }]), freshDir()), 400, /escapes/));
+    check("nested zip-slip rejected", rejects(() => extractArchive(makeTar([{ name: "a/../../evil.js", content: "x" }]), freshDir()), 400, /escapes/));
+    check("absolute path rejected", rejects(() => extractArchive(makeTar([{ name: "/etc/cron.d/x", content: "x" }]), freshDir()), 400, /absolute/));
+    check("nothing written outside", !fs.existsSync(path.join(tmp, "evil.js")));
+    dir = freshDir();
+    const links = extractArchive(makeZip([
+      { name: "link", content: "/etc/passwd", mode: 0o120777 },
+      { name: "a.js", content: "1" },
+    ]), dir);
+    check("zip symlink skipped", links.skipped.join() === "link" && !fs.existsSync(path.join(dir, "link")));
+    dir = freshDir();
+    check("tar symlink skipped", extractArchive(makeTar([{ name: "l", type: "2" }, { name: "b.js", content: "1" }]), dir).skipped.join() === "l");
+    check("file then directory with the same name -> 400", rejects(() => extractArchive(makeTar([
+      { name: "src", content: "x" },
+      { name: "src/a.js", content: "1" },
+    ]), freshDir()), 400, /conflicts with another entry: src\/a\.js/));
+    check("directory then file with the same name -> 400", rejects(() => extractArchive(makeZip([
+      { name: "src/a.js", content: "1" },
+      { name: "src", content: "x" },
+    ]), freshDir()), 400, /conflicts with another entry: src$/));
+    check("unknown format", rejects(() => extractArchive(Buffer.from("not an archive"), freshDir()), 400, /Unsupported archive/));
+
+    // ── Caps ──
+    const many = Array.from({ length: 6 }, (_, i) => ({ name: `f${i}.js`, content: "1" }));
+    check("entry cap", rejects(() => extractArchive(makeZip(many), freshDir(), { maxEntries: 5 }), 413, /more than 5 entries/));
+    const bomb = makeZip([{ name: "bomb.txt", content: "0".repeat(2 * 1024 * 1024), deflate: true, size: 10 }]);
+    check("zip bomb stopped despite a lying size", rejects(() => extractArchive(bomb, freshDir(), { maxBytes: 1024 * 1024 }), 413, /size limit/));
+    check("tar.gz size cap", rejects(() => extractArchive(zlib.gzipSync(tar), freshDir(), { maxBytes: 64 }), 413, /size limit/));
+
+    // ── subdir ──
+    dir = freshDir();
+    const sub = extractArchive(makeZip(project), dir, { subdir: "demo-main/src/" });
+    check("subdir re-rooted", sub.files === 2 && read(dir, "user.js").startsWith("class User") && !fs.existsSync(path.join(dir, "docs")));
+    check("subdir with no files", rejects(() => extractArchive(makeZip(project), freshDir(), { subdir: "nope" }), 400, /No files found/));
+    check("subdir can't climb", rejects(() => extractArchive(makeZip(project), freshDir(), { subdir: "../x" }), 400, /escapes/));
+
+    // ── Endpoint ──
+    const res = await upload(zlib.gzipSync(tar), "demo.tar.gz", { subdir: "demo-main", captureStatements: "true" });
+    const output = await res.json();
+    check("analyzed like /api/analyze", res.status === 200 && output.projectMetaData.repositoryName === "demo"
+      && output.files.some((f) => f.path === "src/user.js"));
+    check("capture flag honoured", output.files.find((f) => f.path === "src/index.js").statements !== undefined);
+    const named = await (await upload(makeZip(project), "x.zip", { projectName: "acme" })).json();
+    check("projectName and archive-root paths", named.projectMetaData.repositoryName === "acme" && named.files.some((f) => f.path === "demo-main/src/index.js"));
+    check("missing archive", (await fetch(`${base}/api/analyze-archive`, { method: "POST", body: new FormData() })).status === 400);
+    check("unsafe archive -> 400", (await upload(makeZip([{ name: "../x.js", content: "1" }]), "bad.zip")).status === 400);
+    const extraFile = new FormData();
+    extraFile.append("other", new Blob(["x"]), "x.zip");
+    const unexpected = await fetch(`${base}/api/analyze-archive`, { method: "POST", body: extraFile });
+    check("unexpected upload field -> JSON 400", unexpected.status === 400 && /Unexpected file field: other/.test((await unexpected.json()).error));
+
+    // Same handler behind a small cap: over the limit is a JSON 413
+    const capped = express();
+    capped.post("/upload", multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 } }).single("archive"), (_req, res) => res.json({}));
+    capped.use(uploadErrorHandler);
+    const cappedServer = capped.listen(0);
+    await new Promise((resolve) => cappedServer.once("listening", resolve));
+    try {
+      const form = new FormData();
+      form.append("archive", new Blob(["x".repeat(100)]), "big.zip");
+      const tooLarge = await fetch(`http://127.0.0.1:${cappedServer.address().port}/upload`, { method: "POST", body: form });
+      check("upload over the size cap -> JSON 413", tooLarge.status === 413 && /too large/i.test((await tooLarge.json()).error));
+    } finally {
+      cappedServer.close();
+    }
+  } finally {
+    server.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
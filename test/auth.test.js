@@ -0,0 +1,162 @@
+/**
+ * Tests for /api authentication (auth.js):
+ *   - API keys from env vars or SHA-256 digests, HS256 / RS256 / ES256 JWTs
+ *   - tenant project scoping and admin-only routes
+ *   - per-tenant rate and body-size limits
+ *   - one audit entry per request, denials included
+ * Run: node test/auth.test.js
+ */
+const assert = require("assert");
+const crypto = require("crypto");
+const express = require("express");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createAuth, createTenantLoader, verifyJwt, hashApiKey } = require("../auth");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-"));
+const tenantsFile = path.join(dir, "tenants.json");
+fs.writeFileSync(tenantsFile, JSON.stringify({
+  tenants: [
+    { id: "acme", apiKeyEnv: "ACME_KEY", projectUuids: ["p-acme"], rateLimitPerMinute: 5, maxBodyBytes: 200 },
+    { id: "globex", apiKeySha256: [hashApiKey("globex-key")], projectUuids: ["*"], admin: true },
+  ],
+}));
+
+const b64 = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+function hs256(claims, secret = "jwt-secret") {
+  const signed = `${b64({ alg: "HS256", typ: "JWT" })}.${b64(claims)}`;
+  return `${signed}.${crypto.createHmac("sha256", secret).update(signed).digest("base64url")}`;
+}
+function signed(alg, claims, privateKey, options = {}) {
+  const data = `${b64({ alg, typ: "JWT" })}.${b64(claims)}`;
+  return `${data}.${crypto.sign("sha256", Buffer.from(data), { key: privateKey, ...options }).toString("base64url")}`;
+}
+
+(async () => {
+  const auditLog = [];
+  const rsa = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const ec = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const pem = (key) => key.export({ type: "spki", format: "pem" });
+
+  const auth = createAuth({
+    loadTenants: createTenantLoader(tenantsFile),
+    jwt: { secret: "jwt-secret", issuer: "https://idp.acme.com" },
+    audit: (entry) => auditLog.push(entry),
+    env: { ACME_KEY: "acme-key" },
+  });
+  const app = express();
+  app.use("/api", auth.authenticate);
+  app.use(express.json());
+  app.post("/api/analyze-diff", (req, res) => {
+    if (!auth.authorizeProject(req, res, req.body.projectUuid, { repoUrl: req.body.repoUrl })) return;
+    req.auditDetails.jobId = "job-1";
+    res.status(202).json({ tenant: req.auth.tenant.id, actor: req.auth.actor });
+  });
+  app.get("/api/notifications", auth.requireAdmin, (_req, res) => res.json({ ok: true }));
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = (headers, body = { projectUuid: "p-acme", repoUrl: "https://github.com/acme/api" }) =>
+    fetch(`${base}/api/analyze-diff`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+
+  try {
+    // ── Credentials ──
+    check("no credentials -> 401", (await post({})).status === 401);
+    check("wrong key -> 401", (await post({ "X-API-Key": "nope" })).status === 401);
+    const viaEnv = await post({ "X-API-Key": "acme-key" });
+    check("API key from env var", viaEnv.status === 202 && (await viaEnv.json()).tenant === "acme");
+    const viaDigest = await post({ Authorization: "Bearer globex-key" });
+    check("API key by SHA-256 digest as a bearer token", viaDigest.status === 202 && (await viaDigest.json()).tenant === "globex");
+
+    const claims = { tenant: "acme", sub: "ci-bot", iss: "https://idp.acme.com", exp: Math.floor(Date.now() / 1000) + 60 };
+    const viaJwt = await post({ Authorization: `Bearer ${hs256(claims)}` });
+    const jwtBody = await viaJwt.json();
+    check("HS256 JWT", viaJwt.status === 202 && jwtBody.tenant === "acme" && jwtBody.actor === "ci-bot");
+    check("expired JWT", (await post({ Authorization: `Bearer ${hs256({ ...claims, exp: 1000 })}` })).status === 401);
+    check("wrong issuer", (await post({ Authorization: `Bearer ${hs256({ ...claims, iss: "evil" })}` })).status === 401);
+    check("tampered signature", (await post({ Authorization: `Bearer ${hs256(claims, "other")}` })).status === 401);
+    check("unknown tenant claim -> 403", (await post({ Authorization: `Bearer ${hs256({ ...claims, tenant: "initech" })}` })).status === 403);
+    check("alg none rejected", (() => {
+      try { verifyJwt(`${b64({ alg: "none" })}.${b64(claims)}.`, { secret: "jwt-secret" }); return false; } catch (err) { return err.statusCode === 401; }
+    })());
+    check("RS256 with a public key", verifyJwt(signed("RS256", claims, rsa.privateKey), { publicKey: pem(rsa.publicKey) }).sub === "ci-bot");
+    check("ES256 with a public key",
+      verifyJwt(signed("ES256", claims, ec.privateKey, { dsaEncoding: "ieee-p1363" }), { publicKey: pem(ec.publicKey) }).sub === "ci-bot");
+    check("asymmetric token refused without a public key", (() => {
+      try { verifyJwt(signed("RS256", claims, rsa.privateKey), { secret: "jwt-secret" }); return false; } catch (err) { return err.statusCode === 401; }
+    })());
+
+    // ── Scoping ──
+    check("project outside the tenant -> 403", (await post({ "X-API-Key": "acme-key" }, { projectUuid: "p-other" })).status === 403);
+    check("wildcard tenant", (await post({ "X-API-Key": "globex-key" }, { projectUuid: "p-other" })).status === 202);
+    check("admin route refused", (await fetch(`${base}/api/notifications`, { headers: { "X-API-Key": "acme-key" } })).status === 403);
+    check("admin route allowed", (await fetch(`${base}/api/notifications`, { headers: { "X-API-Key": "globex-key" } })).status === 200);
+
+    // ── Limits ──
+    const big = await post({ "X-API-Key": "globex-key" }, { projectUuid: "p-acme", padding: "x".repeat(500) });
+    check("body under the default limit", big.status === 202);
+    check("body over the tenant limit -> 413", (await post({ "X-API-Key": "acme-key" }, { projectUuid: "p-acme", padding: "x".repeat(500) })).status === 413);
+    // acme has made 5 requests this minute (401s for bad keys don't count against it)
+    const limited = await post({ "X-API-Key": "acme-key" });
+    check("rate limited -> 429", limited.status === 429 && Number(limited.headers.get("retry-after")) > 0);
+    check("other tenants unaffected", (await post({ "X-API-Key": "globex-key" })).status === 202);
+
+    // ── Tenant table reload ──
+    const table = JSON.parse(fs.readFileSync(tenantsFile, "utf8"));
+    table.tenants[0].rateLimitPerMinute = 100;
+    fs.writeFileSync(tenantsFile, JSON.stringify(table));
+    fs.utimesSync(tenantsFile, new Date(), new Date(Date.now() + 5000));
+    check("tenant table edits apply without a restart", (await post({ "X-API-Key": "acme-key" })).status === 202);
+
+    // A streamed body without Content-Length can't slip past the body limit
+    const chunked = (key) => new Promise((resolve, reject) => {
+      const req = http.request(`${base}/api/analyze-diff`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-API-Key": key },
+      }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on("error", reject);
+      req.write('{"projectUuid":"p-acme",');
+      req.end(`"padding":"${"x".repeat(500)}"}`);
+    });
+    check("chunked body with a tenant limit -> 411", (await chunked("acme-key")) === 411);
+    check("chunked body without a limit accepted", (await chunked("globex-key")) === 202);
+
+    // ── Audit ──
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const accepted = auditLog.find((e) => e.actor === "ci-bot" && e.status === 202);
+    check("audit: who triggered which analysis", accepted && accepted.tenant === "acme" && accepted.authMethod === "jwt"
+      && accepted.projectUuid === "p-acme" && accepted.repoUrl === "https://github.com/acme/api" && accepted.jobId === "job-1");
+    check("audit: denials recorded", auditLog.some((e) => e.status === 401 && e.tenant === null && e.reason === "Invalid API key")
+      && auditLog.some((e) => e.status === 403 && e.projectUuid === "p-other"));
+    check("audit: no credentials logged", !JSON.stringify(auditLog).includes("acme-key"));
+
+    // ── Invalid table ──
+    fs.writeFileSync(tenantsFile, JSON.stringify([{ id: "broken" }]));
+    fs.utimesSync(tenantsFile, new Date(), new Date(Date.now() + 10000));
+    check("invalid tenant table -> 500", (await post({ "X-API-Key": "acme-key" })).status === 500);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for cross-file call-graph resolution (call-graph-resolver.js):
+ *   - this./self. calls link to the enclosing class
+ *   - module aliases, imported names and static calls link across files
+ *   - Go calls link within a package and through package receivers
+ *   - library calls are left unresolved
+ *   - resolveCallGraphFile rewrites an NDJSON file in place
+ * Run: node test/call-graph-resolver.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  createCallGraphIndex,
+  resolveRecordCalls,
+  resolveCallGraphFile,
+} = require("../call-graph-resolver");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const fn = (name, startLine, calls = []) => ({ name, startLine, endLine: startLine + 2, calls });
+
+function buildRecords() {
+  return [
+    {
+      path: "src/service.js",
+      language: "javascript",
+      importFiles: ["src/util.js"],
+      classes: [{ name: "Service", methods: ["run", "step"], startLine: 1, endLine: 20 }],
+      functions: [
+        fn("run", 2, [
+          { name: "step", receiver: "this" },
+          { name: "format", receiver: "util", path: "src/util.js" },
+          { name: "parse", receiver: "JSON" },
+        ]),
+        fn("step", 10),
+      ],
+    },
+    {
+      path: "src/util.js",
+      language: "javascript",
+      functions: [fn("format", 1)],
+    },
+    {
+      path: "pkg/app.py",
+      language: "python",
+      importFiles: ["pkg/helpers.py"],
+      functions: [fn("main", 1, [{ name: "slugify", receiver: "helpers" }])],
+    },
+    {
+      path: "pkg/helpers.py",
+      language: "python",
+      functions: [fn("slugify", 1)],
+    },
+    {
+      path: "src/main/java/com/acme/App.java",
+      language: "java",
+      importFiles: ["src/main/java/com/acme/Strings.java"],
+      classes: [{ name: "App", methods: ["start", "stop"], startLine: 1, endLine: 30 }],
+      functions: [
+        fn("start", 2, [
+          { name: "trim", receiver: "Strings" },
+          { name: "stop" },
+        ]),
+        fn("stop", 20),
+      ],
+    },
+    {
+      path: "src/main/java/com/acme/Strings.java",
+      language: "java",
+      classes: [{ name: "Strings", methods: ["trim"], startLine: 1, endLine: 10 }],
+      functions: [fn("trim", 2)],
+    },
+    {
+      path: "cmd/server/main.go",
+      language: "golang",
+      importFiles: [],
+      functions: [fn("main", 1, [{ name: "Load", receiver: "config" }, { name: "listen" }])],
+    },
+    {
+      path: "cmd/server/listen.go",
+      language: "golang",
+      functions: [fn("listen", 1)],
+    },
+    {
+      path: "internal/config/config.go",
+      language: "golang",
+      functions: [fn("Load", 1)],
+    },
+  ];
+}
+
+const records = buildRecords();
+const index = createCallGraphIndex();
+records.forEach((r) => index.add(r));
+const total = records.reduce((sum, r) => sum + resolveRecordCalls(r, index), 0);
+const calls = (p, name) => records.find((r) => r.path === p).functions.find((f) => f.name === name).calls;
+
+const [jsStep, jsFormat, jsParse] = calls("src/service.js", "run");
+check("this.step() -> Service.step", jsStep.resolvedFile === "src/service.js" &&
+  jsStep.resolvedFunction === "Service.step" && jsStep.confidence === "high");
+check("util.format() -> imported file", jsFormat.resolvedFile === "src/util.js" &&
+  jsFormat.resolvedFunction === "format" && jsFormat.confidence === "high");
+check("JSON.parse() left unresolved", !("resolvedFile" in jsParse) && !("confidence" in jsParse));
+
+const [pySlug] = calls("pkg/app.py", "main");
+check("helpers.slugify() -> imported module", pySlug.resolvedFile === "pkg/helpers.py" &&
+  pySlug.resolvedFunction === "slugify" && pySlug.confidence === "high");
+
+const [javaTrim, javaStop] = calls("src/main/java/com/acme/App.java", "start");
+check("Strings.trim() -> static method", javaTrim.resolvedFile === "src/main/java/com/acme/Strings.java" &&
+  javaTrim.resolvedFunction === "Strings.trim" && javaTrim.confidence === "high");
+check("implicit this stop() -> App.stop", javaStop.resolvedFunction === "App.stop" &&
+  javaStop.resolvedFile === "src/main/java/com/acme/App.java");
+
+const [goLoad, goListen] = calls("cmd/server/main.go", "main");
+check("config.Load() -> package file", goLoad.resolvedFile === "internal/config/config.go" &&
+  goLoad.resolvedFunction === "Load");
+check("listen() -> same package file", goListen.resolvedFile === "cmd/server/listen.go" &&
+  goListen.confidence === "high");
+
+check("resolved call count", total === 7);
+
+// ── NDJSON file pass ──
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "call-graph-"));
+
+(async () => {
+  try {
+    const ndjsonPath = path.join(dir, "out.ndjson");
+    const lines = [{ path: "package.json", type: "config" }, ...buildRecords()];
+    fs.writeFileSync(ndjsonPath, lines.map((l) => JSON.stringify(l)).join("\n") + "\n");
+
+    const stats = await resolveCallGraphFile(ndjsonPath);
+    const out = fs.readFileSync(ndjsonPath, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+    check("file pass keeps every record", out.length === lines.length);
+    check("file pass keeps non-code records", out[0].type === "config");
+    check("file pass stats", stats.resolvedCalls === 7 && stats.files === 9);
+    check("file pass writes resolution", out[1].functions[0].calls[0].resolvedFunction === "Service.step");
+    check("temp file removed", !fs.existsSync(`${ndjsonPath}.calls.tmp`));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
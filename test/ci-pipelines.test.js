@@ -0,0 +1,310 @@
+/**
+ * Tests for CI/CD pipeline extraction in the config analyzer
+ * (config/ci-pipelines.js, config/file-tree-mapper-config.js):
+ *   - GitHub Actions workflows, .gitlab-ci.yml, bitbucket-pipelines.yml and
+ *     declarative Jenkinsfiles become pipeline -> job -> step records
+ *   - triggers, environments, deployed artefacts and secret names
+ *   - commands linked to package.json scripts, Makefile targets and files
+ *   - the ciInfo rollup in projectMetaData.configs
+ * Run: node test/ci-pipelines.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { analyzeConfigRepo } = require("../config/file-tree-mapper-config");
+const { pipelineProvider, deployedArtifacts } = require("../config/ci-pipelines");
+const { mergeLanguageOutputs, mergeProjectMetaData } = require("../main");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "ci-pipelines-test-"));
+const files = {
+  "package.json": JSON.stringify({ name: "shop", scripts: { build: "tsc", test: "jest", lint: "eslint ." } }),
+  "web/package.json": JSON.stringify({ name: "web", scripts: { build: "vite build" } }),
+  "Makefile": "deploy: build\n\t./scripts/deploy.sh\n\nlint:\n\teslint .\n\nVERSION := 1\n",
+  "scripts/deploy.sh": "#!/bin/sh\n",
+  "tools/migrate.py": "print('migrate')\n",
+  ".github/actions/setup/action.yml": "name: setup\nruns:\n  using: composite\n  steps: []\n",
+  ".github/workflows/ci.yml": `name: CI
+on:
+  push:
+    branches: [main]
+    paths: ["src/**"]
+  pull_request:
+  schedule:
+    - cron: "0 4 * * 1"
+  workflow_dispatch:
+    inputs:
+      env: { type: string }
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    container: node:20
+    steps:
+      - uses: actions/checkout@v4
+      - uses: ./.github/actions/setup
+      - name: Install
+        run: npm ci
+      - run: |
+          npm run build && npm test
+          npm run missing --if-present
+      - run: yarn build
+        working-directory: web
+      - uses: actions/upload-artifact@v4
+        with:
+          name: coverage
+          path: coverage/
+  deploy:
+    needs: [test]
+    runs-on: ubuntu-latest
+    environment:
+      name: production
+      url: https://shop.example.com
+    steps:
+      - uses: docker/build-push-action@v5
+        with:
+          push: true
+          tags: shop/api:latest,shop/api:\${{ github.sha }}
+      - run: make deploy VERSION=2
+        env:
+          AWS_ACCESS_KEY_ID: \${{ secrets.AWS_ACCESS_KEY_ID }}
+          TOKEN: \${{ secrets['DEPLOY_TOKEN'] }}
+      - run: python tools/migrate.py --env prod
+  release:
+    uses: ./.github/workflows/release.yml
+    secrets: inherit
+`,
+  ".github/workflows/release.yml": `on:
+  workflow_call:
+    secrets:
+      NPM_TOKEN: { required: true }
+jobs:
+  publish:
+    runs-on: ubuntu-latest
+    steps:
+      - run: npm publish
+`,
+  ".gitlab-ci.yml": `include:
+  - local: /ci/templates.yml
+  - project: platform/ci
+    file: /node.yml
+  - template: Security/SAST.gitlab-ci.yml
+variables:
+  NODE_ENV: production
+  SERVICE_TOKEN_NAME: api
+default:
+  image: node:20
+stages: [build, deploy]
+workflow:
+  rules:
+    - if: $CI_PIPELINE_SOURCE == "merge_request_event"
+    - if: $CI_COMMIT_BRANCH == "main"
+.deploy-template:
+  stage: deploy
+  before_script:
+    - echo "$REGISTRY_PASSWORD" | docker login -u ci --password-stdin
+build:
+  stage: build
+  script:
+    - npm ci
+    - npm run build
+  artifacts:
+    paths: [dist/]
+deploy-prod:
+  extends: .deploy-template
+  environment: production
+  needs: [build]
+  script:
+    - docker push registry.example.com/shop:$CI_COMMIT_SHA
+    - helm upgrade --install shop ./charts/shop --set token=$CI_JOB_TOKEN
+    - ./scripts/deploy.sh
+`,
+  "ci/templates.yml": "x: 1\n",
+  "services/billing/bitbucket-pipelines.yml": `image: python:3.12
+pipelines:
+  default:
+    - step:
+        name: Test
+        script:
+          - pip install -r requirements.txt
+          - bash run-tests.sh
+  branches:
+    main:
+      - stage:
+          name: Ship
+          deployment: staging
+          steps:
+            - step:
+                name: Deploy
+                script:
+                  - pipe: atlassian/aws-s3-deploy:1.1.0
+                  - aws s3 sync build/ s3://billing-assets --delete
+                  - curl -H "Authorization: $BILLING_API_KEY" https://example.com
+                artifacts:
+                  - build/**
+`,
+  "services/billing/run-tests.sh": "pytest\n",
+  "Jenkinsfile": `@Library('shared-pipeline') _
+pipeline {
+  agent { docker { image 'maven:3.9' } }
+  environment {
+    SONAR = credentials('sonar-token')
+  }
+  triggers {
+    cron('H 2 * * *')
+  }
+  stages {
+    stage('Build') {
+      steps {
+        sh 'mvn -B package' // sh 'not-a-step.sh'
+        archiveArtifacts artifacts: 'target/*.jar'
+      }
+    }
+    stage('Checks') {
+      parallel {
+        stage('Lint') {
+          steps { sh "make lint" }
+        }
+        stage('Scan') {
+          agent { docker { image 'aquasec/trivy' } }
+          steps {
+            withCredentials([string(credentialsId: 'trivy-db', variable: 'DB')]) {
+              sh '''
+                ./scripts/deploy.sh --dry-run
+              '''
+            }
+          }
+        }
+      }
+    }
+  }
+}
+`,
+  "docs/ci.yml": "name: not a workflow\non: push\n",
+};
+for (const [rel, content] of Object.entries(files)) {
+  fs.mkdirSync(path.dirname(path.join(tmp, rel)), { recursive: true });
+  fs.writeFileSync(path.join(tmp, rel), content);
+}
+
+try {
+  check("providers by path", pipelineProvider(".github/workflows/a.yaml") === "github-actions" &&
+    pipelineProvider("Jenkinsfile.release") === "jenkins" && pipelineProvider("ci/.gitlab-ci.yml") === "gitlab-ci" &&
+    pipelineProvider("docs/.github/workflows/a.yml") === null && pipelineProvider("docs/ci.yml") === null);
+
+  const configs = analyzeConfigRepo(tmp);
+  const byPath = (p) => configs.find((c) => c.path === p.split("/").join(path.sep));
+
+  // -------------------------------------------------------------
+  // GitHub Actions
+  // -------------------------------------------------------------
+  const ci = byPath(".github/workflows/ci.yml");
+  check("workflows in .github are found", ci && ci.ciPipeline.provider === "github-actions" && ci.ciPipeline.name === "CI");
+  const triggers = ci.ciPipeline.triggers;
+  check("triggers with filters", triggers.find((t) => t.event === "push").branches.join() === "main" &&
+    triggers.find((t) => t.event === "push").paths.join() === "src/**" && triggers.some((t) => t.event === "pull_request"));
+  check("schedule and dispatch inputs", triggers.find((t) => t.event === "schedule").cron === "0 4 * * 1" &&
+    triggers.find((t) => t.event === "workflow_dispatch").inputs.join() === "env");
+
+  const [testJob, deployJob, releaseJob] = ci.ciPipeline.jobs;
+  check("jobs", testJob.id === "test" && testJob.runsOn === "ubuntu-latest" && testJob.image === "node:20" && deployJob.needs.join() === "test");
+  check("steps with uses and run", testJob.steps[0].uses === "actions/checkout@v4" && testJob.steps[2].name === "Install" && testJob.steps[2].run === "npm ci");
+  const scripts = testJob.steps[3].scripts;
+  check("npm scripts linked to package.json", scripts[0].kind === "package-script" && scripts[0].script === "build" && scripts[0].path === "package.json" &&
+    scripts[1].script === "test" && scripts[1].path === "package.json");
+  check("missing scripts are not linked", scripts[2].script === "missing" && scripts[2].path === null);
+  check("working-directory honoured", testJob.steps[4].scripts[0].path === path.join("web", "package.json"));
+  check("local actions linked", testJob.steps[1].usesPath === path.join(".github", "actions", "setup", "action.yml"));
+
+  const deploySteps = deployJob.steps;
+  check("make variables are not targets", deploySteps[1].run === "make deploy VERSION=2");
+  check("make targets linked to the Makefile", deploySteps[1].scripts[0].kind === "make-target" &&
+    deploySteps[1].scripts[0].target === "deploy" && deploySteps[1].scripts[0].path === "Makefile");
+  check("interpreted files linked", deploySteps[2].scripts[0].kind === "file" && deploySteps[2].scripts[0].path === path.join("tools", "migrate.py"));
+  check("environments", deployJob.environment === "production" && ci.ciPipeline.environments.join() === "production");
+  check("secret names only", deployJob.secrets.sort().join() === "AWS_ACCESS_KEY_ID,DEPLOY_TOKEN" && testJob.secrets.length === 0);
+  check("pushed images", deployJob.artifacts.filter((a) => a.type === "docker-image").map((a) => a.name).join() === "shop/api:latest,shop/api:${{ github.sha }}");
+  check("uploaded artifact", testJob.artifacts[0].type === "artifact" && testJob.artifacts[0].name === "coverage");
+  check("reusable workflow call", releaseJob.uses === "./.github/workflows/release.yml" && releaseJob.usesPath === path.join(".github", "workflows", "release.yml"));
+  check("linked files are imports", ["package.json", "Makefile", path.join("tools", "migrate.py"), path.join(".github", "workflows", "release.yml"),
+    path.join(".github", "actions", "setup", "action.yml")].every((f) => ci.importFiles.includes(f)));
+  check("actions are external imports", ci.externalImports.includes("actions/checkout@v4") && ci.externalImports.includes("docker/build-push-action@v5"));
+  const release = byPath(".github/workflows/release.yml").ciPipeline;
+  check("workflow_call secrets and npm publish", release.secrets.join() === "NPM_TOKEN" && release.artifacts[0].type === "npm-package");
+
+  // -------------------------------------------------------------
+  // GitLab CI
+  // -------------------------------------------------------------
+  const gitlab = byPath(".gitlab-ci.yml");
+  const [build, deployProd] = gitlab.ciPipeline.jobs;
+  check("gitlab jobs, hidden templates skipped", gitlab.ciPipeline.jobs.length === 2 && build.stage === "build" && build.image === "node:20");
+  check("gitlab triggers from rules", gitlab.ciPipeline.triggers.some((t) => t.event === "merge_request_event") &&
+    gitlab.ciPipeline.triggers.find((t) => t.event === "push").branches.join() === "main");
+  check("script lines are steps", build.steps.map((s) => s.run).join() === "npm ci,npm run build" && build.steps[1].scripts[0].path === "package.json");
+  check("extends applied", deployProd.stage === "deploy" && deployProd.extends.join() === ".deploy-template" && deployProd.steps[0].name === "before_script");
+  check("gitlab secrets exclude predefined and defined variables", deployProd.secrets.join() === "REGISTRY_PASSWORD");
+  check("gitlab artefacts", deployProd.artifacts.some((a) => a.type === "docker-image" && a.name === "registry.example.com/shop:$CI_COMMIT_SHA") &&
+    deployProd.artifacts.some((a) => a.type === "helm-release" && a.name === "shop" && a.chart === "./charts/shop") &&
+    build.artifacts[0].paths.join() === "dist/");
+  check("gitlab includes", gitlab.importFiles.includes(path.join("ci", "templates.yml")) && gitlab.importFiles.includes(path.join("scripts", "deploy.sh")) &&
+    gitlab.externalImports.join() === "platform/ci:/node.yml,Security/SAST.gitlab-ci.yml");
+
+  // -------------------------------------------------------------
+  // Bitbucket Pipelines
+  // -------------------------------------------------------------
+  const bitbucket = byPath("services/billing/bitbucket-pipelines.yml");
+  check("bitbucket outside the root", bitbucket && bitbucket.ciPipeline.provider === "bitbucket-pipelines");
+  const [testStep, deployStep] = bitbucket.ciPipeline.jobs;
+  check("bitbucket triggers", bitbucket.ciPipeline.triggers.map((t) => t.event).join() === "push,push" &&
+    bitbucket.ciPipeline.triggers[1].branches.join() === "main");
+  check("bitbucket steps and stages", testStep.name === "Test" && testStep.image === "python:3.12" && deployStep.stage === "branches: main" &&
+    deployStep.environment === "staging");
+  check("bitbucket scripts relative to the file", testStep.steps[1].scripts[0].path === path.join("services", "billing", "run-tests.sh"));
+  check("bitbucket pipes, secrets, artefacts", deployStep.steps[0].uses === "atlassian/aws-s3-deploy:1.1.0" &&
+    deployStep.secrets.join() === "BILLING_API_KEY" && deployStep.artifacts.some((a) => a.type === "s3" && a.name === "s3://billing-assets") &&
+    bitbucket.externalImports.join() === "atlassian/aws-s3-deploy:1.1.0");
+
+  // -------------------------------------------------------------
+  // Jenkinsfile
+  // -------------------------------------------------------------
+  const jenkins = byPath("Jenkinsfile").ciPipeline;
+  check("jenkins leaf stages are jobs", jenkins.jobs.map((j) => j.name).join() === "Build,Lint,Scan");
+  const [jBuild, jLint, jScan] = jenkins.jobs;
+  check("sh steps, comments ignored", jBuild.steps.length === 1 && jBuild.steps[0].run === "mvn -B package");
+  check("jenkins images", jBuild.image === "maven:3.9" && jScan.image === "aquasec/trivy");
+  check("jenkins scripts linked", jLint.steps[0].scripts[0].path === "Makefile" && jLint.steps[0].scripts[0].target === "lint" &&
+    jScan.steps[0].scripts[0].path === path.join("scripts", "deploy.sh"));
+  check("jenkins credentials", jenkins.secrets.sort().join() === "sonar-token,trivy-db" && jScan.secrets.join() === "trivy-db");
+  check("jenkins triggers, artifacts, libraries", jenkins.triggers[0].event === "schedule" && jenkins.triggers[0].cron === "H 2 * * *" &&
+    jBuild.artifacts[0].paths.join() === "target/*.jar" && byPath("Jenkinsfile").externalImports.join() === "shared-pipeline");
+
+  check("unrelated YAML has no pipeline", configs.every((c) => !c.path.startsWith("docs")));
+  check("deploy commands", deployedArtifacts("kubectl apply -f k8s/ && terraform -chdir=infra apply -auto-approve")
+    .map((a) => `${a.type}:${a.name}`).join() === "kubernetes:k8s/,terraform:infra");
+
+  // -------------------------------------------------------------
+  // projectMetaData rollup
+  // -------------------------------------------------------------
+  const outDir = fs.mkdtempSync(path.join(tmp, "out-"));
+  const { data } = mergeLanguageOutputs([{ language: "config", name: "Configuration Files", data: configs }], tmp, outDir);
+  const info = data.projectMetaData.configs.ciInfo;
+  check("pipelines rolled up", info.pipelines.length === 5 &&
+    ["github-actions", "gitlab-ci", "bitbucket-pipelines", "jenkins"].every((p) => info.providers.includes(p)));
+  check("environments and secrets rolled up", info.environments.sort().join() === "production,staging" && info.secrets.includes("NPM_TOKEN"));
+  check("linked scripts rolled up", info.scripts.includes("Makefile") && info.scripts.includes(path.join("scripts", "deploy.sh")));
+  check("pipeline metadata kept on the config record", data.files.find((f) => f.path === "Jenkinsfile").metadata.ciPipeline.jobs.length === 3);
+  const merged = mergeProjectMetaData(data.projectMetaData, data.projectMetaData);
+  check("merging metadata dedupes", merged.configs.ciInfo.pipelines.length === 5);
+  const older = { ...data.projectMetaData, configs: { ...data.projectMetaData.configs, ciInfo: undefined } };
+  check("metadata without ciInfo merges", mergeProjectMetaData(older, data.projectMetaData).configs.ciInfo.secrets.length === info.secrets.length);
+} finally {
+  fs.rmSync(tmp, { recursive: true, force: true });
+}
+
+console.log(`\n✅ All ${passed} assertions passed.`);
@@ -0,0 +1,142 @@
+/**
+ * Regression test for the Kotlin web-route extractor (Spring + Ktor).
+ * Run: node test/extract-routes-kotlin.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { extractFileRoutes } = require("../kotlin/extract-routes-kotlin");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+function withTempFile(name, content, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ktroutes-test-"));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  try {
+    return fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const find = (routes, p, m) => routes.find((r) => r.path === p && (!m || r.method === m));
+
+// ----------------------------------------------------------------- Spring ----
+withTempFile("UserController.kt", `
+package com.example
+
+import org.springframework.web.bind.annotation.*
+
+@RestController
+@RequestMapping("/api/users")
+class UserController(private val service: UserService) {
+
+    @GetMapping("/{id}")
+    suspend fun get(@PathVariable id: Long): User = service.find(id)
+
+    @PostMapping
+    fun create(@RequestBody u: User): User = service.save(u)
+
+    @RequestMapping(value = ["/search"], method = [RequestMethod.POST])
+    fun search(): List<User> = emptyList()
+
+    @DeleteMapping(path = ["/{id}/archive"])
+    fun archive(@PathVariable id: Long) {}
+
+    @RequestMapping("/bulk", method = [RequestMethod.PUT, RequestMethod.PATCH])
+    fun bulk() {}
+
+    fun helper() {}
+}
+`, (file) => {
+  const r = extractFileRoutes(file);
+  check("spring: 5 routes", r.length === 5);
+  check("spring: all framework=spring", r.every((x) => x.framework === "spring"));
+  check("spring: base path composed with method path",
+    find(r, "/api/users/{id}").method === "GET");
+  check("spring: @PostMapping no-arg uses base path",
+    find(r, "/api/users", "POST").handler === "create");
+  check("spring: @RequestMapping value array + method",
+    find(r, "/api/users/search").method === "POST");
+  check("spring: path = [...] named argument",
+    find(r, "/api/users/{id}/archive").method === "DELETE");
+  check("spring: multiple request methods joined",
+    find(r, "/api/users/bulk").method === "PUT,PATCH");
+  const get = find(r, "/api/users/{id}");
+  check("spring: function scope with handler line",
+    get.scope === "function" && get.handler === "get" && get.handlerLine === 10);
+  check("spring: decorator recorded", get.decorator === "@GetMapping");
+});
+
+// Class annotations followed by an annotated member trip up the grammar;
+// the base path must still be found.
+withTempFile("OrderController.kt", `
+package com.example
+
+@RestController
+@RequestMapping("/orders")
+class OrderController {
+    @GetMapping
+    fun list() = listOf<Order>()
+}
+`, (file) => {
+  const r = extractFileRoutes(file);
+  check("spring: base path with detached class annotations",
+    r.length === 1 && r[0].path === "/orders" && r[0].handler === "list");
+});
+
+// ------------------------------------------------------------------- Ktor ----
+withTempFile("Routing.kt", `
+package com.example
+
+import io.ktor.server.application.*
+import io.ktor.server.routing.*
+
+fun Application.configureRouting() {
+    routing {
+        get("/health") { call.respondText("ok") }
+        route("/api") {
+            route("/v1") {
+                get("/users") { call.respond(users) }
+                post<User>("/users") { }
+                delete { }
+            }
+        }
+    }
+}
+
+fun Route.adminRoutes() {
+    put("/admin/{id}") { }
+}
+`, (file) => {
+  const r = extractFileRoutes(file);
+  check("ktor: 5 routes", r.length === 5);
+  check("ktor: all framework=ktor, file scope",
+    r.every((x) => x.framework === "ktor" && x.scope === "file" && x.handlerLine === null));
+  check("ktor: top-level get", find(r, "/health", "GET"));
+  check("ktor: nested route prefixes joined", find(r, "/api/v1/users", "GET"));
+  check("ktor: typed post", find(r, "/api/v1/users", "POST"));
+  check("ktor: verb without path uses the prefix", find(r, "/api/v1", "DELETE"));
+  check("ktor: Route extension", find(r, "/admin/{id}", "PUT"));
+  check("ktor: text summary", find(r, "/health").text === "[ktor] GET /health");
+});
+
+// Without a Ktor import, `get("/x") { }` is just a call.
+withTempFile("Cache.kt", `
+package com.example
+
+fun warm(cache: Cache) {
+    get("/not-a-route") { }
+    cache.get("/key") { }
+}
+`, (file) => {
+  check("ktor: gated on io.ktor import", extractFileRoutes(file).length === 0);
+});
+
+console.log(`\n✅ All ${passed} assertions passed.`);
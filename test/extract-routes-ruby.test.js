@@ -0,0 +1,120 @@
+/**
+ * Regression test for the Rails route extractor (config/routes.rb DSL).
+ * Run: node test/extract-routes-ruby.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { extractFileRoutes, isRoutesFile } = require("../ruby/extract-routes-ruby");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+function withTempFile(name, content, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rbroutes-test-"));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  try {
+    return fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const find = (routes, p, m) => routes.find((r) => r.path === p && (!m || r.method === m));
+
+// ------------------------------------------------------------------ verbs ----
+withTempFile("routes.rb", `
+Rails.application.routes.draw do
+  root 'home#index'
+  get 'about' => 'pages#about'
+  get '/health', to: 'health#show', as: :health
+  post 'login', to: 'sessions#create'
+  get 'photos/search'
+  match 'ping', to: 'ping#pong', via: [:get, :post]
+  mount Sidekiq::Web => '/sidekiq'
+end
+`, (file) => {
+  const r = extractFileRoutes(file);
+  check("verbs: 7 routes", r.length === 7);
+  check("verbs: all framework=rails, file scope",
+    r.every((x) => x.framework === "rails" && x.scope === "file" && x.handlerLine === null));
+  check("verbs: root", find(r, "/", "GET").handler === "home#index");
+  check("verbs: hash-rocket shorthand", find(r, "/about", "GET").handler === "pages#about");
+  check("verbs: to: option", find(r, "/health").handler === "health#show");
+  check("verbs: post", find(r, "/login", "POST").handler === "sessions#create");
+  check("verbs: controller/action inferred from path", find(r, "/photos/search").handler === "photos#search");
+  check("verbs: match via", find(r, "/ping").method === "GET,POST");
+  const mount = find(r, "/sidekiq");
+  check("verbs: mount", mount.kind === "mount" && mount.handler === "Sidekiq::Web" && mount.method === "ANY");
+  check("verbs: line numbers", find(r, "/about").startLine === 4);
+});
+
+// -------------------------------------------------------------- resources ----
+withTempFile("routes.rb", `
+Rails.application.routes.draw do
+  resources :users, only: [:index, :show] do
+    resources :posts, except: %i[new edit]
+    member do
+      post :activate
+    end
+    collection do
+      get :search
+    end
+    get 'preview', on: :member
+  end
+  resource :profile, only: [:show, :update]
+  resources :photos, controller: 'images', param: :slug, only: :show
+end
+`, (file) => {
+  const r = extractFileRoutes(file);
+  check("resources: only", find(r, "/users", "GET").handler === "users#index" && find(r, "/users/:id", "GET"));
+  check("resources: only excludes others", !find(r, "/users", "POST") && !find(r, "/users/:id", "DELETE"));
+  check("resources: kind=resource", find(r, "/users").kind === "resource");
+  check("resources: nested path param", find(r, "/users/:user_id/posts", "POST").handler === "posts#create");
+  check("resources: except (%i[])", !find(r, "/users/:user_id/posts/new"));
+  check("resources: update is PATCH,PUT", find(r, "/users/:user_id/posts/:id", "PATCH,PUT").handler === "posts#update");
+  check("resources: member route", find(r, "/users/:id/activate", "POST").handler === "users#activate");
+  check("resources: collection route", find(r, "/users/search", "GET").handler === "users#search");
+  check("resources: on: :member", find(r, "/users/:id/preview").handler === "users#preview");
+  check("resource: singular, plural controller", find(r, "/profile", "GET").handler === "profiles#show");
+  check("resource: no :id", find(r, "/profile", "PATCH,PUT") && !r.some((x) => x.path.startsWith("/profile/")));
+  check("resources: controller + param options", find(r, "/photos/:slug").handler === "images#show");
+});
+
+// ------------------------------------------------------- namespace/scope ----
+withTempFile("routes.rb", `
+Rails.application.routes.draw do
+  namespace :admin do
+    resources :users, only: :index
+    root to: 'dashboard#index'
+  end
+  scope '/api', module: 'api' do
+    get 'status', to: 'status#index'
+  end
+  scope module: 'v2', path: 'v2' do
+    controller :reports do
+      get 'reports/daily', action: :daily
+    end
+  end
+  namespace :api, path: 'api/v1' do
+    resources :orders, only: :show
+  end
+end
+`, (file) => {
+  const r = extractFileRoutes(file);
+  check("namespace: path and module prefix", find(r, "/admin/users").handler === "admin/users#index");
+  check("namespace: root", find(r, "/admin", "GET").handler === "admin/dashboard#index");
+  check("scope: path + module", find(r, "/api/status").handler === "api/status#index");
+  check("scope: controller block + action option", find(r, "/v2/reports/daily").handler === "v2/reports#daily");
+  check("namespace: path option", find(r, "/api/v1/orders/:id").handler === "api/orders#show");
+});
+
+check("routes file detection", isRoutesFile("config/routes.rb") && isRoutesFile("engines/x/config/routes/admin.rb")
+  && !isRoutesFile("app/models/routes.rb"));
+
+console.log(`\n✅ All ${passed} assertions passed.`);
@@ -0,0 +1,139 @@
+/**
+ * Regression test for the Rust route extractor (Actix Web, Axum, Rocket).
+ * Run: node test/extract-routes-rust.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { extractFileRoutes } = require("../rust/extract-routes-rust");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+function withTempFile(name, content, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rsroutes-test-"));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  try {
+    return fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const find = (routes, p, m) => routes.find((r) => r.path === p && (!m || r.method === m));
+
+// ------------------------------------------------------ actix attributes ----
+withTempFile("handlers.rs", `
+use actix_web::{get, post, route, web, HttpResponse, Responder};
+
+#[get("/users/{id}")]
+async fn get_user(id: web::Path<u64>) -> impl Responder { HttpResponse::Ok() }
+
+/// Creates a user
+#[post("/users")]
+async fn create_user() -> impl Responder { HttpResponse::Created() }
+
+#[route("/ping", method = "GET", method = "HEAD")]
+async fn ping() -> &'static str { "pong" }
+
+#[actix_web::delete("/users/{id}")]
+async fn delete_user() -> &'static str { "" }
+
+#[get("not-a-path")]
+async fn odd() -> &'static str { "" }
+`, (file) => {
+  const r = extractFileRoutes(file);
+  check("actix attrs: 4 routes", r.length === 4);
+  const get = find(r, "/users/{id}", "GET");
+  check("actix attrs: get", get && get.framework === "actix" && get.handler === "get_user" && get.decorator === "#[get]");
+  check("actix attrs: function scope + handlerLine", get.scope === "function" && get.handlerLine === 5 && get.startLine === 4);
+  check("actix attrs: doc comment between attribute and fn", find(r, "/users", "POST").handler === "create_user");
+  check("actix attrs: route with methods", find(r, "/ping").method === "GET,HEAD");
+  check("actix attrs: qualified attribute", find(r, "/users/{id}", "DELETE").handler === "delete_user");
+  check("actix attrs: shared graph fields", r.every((x) => x.type === "route" && x.isRegex === false && x.kind === "route"));
+});
+
+// -------------------------------------------------------- actix builders ----
+withTempFile("main.rs", `
+use actix_web::{web, App, HttpServer};
+
+fn config(cfg: &mut web::ServiceConfig) {
+    cfg.service(
+        web::scope("/api")
+            .service(web::resource("/items").route(web::get().to(list)).route(web::post().to(create)))
+            .service(web::scope("/v2").route("/ping", web::get().to(ping)))
+            .service(web::resource("/any").to(any)),
+    );
+}
+
+async fn main() {
+    HttpServer::new(|| App::new().route("/", web::get().to(index)));
+}
+`, (file) => {
+  const r = extractFileRoutes(file);
+  check("actix builder: App::route", find(r, "/", "GET").handler === "index");
+  check("actix builder: resource routes under scope",
+    find(r, "/api/items", "GET").handler === "list" && find(r, "/api/items", "POST").handler === "create");
+  check("actix builder: nested scopes", find(r, "/api/v2/ping", "GET").handler === "ping");
+  check("actix builder: resource .to", find(r, "/api/any", "ANY").handler === "any");
+  check("actix builder: scope mounts", find(r, "/api").kind === "mount" && find(r, "/api/v2").kind === "mount");
+  check("actix builder: file scope", r.every((x) => x.scope === "file" && x.handlerLine === null));
+});
+
+// ------------------------------------------------------------------ axum ----
+withTempFile("router.rs", `
+use axum::{routing::{get, post}, Router};
+
+pub fn app() -> Router {
+    let admin = Router::new().route("/stats", get(admin::stats));
+    Router::new()
+        .route("/", get(|| async { "hi" }))
+        .route("/users", get(users::list).post(users::create))
+        .route("/files", axum::routing::any(files))
+        .nest("/v1", Router::new().route("/orders/:id", get(orders::show).delete(orders::remove)))
+        .nest("/admin", admin)
+}
+
+fn not_a_route(map: &Cache) {
+    map.get("/x");
+}
+`, (file) => {
+  const r = extractFileRoutes(file);
+  check("axum: framework", r.every((x) => x.framework === "axum"));
+  check("axum: closure handler", find(r, "/", "GET").handler === null);
+  check("axum: chained method router",
+    find(r, "/users", "GET").handler === "users::list" && find(r, "/users", "POST").handler === "users::create");
+  check("axum: any", find(r, "/files", "ANY").handler === "files");
+  check("axum: nest prefix", find(r, "/v1/orders/:id", "GET").handler === "orders::show"
+    && find(r, "/v1/orders/:id", "DELETE").handler === "orders::remove");
+  check("axum: nest mount", find(r, "/admin").kind === "mount" && find(r, "/admin").handler === "admin");
+  check("axum: map.get is not a route", !r.some((x) => x.path === "/x"));
+  check("axum: sorted by line", r.every((x, i) => i === 0 || r[i - 1].startLine <= x.startLine));
+});
+
+// -------------------------------------------------------- gating/rocket ----
+withTempFile("cache.rs", `
+fn lookup(c: &Cache) { c.route("/x", get(h)); }
+
+#[get("/x")]
+fn not_web() {}
+`, (file) => {
+  check("no framework reference: no routes", extractFileRoutes(file).length === 0);
+});
+
+withTempFile("rocket.rs", `
+#[macro_use] extern crate rocket;
+
+#[get("/hello/<name>")]
+fn hello(name: &str) -> String { name.into() }
+`, (file) => {
+  const r = extractFileRoutes(file);
+  check("rocket: attribute route", r.length === 1 && r[0].framework === "rocket" && r[0].path === "/hello/<name>");
+});
+
+console.log(`\n✅ All ${passed} assertions passed.`);
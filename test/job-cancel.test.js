@@ -0,0 +1,121 @@
+/**
+ * Tests for cancelling a running /api/analyze-diff job (server.js) while its
+ * NDJSON.gz is streaming to the storage sink:
+ *   - DELETE /api/jobs/:id cancels it and the server keeps running
+ *   - the partial upload is discarded
+ * The diff comes from a local fake of a self-hosted GitLab.
+ * Run: node test/job-cancel.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "job-cancel-"));
+const storageDir = path.join(tmp, "storage");
+
+// Enough files that the analysis is still running when the job is cancelled
+const files = Array.from({ length: 400 }, (_, i) => ({
+  path: `src/mod${i}.js`,
+  content: `class Mod${i} {\n  run(x) { return helper${i}(x) + ${i}; }\n}\nfunction helper${i}(x) { return x * 2; }\nmodule.exports = { Mod${i} };\n`,
+}));
+
+function startGitlab() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://gitlab");
+    res.setHeader("Content-Type", "application/json");
+    if (url.pathname.endsWith("/repository/compare")) {
+      return res.end(JSON.stringify({ diffs: files.map((f) => ({ old_path: f.path, new_path: f.path })) }));
+    }
+    if (url.pathname.endsWith("/repository/tree")) {
+      return res.end(JSON.stringify(files.map((f) => ({ type: "blob", path: f.path }))));
+    }
+    const raw = url.pathname.match(/\/repository\/files\/(.+)\/raw$/);
+    const file = raw && files.find((f) => f.path === decodeURIComponent(raw[1]));
+    if (file) return res.end(file.content);
+    res.statusCode = 404;
+    res.end("{}");
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(cond, timeoutMs = 60000) {
+  const started = Date.now();
+  while (!(await cond())) {
+    if (Date.now() - started > timeoutMs) throw new Error("Timed out waiting");
+    await sleep(20);
+  }
+}
+
+function partialUploads(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { recursive: true }).filter((f) => String(f).endsWith(".partial"));
+}
+
+(async () => {
+  const gitlab = await startGitlab();
+  const gitlabUrl = `http://127.0.0.1:${gitlab.address().port}`;
+  process.env.GITLAB_HOSTS = gitlabUrl;
+  process.env.BREEZE_API_URL = "http://127.0.0.1:9";
+  process.env.STORAGE_SINK = "local";
+  process.env.STORAGE_LOCAL_DIR = storageDir;
+  process.env.NOTIFICATION_STORE_DIR = path.join(tmp, "notifications");
+  process.env.JOB_STORE_DIR = path.join(tmp, "jobs");
+  const { app } = require("../server");
+
+  const unhandled = [];
+  process.on("unhandledRejection", (err) => unhandled.push(err));
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const accepted = await fetch(`${base}/api/analyze-diff`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        repoUrl: `${gitlabUrl}/acme/api`,
+        currentCommitId: "a1",
+        incomingCommitId: "b2",
+        gitBranch: "main",
+        projectUuid: "p1",
+        codeOntologyId: "c1",
+      }),
+    });
+    check("job queued", accepted.status === 202);
+    const { jobId } = await accepted.json();
+
+    // The upload is open once its .partial file exists
+    await waitFor(() => partialUploads(storageDir).length > 0);
+    const cancel = await fetch(`${base}/api/jobs/${jobId}`, { method: "DELETE" });
+    check("cancel accepted while running", cancel.status === 202 && (await cancel.json()).phase === "cancelling");
+
+    const jobStatus = async () => (await (await fetch(`${base}/api/jobs/${jobId}`)).json()).status;
+    await waitFor(async () => (await jobStatus()) === "cancelled");
+    await waitFor(() => partialUploads(storageDir).length === 0);
+    await sleep(200);
+    check("no unhandled rejection", unhandled.length === 0);
+    check("server still answers", (await fetch(`${base}/health`)).status === 200);
+    check("partial upload discarded", !fs.existsSync(path.join(storageDir, "code-ontology/p1/b2.ndjson.gz")));
+  } finally {
+    server.close();
+    gitlab.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+  process.exit(0);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for the server's background job queue (job-queue.js):
+ *   - bounded concurrency and the queued -> running -> completed lifecycle
+ *   - progress / warnings / failures recorded on the job
+ *   - cancelling queued and running jobs, temp dir cleanup
+ *   - job state persisted and restored after a restart, secrets never on disk
+ *   - finished jobs dropped after the retention period
+ * Run: node test/job-queue.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJobQueue } = require("../job-queue");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "job-queue-"));
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runner that holds until released (or aborted), tracking peak concurrency
+let active = 0;
+let peak = 0;
+const gates = new Map();
+function gated(params, job) {
+  active++;
+  peak = Math.max(peak, active);
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "job-queue-work-"));
+  job.update({ tempDir, phase: "working", progress: { filesTotal: 3 } });
+  return new Promise((resolve, reject) => {
+    gates.set(params.name, () => resolve({ name: params.name }));
+    job.signal.addEventListener("abort", () => reject(job.signal.reason), { once: true });
+  }).finally(() => { active--; });
+}
+
+const runners = {
+  gated,
+  quick: async (params, job) => {
+    job.update({ progress: { filesTotal: 2, filesProcessed: 2 } });
+    job.warn("Skipping binary/unreadable file: logo.png");
+    return { ok: true };
+  },
+  broken: async () => {
+    const err = new Error("No supported languages detected");
+    err.statusCode = 422;
+    throw err;
+  },
+};
+
+(async () => {
+  try {
+    const queue = createJobQueue({ storeDir, concurrency: 2, runners, secretParams: ["gitToken"] });
+
+    // ── Lifecycle ──
+    const quick = queue.enqueue("quick", { repoUrl: "https://github.com/a/b", gitToken: "ghp_secret" });
+    check("enqueue returns a queued job with an id", quick.id && quick.status === "queued");
+    await queue.onIdle();
+    const done = queue.get(quick.id);
+    check("completed with result", done.status === "completed" && done.phase === "done" && done.result.ok);
+    check("progress recorded", done.progress.filesTotal === 2 && done.progress.filesProcessed === 2);
+    check("warnings recorded", done.errors.length === 1 && !done.errors[0].fatal);
+    check("secret params not persisted", !fs.readFileSync(path.join(storeDir, `${quick.id}.json`), "utf8").includes("ghp_secret"));
+    check("non-secret params kept", done.params.repoUrl === "https://github.com/a/b" && done.hasSecrets);
+
+    const broken = queue.enqueue("broken", {});
+    await queue.onIdle();
+    const failed = queue.get(broken.id);
+    check("failure recorded", failed.status === "failed" && failed.statusCode === 422
+      && failed.errors[0].fatal && failed.errors[0].message === "No supported languages detected");
+    check("unknown type rejected", (() => { try { queue.enqueue("nope"); return false; } catch (_) { return true; } })());
+
+    // ── Concurrency + cancellation ──
+    const a = queue.enqueue("gated", { name: "a" });
+    const b = queue.enqueue("gated", { name: "b" });
+    const c = queue.enqueue("gated", { name: "c" });
+    const d = queue.enqueue("gated", { name: "d" });
+    await sleep(10);
+    check("bounded concurrency", queue.get(a.id).status === "running" && queue.get(b.id).status === "running"
+      && queue.get(c.id).status === "queued");
+
+    const running = queue.get(a.id);
+    check("runner phase and temp dir tracked", running.phase === "working" && fs.existsSync(running.tempDir));
+    queue.cancel(a.id);
+    check("cancelling a queued job is immediate", queue.cancel(d.id).status === "cancelled");
+    await sleep(10);
+    const cancelled = queue.get(a.id);
+    check("running job cancelled", cancelled.status === "cancelled" && cancelled.finishedAt);
+    check("temp dir removed on cancel", !fs.existsSync(running.tempDir));
+    check("freed slot picks up next job", queue.get(c.id).status === "running");
+
+    gates.get("b")();
+    gates.get("c")();
+    await queue.onIdle();
+    check("never more than 2 at once", peak === 2);
+    check("cancelled job never ran", !gates.has("d") && queue.get(d.id).status === "cancelled");
+    check("cancel of finished job is a no-op", queue.cancel(b.id).status === "completed");
+    check("unknown job", queue.get("missing") === null && queue.cancel("missing") === null);
+
+    // ── Restart ──
+    // Simulate a crash: one job mid-run, one still queued, one that needed a token
+    const stale = fs.mkdtempSync(path.join(os.tmpdir(), "job-queue-stale-"));
+    const persisted = (id, patch) => fs.writeFileSync(path.join(storeDir, `${id}.json`), JSON.stringify({
+      id, type: "quick", status: "running", phase: "analyzing", params: {}, hasSecrets: false,
+      progress: { filesTotal: 9, filesProcessed: 4 }, errors: [], result: null, tempDir: null,
+      createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), startedAt: null, finishedAt: null,
+      ...patch,
+    }));
+    persisted("crashed", { tempDir: stale });
+    persisted("waiting", { status: "queued", phase: "queued" });
+    persisted("private", { hasSecrets: true });
+    persisted("old", { status: "completed", finishedAt: "2000-01-01T00:00:00.000Z" });
+
+    const restarted = createJobQueue({ storeDir, runners, secretParams: ["gitToken"] });
+    const { requeued } = restarted.restore();
+    await restarted.onIdle();
+    check("earlier jobs still answer", restarted.get(quick.id).status === "completed");
+    check("interrupted jobs re-run", requeued === 2 && restarted.get("crashed").status === "completed"
+      && restarted.get("waiting").status === "completed");
+    check("stale temp dir removed", !fs.existsSync(stale));
+    check("jobs with secrets fail on restart", restarted.get("private").status === "failed"
+      && /credentials/.test(restarted.get("private").errors[0].message));
+    check("expired jobs pruned", restarted.get("old") === null && !fs.existsSync(path.join(storeDir, "old.json")));
+
+    // ── Retention while running ──
+    const shortLived = createJobQueue({ storeDir: path.join(storeDir, "short"), runners, retentionMs: 50 });
+    const first = shortLived.enqueue("quick");
+    await shortLived.onIdle();
+    check("finished job kept within the retention period", shortLived.get(first.id).status === "completed");
+    await sleep(80);
+    const second = shortLived.enqueue("quick");
+    await shortLived.onIdle();
+    check("expired job dropped when another finishes", shortLived.get(first.id) === null
+      && !fs.existsSync(path.join(storeDir, "short", `${first.id}.json`)));
+    check("recent job kept", shortLived.list().map((job) => job.id).join() === second.id);
+  } finally {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for the Kotlin analyzer (kotlin/file-tree-mapper-kotlin.js):
+ *   - data/sealed classes, objects and companions in the Java class shape
+ *   - extension functions, suspend functions and static (object) members
+ *   - imports resolved against the repo's packages, aliases and .java files
+ *   - Spring routes attached to their handler function
+ * Run: node test/kotlin-analyzer.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { analyzeKotlinRepo } = require("../kotlin/file-tree-mapper-kotlin");
+const { getAnalyzerRegistry } = require("../analyzer-registry");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kotlin-analyzer-"));
+const write = (rel, content) => {
+  fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+  fs.writeFileSync(path.join(dir, rel), content);
+};
+
+write("src/main/kotlin/com/acme/model/User.kt", `
+package com.acme.model
+
+data class User(val id: Long, val name: String)
+
+sealed class Result {
+    object Empty : Result()
+}
+
+fun User.displayName(): String = name.uppercase()
+`);
+write("src/main/kotlin/com/acme/util/Strings.kt", `
+package com.acme.util
+
+fun slugify(s: String): String = s.lowercase()
+`);
+write("src/main/java/com/acme/legacy/Mailer.java", `
+package com.acme.legacy;
+public class Mailer { public void send() {} }
+`);
+write("src/main/kotlin/com/acme/web/UserController.kt", `
+package com.acme.web
+
+import com.acme.model.User
+import com.acme.model.displayName
+import com.acme.util.slugify as slug
+import com.acme.legacy.Mailer
+import org.springframework.web.bind.annotation.*
+
+@RestController
+@RequestMapping("/api/users")
+class UserController(private val repo: UserRepository) : BaseController(), Auditable {
+    @GetMapping("/{id}")
+    suspend fun get(@PathVariable id: Long): User {
+        audit(id)
+        return repo.find(id)
+    }
+
+    @PostMapping
+    fun create(user: User): String = slug(user.displayName())
+
+    private fun audit(vararg ids: Long) {}
+
+    companion object {
+        fun create(): UserController = TODO()
+    }
+}
+`);
+write("build/generated/Skip.kt", "fun skipped() {}\n");
+
+try {
+  const records = analyzeKotlinRepo(dir, { captureStatements: true });
+  const byPath = Object.fromEntries(records.map((r) => [r.path, r]));
+
+  check("build output ignored", !records.some((r) => r.path.startsWith("build/")));
+  check("java files not analyzed", records.length === 3);
+
+  // ── Classes ──
+  const model = byPath["src/main/kotlin/com/acme/model/User.kt"];
+  const user = model.classes.find((c) => c.name === "User");
+  check("data class", user.isData && user.type === "class" && user.constructorParams.join(",") === "id,name");
+  const result = model.classes.find((c) => c.name === "Result");
+  check("sealed class is abstract", result.isSealed && result.isAbstract);
+  const empty = model.classes.find((c) => c.name === "Empty");
+  check("object extends sealed parent", empty.type === "object" && empty.extends === "Result");
+
+  const web = byPath["src/main/kotlin/com/acme/web/UserController.kt"];
+  const ctrl = web.classes.find((c) => c.name === "UserController");
+  check("annotated class parsed despite annotated members",
+    ctrl && ctrl.methods.join(",") === "get,create,audit");
+  check("class annotations kept as decorators",
+    ctrl.decorators.join(" ") === '@RestController @RequestMapping("/api/users")');
+  check("superclass vs interfaces", ctrl.extends === "BaseController" && ctrl.implements.join() === "Auditable");
+  check("companion object listed", web.classes.some((c) => c.type === "companion_object" && c.name === "Companion"));
+
+  // ── Functions ──
+  const ext = model.functions.find((f) => f.name === "displayName");
+  check("extension function receiver", ext.receiverType === "User" && ext.kind === "function");
+  const get = web.functions.find((f) => f.name === "get");
+  check("suspend method", get.isSuspend && get.type === "method" && get.kind === "instance");
+  check("return type", get.returnType === "User");
+  check("private visibility", web.functions.find((f) => f.name === "audit").visibility === "private");
+  check("vararg param", web.functions.find((f) => f.name === "audit").params[0] === "...ids");
+  check("companion member is static",
+    web.functions.some((f) => f.name === "create" && f.kind === "static"));
+
+  // ── Imports & calls ──
+  check("local imports resolved", [
+    "src/main/kotlin/com/acme/model/User.kt",
+    "src/main/kotlin/com/acme/util/Strings.kt",
+    "src/main/java/com/acme/legacy/Mailer.java",
+  ].every((f) => web.importFiles.includes(f)));
+  check("external imports kept", web.externalImports.join() === "org.springframework.web.bind.annotation.*");
+  const create = web.functions.find((f) => f.name === "create" && f.kind === "instance");
+  check("aliased import call resolved",
+    create.calls.find((c) => c.name === "slug").path === "src/main/kotlin/com/acme/util/Strings.kt");
+  check("extension call resolved through import",
+    create.calls.find((c) => c.name === "displayName").receiver === "user");
+  check("local call resolved", get.calls.find((c) => c.name === "audit").path === "src/main/kotlin/com/acme/web/UserController.kt");
+
+  // ── Routes ──
+  const route = get.statements.find((s) => s.type === "route");
+  check("spring route attached to handler", route && route.path === "/api/users/{id}" && route.method === "GET");
+  check("no file-level routes left over", !web.statements.some((s) => s.type === "route"));
+
+  // ── Registry / fileFilter ──
+  check("kotlin registered as a built-in", getAnalyzerRegistry().get("kotlin").source === "built-in");
+  const filtered = [];
+  analyzeKotlinRepo(dir, {
+    fileFilter: (abs) => abs.endsWith("Strings.kt"),
+    onResult: (r) => filtered.push(r),
+  });
+  check("fileFilter + onResult", filtered.length === 1 && filtered[0].functions[0].name === "slugify");
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log(`\n✅ All ${passed} assertions passed.`);
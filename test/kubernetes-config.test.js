@@ -0,0 +1,238 @@
+/**
+ * Tests for Kubernetes manifest and Helm chart extraction in the config
+ * analyzer (config/kubernetes.js, config/file-tree-mapper-config.js):
+ *   - workloads, Services, Ingresses, ConfigMaps, Secrets and CronJobs in
+ *     multi-document YAML anywhere in the repo
+ *   - Services linked to the workloads their selectors match
+ *   - Helm Chart.yaml, values.yaml and rendered templates
+ *   - the kubernetesInfo rollup in projectMetaData.configs
+ * Run: node test/kubernetes-config.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { analyzeConfigRepo } = require("../config/file-tree-mapper-config");
+const { renderHelmTemplate } = require("../config/kubernetes");
+const { mergeLanguageOutputs, mergeProjectMetaData } = require("../main");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "kubernetes-config-test-"));
+const files = {
+  "k8s/app.yaml": `apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: api
+  namespace: shop
+spec:
+  replicas: 2
+  selector:
+    matchLabels: { app: api }
+  template:
+    metadata:
+      labels: { app: api, tier: backend }
+    spec:
+      imagePullSecrets:
+        - name: registry-creds
+      initContainers:
+        - name: migrate
+          image: shop/migrate:1.0
+      containers:
+        - name: api
+          image: shop/api:2.3
+          ports:
+            - containerPort: 8080
+          env:
+            - name: DB_HOST
+              value: db
+            - name: DB_PASSWORD
+              valueFrom:
+                secretKeyRef: { name: db-secret, key: password }
+          envFrom:
+            - configMapRef: { name: api-config }
+      volumes:
+        - name: certs
+          secret: { secretName: tls-certs }
+---
+apiVersion: v1
+kind: Service
+metadata:
+  name: api
+  namespace: shop
+spec:
+  selector: { app: api }
+  ports:
+    - port: 80
+      targetPort: 8080
+---
+apiVersion: v1
+kind: Service
+metadata:
+  name: orphan
+  namespace: other
+spec:
+  selector: { app: api }
+  ports:
+    - port: 81
+`,
+  "k8s/ingress.yml": `apiVersion: networking.k8s.io/v1
+kind: Ingress
+metadata:
+  name: api
+  namespace: shop
+spec:
+  ingressClassName: nginx
+  tls:
+    - hosts: [shop.example.com]
+  rules:
+    - host: shop.example.com
+      http:
+        paths:
+          - path: /api
+            pathType: Prefix
+            backend:
+              service:
+                name: api
+                port: { number: 80 }
+`,
+  "k8s/config.yaml": `apiVersion: v1
+kind: ConfigMap
+metadata: { name: api-config }
+data:
+  LOG_LEVEL: info
+---
+apiVersion: v1
+kind: Secret
+metadata: { name: db-secret }
+type: Opaque
+data:
+  password: c2VjcmV0
+---
+apiVersion: batch/v1
+kind: CronJob
+metadata: { name: nightly }
+spec:
+  schedule: "0 3 * * *"
+  jobTemplate:
+    spec:
+      template:
+        spec:
+          containers:
+            - name: report
+              image: shop/report:1.0
+`,
+  "ops/not-k8s.yaml": "name: just some yaml\nitems: [1, 2]\n",
+  "charts/web/Chart.yaml": "apiVersion: v2\nname: web\nversion: 0.4.0\nappVersion: \"1.9.0\"\ndependencies:\n  - name: redis\n    version: 17.x\n",
+  "charts/web/values.yaml": `image:
+  repository: shop/web
+  tag: ""
+service:
+  port: 3000
+env:
+  - name: FEATURE_FLAGS
+ingress:
+  hosts:
+    - host: web.example.com
+`,
+  "charts/web/templates/deployment.yaml": `apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: {{ include "web.fullname" . }}
+  labels:
+    {{- include "web.labels" . | nindent 4 }}
+spec:
+  template:
+    metadata:
+      labels:
+        app: web
+    spec:
+      containers:
+        - name: {{ .Chart.Name }}
+          image: "{{ .Values.image.repository }}:{{ .Values.image.tag | default .Chart.AppVersion }}"
+          ports:
+            - containerPort: {{ .Values.service.port }}
+          {{- with .Values.env }}
+          env:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+`,
+  "charts/web/templates/NOTES.txt": "Visit {{ .Values.ingress.hosts }}\n",
+};
+for (const [rel, content] of Object.entries(files)) {
+  fs.mkdirSync(path.dirname(path.join(tmp, rel)), { recursive: true });
+  fs.writeFileSync(path.join(tmp, rel), content);
+}
+
+try {
+  // -------------------------------------------------------------
+  // Per-file extraction
+  // -------------------------------------------------------------
+  const configs = analyzeConfigRepo(tmp);
+  const byPath = (p) => configs.find((c) => c.path === p.split("/").join(path.sep));
+
+  check("manifests found outside the root", byPath("k8s/app.yaml") && byPath("k8s/ingress.yml") && byPath("k8s/config.yaml"));
+  check("plain YAML below the root still skipped", !byPath("ops/not-k8s.yaml"));
+
+  const [deployment, service, orphan] = byPath("k8s/app.yaml").kubernetes.resources;
+  check("deployment images, init containers included", deployment.containers.map((c) => c.image).join() === "shop/migrate:1.0,shop/api:2.3");
+  check("container ports and env names", deployment.containers[1].ports.join() === "8080" && deployment.containers[1].env.join() === "DB_HOST,DB_PASSWORD");
+  check("config map and secret refs", deployment.configMaps.join() === "api-config" && deployment.secrets.sort().join() === "db-secret,registry-creds,tls-certs");
+  check("service ports", service.ports[0].port === 80 && service.ports[0].targetPort === 8080 && service.serviceType === "ClusterIP");
+  check("service linked to its deployment", service.targets.length === 1 && service.targets[0].name === "api" && service.targets[0].kind === "Deployment");
+  check("selectors don't cross namespaces", orphan.targets.length === 0);
+
+  const ingress = byPath("k8s/ingress.yml").kubernetes.resources[0];
+  check("ingress rules", ingress.rules.length === 1 && ingress.rules[0].host === "shop.example.com" &&
+    ingress.rules[0].path === "/api" && ingress.rules[0].service === "api" && ingress.rules[0].port === 80);
+  check("ingress tls and class", ingress.tlsHosts.join() === "shop.example.com" && ingress.ingressClass === "nginx");
+
+  const [configMap, secret, cronJob] = byPath("k8s/config.yaml").kubernetes.resources;
+  check("config map keys", configMap.keys.join() === "LOG_LEVEL");
+  check("secret keys only, no values", secret.keys.join() === "password" && !JSON.stringify(secret).includes("c2VjcmV0"));
+  check("cron job schedule and image", cronJob.schedule === "0 3 * * *" && cronJob.containers[0].image === "shop/report:1.0");
+
+  const chart = byPath("charts/web/Chart.yaml").helmChart;
+  check("helm chart", chart.name === "web" && chart.version === "0.4.0" && chart.appVersion === "1.9.0" && chart.dependencies.join() === "redis");
+  const values = byPath("charts/web/values.yaml").helmValues;
+  check("helm values", values.chart === "web" && values.images.join() === "shop/web" && values.ports.join() === "3000" &&
+    values.envVars.join() === "FEATURE_FLAGS" && values.ingressHosts.join() === "web.example.com");
+
+  const template = byPath("charts/web/templates/deployment.yaml").kubernetes;
+  check("helm template rendered from values and Chart.yaml", template.chart === "web" &&
+    template.resources[0].containers[0].image === "shop/web:1.9.0" && template.resources[0].containers[0].name === "web" &&
+    template.resources[0].containers[0].ports.join() === "3000");
+  check("unresolvable template expressions become placeholders", template.resources[0].name === "<template>");
+  check("non-YAML template files skipped", !byPath("charts/web/templates/NOTES.txt"));
+  check("template-only lines dropped", !renderHelmTemplate("a: 1\n{{- if .Values.x }}\nb: 2\n{{- end }}\n", { values: {}, chart: {} }).includes("{{"));
+
+  // -------------------------------------------------------------
+  // projectMetaData rollup
+  // -------------------------------------------------------------
+  const outDir = fs.mkdtempSync(path.join(tmp, "out-"));
+  const { data } = mergeLanguageOutputs([{ language: "config", name: "Configuration Files", data: configs }], tmp, outDir);
+  const info = data.projectMetaData.configs.kubernetesInfo;
+  check("resource counts", info.resources.Deployment === 2 && info.resources.Service === 2 && info.resources.CronJob === 1 && info.resources.Ingress === 1);
+  check("images rolled up", ["shop/api:2.3", "shop/report:1.0", "shop/web", "shop/web:1.9.0"].every((i) => info.images.includes(i)));
+  check("ports, env, config maps and secrets", info.ports.includes(8080) && info.ports.includes(80) && info.envVars.includes("FEATURE_FLAGS") &&
+    info.configMaps.includes("api-config") && info.secrets.includes("db-secret"));
+  check("ingress rolled up", info.ingress.length === 1 && info.ingress[0].host === "shop.example.com");
+  check("service selectors rolled up", info.serviceSelectors.find((s) => s.service === "api").targets[0].name === "api");
+  check("helm charts rolled up", info.hasHelmCharts && info.hasManifests && info.helmCharts[0].path === "charts/web");
+  check("kubernetes metadata kept on the config record", data.files.find((f) => f.path === path.join("k8s", "app.yaml")).metadata.kubernetes.resources.length === 3);
+
+  const merged = mergeProjectMetaData(data.projectMetaData, data.projectMetaData);
+  check("merging metadata dedupes", merged.configs.kubernetesInfo.images.length === info.images.length &&
+    merged.configs.kubernetesInfo.resources.Deployment === 4);
+  const older = { ...data.projectMetaData, configs: { ...data.projectMetaData.configs, kubernetesInfo: undefined } };
+  check("metadata without kubernetesInfo merges", mergeProjectMetaData(older, data.projectMetaData).configs.kubernetesInfo.ingress.length === 1);
+} finally {
+  fs.rmSync(tmp, { recursive: true, force: true });
+}
+
+console.log(`\n✅ All ${passed} assertions passed.`);
@@ -0,0 +1,75 @@
+/**
+ * Tests for the CLI's local git-diff mode (local-git-diff.js):
+ *   - added/modified files land in filterSet, deletions in deletedFiles
+ *   - renames are reported as delete + add
+ *   - the --until snapshot is exported, ignoring uncommitted changes
+ * Run: node test/local-git-diff.test.js
+ */
+const assert = require("assert");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { resolveLocalGitDiff } = require("../local-git-diff");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const repo = fs.mkdtempSync(path.join(os.tmpdir(), "local-git-diff-"));
+const git = (...args) =>
+  execFileSync("git", ["-C", repo, ...args], { encoding: "utf8" }).trim();
+const write = (rel, content) => {
+  fs.mkdirSync(path.dirname(path.join(repo, rel)), { recursive: true });
+  fs.writeFileSync(path.join(repo, rel), content);
+};
+
+let diff;
+try {
+  git("init", "-q");
+  git("config", "user.email", "test@example.com");
+  git("config", "user.name", "test");
+  write("src/keep.js", "module.exports = 1;\n");
+  write("src/edit.js", "module.exports = 2;\n");
+  write("src/gone.py", "x = 1\n");
+  write("src/old-name.go", "package main\n");
+  git("add", "-A");
+  git("commit", "-qm", "base");
+  const base = git("rev-parse", "HEAD");
+
+  write("src/edit.js", "module.exports = 22;\n");
+  write("src/new.ts", "export const n = 1;\n");
+  git("rm", "-q", "src/gone.py");
+  git("mv", "src/old-name.go", "src/new-name.go");
+  git("add", "-A");
+  git("commit", "-qm", "change");
+  const head = git("rev-parse", "HEAD");
+
+  write("src/edit.js", "uncommitted\n");
+
+  diff = resolveLocalGitDiff(repo, { since: base });
+
+  check("commits resolved", diff.sinceCommit === base && diff.untilCommit === head);
+  check("modified file in filterSet", diff.filterSet.has("src/edit.js"));
+  check("added file in filterSet", diff.filterSet.has("src/new.ts"));
+  check("unchanged file not in filterSet", !diff.filterSet.has("src/keep.js"));
+  check("deleted file listed", diff.deletedFiles.includes("src/gone.py"));
+  check("rename is delete + add",
+    diff.deletedFiles.includes("src/old-name.go") && diff.filterSet.has("src/new-name.go"));
+  check("snapshot keeps unchanged files", fs.existsSync(path.join(diff.tempDir, "src/keep.js")));
+  check("snapshot ignores uncommitted changes",
+    fs.readFileSync(path.join(diff.tempDir, "src/edit.js"), "utf8") === "module.exports = 22;\n");
+
+  assert.throws(() => resolveLocalGitDiff(repo, { since: head }), /No changed files/);
+  passed++;
+  assert.throws(() => resolveLocalGitDiff(repo, { since: "does-not-exist" }), /Cannot resolve/);
+  passed++;
+} finally {
+  if (diff) fs.rmSync(diff.tempDir, { recursive: true, force: true });
+  fs.rmSync(repo, { recursive: true, force: true });
+}
+
+console.log(`\n✅ All ${passed} assertions passed.`);
@@ -0,0 +1,193 @@
+/**
+ * Tests for the Prometheus metrics (metrics.js), the structured logger
+ * (logger.js) and their wiring in server.js:
+ *   - exposition format for counters, gauges and histograms
+ *   - JSON log lines carry the request context
+ *   - /metrics counts requests per route, files parsed, parse failures,
+ *     upload bytes and notification failures
+ *   - X-Request-Id is accepted or generated and echoed back
+ * Run: node test/metrics.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "metrics-test-"));
+process.env.STORAGE_SINK = "local";
+process.env.STORAGE_LOCAL_DIR = path.join(tmp, "storage");
+process.env.NOTIFICATION_STORE_DIR = path.join(tmp, "notifications");
+process.env.NOTIFICATION_MAX_ATTEMPTS = "1";
+process.env.JOB_STORE_DIR = path.join(tmp, "jobs");
+
+const { createMetricsRegistry } = require("../metrics");
+const { createLogger, captureConsole, runWithContext } = require("../logger");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+// Value of one series in an exposition text, or undefined
+function sample(text, series) {
+  const line = text.split("\n").find((l) => l.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+(async () => {
+  // -------------------------------------------------------------
+  // Registry
+  // -------------------------------------------------------------
+  const registry = createMetricsRegistry();
+  const hits = registry.counter({ name: "test_hits_total", help: "Hits.", labelNames: ["route"] });
+  hits.inc({ route: "/a" });
+  hits.inc({ route: "/a" }, 2);
+  hits.inc({ route: 'say "hi"\n' });
+  const latency = registry.histogram({ name: "test_seconds", help: "Latency.", labelNames: ["route"], buckets: [0.1, 1] });
+  latency.observe({ route: "/a" }, 0.05);
+  latency.observe({ route: "/a" }, 0.5);
+  latency.observe({ route: "/a" }, 3);
+  registry.gauge({ name: "test_up", help: "Up.", collect: () => 1 });
+
+  let text = registry.render();
+  check("HELP and TYPE lines", text.includes("# HELP test_hits_total Hits.\n# TYPE test_hits_total counter"));
+  check("counter sums", sample(text, 'test_hits_total{route="/a"}') === 3);
+  check("label values escaped", text.includes('test_hits_total{route="say \\"hi\\"\\n"} 1'));
+  check("cumulative buckets", sample(text, 'test_seconds_bucket{route="/a",le="0.1"}') === 1 &&
+    sample(text, 'test_seconds_bucket{route="/a",le="1"}') === 2 &&
+    sample(text, 'test_seconds_bucket{route="/a",le="+Inf"}') === 3);
+  check("histogram sum and count", sample(text, 'test_seconds_sum{route="/a"}') === 3.55 && sample(text, 'test_seconds_count{route="/a"}') === 3);
+  check("collected gauge", sample(text, "test_up") === 1);
+  check("unknown label rejected", (() => {
+    try {
+      hits.inc({ path: "/a" });
+      return false;
+    } catch (err) {
+      return /Unknown label/.test(err.message);
+    }
+  })());
+  check("duplicate metric rejected", (() => {
+    try {
+      registry.counter({ name: "test_hits_total", help: "Again." });
+      return false;
+    } catch (err) {
+      return /already registered/.test(err.message);
+    }
+  })());
+
+  // -------------------------------------------------------------
+  // Logger
+  // -------------------------------------------------------------
+  const lines = [];
+  const stream = { write: (line) => lines.push(JSON.parse(line)) };
+  const logger = createLogger({ format: "json", level: "info", stream, fields: { service: "test" } });
+  logger.debug("hidden");
+  runWithContext({ requestId: "req-1" }, () => {
+    logger.child({ language: "python" }).warn("parse failed", { file: "a.py" });
+    runWithContext({ jobId: "job-1" }, () => logger.error("boom", { err: Object.assign(new Error("bad"), { statusCode: 502 }) }));
+  });
+  logger.info("outside");
+  check("below-threshold levels dropped", lines.length === 3);
+  check("context and fields on each line", lines[0].level === "warn" && lines[0].msg === "parse failed" &&
+    lines[0].requestId === "req-1" && lines[0].language === "python" && lines[0].file === "a.py" && lines[0].service === "test" && lines[0].time);
+  check("nested context", lines[1].requestId === "req-1" && lines[1].jobId === "job-1");
+  check("errors serialized", lines[1].err.message === "bad" && lines[1].err.statusCode === 502 && typeof lines[1].err.stack === "string");
+  check("no context outside a request", lines[2].requestId === undefined);
+
+  lines.length = 0;
+  const restore = captureConsole(logger);
+  try {
+    runWithContext({ requestId: "req-2" }, () => {
+      console.log("\n🚀 Processing %s...", "Python");
+      console.warn("careful");
+      process.stdout.write("\r⠋ 3/10 files");
+    });
+  } finally {
+    restore();
+  }
+  check("console output becomes log lines", lines.length === 2 && lines[0].msg === "🚀 Processing Python..." && lines[0].requestId === "req-2");
+  check("console.warn level", lines[1].level === "warn");
+  check("console restored", !console.log.toString().includes("forward"));
+
+  // -------------------------------------------------------------
+  // Server
+  // -------------------------------------------------------------
+  const breeze = http.createServer((req, res) => {
+    req.resume();
+    req.on("end", () => {
+      res.statusCode = 500;
+      res.end("down");
+    });
+  });
+  await new Promise((resolve) => breeze.listen(0, resolve));
+  process.env.BREEZE_API_URL = `http://127.0.0.1:${breeze.address().port}`;
+
+  const { app } = require("../server");
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    let res = await fetch(`${base}/api/analyze`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Request-Id": "trace-123" },
+      body: JSON.stringify({
+        projectName: "demo",
+        files: [
+          { path: "src/a.js", content: "function a() { return b(); }\nfunction b() { return 1; }\n" },
+          { path: "src/b.js", content: "module.exports = {};\n" },
+          // A directory named like a source file: the analyzer can't read it
+          { path: "src/broken.js/README.txt", content: "x" },
+        ],
+      }),
+    });
+    check("analysis succeeds", res.status === 200);
+    check("caller's request id echoed", res.headers.get("x-request-id") === "trace-123");
+
+    res = await fetch(`${base}/health`);
+    check("request id generated", /^[0-9a-f-]{36}$/.test(res.headers.get("x-request-id")));
+    res = await fetch(`${base}/health`, { headers: { "X-Request-Id": "bad idé" } });
+    check("unsafe request id replaced", /^[0-9a-f-]{36}$/.test(res.headers.get("x-request-id")));
+    await fetch(`${base}/api/jobs/unknown-job`);
+    await fetch(`${base}/nope/123`);
+
+    const form = new FormData();
+    form.append("file", new Blob(["CREATE TABLE users (id INT PRIMARY KEY, name VARCHAR(40));"]), "schema.sql");
+    form.append("projectUuid", "p1");
+    form.append("dataLakeId", "lake");
+    res = await fetch(`${base}/api/analyze-sql`, { method: "POST", body: form });
+    check("sql upload accepted", res.status === 202);
+    const { notificationId } = await res.json();
+    // NOTIFICATION_MAX_ATTEMPTS=1 and the backend answers 500: one failed attempt
+    for (let i = 0; i < 50; i++) {
+      const n = await (await fetch(`${base}/api/notifications/${notificationId}`)).json();
+      if (n.status === "failed") break;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+
+    res = await fetch(`${base}/metrics`);
+    check("metrics content type", res.headers.get("content-type").startsWith("text/plain; version=0.0.4"));
+    text = await res.text();
+    check("requests per route pattern", sample(text, 'breeze_http_requests_total{method="POST",route="/api/analyze",status="200"}') === 1);
+    check("ids not used as labels", sample(text, 'breeze_http_requests_total{method="GET",route="/api/jobs/:id",status="404"}') === 1 && !text.includes("unknown-job"));
+    check("unmatched routes grouped", sample(text, 'breeze_http_requests_total{method="GET",route="unmatched",status="404"}') === 1);
+    check("latency histogram", sample(text, 'breeze_http_request_duration_seconds_count{method="POST",route="/api/analyze",status="200"}') === 1);
+    check("files parsed per language", sample(text, 'breeze_files_parsed_total{language="javascript"}') === 2);
+    check("parse failures per language", sample(text, 'breeze_parse_failures_total{language="javascript"}') === 1);
+    check("analysis duration per language", sample(text, 'breeze_analysis_duration_seconds_count{language="javascript",outcome="ok"}') === 1);
+    check("upload bytes per sink", sample(text, 'breeze_storage_upload_bytes_total{sink="local"}') > 100);
+    check("notification failures", sample(text, 'breeze_notification_attempts_total{kind="db-ontology",outcome="failed"}') === 1);
+    check("process gauges", sample(text, "breeze_process_resident_memory_bytes") > 0);
+  } finally {
+    server.close();
+    breeze.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,194 @@
+/**
+ * Tests for ndjson-stream.js and the NDJSON(.gz) paths of the enrichment scripts:
+ *   - readNdjson over plain and gzip files
+ *   - resumable writer: resume count, partial-line truncation, gzip finish
+ *   - progress made from a different input (or without a fingerprint) is discarded
+ *   - generate-file-descriptions.js / add-metadata.js against a local custom
+ *     provider: stop on error, resume without redoing written records
+ * Run: node test/ndjson-stream.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { execFile } = require("child_process");
+const { isNdjsonPath, readNdjson, createResumableWriter, isMetaRecord } = require("../ndjson-stream");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ndjson-stream-"));
+const ROOT = path.join(__dirname, "..");
+
+const toNdjson = (records) => records.map((r) => JSON.stringify(r) + "\n").join("");
+const writeGz = (file, records) => fs.writeFileSync(file, zlib.gzipSync(toNdjson(records)));
+const readGz = (file) => zlib.gunzipSync(fs.readFileSync(file)).toString().trim().split("\n").map((l) => JSON.parse(l));
+
+async function collect(file) {
+  const records = [];
+  for await (const record of readNdjson(file)) records.push(record);
+  return records;
+}
+
+// Run a script as a child process; resolves with its exit code and output
+function run(script, args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [path.join(ROOT, script), ...args], { cwd: ROOT, timeout: 60000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, output: stdout + stderr });
+    });
+  });
+}
+
+// Local OpenAI-style "custom" provider. Requests mentioning a path in
+// `failing` get a 400 once; every prompt is recorded.
+function startProvider(reply) {
+  const provider = { prompts: [], failing: new Set() };
+  provider.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const prompt = JSON.parse(body).messages[0].content;
+      provider.prompts.push(prompt);
+      const failure = [...provider.failing].find((p) => prompt.includes(p));
+      res.setHeader("Content-Type", "application/json");
+      if (failure) {
+        provider.failing.delete(failure);
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: { message: `bad request for ${failure}` } }));
+        return;
+      }
+      res.end(JSON.stringify({ choices: [{ message: { content: JSON.stringify(reply) } }] }));
+    });
+  });
+  return new Promise((resolve) => provider.server.listen(0, "127.0.0.1", () => {
+    provider.url = `http://127.0.0.1:${provider.server.address().port}/v1/chat/completions`;
+    resolve(provider);
+  }));
+}
+
+const countPrompts = (provider, file) => provider.prompts.filter((p) => p.includes(file)).length;
+
+(async () => {
+  // ── readNdjson ──
+  check("isNdjsonPath .ndjson.gz", isNdjsonPath("out/x-project-analysis.ndjson.gz"));
+  check("isNdjsonPath .ndjson", isNdjsonPath("x.NDJSON"));
+  check("isNdjsonPath rejects .json", !isNdjsonPath("x.json"));
+  check("isMetaRecord", isMetaRecord({ __type: "projectMetaData" }) && !isMetaRecord({ path: "a.js" }));
+
+  const plainPath = path.join(dir, "plain.ndjson");
+  fs.writeFileSync(plainPath, '{"path":"a.js"}\n\n  \n{"path":"b.js"}');
+  const plain = await collect(plainPath);
+  check("plain: blank lines skipped, last line without newline read", plain.map((r) => r.path).join() === "a.js,b.js");
+
+  const gzPath = path.join(dir, "records.ndjson.gz");
+  writeGz(gzPath, [{ __type: "projectMetaData" }, { path: "a.js" }, { path: "b.js" }]);
+  const gz = await collect(gzPath);
+  check("gzip: all records read", gz.length === 3 && gz[2].path === "b.js");
+
+  // ── resumable writer ──
+  const writer = createResumableWriter(gzPath);
+  check("fresh writer starts at 0", writer.resumeFrom === 0 && !writer.discarded);
+  check("fingerprint stored next to the progress file", fs.existsSync(`${writer.progressPath}.meta`));
+  writer.write({ __type: "projectMetaData" });
+  writer.write({ path: "a.js", description: "A" });
+  writer.close();
+  fs.appendFileSync(writer.progressPath, '{"path":"b.js","descr'); // crash mid-write
+
+  const resumed = createResumableWriter(gzPath);
+  check("resumes after the complete lines", resumed.resumeFrom === 2 && !resumed.discarded);
+  check("partial line truncated", fs.readFileSync(resumed.progressPath, "utf8").endsWith('"A"}\n'));
+  resumed.write({ path: "b.js", description: "B" });
+  await resumed.finish();
+  const finished = readGz(gzPath);
+  check("finish gzips progress over the target", finished.length === 3 && finished[1].description === "A" && finished[2].description === "B");
+  check("progress file removed", !fs.existsSync(resumed.progressPath));
+  check("fingerprint removed", !fs.existsSync(`${resumed.progressPath}.meta`));
+
+  // Progress made from another input is not resumed
+  const changedPath = path.join(dir, "changed.ndjson");
+  fs.writeFileSync(changedPath, toNdjson([{ path: "a.js" }, { path: "b.js" }]));
+  const first = createResumableWriter(changedPath);
+  first.write({ path: "a.js", description: "old" });
+  first.close();
+  fs.writeFileSync(changedPath, toNdjson([{ path: "x.js" }, { path: "y.js" }, { path: "z.js" }]));
+  const afterChange = createResumableWriter(changedPath);
+  check("changed input: progress discarded", afterChange.discarded && afterChange.resumeFrom === 0);
+  check("changed input: progress file emptied", fs.readFileSync(afterChange.progressPath, "utf8") === "");
+  afterChange.write({ path: "x.js" });
+  afterChange.close();
+  fs.rmSync(`${afterChange.progressPath}.meta`);
+  const noMeta = createResumableWriter(changedPath);
+  check("progress without a fingerprint is discarded", noMeta.discarded && noMeta.resumeFrom === 0);
+  noMeta.close();
+
+  const inputPath = path.join(dir, "input.ndjson");
+  fs.writeFileSync(inputPath, toNdjson([{ path: "a.js" }]));
+  const separate = createResumableWriter(path.join(dir, "separate.ndjson"), { inputPath });
+  separate.write({ path: "a.js" });
+  separate.close();
+  fs.writeFileSync(inputPath, toNdjson([{ path: "a.js" }, { path: "b.js" }]));
+  check("inputPath is fingerprinted instead of the target", createResumableWriter(path.join(dir, "separate.ndjson"), { inputPath }).discarded);
+
+  // ── enrichment scripts ──
+  const repo = path.join(dir, "repo");
+  fs.mkdirSync(repo);
+  for (const name of ["a.js", "b.js", "c.js"]) fs.writeFileSync(path.join(repo, name), `function ${name[0]}() {}\n`);
+  const input = [
+    { __type: "projectMetaData", projectName: "repo" },
+    { type: "code", path: "a.js" },
+    { type: "code", path: "b.js" },
+    { type: "code", path: "c.js" },
+  ];
+
+  // generate-file-descriptions.js
+  const describer = await startProvider({ file: "Does a thing", classes: {}, functions: {} });
+  const describePath = path.join(dir, "describe-project-analysis.ndjson.gz");
+  writeGz(describePath, input);
+  const describeArgs = [repo, describePath, "--provider", "custom", "--api-key", "x", "--api-url", describer.url];
+
+  describer.failing.add("b.js");
+  const failedDescribe = await run("generate-file-descriptions.js", describeArgs);
+  check("descriptions: stops on a provider error", failedDescribe.code === 1);
+  check("descriptions: input untouched after the error", readGz(describePath).every((r) => !r.description));
+  check("descriptions: header and a.js kept in progress", fs.readFileSync(`${describePath}.progress`, "utf8").trim().split("\n").length === 2);
+
+  const resumedDescribe = await run("generate-file-descriptions.js", describeArgs);
+  check("descriptions: resumed run completes", resumedDescribe.code === 0 && resumedDescribe.output.includes("Resuming after 2 records"));
+  check("descriptions: a.js not sent again", countPrompts(describer, "a.js") === 1);
+  const described = readGz(describePath);
+  check("descriptions: header passed through", isMetaRecord(described[0]) && described[0].projectName === "repo");
+  check("descriptions: every file described", described.slice(1).map((r) => r.description).join() === "Does a thing,Does a thing,Does a thing");
+  check("descriptions: progress files removed", !fs.existsSync(`${describePath}.progress`) && !fs.existsSync(`${describePath}.progress.meta`));
+  describer.server.close();
+
+  // add-metadata.js
+  const tagger = await startProvider({ roles: ["Utility"], metadata: { pure: true } });
+  const metadataPath = path.join(dir, "metadata-project-analysis.ndjson.gz");
+  writeGz(metadataPath, input);
+  const metadataArgs = [metadataPath, repo, "--provider", "custom", "--api-url", tagger.url, "--node-types", "file"];
+
+  tagger.failing.add("c.js");
+  const failedMetadata = await run("add-metadata.js", metadataArgs);
+  check("metadata: stops on a provider error", failedMetadata.code === 1);
+
+  // Re-generating the input in between starts over instead of resuming
+  writeGz(metadataPath, input.map((r) => (r.path === "a.js" ? { ...r, language: "javascript" } : r)));
+  const restarted = await run("add-metadata.js", metadataArgs);
+  check("metadata: stale progress discarded", restarted.code === 0 && restarted.output.includes("Discarded") && !restarted.output.includes("Resuming"));
+  check("metadata: every file re-sent", countPrompts(tagger, "a.js") === 2 && countPrompts(tagger, "b.js") === 2);
+  const tagged = readGz(metadataPath);
+  check("metadata: records from the new input", tagged[1].language === "javascript");
+  check("metadata: every file tagged", tagged.slice(1).every((r) => r.roles[0] === "Utility" && r.metadata.pure === true));
+  tagger.server.close();
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for the stream-ingest notification outbox (notification-outbox.js):
+ *   - delivery with an idempotency key that stays the same across retries
+ *   - exponential backoff on 5xx / network errors, no retry on other 4xx
+ *   - failed notifications listed by status and replayed
+ *   - pending deliveries resumed after a restart
+ *   - delivered notifications dropped past the retention period
+ *   - a store that can't be written doesn't leave a delivery stuck or reject
+ *   - httpPost: non-JSON 2xx bodies, request timeout
+ * Run: node test/notification-outbox.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createNotificationOutbox } = require("../notification-outbox");
+const { httpPost } = require("../call-http");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "notification-outbox-"));
+
+function httpError(statusCode) {
+  const err = new Error(`POST failed (${statusCode})`);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// send() stub: answers from a per-URL script of responses, then succeeds
+const calls = [];
+const scripts = {};
+async function send(url, payload, headers) {
+  calls.push({ url, payload, headers });
+  const next = (scripts[url] || []).shift();
+  if (next instanceof Error) throw next;
+  return next === undefined ? { ok: true } : next;
+}
+
+(async () => {
+  try {
+    const outbox = createNotificationOutbox({ storeDir, send, maxAttempts: 3, baseDelayMs: 10, maxDelayMs: 40 });
+
+    // ── Delivered first time ──
+    const first = outbox.enqueue({ kind: "code-ontology", url: "http://breeze/ok", payload: { s3Key: "a" } });
+    check("enqueue returns a pending notification", first.id && first.status === "pending");
+    check("persisted before delivery", fs.existsSync(path.join(storeDir, `${first.id}.json`)));
+    await outbox.onIdle();
+    const delivered = outbox.get(first.id);
+    check("delivered", delivered.status === "delivered" && delivered.attempts === 1 && delivered.deliveredAt);
+    check("idempotency key is the notification id", calls[0].headers["Idempotency-Key"] === first.id);
+    check("payload sent as-is", calls[0].payload.s3Key === "a");
+
+    // ── Retried until acknowledged ──
+    scripts["http://breeze/flaky"] = [httpError(503), new Error("fetch failed")];
+    const flaky = outbox.enqueue({ kind: "db-ontology", url: "http://breeze/flaky", payload: { s3Key: "b" } });
+    await outbox.onIdle();
+    const flakyCalls = calls.filter((c) => c.url === "http://breeze/flaky");
+    check("retried after 5xx and network errors", outbox.get(flaky.id).status === "delivered" && flakyCalls.length === 3);
+    check("same key on every attempt", flakyCalls.every((c) => c.headers["Idempotency-Key"] === flaky.id));
+
+    // ── Exhausted / non-retryable ──
+    scripts["http://breeze/down"] = [httpError(502), httpError(502), httpError(502)];
+    const down = outbox.enqueue({ kind: "code-ontology", url: "http://breeze/down", payload: {} });
+    scripts["http://breeze/bad"] = [httpError(400)];
+    const bad = outbox.enqueue({ kind: "code-ontology", url: "http://breeze/bad", payload: {} });
+    await outbox.onIdle();
+    const downState = outbox.get(down.id);
+    check("failed after maxAttempts", downState.status === "failed" && downState.attempts === 3 && downState.lastError.statusCode === 502);
+    check("4xx is not retried", outbox.get(bad.id).status === "failed" && outbox.get(bad.id).attempts === 1);
+    scripts["http://breeze/limited"] = [httpError(429)];
+    const limited = outbox.enqueue({ kind: "code-ontology", url: "http://breeze/limited", payload: {} });
+    await outbox.onIdle();
+    check("429 retried", outbox.get(limited.id).status === "delivered" && outbox.get(limited.id).attempts === 2);
+
+    const failed = outbox.list({ status: "failed" });
+    check("list by status", failed.length === 2 && failed.every((n) => n.status === "failed"));
+    check("newest first", outbox.list()[0].id === limited.id);
+    check("unknown status rejected", (() => {
+      try { outbox.list({ status: "lost" }); return false; } catch (err) { return err.statusCode === 400; }
+    })());
+
+    // ── Replay ──
+    const replayed = outbox.replay(down.id);
+    check("replay resets the attempt budget", replayed.status === "pending" && replayed.attempts === 0);
+    await outbox.onIdle();
+    check("replayed notification delivered", outbox.get(down.id).status === "delivered");
+    check("replaying a delivered notification is a no-op", outbox.replay(first.id).status === "delivered");
+    check("unknown id", outbox.replay("nope") === null);
+
+    // ── Restart ──
+    const pendingId = "11111111-1111-4111-8111-111111111111";
+    const inFlightId = "22222222-2222-4222-8222-222222222222";
+    const oldId = "33333333-3333-4333-8333-333333333333";
+    const base = { kind: "code-ontology", payload: {}, attempts: 1, lastError: null, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+    fs.writeFileSync(path.join(storeDir, `${pendingId}.json`), JSON.stringify({ ...base, id: pendingId, url: "http://breeze/later", status: "pending", nextAttemptAt: new Date().toISOString() }));
+    fs.writeFileSync(path.join(storeDir, `${inFlightId}.json`), JSON.stringify({ ...base, id: inFlightId, url: "http://breeze/later", status: "delivering", nextAttemptAt: null }));
+    fs.writeFileSync(path.join(storeDir, `${oldId}.json`), JSON.stringify({ ...base, id: oldId, url: "http://breeze/ok", status: "delivered", deliveredAt: "2020-01-01T00:00:00.000Z" }));
+
+    calls.length = 0;
+    const restarted = createNotificationOutbox({ storeDir, send, maxAttempts: 3, baseDelayMs: 10 });
+    const { restored, resumed, failed: stillFailed } = restarted.restore();
+    check("restore counts", resumed === 2 && stillFailed === 1 && restored === 7);
+    check("expired delivered notifications pruned", !fs.existsSync(path.join(storeDir, `${oldId}.json`)));
+    await restarted.onIdle();
+    check("pending and in-flight deliveries resumed",
+      restarted.get(pendingId).status === "delivered" && restarted.get(inFlightId).status === "delivered");
+    check("resumed with the original key", calls.some((c) => c.headers["Idempotency-Key"] === inFlightId));
+    check("failed stays failed until replayed", restarted.get(bad.id).status === "failed");
+
+    // ── Retention ──
+    const retentionDir = path.join(storeDir, "retention");
+    const retained = createNotificationOutbox({ storeDir: retentionDir, send, retentionMs: 50 });
+    const older = retained.enqueue({ kind: "code-ontology", url: "http://breeze/ok", payload: {} });
+    await retained.onIdle();
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    const newer = retained.enqueue({ kind: "code-ontology", url: "http://breeze/ok", payload: {} });
+    await retained.onIdle();
+    check("expired delivered notification dropped when another is delivered",
+      retained.get(older.id) === null && !fs.existsSync(path.join(retentionDir, `${older.id}.json`)));
+    check("recent delivery kept", retained.get(newer.id).status === "delivered" && fs.existsSync(path.join(retentionDir, `${newer.id}.json`)));
+
+    // ── Store can't be written ──
+    let unhandled = null;
+    process.on("unhandledRejection", (err) => (unhandled = err));
+    const brokenDir = path.join(storeDir, "broken");
+    const breakStore = () => {
+      fs.rmSync(brokenDir, { recursive: true, force: true });
+      fs.writeFileSync(brokenDir, "not a directory");
+    };
+    const broken = createNotificationOutbox({
+      storeDir: brokenDir,
+      maxAttempts: 2,
+      baseDelayMs: 10,
+      send: async (url) => {
+        if (url.endsWith("/retry")) throw httpError(503);
+        breakStore();
+        return { ok: true };
+      },
+    });
+    const retrying = broken.enqueue({ kind: "code-ontology", url: "http://breeze/retry", payload: {} });
+    const acknowledged = broken.enqueue({ kind: "code-ontology", url: "http://breeze/ok", payload: {} });
+    await broken.onIdle();
+    await new Promise((resolve) => setImmediate(resolve));
+    check("no unhandled rejection", unhandled === null);
+    check("delivery kept when its state can't be persisted", broken.get(acknowledged.id).status === "delivered");
+    check("unpersisted attempts still count towards maxAttempts",
+      broken.get(retrying.id).status === "failed" && broken.get(retrying.id).attempts === 2);
+
+    // ── httpPost ──
+    const backend = http.createServer((req, res) => {
+      if (req.url === "/slow") return setTimeout(() => res.end("{}"), 500);
+      res.setHeader("Content-Type", "text/plain");
+      res.end("Accepted");
+    });
+    await new Promise((resolve) => backend.listen(0, "127.0.0.1", resolve));
+    const backendUrl = `http://127.0.0.1:${backend.address().port}`;
+    try {
+      check("2xx with a non-JSON body is delivered", (await httpPost(`${backendUrl}/ingest`, {})) === "Accepted");
+      const timedOut = await httpPost(`${backendUrl}/slow`, {}, {}, { timeoutMs: 50 }).catch((err) => err);
+      check("slow backend times out as a retryable error", timedOut.name === "TimeoutError" && !timedOut.statusCode);
+    } finally {
+      backend.close();
+      backend.closeAllConnections();
+    }
+  } finally {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,336 @@
+/**
+ * Tests for OpenAPI / Swagger specs (config/openapi-spec.js) and their
+ * reconciliation with extracted routes (api-spec-resolver.js):
+ *   - OpenAPI 3 and Swagger 2 operations, parameters, bodies, responses
+ *   - local $refs followed, component schemas summarised by name
+ *   - the config analyzer finds specs anywhere in the repo; mergeLanguageOutputs
+ *     writes them as api_spec records
+ *   - operations linked to Express / Spring handlers, missing handlers and
+ *     undocumented routes flagged, per workspace module
+ *   - reconcileApiSpecsFile rewrites an NDJSON file in place
+ * Run: node test/openapi-spec.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { describeApiSpec, describeApiSpecYaml, looksLikeApiSpec } = require("../config/openapi-spec");
+const {
+  normalizeRoutePath,
+  createApiSpecIndex,
+  reconcileRecord,
+  reconcileApiSpecsFile,
+} = require("../api-spec-resolver");
+const { analyzeConfigRepo } = require("../config/file-tree-mapper-config");
+const { mergeLanguageOutputs } = require("../main");
+const { extractFileRoutes: jsRoutes } = require("../nodejs/extract-routes-nodejs");
+const { extractFileRoutes: javaRoutes } = require("../java/extract-routes-java");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const petsYaml = `openapi: 3.0.3
+info:
+  title: Pet Store
+  version: 1.2.0
+servers:
+  - url: https://api.example.com/v1
+security:
+  - bearerAuth: []
+paths:
+  /pets:
+    get:
+      operationId: listPets
+      tags: [pets]
+      parameters:
+        - $ref: "#/components/parameters/Limit"
+      responses:
+        "200":
+          description: A list of pets
+          content:
+            application/json:
+              schema:
+                type: array
+                items:
+                  $ref: "#/components/schemas/Pet"
+    post:
+      operationId: createPet
+      requestBody:
+        $ref: "#/components/requestBodies/NewPet"
+      responses:
+        "201":
+          $ref: "#/components/responses/Created"
+  /pets/{petId}:
+    parameters:
+      - name: petId
+        in: path
+        schema: { type: string }
+    get:
+      operationId: getPet
+      security: []
+      responses:
+        "200":
+          description: One pet
+          content:
+            application/json:
+              schema: { $ref: "#/components/schemas/Pet" }
+    delete:
+      operationId: deletePet
+      deprecated: true
+      responses:
+        "204": { description: Deleted }
+components:
+  parameters:
+    Limit:
+      name: limit
+      in: query
+      schema: { type: integer, format: int32 }
+  requestBodies:
+    NewPet:
+      required: true
+      content:
+        application/json:
+          schema:
+            type: object
+            required: [name]
+            properties:
+              name: { type: string }
+              tag: { type: string }
+  responses:
+    Created:
+      description: Created
+      content:
+        application/json:
+          schema: { $ref: "#/components/schemas/Pet" }
+  schemas:
+    Pet:
+      type: object
+      required: [id, name]
+      properties:
+        id: { type: integer, format: int64 }
+        name: { type: string }
+        owner: { $ref: "#/components/schemas/Owner" }
+    Owner:
+      type: object
+      properties:
+        name: { type: string }
+  securitySchemes:
+    bearerAuth: { type: http, scheme: bearer }
+`;
+
+const ordersSwagger = {
+  swagger: "2.0",
+  info: { title: "Orders", version: "2" },
+  basePath: "/api/orders",
+  consumes: ["application/json"],
+  produces: ["application/json"],
+  paths: {
+    "/": {
+      post: {
+        operationId: "createOrder",
+        parameters: [{ name: "order", in: "body", required: true, schema: { $ref: "#/definitions/Order" } }],
+        responses: { 201: { description: "Created", schema: { $ref: "#/definitions/Order" } } },
+      },
+    },
+    "/{id}": {
+      get: {
+        operationId: "getOrder",
+        parameters: [{ name: "id", in: "path", required: true, type: "integer", format: "int64" }],
+        responses: { 200: { description: "OK", schema: { $ref: "#/definitions/Order" } }, 404: { description: "Not found" } },
+      },
+    },
+    "/{id}/cancel": {
+      post: { operationId: "cancelOrder", responses: { 204: { description: "Cancelled" } } },
+    },
+  },
+  definitions: { Order: { type: "object", properties: { id: { type: "integer" }, items: { type: "array", items: { type: "string" } } } } },
+  securityDefinitions: { apiKey: { type: "apiKey", in: "header", name: "X-Key" } },
+};
+
+const files = {
+  "package.json": JSON.stringify({ name: "shop", private: true, workspaces: ["services/*"] }),
+  "services/pets/package.json": JSON.stringify({ name: "pets" }),
+  "services/pets/api/openapi.yaml": petsYaml,
+  "services/pets/src/app.js": `const express = require('express');
+const app = express();
+const router = express.Router();
+router.get('/pets', listPets);
+router.post('/pets/', createPet);
+router.get('/pets/:petId', getPet);
+router.get('/internal/stats', stats);
+app.use('/v1', router);
+`,
+  "services/orders/package.json": JSON.stringify({ name: "orders" }),
+  "services/orders/docs/swagger.json": JSON.stringify(ordersSwagger, null, 2),
+  "services/orders/src/OrderController.java": `package com.acme.orders;
+import org.springframework.web.bind.annotation.*;
+
+@RestController
+@RequestMapping("/api/orders")
+public class OrderController {
+    @PostMapping
+    public Order create(@RequestBody Order order) { return order; }
+
+    @GetMapping("/{orderId}")
+    public Order get(@PathVariable long orderId) { return null; }
+
+    @PutMapping("/{orderId}")
+    public Order update(@PathVariable long orderId) { return null; }
+}
+`,
+  "deploy/values.yaml": "replicaCount: 2\n",
+  "docs/notes.json": JSON.stringify({ swagger: "maybe" }),
+};
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "openapi-spec-test-"));
+for (const [rel, content] of Object.entries(files)) {
+  fs.mkdirSync(path.dirname(path.join(tmp, rel)), { recursive: true });
+  fs.writeFileSync(path.join(tmp, rel), content);
+}
+
+/** Code records shaped like the analyzers' output, routes as statements */
+function codeRecords() {
+  const app = "services/pets/src/app.js";
+  const controller = "services/orders/src/OrderController.java";
+  const javaFunctions = javaRoutes(path.join(tmp, controller)).map((route) => ({
+    name: route.handler, startLine: route.startLine, endLine: route.endLine, statements: [route],
+  }));
+  return [
+    { path: app, type: "code", language: "javascript", module: "pets", functions: [], statements: jsRoutes(path.join(tmp, app)) },
+    { path: controller, type: "code", language: "java", module: "orders", functions: javaFunctions, classes: [] },
+  ];
+}
+
+(async () => {
+  try {
+    // -------------------------------------------------------------
+    // OpenAPI 3
+    // -------------------------------------------------------------
+    check("detects specs", looksLikeApiSpec(petsYaml) && looksLikeApiSpec('{"swagger": "2.0"}') && !looksLikeApiSpec("kind: Deployment\n"));
+    const { apiSpec: pets } = describeApiSpecYaml(petsYaml);
+    const op = (spec, id) => spec.operations.find((o) => o.operationId === id);
+    check("spec info", pets.format === "openapi" && pets.specVersion === "3.0.3" && pets.title === "Pet Store" && pets.version === "1.2.0");
+    check("server URL path is a base path", pets.basePaths.join() === "/v1");
+    check("operations in path order", pets.operationCount === 4 &&
+      pets.operations.map((o) => `${o.method} ${o.path}`).join() === "GET /pets,POST /pets,GET /pets/{petId},DELETE /pets/{petId}");
+    check("parameter $ref followed", op(pets, "listPets").parameters[0].name === "limit" &&
+      op(pets, "listPets").parameters[0].schema.format === "int32" && op(pets, "listPets").tags.join() === "pets");
+    check("path-level parameters inherited and required", op(pets, "getPet").parameters[0].name === "petId" && op(pets, "getPet").parameters[0].required);
+    check("request body $ref followed", op(pets, "createPet").requestBody.required &&
+      op(pets, "createPet").requestBody.contentTypes.join() === "application/json" &&
+      op(pets, "createPet").requestBody.schema.required.join() === "name");
+    const listed = op(pets, "listPets").responses[0];
+    check("response schemas keep component names", listed.status === "200" && listed.schema.type === "array" && listed.schema.items.ref === "Pet");
+    check("response $ref followed", op(pets, "createPet").responses[0].description === "Created" && op(pets, "createPet").responses[0].schema.ref === "Pet");
+    check("security inherited, overridden, deprecated", op(pets, "listPets").security.join() === "bearerAuth" &&
+      op(pets, "getPet").security.length === 0 && op(pets, "deletePet").deprecated);
+    check("component schemas summarised", pets.schemas.Pet.properties.owner.ref === "Owner" && pets.schemas.Pet.properties.id.format === "int64" &&
+      pets.securitySchemes[0].name === "bearerAuth");
+
+    // -------------------------------------------------------------
+    // Swagger 2
+    // -------------------------------------------------------------
+    const { apiSpec: orders } = describeApiSpec(ordersSwagger);
+    check("swagger info and basePath", orders.format === "swagger" && orders.specVersion === "2.0" && orders.basePaths.join() === "/api/orders");
+    check("body parameter is the request body", !op(orders, "createOrder").parameters.length &&
+      op(orders, "createOrder").requestBody.schema.ref === "Order" && op(orders, "createOrder").requestBody.contentTypes.join() === "application/json");
+    check("typed parameters", op(orders, "getOrder").parameters[0].schema.type === "integer" && op(orders, "getOrder").parameters[0].schema.format === "int64");
+    check("responses use produces", op(orders, "getOrder").responses.map((r) => r.status).join() === "200,404" &&
+      op(orders, "getOrder").responses[0].contentTypes.join() === "application/json" && op(orders, "getOrder").responses[1].schema === null);
+    check("definitions and security definitions", orders.schemas.Order.properties.items.items.type === "string" && orders.securitySchemes[0].type === "apiKey");
+    check("not a spec", describeApiSpec({ swagger: "maybe", paths: {} }) === null && describeApiSpec({ openapi: "3.1.0" }) === null &&
+      describeApiSpecYaml("name: x\n") === null);
+
+    // -------------------------------------------------------------
+    // Config analyzer and merged output
+    // -------------------------------------------------------------
+    const configs = analyzeConfigRepo(tmp);
+    const config = (p) => configs.find((c) => c.path === p.split("/").join(path.sep));
+    check("YAML spec found below a module root", config("services/pets/api/openapi.yaml").apiSpec.operationCount === 4 &&
+      config("services/pets/api/openapi.yaml").module === "pets");
+    check("JSON spec found by name", config("services/orders/docs/swagger.json").apiSpec.title === "Orders" &&
+      config("services/orders/docs/swagger.json").module === "orders");
+    check("other YAML / JSON not picked up", !config("deploy/values.yaml") && !config("docs/notes.json"));
+
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "openapi-spec-out-"));
+    const { data } = mergeLanguageOutputs([{ language: "config", name: "Configuration Files", data: configs }], tmp, outDir);
+    fs.rmSync(outDir, { recursive: true, force: true });
+    const specRecords = data.files.filter((f) => f.type === "api_spec");
+    check("specs written as api_spec records", specRecords.length === 2 && specRecords.every((r) => r.language === "config" && r.metadata.apiSpec.operations.length > 0));
+    check("still counted as config files", data.projectMetaData.configs.totalConfigFiles === configs.length && data.files.some((f) => f.type === "config"));
+
+    // -------------------------------------------------------------
+    // Reconciliation
+    // -------------------------------------------------------------
+    check("route paths normalised", normalizeRoutePath("/users/:id/") === "/users/{}" && normalizeRoutePath("users/<int:id>") === "/users/{}" &&
+      normalizeRoutePath("/a/{id:[0-9]+}") === "/a/{}" && normalizeRoutePath("/photos(.:format)") === "/photos" && normalizeRoutePath("/") === "/");
+
+    const records = [...specRecords, ...codeRecords()];
+    const index = createApiSpecIndex();
+    records.forEach((r) => index.add(r));
+    const totals = { operations: 0, implemented: 0, missingHandlers: 0, undocumentedRoutes: 0 };
+    for (const record of records) {
+      const counts = reconcileRecord(record, index);
+      for (const key of Object.keys(totals)) totals[key] += counts[key];
+    }
+    const specOp = (file, id) => op(records.find((r) => r.path === file.split("/").join(path.sep)).metadata.apiSpec, id);
+    const petsSpec = "services/pets/api/openapi.yaml";
+    const ordersSpec = "services/orders/docs/swagger.json";
+
+    check("operation linked to its Express handler", specOp(petsSpec, "listPets").status === "implemented" &&
+      specOp(petsSpec, "listPets").implementedBy[0].line === 4 && specOp(petsSpec, "listPets").implementedBy[0].path === "services/pets/src/app.js");
+    check("trailing slash and :param match", specOp(petsSpec, "createPet").status === "implemented" && specOp(petsSpec, "getPet").status === "implemented");
+    check("operation without a handler", specOp(petsSpec, "deletePet").status === "missing-handler" && specOp(petsSpec, "deletePet").implementedBy.length === 0);
+    check("basePath + Spring class mapping", specOp(ordersSpec, "getOrder").status === "implemented" &&
+      specOp(ordersSpec, "getOrder").implementedBy[0].framework === "spring" && specOp(ordersSpec, "createOrder").status === "implemented");
+    check("methods must match", specOp(ordersSpec, "cancelOrder").status === "missing-handler");
+
+    const [app, controller] = records.slice(2);
+    const jsRoute = (p) => app.statements.find((s) => s.path === p && s.kind === "route");
+    check("documented routes point at their operation", jsRoute("/pets/:petId").documented &&
+      jsRoute("/pets/:petId").documentedBy[0].operationId === "getPet" && jsRoute("/pets/:petId").documentedBy[0].path === petsSpec);
+    check("route missing from the spec", jsRoute("/internal/stats").documented === false && !jsRoute("/internal/stats").documentedBy);
+    const update = controller.functions.find((f) => f.name === "update").statements[0];
+    check("undocumented Spring route", update.documented === false);
+    check("specs don't cover other modules", !JSON.stringify(specOp(petsSpec, "listPets").implementedBy).includes("OrderController") &&
+      controller.functions.find((f) => f.name === "get").statements[0].documentedBy.every((d) => d.path === ordersSpec));
+    check("mounts are not routes", app.statements.find((s) => s.kind === "mount").documented === undefined);
+    check("totals", totals.operations === 7 && totals.implemented === 5 && totals.missingHandlers === 2 && totals.undocumentedRoutes === 2);
+
+    const unknownIndex = createApiSpecIndex();
+    const bare = JSON.parse(JSON.stringify(specRecords[0]));
+    unknownIndex.add(bare);
+    reconcileRecord(bare, unknownIndex);
+    check("unknown without captured routes", bare.metadata.apiSpec.operations.every((o) => o.status === "unknown" && !o.implementedBy));
+
+    // -------------------------------------------------------------
+    // NDJSON file pass
+    // -------------------------------------------------------------
+    const ndjsonPath = path.join(tmp, "out.ndjson");
+    const lines = [...JSON.parse(JSON.stringify(specRecords)), ...codeRecords()];
+    fs.writeFileSync(ndjsonPath, lines.map((l) => JSON.stringify(l)).join("\n") + "\n");
+    const stats = await reconcileApiSpecsFile(ndjsonPath);
+    const out = fs.readFileSync(ndjsonPath, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+    check("file pass stats", stats.specs === 2 && stats.operations === 7 && stats.implemented === 5 && stats.undocumentedRoutes === 2);
+    check("file pass writes links", out.length === lines.length &&
+      out[0].metadata.apiSpec.operations.find((o) => o.operationId === "getPet").implementedBy[0].line === 6);
+    check("temp file removed", !fs.existsSync(`${ndjsonPath}.specs.tmp`));
+
+    const plainPath = path.join(tmp, "plain.ndjson");
+    fs.writeFileSync(plainPath, codeRecords().map((l) => JSON.stringify(l)).join("\n") + "\n");
+    const before = fs.readFileSync(plainPath, "utf8");
+    const noSpecs = await reconcileApiSpecsFile(plainPath);
+    check("no specs, file untouched", noSpecs.specs === 0 && fs.readFileSync(plainPath, "utf8") === before);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for the OpenAPI document (openapi.js) and request / response
+ * validation (openapi-validate.js):
+ *   - /openapi.json is served and every $ref resolves
+ *   - invalid requests get one 400 listing every invalid field
+ *   - multipart routes check their files and form fields
+ *   - responses are checked against the documented schema
+ * Run: node test/openapi.test.js
+ */
+const assert = require("assert");
+const { app } = require("../server");
+const { openapi } = require("../openapi");
+const { createOpenApiValidator, validateSchema } = require("../openapi-validate");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const fields = (body) => (body.details || []).map((d) => `${d.location}:${d.field}`).sort().join(",");
+
+let base;
+(async () => {
+  // -------------------------------------------------------------
+  // Schema subset
+  // -------------------------------------------------------------
+  const schema = {
+    type: "object",
+    required: ["name", "tags"],
+    properties: {
+      name: { type: "string", minLength: 1 },
+      count: { type: ["integer", "null"], minimum: 0 },
+      tags: { type: "array", maxItems: 2, items: { enum: ["a", "b"] } },
+    },
+    additionalProperties: false,
+  };
+  check("valid value", validateSchema(openapi, schema, { name: "x", count: null, tags: ["a"] }).length === 0);
+  const errors = validateSchema(openapi, schema, { name: "", count: -1, tags: ["a", "c", "b"], extra: 1 });
+  check("every problem reported", errors.map((e) => e.field).sort().join() === "count,extra,name,tags,tags[1]");
+  check("missing required fields", validateSchema(openapi, schema, {}).map((e) => e.field).join() === "name,tags");
+  check("type mismatch", validateSchema(openapi, schema, []).some((e) => e.message === "must be object"));
+
+  // Every $ref in the document resolves
+  const refs = [];
+  (function collect(node) {
+    if (!node || typeof node !== "object") return;
+    if (typeof node.$ref === "string") refs.push(node.$ref);
+    Object.values(node).forEach(collect);
+  })(openapi);
+  const unresolved = refs.filter((r) => !r.slice(2).split("/").reduce((n, p) => n && n[p], openapi));
+  check("all $refs resolve", refs.length > 0 && unresolved.length === 0);
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  const postJson = async (path, body) => {
+    const res = await fetch(`${base}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const postForm = async (path, form) => {
+    const res = await fetch(`${base}${path}`, { method: "POST", body: form });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    // -------------------------------------------------------------
+    // /openapi.json
+    // -------------------------------------------------------------
+    const doc = await (await fetch(`${base}/openapi.json`)).json();
+    check("document served", doc.openapi === "3.1.0" && doc.info.version === require("../package.json").version);
+    check("documents the ingest routes", ["/api/analyze-diff", "/api/analyze-sql", "/api/analyze-es"].every((p) => doc.paths[p].post));
+
+    // -------------------------------------------------------------
+    // JSON bodies
+    // -------------------------------------------------------------
+    let res = await postJson("/api/analyze-diff", { repoUrl: "", currentCommitId: 5, gitBranch: "main" });
+    check("analyze-diff: 400", res.status === 400);
+    check("analyze-diff: lists every invalid field",
+      fields(res.body) === "body:codeOntologyId,body:currentCommitId,body:incomingCommitId,body:projectUuid,body:repoUrl");
+    check("analyze-diff: summary names the fields", /incomingCommitId is required/.test(res.body.error) && /currentCommitId must be string or null/.test(res.body.error));
+
+    res = await postJson("/api/analyze-diff", {
+      repoUrl: "https://example.com/a/b", incomingCommitId: "c", gitBranch: "main", projectUuid: "p", codeOntologyId: "o",
+    });
+    check("analyze-diff: unsupported host in the same shape", res.status === 400 && fields(res.body) === "body:repoUrl");
+
+    res = await postJson("/api/analyze?format=xml", { files: [{ path: "a.js" }, { path: "../b.js", content: "" }] });
+    check("analyze: body and query problems together", fields(res.body) === "body:files[0].content,query:format");
+    res = await postJson("/api/analyze", { files: [{ path: "../b.js", content: "" }, { path: "c/../../d.js", content: "" }] });
+    check("analyze: every '..' path", res.status === 400 && fields(res.body) === "body:files[0].path,body:files[1].path");
+
+    res = await fetch(`${base}/api/analyze`, { method: "POST", headers: { "Content-Type": "text/plain" }, body: "x" });
+    check("analyze: non-JSON body rejected", res.status === 400 && /must be a JSON object/.test((await res.json()).error));
+
+    // -------------------------------------------------------------
+    // Multipart bodies
+    // -------------------------------------------------------------
+    res = await postForm("/api/analyze-sql", new FormData());
+    check("analyze-sql: file and fields", res.status === 400 && fields(res.body) === "body:dataLakeId,body:projectUuid,file:file");
+
+    let form = new FormData();
+    form.append("file", new Blob(["CREATE TABLE t (id int);"]), "schema.sql");
+    form.append("projectUuid", "p");
+    form.append("dataLakeId", "");
+    res = await postForm("/api/analyze-sql", form);
+    check("analyze-sql: empty field", res.status === 400 && fields(res.body) === "body:dataLakeId" && /must not be empty/.test(res.body.error));
+
+    res = await postForm("/api/analyze-es", new FormData());
+    check("analyze-es: file and fields", res.status === 400 && fields(res.body) === "body:dataLakeId,body:projectUuid,file:file");
+
+    res = await fetch(`${base}/api/analyze-es`, { method: "POST", headers: { "Content-Type": "application/json" }, body: "{}" });
+    check("analyze-es: must be multipart", res.status === 400 && /multipart\/form-data/.test((await res.json()).error));
+
+    form = new FormData();
+    form.append("archive", new Blob(["x"]), "a.zip");
+    form.append("captureSourceCode", "maybe");
+    res = await postForm("/api/analyze-archive", form);
+    check("analyze-archive: boolean field", res.status === 400 && fields(res.body) === "body:captureSourceCode");
+
+    // -------------------------------------------------------------
+    // Query / path parameters
+    // -------------------------------------------------------------
+    res = await fetch(`${base}/api/notifications?status=lost`);
+    check("enum query parameter", res.status === 400 && fields(await res.json()) === "query:status");
+    check("valid path parameter reaches the route", (await fetch(`${base}/api/jobs/nope`)).status === 404);
+
+    // -------------------------------------------------------------
+    // Responses
+    // -------------------------------------------------------------
+    const analyzed = await postJson("/api/analyze", {
+      projectName: "demo",
+      files: [{ path: "src/a.js", content: "function a() { return 1; }\nmodule.exports = { a };\n" }],
+    });
+    const validator = createOpenApiValidator(openapi);
+    check("analysis output matches the spec", analyzed.status === 200 && validator.validateResponse("/api/analyze", "post", 200, analyzed.body).length === 0);
+    const mismatch = validator.validateResponse("/api/analyze", "post", 200, { files: "none" });
+    check("response mismatch reported", mismatch.map((e) => e.field).sort().join() === "files,projectMetaData");
+    check("undocumented status reported", /not documented/.test(validator.validateResponse("/api/analyze", "post", 418, {})[0].message));
+
+    // The middleware reports mismatches instead of changing the response
+    const reported = [];
+    const strict = createOpenApiValidator(openapi, { validateResponses: true, onResponseMismatch: (info) => reported.push(info) });
+    const fakeRes = { statusCode: 404, json: (body) => body };
+    let sent;
+    strict.validate("/api/jobs/{id}", "get")({ params: { id: "x" }, query: {} }, fakeRes, () => {
+      sent = fakeRes.json({ message: "gone" });
+    });
+    check("mismatching response still sent", sent.message === "gone");
+    check("mismatch reported", reported.length === 1 && reported[0].status === 404 && reported[0].errors[0].field === "error");
+    check("unknown operation throws", (() => {
+      try {
+        strict.validate("/api/nope", "get");
+        return false;
+      } catch (err) {
+        return /No OpenAPI operation/.test(err.message);
+      }
+    })());
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,218 @@
+/**
+ * Tests for the Ruby analyzer (ruby/file-tree-mapper-ruby.js):
+ *   - methods, visibility sections, class methods and modules
+ *   - require/require_relative imports and Gemfile gems
+ *   - Rails autoload constants resolve call paths
+ *   - routes.rb routes attached to the matching controller actions
+ *   - call-graph resolution of implicit-self and Const::Name calls
+ * Run: node test/ruby-analyzer.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { analyzeRubyRepo } = require("../ruby/file-tree-mapper-ruby");
+const { createCallGraphIndex, resolveRecordCalls } = require("../call-graph-resolver");
+const { getAnalyzerRegistry } = require("../analyzer-registry");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ruby-analyzer-"));
+const write = (rel, content) => {
+  fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+  fs.writeFileSync(path.join(dir, rel), content);
+};
+
+write("Gemfile", `
+source 'https://rubygems.org'
+gem 'rails', '~> 7.1'
+gem "aws-sdk-s3"
+group :test do
+  gem 'rspec-rails'
+end
+`);
+write("config/routes.rb", `
+Rails.application.routes.draw do
+  root 'home#index'
+  resources :users, only: [:index, :show] do
+    post :activate, on: :member
+  end
+  namespace :admin do
+    resources :reports, only: :index
+  end
+end
+`);
+write("app/controllers/users_controller.rb", `
+require 'aws-sdk-s3'
+require 'json'
+
+class UsersController < ApplicationController
+  before_action :load_user, only: [:show, :activate]
+
+  def index
+    @users = User.active
+  end
+
+  def show; end
+
+  def activate
+    @user.activate!
+    notify
+  end
+
+  private
+
+  def load_user
+    @user = User.find(params[:id])
+  end
+
+  def notify
+    Admin::Notifier.deliver(@user)
+  end
+end
+`);
+write("app/controllers/admin/reports_controller.rb", `
+module Admin
+  class ReportsController < ApplicationController
+    def index; end
+  end
+end
+`);
+write("app/models/user.rb", `
+require_relative 'concerns/trackable'
+
+class User < ApplicationRecord
+  include Trackable
+  has_many :posts
+
+  def self.active
+    where(active: true)
+  end
+
+  def activate!
+    update!(active: true)
+  end
+
+  class << self
+    def stats; end
+  end
+
+  protected def audit(reason, *tags, level: :info, &blk); end
+end
+`);
+write("app/models/concerns/trackable.rb", `
+module Trackable
+  extend ActiveSupport::Concern
+end
+`);
+write("app/services/admin/notifier.rb", `
+module Admin
+  class Notifier
+    def self.deliver(user)
+      format(user)
+    end
+
+    def self.format(user) = user.to_s
+  end
+end
+`);
+write("lib/reporting/builder.rb", `
+module Reporting
+  module Builder
+    module_function
+
+    def build; end
+  end
+end
+`);
+write("lib/tasks/reports.rake", `
+require 'reporting/builder'
+task :reports do
+  Reporting::Builder.build
+end
+`);
+write("tmp/cache/skip.rb", "def skipped; end\n");
+
+try {
+  const records = analyzeRubyRepo(dir, { captureStatements: true });
+  const byPath = Object.fromEntries(records.map((r) => [r.path, r]));
+  const fnIn = (file, name) => byPath[file].functions.find((f) => f.name === name);
+
+  check("tmp/ ignored", !records.some((r) => r.path.startsWith("tmp/")));
+  check("rake files analyzed", !!byPath["lib/tasks/reports.rake"]);
+
+  // ── Gemfile & imports ──
+  check("Gemfile record lists gems", byPath["Gemfile"].externalImports.join() === "rails,aws-sdk-s3,rspec-rails");
+  const ctrl = byPath["app/controllers/users_controller.rb"];
+  check("required gem mapped to Gemfile name", ctrl.externalImports.includes("aws-sdk-s3"));
+  check("stdlib require kept as external", ctrl.externalImports.includes("json"));
+  check("require_relative resolved", byPath["app/models/user.rb"].importFiles.join() === "app/models/concerns/trackable.rb");
+  check("require resolved through lib/", byPath["lib/tasks/reports.rake"].importFiles.join() === "lib/reporting/builder.rb");
+
+  // ── Classes & modules ──
+  const user = byPath["app/models/user.rb"].classes.find((c) => c.name === "User");
+  check("superclass", user.extends === "ApplicationRecord");
+  check("mixins as implements", user.implements.join() === "Trackable");
+  check("methods include singleton and class << self",
+    user.methods.join() === "active,activate!,stats,audit");
+  check("class macros captured",
+    user.statements.some((s) => s.type === "macro_call" && s.name === "has_many" && s.args[0] === "posts"));
+  const reports = byPath["app/controllers/admin/reports_controller.rb"].classes;
+  check("module listed", reports.some((c) => c.type === "module" && c.name === "Admin"));
+  check("nested fullName", reports.some((c) => c.fullName === "Admin::ReportsController"));
+
+  // ── Functions ──
+  const file = "app/models/user.rb";
+  check("def self.x is static", fnIn(file, "active").kind === "static");
+  check("class << self is static", fnIn(file, "stats").kind === "static");
+  check("instance method", fnIn(file, "activate!").kind === "instance" && fnIn(file, "activate!").type === "method");
+  check("private section", fnIn("app/controllers/users_controller.rb", "load_user").visibility === "private");
+  check("public before private section", fnIn("app/controllers/users_controller.rb", "index").visibility === "public");
+  check("protected def", fnIn(file, "audit").visibility === "protected");
+  check("params with sigils", fnIn(file, "audit").params.join() === "reason,*tags,level,&blk");
+  check("module_function is static", fnIn("lib/reporting/builder.rb", "build").kind === "static");
+
+  // ── Calls ──
+  const index = fnIn("app/controllers/users_controller.rb", "index");
+  check("autoloaded constant resolved", index.calls[0].path === "app/models/user.rb" && index.calls[0].receiver === "User");
+  const notify = fnIn("app/controllers/users_controller.rb", "notify");
+  check("namespaced constant resolved",
+    notify.calls.find((c) => c.name === "deliver").path === "app/services/admin/notifier.rb");
+  const activate = fnIn("app/controllers/users_controller.rb", "activate");
+  check("bare-word call captured", activate.calls.some((c) => c.name === "notify" && c.path === "app/controllers/users_controller.rb"));
+
+  // ── Routes ──
+  const routesFile = byPath["config/routes.rb"];
+  check("routes.rb keeps the full table", routesFile.statements.filter((s) => s.type === "route").length === 5);
+  const showRoute = fnIn("app/controllers/users_controller.rb", "show").statements.find((s) => s.type === "route");
+  check("route attached to action",
+    showRoute && showRoute.path === "/users/:id" && showRoute.scope === "function" && showRoute.handlerLine === 12);
+  check("attached route points at routes file", showRoute.routesFile === "config/routes.rb");
+  check("member route attached", activate.statements.some((s) => s.type === "route" && s.path === "/users/:id/activate"));
+  check("namespaced controller route attached",
+    byPath["app/controllers/admin/reports_controller.rb"].functions[0].statements.some((s) => s.path === "/admin/reports"));
+  check("private methods get no routes",
+    !fnIn("app/controllers/users_controller.rb", "load_user").statements.some((s) => s.type === "route"));
+
+  // ── Call graph ──
+  const graphRecords = records.map((r) => ({ ...r, language: "ruby" }));
+  const graph = createCallGraphIndex();
+  graphRecords.forEach((r) => graph.add(r));
+  graphRecords.forEach((r) => resolveRecordCalls(r, graph));
+  const g = (p, name) => graphRecords.find((r) => r.path === p).functions.find((f) => f.name === name);
+  const deliver = g("app/controllers/users_controller.rb", "notify").calls.find((c) => c.name === "deliver");
+  check("Const::Name receiver linked", deliver.resolvedFunction === "Notifier.deliver" && deliver.resolvedFile === "app/services/admin/notifier.rb");
+  const format = g("app/services/admin/notifier.rb", "deliver").calls.find((c) => c.name === "format");
+  check("implicit self linked", format.resolvedFunction === "Notifier.format" && format.confidence === "high");
+
+  // ── Registry ──
+  check("ruby registered as a built-in", getAnalyzerRegistry().get("ruby").source === "built-in");
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log(`\n✅ All ${passed} assertions passed.`);
@@ -0,0 +1,234 @@
+/**
+ * Tests for the Rust analyzer (rust/file-tree-mapper-rust.js):
+ *   - structs/enums/traits with impl methods, derives and visibility
+ *   - mod/use paths resolved through the Cargo layout and workspace crates
+ *   - Cargo.toml dependencies as externalImports
+ *   - attribute routes attached to handlers, router chains file-level
+ *   - call-graph resolution of Self:: / self. / Type:: calls
+ * Run: node test/rust-analyzer.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { analyzeRustRepo } = require("../rust/file-tree-mapper-rust");
+const { createCallGraphIndex, resolveRecordCalls } = require("../call-graph-resolver");
+const { getAnalyzerRegistry } = require("../analyzer-registry");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rust-analyzer-"));
+const write = (rel, content) => {
+  fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+  fs.writeFileSync(path.join(dir, rel), content);
+};
+
+write("Cargo.toml", `
+[workspace]
+members = ["api", "shared"]
+
+[workspace.dependencies]
+serde = { version = "1", features = ["derive"] }
+`);
+write("api/Cargo.toml", `
+[package]
+name = "api"
+version = "0.1.0"
+
+[dependencies]
+axum = "0.7"
+serde = { workspace = true }
+serde-json = "1" # renamed in code as serde_json
+shared-types = { path = "../shared" }
+
+[dev-dependencies.mockall]
+version = "0.12"
+`);
+write("shared/Cargo.toml", `
+[package]
+name = "shared-types"
+`);
+write("shared/src/lib.rs", `
+pub mod ids;
+`);
+write("shared/src/ids.rs", `
+pub fn new_id() -> u64 { 1 }
+`);
+write("api/src/main.rs", `
+mod handlers;
+mod models;
+
+use axum::{routing::get, Router};
+use shared_types::ids::new_id;
+use std::net::SocketAddr;
+
+fn main() {
+    let app = Router::new()
+        .route("/users", get(handlers::users::list).post(handlers::users::create));
+    let id = new_id();
+}
+`);
+write("api/src/handlers/mod.rs", `
+pub mod users;
+`);
+write("api/src/handlers/users.rs", `
+use super::super::models::user::User;
+use crate::models::Repo;
+use serde_json::json;
+
+pub async fn list() -> String {
+    let users = User::all();
+    json!(users).to_string()
+}
+
+pub async fn create() -> String {
+    let user = User::new("a");
+    helper();
+    String::new()
+}
+
+fn helper() {}
+`);
+write("api/src/models/mod.rs", `
+pub mod user;
+
+pub trait Repo: Send + Sync {
+    fn find(&self, id: u64) -> Option<String>;
+    fn exists(&self, id: u64) -> bool { self.find(id).is_some() }
+}
+`);
+write("api/src/models/user.rs", `
+use serde::Serialize;
+
+#[derive(Debug, Clone, Serialize)]
+pub struct User {
+    pub name: String,
+    id: u64,
+}
+
+pub(crate) enum Role { Admin, Member(u32) }
+
+pub struct Id(u64, String);
+
+impl User {
+    pub fn new(name: &str) -> Self { Self::build(name) }
+    fn build(name: &str) -> Self { User { name: name.into(), id: 0 } }
+    pub fn all() -> Vec<User> { vec![] }
+    pub async fn save(&self) -> bool { self.validate() }
+    fn validate(&self) -> bool { true }
+}
+
+impl super::Repo for User {
+    fn find(&self, id: u64) -> Option<String> { None }
+}
+`);
+write("api/examples/common/mod.rs", `
+pub fn setup() {}
+`);
+write("api/examples/demo.rs", `
+mod common;
+fn main() { common::setup(); }
+`);
+write("web/src/main.rs", `
+use actix_web::{get, web, App};
+
+#[get("/hello/{name}")]
+async fn hello(name: web::Path<String>) -> String { name.into_inner() }
+`);
+write("api/target/debug/build/out.rs", "fn generated() {}\n");
+
+try {
+  const records = analyzeRustRepo(dir, { captureStatements: true });
+  const byPath = Object.fromEntries(records.map((r) => [r.path, r]));
+  const fnIn = (file, name) => byPath[file].functions.find((f) => f.name === name);
+
+  check("target/ ignored", !records.some((r) => r.path.includes("target/")));
+
+  // ── Cargo.toml ──
+  const manifest = byPath["api/Cargo.toml"];
+  check("manifest lists dependencies", manifest.externalImports.join() === "axum,serde,serde-json,mockall");
+  check("path dependency is a local crate", manifest.importFiles.join() === "shared/src/lib.rs");
+  check("workspace dependencies", byPath["Cargo.toml"].externalImports.join() === "serde");
+
+  // ── Imports ──
+  check("mod declarations resolved",
+    byPath["api/src/main.rs"].importFiles.includes("api/src/handlers/mod.rs")
+    && byPath["api/src/main.rs"].importFiles.includes("api/src/models/mod.rs"));
+  check("workspace crate resolved", byPath["api/src/main.rs"].importFiles.includes("shared/src/ids.rs"));
+  check("std and crates external", byPath["api/src/main.rs"].externalImports.join() === "axum,std");
+  const users = byPath["api/src/handlers/users.rs"];
+  check("super::super path", users.importFiles.includes("api/src/models/user.rs"));
+  check("crate:: item in mod.rs", users.importFiles.includes("api/src/models/mod.rs"));
+  check("crate ident mapped to dependency name", users.externalImports.join() === "serde-json");
+  check("examples/ crate root", byPath["api/examples/demo.rs"].importFiles.join() === "api/examples/common/mod.rs");
+
+  // ── Classes ──
+  const userFile = "api/src/models/user.rs";
+  const user = byPath[userFile].classes.find((c) => c.name === "User");
+  check("struct", user.type === "struct" && user.visibility === "public" && !user.isAbstract);
+  check("impl methods folded in", user.methods.join() === "new,build,all,save,validate,find");
+  check("derives and trait impls", user.implements.join() === "Debug,Clone,Serialize,Repo");
+  check("struct fields", user.constructorParams.join() === "name,id");
+  check("field statements", user.statements.filter((s) => s.type === "field_declaration").length === 2);
+  const role = byPath[userFile].classes.find((c) => c.name === "Role");
+  check("enum variants", role.type === "enum" && role.variants.join() === "Admin,Member" && role.visibility === "internal");
+  check("tuple struct fields", byPath[userFile].classes.find((c) => c.name === "Id").constructorParams.join() === "0,1");
+  const repo = byPath["api/src/models/mod.rs"].classes[0];
+  check("trait", repo.type === "trait" && repo.isAbstract && repo.methods.join() === "find,exists");
+  check("supertraits", repo.implements.join() === "Send,Sync");
+
+  // ── Functions ──
+  check("associated fn is static", fnIn(userFile, "new").kind === "static" && fnIn(userFile, "new").receiver === "User");
+  check("self method is instance", fnIn(userFile, "save").kind === "instance" && fnIn(userFile, "save").isAsync);
+  check("private by default", fnIn(userFile, "build").visibility === "private");
+  check("trait impl method", fnIn(userFile, "find").trait === "Repo" && fnIn(userFile, "find").visibility === "public");
+  check("free function", fnIn("api/src/handlers/users.rs", "helper").kind === "function" && fnIn("api/src/handlers/users.rs", "helper").receiver === null);
+  check("params and return type", fnIn(userFile, "save").params.join() === "self" && fnIn(userFile, "save").returnType === "bool");
+
+  // ── Calls ──
+  const list = fnIn("api/src/handlers/users.rs", "list");
+  const all = list.calls.find((c) => c.name === "all");
+  check("use-imported type resolved", all.receiver === "User" && all.path === userFile);
+  check("Self:: resolved locally", fnIn(userFile, "new").calls[0].path === userFile);
+  check("use-imported fn resolved", fnIn("api/src/main.rs", "main").calls.find((c) => c.name === "new_id").path === "shared/src/ids.rs");
+
+  // ── Routes ──
+  const hello = fnIn("web/src/main.rs", "hello").statements.find((s) => s.type === "route");
+  check("attribute route attached", hello && hello.path === "/hello/{name}" && hello.framework === "actix" && hello.scope === "function");
+  const routes = byPath["api/src/main.rs"].statements.filter((s) => s.type === "route");
+  check("router routes file-level", routes.length === 2 && routes.every((r) => r.framework === "axum"));
+
+  // ── Call graph ──
+  const graphRecords = records.map((r) => ({ ...r, language: "rust" }));
+  const graph = createCallGraphIndex();
+  graphRecords.forEach((r) => graph.add(r));
+  graphRecords.forEach((r) => resolveRecordCalls(r, graph));
+  const g = (p, name) => graphRecords.find((r) => r.path === p).functions.find((f) => f.name === name);
+  const build = g(userFile, "new").calls.find((c) => c.name === "build");
+  check("Self:: linked", build.resolvedFunction === "User.build" && build.confidence === "high");
+  const validate = g(userFile, "save").calls.find((c) => c.name === "validate");
+  check("self. linked", validate.resolvedFunction === "User.validate" && validate.resolvedFile === userFile);
+  const allCall = g("api/src/handlers/users.rs", "list").calls.find((c) => c.name === "all");
+  check("Type:: linked across files", allCall.resolvedFunction === "User.all" && allCall.resolvedFile === userFile);
+  const setup = g("api/examples/demo.rs", "main").calls.find((c) => c.name === "setup");
+  check("module path linked", setup.resolvedFile === "api/examples/common/mod.rs" && setup.resolvedFunction === "setup");
+
+  // ── Filtered runs still resolve into unparsed files ──
+  const streamed = [];
+  analyzeRustRepo(dir, {
+    fileFilter: (f) => f.endsWith("users.rs") && f.includes("handlers"),
+    onResult: (r) => streamed.push(r),
+  });
+  check("fileFilter + onResult", streamed.length === 1 && streamed[0].importFiles.includes(userFile));
+
+  // ── Registry ──
+  check("rust registered as a built-in", getAnalyzerRegistry().get("rust").source === "built-in");
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log(`\n✅ All ${passed} assertions passed.`);
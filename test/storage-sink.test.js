@@ -0,0 +1,168 @@
+/**
+ * Tests for the storage sinks (storage-sink.js, s3-upload.js):
+ *   - local: gzip file under the storage dir, atomic rename, abort, key escapes
+ *   - stdout: gzip NDJSON on its own descriptor, uploads one after another, abort
+ *   - storageLocation per sink
+ *   - http: gzip PUT with key substitution and extra headers
+ *   - S3 client options for custom endpoints (MinIO) and the default credential chain
+ * Run: node test/storage-sink.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { pathToFileURL } = require("url");
+const { createUploadStream, storageLocation } = require("../storage-sink");
+const { s3ClientConfig } = require("../s3-upload");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-sink-"));
+const lines = [{ path: "a.ts" }, { path: "b.ts" }].map((r) => JSON.stringify(r) + "\n");
+
+(async () => {
+  try {
+    // ── local ──
+    const local = { sink: "local", localDir: dir };
+    const key = "code-ontology/p1/abc.ndjson.gz";
+    const upload = createUploadStream(key, local);
+    lines.forEach((l) => upload.passThrough.write(l));
+    check("partial file while streaming", !fs.existsSync(path.join(dir, key)));
+    upload.passThrough.end();
+    await upload.uploadPromise;
+    const written = zlib.gunzipSync(fs.readFileSync(path.join(dir, key))).toString();
+    check("local sink writes gzip NDJSON", written === lines.join(""));
+    check("location is the file", upload.location === path.join(dir, key));
+    check("no partial file left", !fs.existsSync(path.join(dir, `${key}.partial`)));
+
+    const aborted = createUploadStream("code-ontology/p1/cancelled.ndjson.gz", local);
+    aborted.passThrough.write(lines[0]);
+    await aborted.abort();
+    check("abort leaves nothing behind", fs.readdirSync(path.join(dir, "code-ontology/p1")).join() === "abc.ndjson.gz");
+    check("keys can't escape the storage dir", (() => {
+      try { createUploadStream("../outside.ndjson.gz", local); return false; } catch (_) { return true; }
+    })());
+    check("local dir required", (() => {
+      try { createUploadStream(key, { sink: "local" }); return false; } catch (err) { return /STORAGE_LOCAL_DIR/.test(err.message); }
+    })());
+
+    // ── stdout ──
+    const outPath = path.join(dir, "fd-output.ndjson.gz");
+    const fd = fs.openSync(outPath, "w");
+    const stdoutSink = { sink: "stdout", stdoutFd: fd };
+    const stdoutWrite = process.stdout.write;
+    let loggedToStdout = false;
+    process.stdout.write = (chunk, ...rest) => {
+      if (/a\.ts/.test(String(chunk))) loggedToStdout = true;
+      return stdoutWrite.call(process.stdout, chunk, ...rest);
+    };
+    try {
+      const first = createUploadStream("one.ndjson.gz", stdoutSink);
+      const second = createUploadStream("two.ndjson.gz", stdoutSink);
+      let counted = 0;
+      second.passThrough.on("data", (chunk) => (counted += chunk.length)); // as server.js openUpload does
+      second.passThrough.write('{"path":"second.ts"}\n');
+      lines.forEach((l) => first.passThrough.write(l));
+      first.passThrough.end();
+      second.passThrough.end();
+      await Promise.all([first.uploadPromise, second.uploadPromise]);
+
+      const cancelled = createUploadStream("three.ndjson.gz", stdoutSink);
+      cancelled.passThrough.write(lines[0]);
+      await new Promise((resolve) => setImmediate(resolve));
+      await cancelled.abort();
+      const last = createUploadStream("four.ndjson.gz", stdoutSink);
+      last.passThrough.end(lines[1]);
+      await last.uploadPromise;
+
+      const fromFd = zlib.gunzipSync(fs.readFileSync(outPath)).toString();
+      check("stdout sink writes gzip NDJSON to its descriptor", fromFd.startsWith(lines.join("")));
+      check("concurrent uploads written one after another", fromFd.startsWith(lines.join("") + '{"path":"second.ts"}\n'));
+      check("lines seen by a data listener still written", counted === '{"path":"second.ts"}\n'.length);
+      check("aborted upload leaves the stream readable", fromFd.endsWith(lines[0] + lines[1]));
+      check("nothing written to stdout", !loggedToStdout);
+      check("location names the descriptor", first.location === `fd ${fd} (one.ndjson.gz)`);
+    } finally {
+      process.stdout.write = stdoutWrite;
+      fs.closeSync(fd);
+    }
+    check("closed descriptor rejected", (() => {
+      try { createUploadStream(key, stdoutSink); return false; } catch (err) { return /STORAGE_STDOUT_FD/.test(err.message); }
+    })());
+
+    // ── storageLocation ──
+    check("s3 location", JSON.stringify(storageLocation(key, { sink: "s3", s3: { bucket: "b" } }))
+      === JSON.stringify({ sink: "s3", key, uri: `s3://b/${key}` }));
+    check("local location is a file URL", storageLocation(key, local).uri === pathToFileURL(path.join(dir, key)).href);
+    check("http location without credentials or query",
+      storageLocation(key, { sink: "http", httpUrl: "https://u:p@store.io/o/{key}?sig=s" }).uri === `https://store.io/o/${key}`);
+    check("stdout location has no uri", storageLocation(key, stdoutSink).uri === null);
+
+    // ── http ──
+    const received = [];
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", (c) => chunks.push(c));
+      req.on("end", () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+        res.statusCode = req.url.includes("fail") ? 403 : 200;
+        res.end(req.url.includes("fail") ? "denied" : "");
+      });
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const put = createUploadStream(key, {
+        sink: "http",
+        httpUrl: `${base}/upload/{key}?sig=secret`,
+        httpHeaders: JSON.stringify({ Authorization: "Bearer t" }),
+      });
+      lines.forEach((l) => put.passThrough.write(l));
+      put.passThrough.end();
+      await put.uploadPromise;
+      const req = received[0];
+      check("http sink PUTs to the key", req.method === "PUT" && req.url === "/upload/code-ontology/p1/abc.ndjson.gz?sig=secret");
+      check("http body is gzip NDJSON", zlib.gunzipSync(req.body).toString() === lines.join(""));
+      check("extra headers sent", req.headers.authorization === "Bearer t" && req.headers["content-encoding"] === "gzip");
+      check("query string kept out of location", !put.location.includes("secret"));
+
+      const appended = createUploadStream("k.ndjson.gz", { sink: "http", httpUrl: `${base}/bucket/` });
+      appended.passThrough.end();
+      await appended.uploadPromise;
+      check("key appended without {key}", received[1].url === "/bucket/k.ndjson.gz");
+
+      const failing = createUploadStream("fail.ndjson.gz", { sink: "http", httpUrl: base });
+      failing.passThrough.end();
+      await assert.rejects(failing.uploadPromise, /HTTP PUT 403: denied/);
+      passed++;
+    } finally {
+      server.close();
+    }
+
+    // ── s3 ──
+    const minio = s3ClientConfig({ region: "us-east-1", endpoint: "http://minio:9000", forcePathStyle: true, accessKeyId: "k", secretAccessKey: "s" });
+    check("custom endpoint + path style", minio.endpoint === "http://minio:9000" && minio.forcePathStyle === true
+      && minio.credentials.accessKeyId === "k");
+    const chain = s3ClientConfig({ region: "eu-west-1" });
+    check("no static keys -> default credential chain", !chain.credentials && !chain.endpoint && !chain.forcePathStyle);
+    check("s3 needs a bucket", (() => {
+      try { createUploadStream(key, { sink: "s3", s3: { region: "us-east-1" } }); return false; } catch (err) { return /AWS_S3_BUCKET/.test(err.message); }
+    })());
+    check("unknown sink", (() => {
+      try { createUploadStream(key, { sink: "ftp" }); return false; } catch (err) { return /Unknown STORAGE_SINK/.test(err.message); }
+    })());
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests for the Terraform analyzer (terraform/):
+ *   - HCL blocks, attributes, heredocs, comments and string masking
+ *   - resources, data sources, modules, variables, outputs, providers and
+ *     the terraform block
+ *   - references linked across the files of a module directory
+ *   - infra dependencies (buckets, queues, databases) with DB_METHOD_MAP ids
+ *   - the analyzer contract (fileFilter, onResult) and registry entry
+ * Run: node test/terraform.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { parseHcl, literalValue } = require("../terraform/parse-hcl");
+const { extractTerraform, moduleSourceType } = require("../terraform/extract-terraform");
+const { analyzeTerraformRepo } = require("../terraform/file-tree-mapper-terraform");
+const { createAnalyzerRegistry, registerBuiltins } = require("../analyzer-registry");
+const { DB_METHOD_MAP } = require("../utils");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const files = {
+  "infra/main.tf": `terraform {
+  required_version = ">= 1.5"
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 5.0"
+    }
+  }
+  backend "s3" {
+    bucket = "acme-tf-state"
+    key    = "prod/terraform.tfstate"
+  }
+}
+
+provider "aws" {
+  region = "eu-west-1"
+}
+
+provider "aws" {
+  alias  = "us"
+  region = "us-east-1"
+}
+
+# aws_s3_bucket.commented should not be a reference
+resource "aws_iam_role" "lambda" {
+  name               = "\${var.env}-lambda"
+  assume_role_policy = <<EOF
+{ "Statement": [{ "Principal": { "Service": "lambda.amazonaws.com" } }] }
+EOF
+}
+
+resource "aws_lambda_function" "worker" {
+  function_name = "worker"
+  role          = aws_iam_role.lambda.arn
+  runtime       = "nodejs20.x"
+  memory_size   = 512
+  description   = "reads aws_sqs_queue.fake from a string"
+
+  environment {
+    variables = {
+      QUEUE_URL = aws_sqs_queue.jobs.url
+      TABLE     = module.data.table_name
+    }
+  }
+
+  depends_on = [aws_iam_role.lambda]
+}
+
+module "data" {
+  source = "./modules/data"
+  env    = var.env
+}
+
+module "vpc" {
+  source  = "terraform-aws-modules/vpc/aws"
+  version = "5.1.0"
+}
+`,
+  "infra/queues.tf": `resource "aws_sqs_queue" "jobs" {
+  name = "\${var.env}-jobs"
+}
+
+resource "aws_db_instance" "orders" {
+  identifier = "orders"
+  engine     = "postgres"
+  password   = var.db_password
+}
+
+resource "aws_elasticache_cluster" "sessions" {
+  cluster_id = "sessions"
+  engine     = "memcached"
+}
+
+data "aws_s3_bucket" "uploads" {
+  bucket = "acme-uploads"
+}
+`,
+  "infra/variables.tf": `variable "env" {
+  type        = string
+  default     = "prod"
+  description = "Deployment environment"
+}
+
+variable "db_password" {
+  type      = string
+  default   = "hunter2"
+  sensitive = true
+}
+
+locals {
+  tags = { team = "platform" }
+}
+
+output "queue_url" {
+  value       = aws_sqs_queue.jobs.url
+  description = "Jobs queue"
+}
+`,
+  "infra/modules/data/main.tf": `resource "aws_dynamodb_table" "orders" {
+  name     = "orders"
+  hash_key = "id"
+}
+
+output "table_name" {
+  value = aws_dynamodb_table.orders.name
+}
+`,
+  "infra/.terraform/modules/vpc/main.tf": `resource "aws_vpc" "this" {}\n`,
+};
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "terraform-test-"));
+for (const [rel, content] of Object.entries(files)) {
+  fs.mkdirSync(path.dirname(path.join(tmp, rel)), { recursive: true });
+  fs.writeFileSync(path.join(tmp, rel), content);
+}
+
+(async () => {
+  try {
+    // -------------------------------------------------------------
+    // HCL parsing
+    // -------------------------------------------------------------
+    const hcl = parseHcl('a = "x # not a comment" # comment\nb = [1,\n  2]\nblock "l1" l2 {\n  c = { d = "}" }\n}\n');
+    check("comment markers inside strings kept", hcl.attributes[0].expr === '"x # not a comment"');
+    check("values span brackets across lines", hcl.attributes[1].expr === "[1,\n  2]");
+    check("block labels, quoted and bare", hcl.blocks[0].type === "block" && hcl.blocks[0].labels.join() === "l1,l2");
+    check("braces inside strings don't close blocks", hcl.blocks[0].body.attributes[0].expr === '{ d = "}" }' && hcl.blocks[0].endLine === 6);
+    check("literal values", literalValue('"a\\"b"') === 'a"b' && literalValue("3") === 3 && literalValue("true") === true &&
+      literalValue("null") === null && literalValue('"${var.x}"') === undefined && literalValue("var.x") === undefined);
+
+    // -------------------------------------------------------------
+    // Entities
+    // -------------------------------------------------------------
+    const main = extractTerraform(files["infra/main.tf"], { captureSourceCode: true });
+    const lambda = main.resources.find((r) => r.address === "aws_lambda_function.worker");
+    check("resources", main.resources.length === 2 && lambda.type === "aws_lambda_function" && lambda.name === "worker" && lambda.provider === "aws");
+    check("literal attributes", lambda.attributes.function_name === "worker" && lambda.attributes.memory_size === 512 && lambda.attributes.role === undefined);
+    check("references from attributes and nested blocks", ["aws_iam_role.lambda", "aws_sqs_queue.jobs", "module.data"].every((r) => lambda.references.includes(r)));
+    check("no references from strings or comments", !lambda.references.includes("aws_sqs_queue.fake") &&
+      !main.resources[0].references.some((r) => r.includes("commented")));
+    check("interpolations are references", main.resources[0].references.join() === "var.env");
+    check("depends_on", lambda.dependsOn.join() === "aws_iam_role.lambda");
+    check("block lines and source", lambda.startLine === 32 && lambda.endLine === 47 && lambda.sourceCode.startsWith('resource "aws_lambda_function"'));
+
+    const [data, vpc] = main.modules;
+    check("local module", data.address === "module.data" && data.sourceType === "local" && data.inputs.join() === "env" && data.references.join() === "var.env");
+    check("registry module", vpc.source === "terraform-aws-modules/vpc/aws" && vpc.version === "5.1.0" && vpc.sourceType === "registry");
+    check("module source types", moduleSourceType("git::https://example.com/x.git") === "git" &&
+      moduleSourceType("github.com/acme/mod") === "git" && moduleSourceType("https://example.com/m.zip") === "archive");
+    check("providers", main.providers.length === 2 && main.providers[0].region === "eu-west-1" && main.providers[1].alias === "us");
+    check("required providers", main.requiredProviders[0].name === "aws" && main.requiredProviders[0].source === "hashicorp/aws" &&
+      main.requiredProviders[0].version === "~> 5.0" && main.requiredVersion === ">= 1.5");
+    check("backend", main.backend.type === "s3" && main.backend.bucket === "acme-tf-state");
+
+    const vars = extractTerraform(files["infra/variables.tf"]);
+    check("variables", vars.variables[0].name === "env" && vars.variables[0].default === "prod" && vars.variables[0].type === "string" &&
+      vars.variables[0].description === "Deployment environment");
+    check("sensitive defaults omitted", vars.variables[1].sensitive && !("default" in vars.variables[1]) &&
+      !JSON.stringify(vars).includes("hunter2"));
+    check("outputs and locals", vars.outputs[0].value === "aws_sqs_queue.jobs.url" && vars.outputs[0].references.join() === "aws_sqs_queue.jobs" &&
+      vars.locals.join() === "tags");
+
+    // -------------------------------------------------------------
+    // Infra dependencies
+    // -------------------------------------------------------------
+    const queues = extractTerraform(files["infra/queues.tf"]);
+    const dep = (address) => queues.infraDependencies.find((d) => d.address === address);
+    check("queue with expression name", dep("aws_sqs_queue.jobs").category === "queue" && dep("aws_sqs_queue.jobs").name === "${var.env}-jobs");
+    check("database mapped to DB_METHOD_MAP id", dep("aws_db_instance.orders").db === "sql" && dep("aws_db_instance.orders").engine === "postgres" &&
+      dep("aws_db_instance.orders").name === "orders" && DB_METHOD_MAP.sql);
+    check("credentials never kept", queues.resources[1].attributes.password === undefined && queues.resources[1].attributes.engine === "postgres");
+    check("memcached is a cache, not redis", dep("aws_elasticache_cluster.sessions").category === "cache" && !dep("aws_elasticache_cluster.sessions").db);
+    check("data sources are existing infra", dep("data.aws_s3_bucket.uploads").existing && dep("data.aws_s3_bucket.uploads").name === "acme-uploads" &&
+      queues.dataSources[0].address === "data.aws_s3_bucket.uploads");
+    check("non-infra resources skipped", !main.infraDependencies.length);
+
+    // -------------------------------------------------------------
+    // Analyzer
+    // -------------------------------------------------------------
+    const records = await analyzeTerraformRepo(tmp);
+    const record = (p) => records.find((r) => r.path === p.split("/").join(path.sep));
+    check(".terraform ignored", records.length === 4 && !records.some((r) => r.path.includes(".terraform")));
+    const worker = record("infra/main.tf").resources.find((r) => r.name === "worker");
+    check("references linked across files", worker.references.find((r) => r.address === "aws_sqs_queue.jobs").path === path.join("infra", "queues.tf") &&
+      worker.references.find((r) => r.address === "aws_iam_role.lambda").kind === "resource");
+    check("variables linked to their file", record("infra/main.tf").modules[0].references[0].path === path.join("infra", "variables.tf"));
+    check("module scopes don't leak", record("infra/modules/data/main.tf").outputs[0].references[0].path === path.join("infra", "modules", "data", "main.tf") &&
+      !worker.references.some((r) => r.address === "aws_dynamodb_table.orders"));
+    check("local modules are imports", record("infra/main.tf").importFiles.join() === path.join("infra", "modules", "data", "main.tf"));
+    check("registry modules and providers are external", record("infra/main.tf").externalImports.join() === "terraform-aws-modules/vpc/aws,hashicorp/aws");
+    check("dynamodb table in the module", record("infra/modules/data/main.tf").infraDependencies[0].db === "dynamodb");
+
+    const streamed = [];
+    await analyzeTerraformRepo(tmp, {
+      fileFilter: (f) => f.endsWith("main.tf") && !f.includes("modules"),
+      onResult: (r) => streamed.push(r),
+    });
+    check("fileFilter keeps cross-file links", streamed.length === 1 &&
+      streamed[0].resources.find((r) => r.name === "worker").references.some((r) => r.address === "aws_sqs_queue.jobs"));
+    const registry = createAnalyzerRegistry();
+    registerBuiltins(registry);
+    check("registered", registry.get("terraform").analyzer === analyzeTerraformRepo && registry.get("terraform").ignoreKey === "terraform");
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
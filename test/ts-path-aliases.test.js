@@ -0,0 +1,106 @@
+/**
+ * Tests for per-file tsconfig path alias resolution (typescript/resolve-path-aliases.js):
+ *   - nearest tsconfig per file, solution-style configs handing files to their references
+ *   - `extends` chains, including package-based extends from node_modules
+ *   - every `paths` target tried in order, exact/longest-prefix pattern matching
+ *   - a reason for every import left in externalImports
+ * Run: node test/ts-path-aliases.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createPathAliasResolver } = require("../typescript/resolve-path-aliases");
+const { analyzeTypeScriptRepo } = require("../typescript/file-tree-mapper-typescript");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ts-aliases-"));
+const write = (rel, content) => {
+  fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+  fs.writeFileSync(path.join(dir, rel), typeof content === "string" ? content : JSON.stringify(content, null, 2));
+};
+
+// Nx-style workspace: root solution config, shared base, per-app configs
+write("tsconfig.json", { files: [], references: [{ path: "./apps/web" }, { path: "./apps/api" }] });
+write("tsconfig.base.json", `{
+  // comments are allowed in tsconfig files
+  "compilerOptions": {
+    "baseUrl": ".",
+    "paths": {
+      "@app/ui": ["libs/ui/src/index.ts"],
+      "@app/ui/*": ["libs/ui/src/*"],
+      "@app/*": ["libs/*/src", "packages/*/src"],
+      "@missing/*": ["nowhere/*"]
+    }
+  }
+}`);
+write("apps/web/tsconfig.json", { extends: "../../tsconfig.base.json", files: [], references: [{ path: "./tsconfig.app.json" }] });
+write("apps/web/tsconfig.app.json", { extends: "../../tsconfig.base.json", compilerOptions: { strict: true }, include: ["src/**/*.ts"] });
+write("apps/api/tsconfig.json", { extends: "@acme/tsconfig", include: ["src"] });
+write("node_modules/@acme/tsconfig/package.json", { name: "@acme/tsconfig", version: "1.0.0" });
+write("node_modules/@acme/tsconfig/tsconfig.json", { compilerOptions: { paths: { "@env": ["../../../config/env.ts"] } } });
+
+write("libs/ui/src/index.ts", "export const ui = 1;\n");
+write("libs/ui/src/button.ts", "export const button = 1;\n");
+write("libs/data/src/index.ts", "export const data = 1;\n");
+write("packages/utils/src/index.ts", "export const utils = 1;\n");
+write("config/env.ts", "export const env = {};\n");
+write("apps/web/src/helper.ts", "export const helper = 1;\n");
+write("apps/web/src/main.ts", `
+import { ui } from "@app/ui";
+import { button } from "@app/ui/button";
+import { data } from "@app/data";
+import { utils } from "@app/utils";
+import { gone } from "@missing/thing";
+import { helper } from "./helper.js";
+import { nope } from "./nope";
+import React from "react";
+import { readFileSync } from "node:fs";
+`);
+write("apps/api/src/server.ts", `
+import { env } from "@env";
+import { ui } from "@app/ui";
+`);
+
+try {
+  // ── Config selection ──
+  const resolver = createPathAliasResolver(dir);
+  const webConfig = resolver.configForFile(path.join(dir, "apps/web/src/main.ts"));
+  check("solution config hands file to referenced project", webConfig.path.endsWith(path.join("apps", "web", "tsconfig.app.json")));
+  check("nearest config per package", resolver.configForFile(path.join(dir, "apps/api/src/server.ts")).path.endsWith(path.join("apps", "api", "tsconfig.json")));
+  check("root config for files outside apps", resolver.configForFile(path.join(dir, "libs/ui/src/index.ts")).path === path.join(dir, "tsconfig.json"));
+
+  // ── Analyzer output ──
+  const records = analyzeTypeScriptRepo(dir);
+  const byPath = Object.fromEntries(records.map((r) => [r.path, r]));
+  const main = byPath["apps/web/src/main.ts"];
+  const reason = (rec, source) => rec.unresolvedImports.find((u) => u.source === source);
+
+  check("exact pattern", main.importFiles.includes("libs/ui/src/index.ts"));
+  check("longest prefix wins", main.importFiles.includes("libs/ui/src/button.ts"));
+  check("first target (directory index)", main.importFiles.includes("libs/data/src/index.ts"));
+  check("falls through to second target", main.importFiles.includes("packages/utils/src/index.ts"));
+  check("emitted .js extension maps to .ts", main.importFiles.includes("apps/web/src/helper.ts"));
+  check("externals kept", main.externalImports.join() === "@missing/thing,./nope,react,node:fs");
+
+  const missing = reason(main, "@missing/thing");
+  check("alias miss reason", missing.reason === "alias-target-missing" && missing.alias === "@missing/*"
+    && missing.tsconfig === path.join("apps", "web", "tsconfig.app.json"));
+  check("relative miss reason", reason(main, "./nope").reason === "file-not-found");
+  check("package reason", reason(main, "react").reason === "package");
+  check("builtin reason", reason(main, "node:fs").reason === "builtin");
+  check("one reason per external", main.unresolvedImports.length === main.externalImports.length);
+
+  const server = byPath["apps/api/src/server.ts"];
+  check("package-based extends, paths relative to declaring config", server.importFiles.join() === "config/env.ts");
+  check("aliases are per project", reason(server, "@app/ui").reason === "package");
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log(`\n✅ All ${passed} assertions passed.`);
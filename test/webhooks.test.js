@@ -0,0 +1,145 @@
+/**
+ * Tests for the push webhooks (webhooks.js):
+ *   - GitHub / Bitbucket HMAC signatures and the GitLab token, per-project secrets
+ *   - push payloads mapped to projects and branches through the project table
+ *   - new branches (no before SHA), deleted branches, tags and non-push events
+ * Run: node test/webhooks.test.js
+ */
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { createWebhookHandler, loadWebhookProjects } = require("../webhooks");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+const projectsFile = path.join(dir, "webhook-projects.json");
+fs.writeFileSync(projectsFile, JSON.stringify({
+  projects: [
+    { repoUrl: "https://github.com/acme/api", projectUuid: "p-api", codeOntologyId: "o-api", gitTokenEnv: "ACME_TOKEN" },
+    { repoUrl: "https://github.com/acme/api.git", projectUuid: "p-api-dev", codeOntologyId: "o-dev", branches: ["develop"] },
+    { repoUrl: "https://bitbucket.org/acme/web", projectUuid: "p-web", codeOntologyId: "o-web", branches: ["main", "release"] },
+    { repoUrl: "https://gitlab.com/acme/platform/svc", projectUuid: "p-svc", codeOntologyId: "o-svc", webhookSecretEnv: "SVC_HOOK_SECRET" },
+  ],
+}));
+
+const env = { ACME_TOKEN: "ghp_token", SVC_HOOK_SECRET: "svc-secret" };
+const queued = [];
+const repoKey = (url) => url.toLowerCase().replace(/^https?:\/\//, "").replace(/\.git$/, "");
+
+const app = express();
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
+const secrets = { github: "gh-secret", bitbucket: "bb-secret", gitlab: undefined };
+for (const provider of Object.keys(secrets)) {
+  app.post(`/webhooks/${provider}`, createWebhookHandler(provider, {
+    secret: secrets[provider],
+    loadProjects: () => loadWebhookProjects(projectsFile),
+    repoKey,
+    enqueue: (params) => { queued.push(params); return { id: `job-${queued.length}` }; },
+    env,
+  }));
+}
+
+const sign = (secret, body) => `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+const ZERO = "0".repeat(40);
+
+const server = app.listen(0, async () => {
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = async (provider, payload, headers) => {
+    const body = JSON.stringify(payload);
+    const res = await fetch(`${base}/webhooks/${provider}`, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...headers(body) },
+      body,
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    // ── GitHub ──
+    const ghPush = (ref, before, after) => ({
+      ref, before, after,
+      repository: { html_url: "https://github.com/acme/api", default_branch: "main" },
+    });
+    const gh = (payload, event = "push", secret = "gh-secret") => post("github", payload, (body) => ({
+      "x-github-event": event,
+      "x-hub-signature-256": sign(secret, body),
+    }));
+
+    let r = await gh(ghPush("refs/heads/main", "a1", "b2"));
+    check("github push queued", r.status === 202 && r.body.jobs.length === 1 && r.body.jobs[0].projectUuid === "p-api");
+    check("diff params", queued[0].currentCommitId === "a1" && queued[0].incomingCommitId === "b2"
+      && queued[0].gitBranch === "main" && queued[0].codeOntologyId === "o-api" && queued[0].repoUrl === "https://github.com/acme/api");
+    check("git token from env", queued[0].gitToken === "ghp_token" && queued[0].llmPlatform === "AWSBEDROCK");
+
+    r = await gh(ghPush("refs/heads/develop", ZERO, "c3"));
+    check("branches filter picks the project", r.body.jobs.length === 1 && r.body.jobs[0].projectUuid === "p-api-dev");
+    check("new branch analyzes from scratch", queued[1].currentCommitId === null);
+
+    r = await gh(ghPush("refs/heads/feature/x", "a1", "b2"));
+    check("untracked branch ignored", r.status === 200 && r.body.ignored);
+    r = await gh(ghPush("refs/tags/v1.0", ZERO, "b2"));
+    check("tag push ignored", r.status === 200 && r.body.ignored);
+    r = await gh({ ...ghPush("refs/heads/main", "a1", ZERO), deleted: true });
+    check("branch deletion ignored", r.status === 200 && r.body.ignored);
+    r = await gh({ zen: "hi", repository: { html_url: "https://github.com/acme/api" } }, "ping");
+    check("ping acknowledged", r.status === 200 && /not a push/.test(r.body.reason));
+    r = await gh(ghPush("refs/heads/main", "a1", "b2"), "push", "wrong");
+    check("bad signature rejected", r.status === 401);
+    r = await post("github", ghPush("refs/heads/main", "a1", "b2"), () => ({ "x-github-event": "push" }));
+    check("missing signature rejected", r.status === 401);
+    const other = { ...ghPush("refs/heads/main", "a1", "b2"), repository: { html_url: "https://github.com/acme/other" } };
+    r = await gh(other);
+    check("unmapped repo ignored", r.status === 200 && /not mapped/.test(r.body.reason));
+
+    // ── Bitbucket ──
+    const countBefore = queued.length;
+    const bbPayload = {
+      repository: { links: { html: { href: "https://bitbucket.org/acme/web" } }, mainbranch: { name: "main" } },
+      push: { changes: [
+        { old: { type: "branch", name: "main", target: { hash: "m1" } }, new: { type: "branch", name: "main", target: { hash: "m2" } } },
+        { old: null, new: { type: "branch", name: "release", target: { hash: "r1" } } },
+        { old: { type: "branch", name: "main", target: { hash: "x" } }, new: null },
+        { old: null, new: { type: "tag", name: "v2", target: { hash: "t1" } } },
+      ] },
+    };
+    r = await post("bitbucket", bbPayload, (body) => ({ "x-event-key": "repo:push", "x-hub-signature": sign("bb-secret", body) }));
+    check("bitbucket changes queued per branch", r.status === 202 && r.body.jobs.map((j) => j.branch).join() === "main,release");
+    check("bitbucket shas", queued[countBefore].currentCommitId === "m1" && queued[countBefore].incomingCommitId === "m2"
+      && queued[countBefore + 1].currentCommitId === null);
+
+    // ── GitLab ──
+    const glPayload = {
+      ref: "refs/heads/main", before: "g1", after: "g2",
+      project: { web_url: "https://gitlab.com/acme/platform/svc", default_branch: "main" },
+    };
+    r = await post("gitlab", glPayload, () => ({ "x-gitlab-event": "Push Hook", "x-gitlab-token": "svc-secret" }));
+    check("gitlab per-project secret", r.status === 202 && r.body.jobs[0].projectUuid === "p-svc" && r.body.jobs[0].incomingCommitId === "g2");
+    r = await post("gitlab", glPayload, () => ({ "x-gitlab-event": "Push Hook", "x-gitlab-token": "nope" }));
+    check("gitlab wrong token", r.status === 401);
+    r = await post("gitlab", { ...glPayload, project: { web_url: "https://gitlab.com/acme/unknown" } },
+      () => ({ "x-gitlab-event": "Push Hook", "x-gitlab-token": "svc-secret" }));
+    check("no secret configured for repo", r.status === 401 && /No webhook secret/.test(r.body.error));
+
+    // ── Project table ──
+    fs.writeFileSync(projectsFile, JSON.stringify([{ repoUrl: "https://github.com/acme/api" }]));
+    r = await gh(ghPush("refs/heads/main", "a1", "b2"));
+    check("invalid project table", r.status === 500);
+    check("missing table means no projects", loadWebhookProjects(path.join(dir, "missing.json")).length === 0);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+}).on("error", (err) => {
+  console.error(err);
+  process.exit(1);
+});
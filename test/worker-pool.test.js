@@ -0,0 +1,212 @@
+/**
+ * Tests for the analyzer worker pool (worker-pool.js):
+ *   - a pooled run emits the same records, in the same order, as an
+ *     in-process run of the same analyzer
+ *   - `only` restricts which files are parsed
+ *   - `serve` hands files back to the caller in sequence
+ *   - results finishing out of order are re-emitted in sequence, with
+ *     records emitted outside the per-file loop forwarded once at the end
+ *   - `only` and `serve` together, file errors forwarded
+ *   - a worker that throws or exits rejects the run
+ *   - a promise returned by onResult holds the workers (backpressure)
+ *   - aborting the signal stops the run
+ * Run: node test/worker-pool.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runAnalyzerInPool } = require("../worker-pool");
+const { analyzeJavaScriptRepo } = require("../nodejs/file-tree-mapper-nodejs");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+const repo = fs.mkdtempSync(path.join(os.tmpdir(), "worker-pool-"));
+for (let i = 0; i < 7; i++) {
+  const next = i < 6 ? `const next = require("./f${i + 1}");\n` : "";
+  fs.writeFileSync(
+    path.join(repo, `f${i}.js`),
+    `${next}/**\n * @param {number} x\n */\nfunction f${i}(x) {\n  if (x) return ${i};\n  return x;\n}\nmodule.exports = { f${i} };\n`,
+  );
+}
+
+// Analyzer with controllable timing and failures: every file holds
+// `{ "delay": ms, "waitFor": file, "fail": "throw"|"exit"|"parse" }`. Each worker appends the
+// files it finished to finished.log, so the completion order can be checked.
+const stubRepo = fs.mkdtempSync(path.join(os.tmpdir(), "worker-pool-stub-"));
+const stubModule = path.join(stubRepo, "stub-analyzer.js");
+fs.writeFileSync(stubModule, `
+const fs = require("fs");
+const path = require("path");
+async function analyzeStub(repoPath, opts) {
+  const files = fs.readdirSync(repoPath).filter((f) => f.endsWith(".json")).sort();
+  for (const file of files) {
+    const absPath = path.join(repoPath, file);
+    if (opts.fileFilter && !opts.fileFilter(absPath)) continue;
+    const spec = JSON.parse(fs.readFileSync(absPath, "utf8"));
+    await new Promise((resolve) => setTimeout(resolve, spec.delay || 0));
+    const log = path.join(repoPath, "finished.log");
+    while (spec.waitFor && !(fs.existsSync(log) && fs.readFileSync(log, "utf8").includes(spec.waitFor))) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    if (spec.fail === "throw") throw new Error("cannot analyze " + file);
+    if (spec.fail === "exit") process.exit(3);
+    if (spec.fail === "parse") { opts.onFileError(absPath, new Error("bad syntax")); continue; }
+    opts.onResult({ path: file, part: 1 });
+    opts.onResult({ path: file, part: 2 });
+    fs.appendFileSync(path.join(repoPath, "finished.log"), file + "\\n");
+  }
+  opts.onResult({ __type: "summary", files: files.length });
+}
+module.exports = { analyzeStub };
+`);
+
+function writeStubFiles(specs) {
+  for (const f of fs.readdirSync(stubRepo)) if (f !== "stub-analyzer.js") fs.rmSync(path.join(stubRepo, f));
+  specs.forEach((spec, i) => fs.writeFileSync(path.join(stubRepo, `s${i}.json`), JSON.stringify(spec)));
+}
+
+const finishedCount = () => fs.readFileSync(path.join(stubRepo, "finished.log"), "utf8").trim().split("\n").length;
+
+const stub = { name: "Stub", module: stubModule, exportName: "analyzeStub", analyzer: () => {} };
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+const language = {
+  name: "JavaScript",
+  module: "nodejs/file-tree-mapper-nodejs.js",
+  analyzer: analyzeJavaScriptRepo,
+};
+
+(async () => {
+  try {
+    const sequential = [];
+    analyzeJavaScriptRepo(repo, { captureStatements: true, onResult: (r) => sequential.push(r) });
+
+    const pooled = [];
+    await runAnalyzerInPool(language, repo, {
+      workers: 3,
+      analyzerOpts: { captureStatements: true },
+      onResult: (r) => pooled.push(r),
+    });
+    check("pooled run emits every file", pooled.length === sequential.length && pooled.length === 7);
+    check("pooled output identical to sequential", JSON.stringify(pooled) === JSON.stringify(sequential));
+
+    const onlyRun = [];
+    await runAnalyzerInPool(language, repo, {
+      workers: 2,
+      only: ["f2.js", "f5.js"],
+      onResult: (r) => onlyRun.push(r.path),
+    });
+    const expectedOnly = sequential.map((r) => r.path).filter((p) => p === "f2.js" || p === "f5.js");
+    check("only restricts parsed files", onlyRun.join(",") === expectedOnly.join(","));
+
+    const order = [];
+    await runAnalyzerInPool(language, repo, {
+      workers: 2,
+      serve: ["f1.js", "f4.js"],
+      serveFile: (absPath) => order.push(`served:${path.basename(absPath)}`),
+      onResult: (r) => order.push(r.path),
+    });
+    const expected = sequential.map((r) => (r.path === "f1.js" || r.path === "f4.js" ? `served:${r.path}` : r.path));
+    check("served files keep their position", order.join(",") === expected.join(","));
+
+    // ── seq reordering ──
+    // s0 waits for s3, so worker 1 finishes s1 / s3 before worker 0 finishes s0
+    writeStubFiles([{ waitFor: "s3.json" }, {}, {}, {}, {}, {}]);
+    const reordered = [];
+    await runAnalyzerInPool(stub, stubRepo, { workers: 2, onResult: (r) => reordered.push(r) });
+    const finished = fs.readFileSync(path.join(stubRepo, "finished.log"), "utf8").trim().split("\n");
+    check("files finished out of order", finished.indexOf("s3.json") < finished.indexOf("s0.json"));
+    check("records re-emitted in sequence",
+      reordered.slice(0, -1).map((r) => `${r.path}:${r.part}`).join(",") ===
+      [0, 1, 2, 3, 4, 5].flatMap((i) => [`s${i}.json:1`, `s${i}.json:2`]).join(","));
+    check("record outside the file loop forwarded once, last",
+      reordered.filter((r) => r.__type === "summary").length === 1 && reordered[reordered.length - 1].__type === "summary");
+
+    // ── only + serve, file errors ──
+    writeStubFiles([{ delay: 100 }, {}, { fail: "parse" }, {}, { delay: 50 }, {}]);
+    const filtered = [];
+    const fileErrors = [];
+    await runAnalyzerInPool(stub, stubRepo, {
+      workers: 3,
+      only: ["s0.json", "s2.json", "s3.json", "s4.json"],
+      serve: ["s3.json", "s5.json"],
+      serveFile: (absPath) => filtered.push(`served:${path.basename(absPath)}`),
+      onFileError: (absPath, err) => fileErrors.push(`${path.basename(absPath)}:${err.message}`),
+      onResult: (r) => { if (r.part !== 2) filtered.push(r.path || r.__type); },
+    });
+    check("only skips files outside the list, serve wins inside it",
+      filtered.join(",") === "s0.json,served:s3.json,s4.json,summary");
+    check("file errors forwarded", fileErrors.join(",") === "s2.json:bad syntax");
+
+    // ── failing workers ──
+    writeStubFiles([{}, { delay: 50, fail: "throw" }, {}, {}]);
+    const thrown = await rejection(runAnalyzerInPool(stub, stubRepo, { workers: 2, onResult: () => {} }));
+    check("analyzer error rejects the run", thrown && /Stub worker 1 failed: .*cannot analyze s1\.json/s.test(thrown.message));
+
+    writeStubFiles([{}, {}, { delay: 50, fail: "exit" }, {}]);
+    const crashed = await rejection(runAnalyzerInPool(stub, stubRepo, { workers: 2, onResult: () => {} }));
+    check("crashed worker rejects the run", crashed && crashed.message === "Stub worker 0 exited with code 3");
+
+    const failingSink = await rejection(runAnalyzerInPool(stub, stubRepo, {
+      workers: 2,
+      onResult: () => { throw new Error("sink closed"); },
+    }));
+    check("onResult error rejects the run", failingSink && failingSink.message === "sink closed");
+
+    // ── backpressure ──
+    writeStubFiles(Array.from({ length: 10 }, () => ({ delay: 20 })));
+    const paced = [];
+    let finishedWhilePaused = null;
+    await runAnalyzerInPool(stub, stubRepo, {
+      workers: 2,
+      onResult: (r) => {
+        paced.push(r.path || r.__type);
+        if (paced.length !== 1) return undefined;
+        // Each worker may finish the file it is on, then has to wait
+        return new Promise((resolve) => setTimeout(() => {
+          finishedWhilePaused = finishedCount();
+          resolve();
+        }, 400));
+      },
+    });
+    check("workers hold while onResult is pending", finishedWhilePaused !== null && finishedWhilePaused <= 4);
+    check("every record emitted after the pause", paced.filter((p) => p !== "summary").length === 20 && paced[paced.length - 1] === "summary");
+
+    // ── abort ──
+    writeStubFiles(Array.from({ length: 10 }, () => ({ delay: 200 })));
+    const controller = new AbortController();
+    const reason = new Error("client went away");
+    const aborted = await rejection(runAnalyzerInPool(stub, stubRepo, {
+      workers: 2,
+      signal: controller.signal,
+      onResult: () => controller.abort(reason),
+    }));
+    check("abort rejects with the signal's reason", aborted === reason);
+    const finishedAtAbort = finishedCount();
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    check("abort terminates the workers", finishedAtAbort < 10 && finishedCount() === finishedAtAbort);
+    check("already aborted signal rejects at once",
+      (await rejection(runAnalyzerInPool(stub, stubRepo, { workers: 1, signal: controller.signal, onResult: () => {} }))) === reason);
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+    fs.rmSync(stubRepo, { recursive: true, force: true });
+  }
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
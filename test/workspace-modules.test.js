@@ -0,0 +1,208 @@
+/**
+ * Tests for workspace module discovery (config/workspace-modules.js) and its
+ * use in config analysis and the merged output:
+ *   - npm/Yarn workspaces (with exclusions), pnpm, Maven <modules> (nested),
+ *     Gradle includes and uv members are discovered
+ *   - each module's top-level config files are parsed and tagged
+ *   - code files are attributed to the innermost module, and built-in
+ *     ignores (packages/) don't hide module directories (only those)
+ *   - module records are written, and filtered by manifest in diff mode
+ * Run: node test/workspace-modules.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "workspace-modules-test-"));
+process.env.STORAGE_SINK = "local";
+process.env.STORAGE_LOCAL_DIR = path.join(tmp, "storage");
+process.env.NOTIFICATION_STORE_DIR = path.join(tmp, "notifications");
+process.env.JOB_STORE_DIR = path.join(tmp, "jobs");
+
+const { discoverModules, moduleResolver, readTomlSection } = require("../config/workspace-modules");
+const { analyzeConfigRepo } = require("../config/file-tree-mapper-config");
+const { mergeLanguageOutputs } = require("../main");
+const glob = require("glob");
+const { getIgnorePatterns, getIgnorePatternsWithPrefix } = require("../ignore-patterns");
+
+let passed = 0;
+function check(name, cond) {
+  assert.ok(cond, name);
+  passed++;
+}
+
+function writeTree(root, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    const abs = path.join(root, rel);
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, typeof content === "string" ? content : JSON.stringify(content));
+  }
+  return root;
+}
+
+const byName = (modules, name) => modules.find((m) => m.name === name);
+
+const npmFiles = {
+  "package.json": { name: "root", private: true, workspaces: ["packages/*", "!packages/legacy"] },
+  "packages/core/package.json": { name: "@acme/core", version: "1.2.0" },
+  "packages/core/tsconfig.json": { compilerOptions: { strict: true } },
+  "packages/core/src/index.js": "function core() { return 1; }\nmodule.exports = { core };\n",
+  "packages/web/package.json": { name: "@acme/web", dependencies: { "@acme/core": "*", react: "^18" } },
+  "packages/web/src/app.js": "const { core } = require('@acme/core');\nfunction app() { return core(); }\n",
+  "packages/web/src/nested/package.json": { name: "not-a-module" },
+  "packages/legacy/package.json": { name: "@acme/legacy" },
+  "scripts/build.js": "function build() {}\n",
+};
+
+(async () => {
+  // -------------------------------------------------------------
+  // Discovery
+  // -------------------------------------------------------------
+  const npmRepo = writeTree(path.join(tmp, "npm"), { ...npmFiles, "yarn.lock": "" });
+  let modules = discoverModules(npmRepo);
+  check("npm workspaces found", modules.map((m) => m.path).join(",") === "packages/core,packages/web");
+  check("exclusions honoured", !byName(modules, "@acme/legacy"));
+  check("name, version and manifest", byName(modules, "@acme/core").version === "1.2.0" &&
+    byName(modules, "@acme/core").manifest === "packages/core/package.json" && byName(modules, "@acme/core").kind === "npm");
+  check("yarn detected from lockfile", modules.every((m) => m.workspace === "yarn"));
+  check("internal dependencies", byName(modules, "@acme/web").internalDependencies.join() === "@acme/core" &&
+    byName(modules, "@acme/core").internalDependencies.length === 0);
+
+  const pnpmRepo = writeTree(path.join(tmp, "pnpm"), {
+    "pnpm-workspace.yaml": "packages:\n  - 'apps/*'\n  - '!apps/skip'\n",
+    "apps/api/package.json": { name: "api" },
+    "apps/skip/package.json": { name: "skip" },
+  });
+  modules = discoverModules(pnpmRepo);
+  check("pnpm workspaces", modules.length === 1 && modules[0].name === "api" && modules[0].workspace === "pnpm");
+
+  const mavenRepo = writeTree(path.join(tmp, "maven"), {
+    "pom.xml": "<project><artifactId>parent</artifactId><modules><module>api</module><module>services</module><!-- <module>old</module> --></modules></project>",
+    "api/pom.xml": "<project><parent><artifactId>parent</artifactId></parent><artifactId>shop-api</artifactId><version>2.0</version></project>",
+    "services/pom.xml": "<project><artifactId>services</artifactId><modules><module>billing</module></modules></project>",
+    "services/billing/pom.xml": "<project><parent><artifactId>services</artifactId></parent><artifactId>billing</artifactId>" +
+      "<dependencies><dependency><artifactId>shop-api</artifactId></dependency></dependencies></project>",
+    "old/pom.xml": "<project><artifactId>old</artifactId></project>",
+  });
+  modules = discoverModules(mavenRepo);
+  check("maven modules, nested aggregators followed", modules.map((m) => m.path).join(",") === "api,services,services/billing");
+  check("maven artifactId outside <parent>", byName(modules, "shop-api").version === "2.0");
+  check("maven internal dependencies", byName(modules, "billing").internalDependencies.join() === "shop-api");
+
+  const gradleRepo = writeTree(path.join(tmp, "gradle"), {
+    "settings.gradle.kts": 'rootProject.name = "shop"\ninclude(":app", ":libs:util")\n// include(":old")\ninclude(":web")\nproject(":web").projectDir = file("frontend/web")\n',
+    "app/build.gradle.kts": 'dependencies {\n  implementation(project(":libs:util"))\n}\n',
+    "libs/util/build.gradle.kts": 'version = "0.3.0"\n',
+    "frontend/web/build.gradle": "",
+  });
+  modules = discoverModules(gradleRepo);
+  check("gradle includes map to directories", modules.map((m) => m.path).join(",") === "app,frontend/web,libs/util");
+  check("gradle project names and paths", byName(modules, "util").gradlePath === ":libs:util" && byName(modules, "util").version === "0.3.0");
+  check("gradle project dependencies", byName(modules, "app").internalDependencies.join() === "util");
+
+  const uvRepo = writeTree(path.join(tmp, "uv"), {
+    "pyproject.toml": '[project]\nname = "root"\n\n[tool.uv.workspace]\nmembers = [\n  "libs/*",\n]\n',
+    "libs/models/pyproject.toml": '[project]\nname = "models"\nversion = "0.1.0"\ndependencies = ["pydantic>=2"]\n',
+  });
+  modules = discoverModules(uvRepo);
+  check("uv members", modules.length === 1 && modules[0].name === "models" && modules[0].dependencies.join() === "pydantic");
+  check("toml arrays across lines", readTomlSection(fs.readFileSync(path.join(uvRepo, "pyproject.toml"), "utf-8"), "tool.uv.workspace").members.join() === "libs/*");
+
+  check("plain repo has no modules", discoverModules(writeTree(path.join(tmp, "plain"), { "package.json": { name: "x" } })).length === 0);
+  check("built-in packages/ ignore lifted for workspace modules", !getIgnorePatterns(npmRepo).includes("**/packages/**") &&
+    getIgnorePatterns(path.join(tmp, "plain")).includes("**/packages/**") && getIgnorePatterns(npmRepo).includes("**/node_modules/**"));
+  const ignoreRepo = writeTree(path.join(tmp, "ignores"), {
+    ...npmFiles,
+    "packages/legacy/index.js": "1",
+    "packages/setup.js": "1",
+    "packages/core-old/index.js": "1",
+    "packages/core/packages/vendored.js": "1",
+    "tools/packages/vendored.js": "1",
+  });
+  const expectedVisible = "packages/core/src/index.js,packages/web/src/app.js,scripts/build.js";
+  const visible = glob.sync("**/*.js", { cwd: ignoreRepo, nodir: true, ignore: getIgnorePatterns(ignoreRepo) });
+  check("only module directories escape the packages/ ignore", visible.map((f) => f.split(path.sep).join("/")).sort().join() === expectedVisible);
+  const visibleAbs = glob.sync(`${ignoreRepo}/**/*.js`, { nodir: true, ignore: getIgnorePatternsWithPrefix(ignoreRepo) });
+  check("same with repo-prefixed patterns", visibleAbs.map((f) => path.relative(ignoreRepo, f).split(path.sep).join("/")).sort().join() === expectedVisible);
+  const given = getIgnorePatterns(path.join(tmp, "plain"), { modules: [{ path: "packages/a" }] });
+  check("modules can be passed in", !given.includes("**/packages/**") && given.includes("packages/!(a)/**"));
+
+  const moduleOf = moduleResolver([{ name: "outer", path: "services" }, { name: "inner", path: "services/billing" }]);
+  check("innermost module wins", moduleOf("services/billing/src/A.java") === "inner" && moduleOf("services/B.java") === "outer");
+  check("no prefix false positives", moduleOf("services-old/x.js") === null && moduleOf("README.md") === null);
+
+  // -------------------------------------------------------------
+  // Config analysis and merged output
+  // -------------------------------------------------------------
+  modules = discoverModules(npmRepo);
+  const configs = analyzeConfigRepo(npmRepo, modules);
+  const configPaths = configs.map((c) => c.path.split(path.sep).join("/"));
+  check("module configs parsed", configPaths.includes("packages/core/package.json") && configPaths.includes("packages/core/tsconfig.json"));
+  check("module root only, not recursive", !configPaths.includes("packages/web/src/nested/package.json"));
+  check("configs tagged with their module", configs.find((c) => c.path === path.join("packages", "web", "package.json")).module === "@acme/web" &&
+    !configs.find((c) => c.path === "package.json").module);
+
+  const outDir = fs.mkdtempSync(path.join(tmp, "out-"));
+  const codeResult = {
+    language: "javascript",
+    name: "JavaScript",
+    data: [{ path: "packages/web/src/app.js", functions: [] }, { path: "scripts/build.js", functions: [] }],
+  };
+  const results = [codeResult, { language: "config", name: "Configuration Files", data: configs }, { language: "module", name: "Workspace Modules", data: modules }];
+  const { data } = mergeLanguageOutputs(results, npmRepo, outDir, null, null, moduleResolver(modules));
+  const record = (p) => data.files.find((f) => f.path === p);
+  check("code files attributed", record("packages/web/src/app.js").module === "@acme/web" && record("scripts/build.js").module === undefined);
+  check("config module is top-level", record(path.join("packages", "core", "package.json")).module === "@acme/core" &&
+    record(path.join("packages", "core", "package.json")).metadata.module === undefined);
+  const moduleRecords = data.files.filter((f) => f.type === "module");
+  check("module records written", moduleRecords.length === 2 && moduleRecords[1].name === "@acme/web" &&
+    moduleRecords[1].language === "config" && moduleRecords[1].internalDependencies.join() === "@acme/core");
+  check("modules are not files or languages", data.projectMetaData.totalFiles === data.files.length - 2 &&
+    !data.projectMetaData.analyzedLanguages.includes("module") && data.projectMetaData.configs.modules.join() === "@acme/core,@acme/web");
+
+  const filtered = [];
+  mergeLanguageOutputs(results, npmRepo, outDir, { write: (line) => filtered.push(JSON.parse(line)) }, new Set(["packages/core/package.json"]));
+  check("diff mode keeps modules whose manifest changed", filtered.filter((f) => f.type === "module").map((m) => m.name).join() === "@acme/core");
+
+  // -------------------------------------------------------------
+  // Server
+  // -------------------------------------------------------------
+  const { app } = require("../server");
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const files = Object.entries(npmFiles).map(([p, content]) => ({
+      path: p,
+      content: typeof content === "string" ? content : JSON.stringify(content),
+    }));
+    let res = await fetch(`${base}/api/analyze`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectName: "mono", files }),
+    });
+    check("analysis succeeds", res.status === 200);
+    const output = await res.json();
+    check("server attributes code files", output.files.find((f) => f.path === "packages/core/src/index.js").module === "@acme/core");
+    check("server writes module records", output.files.filter((f) => f.type === "module").length === 2);
+
+    res = await fetch(`${base}/api/analyze?format=ndjson`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ projectName: "mono", files }),
+    });
+    const lines = (await res.text()).trim().split("\n").map((l) => JSON.parse(l));
+    check("ndjson stream attributes code files", lines.find((f) => f.path === "packages/web/src/app.js").module === "@acme/web");
+    check("ndjson stream lists modules", lines[lines.length - 1].configs.modules.join() === "@acme/core,@acme/web");
+  } finally {
+    server.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n✅ All ${passed} assertions passed.`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -578,6 +578,9 @@ function extractFunctionsAndCalls(filePath, repoPath, imports = null, captureSou
           call.path = resolvedPath;
         }
 
+        // `this`, an imported namespace (`utils.fmt()`) or an instance variable;
+        // call-graph-resolver.js resolves it to a class or file
+        if (call.objectName) call.receiver = call.objectName;
         delete call.objectName;
       });
     });
@@ -15,8 +15,9 @@ const { extractFunctionsAndCalls, extractImports: extractImportsTS, extractFileS
 const { extractClasses } = require("./extract-classes-typescript");
 const { extractFileRoutes } = require("./extract-routes-typescript");
 const { attachRoutes } = require("../routes-js-core");
-const { loadPathAliases, resolveWithAlias } = require("./resolve-path-aliases");
+const { createPathAliasResolver, tryResolveWithExtensions } = require("./resolve-path-aliases");
 const { getIgnorePatternsWithPrefix } = require("../ignore-patterns");
+const { isBuiltin } = require("module");
 
 // -------------------------------------------------------------
 // Get TypeScript files only
@@ -38,10 +39,29 @@ function getJsFilesOnly(repoPath, ignorePatterns = null) {
   });
 }
 
+// -------------------------------------------------------------
+// Why an import ended up in externalImports
+//   alias-target-missing  matched a tsconfig "paths" pattern, no target exists
+//   outside-repo          resolves to a file outside the repository
+//   file-not-found        relative/absolute path with no matching file
+//   builtin               Node.js core module (fs, node:path)
+//   package               bare specifier, no alias matched (npm package)
+// -------------------------------------------------------------
+function unresolvedImport(importSource, aliased, outsideRepo) {
+  if (aliased && aliased.reason) {
+    return { source: importSource, reason: aliased.reason, alias: aliased.alias, tsconfig: aliased.tsconfig };
+  }
+  let reason = "package";
+  if (outsideRepo) reason = "outside-repo";
+  else if (importSource.startsWith(".") || importSource.startsWith("/")) reason = "file-not-found";
+  else if (isBuiltin(importSource)) reason = "builtin";
+  return { source: importSource, reason };
+}
+
 // -------------------------------------------------------------
 // Analyze TypeScript files (.ts, .tsx)
 // -------------------------------------------------------------
-function analyzeTypeScriptFiles(repoPath, pathAliases, opts = {}) {
+function analyzeTypeScriptFiles(repoPath, aliasResolver, opts = {}) {
   const tsFiles = getTsFilesOnly(repoPath);
   const results = opts.onResult ? null : [];
   const totalFiles = tsFiles.length;
@@ -53,6 +73,7 @@ function analyzeTypeScriptFiles(repoPath, pathAliases, opts = {}) {
 
   for (let i = 0; i < tsFiles.length; i++) {
     const file = tsFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
 
     try {
       const percentage = ((i / totalFiles) * 100).toFixed(1);
@@ -65,21 +86,18 @@ function analyzeTypeScriptFiles(repoPath, pathAliases, opts = {}) {
       const imports = extractImportsTS(file);
       const importFiles = [];
       const externalImports = [];
+      const unresolvedImports = [];
 
       // Resolve imports
       imports.forEach(imp => {
         const importSource = imp.source;
         let resolvedPath = null;
-        let isResolved = false;
-
-         // 1. Try path aliases first (e.g., @services/api.service)
-        if (Object.keys(pathAliases).length > 0) {
-          resolvedPath = resolveWithAlias(importSource, pathAliases, repoPath);
-          if (resolvedPath) {
-            importFiles.push(resolvedPath);
-            isResolved = true;
-            return;
-          }
+
+        // 1. tsconfig "paths" / baseUrl of the project owning this file (e.g., @app/services/api)
+        const aliased = aliasResolver.resolve(importSource, file);
+        if (aliased && aliased.path) {
+          importFiles.push(aliased.path);
+          return;
         }
 
         // Handle relative imports (./file or ../file)
@@ -116,56 +134,28 @@ function analyzeTypeScriptFiles(repoPath, pathAliases, opts = {}) {
         }
 
         // If we have a potential path, try to resolve it with extensions
-        if (resolvedPath && !isResolved) {
+        let outsideRepo = false;
+        if (resolvedPath) {
           const finalPath = tryResolveWithExtensions(resolvedPath);
 
-          if (finalPath && fs.existsSync(finalPath)) {
+          if (finalPath) {
             const relativePath = path.relative(repoPath, finalPath);
             // Make sure it's within the repo (not outside)
             if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
               importFiles.push(relativePath);
-              isResolved = true;
               return;
             }
+            outsideRepo = true;
           }
         }
 
         // If we couldn't resolve it as a local file, it's an external import
-        if (!isResolved) {
-          externalImports.push(importSource);
+        externalImports.push(importSource);
+        if (!unresolvedImports.some((u) => u.source === importSource)) {
+          unresolvedImports.push(unresolvedImport(importSource, aliased, outsideRepo));
         }
       });
 
-      // Helper function to try resolving a path with different extensions
-      function tryResolveWithExtensions(basePath) {
-        // If already has extension and exists, return it
-        if (path.extname(basePath) && fs.existsSync(basePath)) {
-          return basePath;
-        }
-
-        // Try with different extensions
-        const extensions = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
-        for (const ext of extensions) {
-          const pathWithExt = basePath + ext;
-          if (fs.existsSync(pathWithExt)) {
-            return pathWithExt;
-          }
-        }
-
-        // Try as directory with index file
-        if (fs.existsSync(basePath) && fs.statSync(basePath).isDirectory()) {
-          for (const ext of extensions) {
-            const indexPath = path.join(basePath, 'index' + ext);
-            if (fs.existsSync(indexPath)) {
-              return indexPath;
-            }
-          }
-        }
-
-        // If no extension worked, return null
-        return null;
-      }
-
       // Extract functions and classes
       const functions = extractFunctionsAndCalls(file, repoPath, null, opts.captureSourceCode, opts.captureStatements);
       const classes = extractClasses(file, repoPath, opts.captureStatements);
@@ -182,6 +172,7 @@ function analyzeTypeScriptFiles(repoPath, pathAliases, opts = {}) {
         path: path.relative(repoPath, file),
         importFiles: [...new Set(importFiles)],
         externalImports: [...new Set(externalImports)],
+        unresolvedImports,
         functions,
         classes,
         statements
@@ -194,6 +185,7 @@ function analyzeTypeScriptFiles(repoPath, pathAliases, opts = {}) {
     } catch (e) {
       process.stdout.write('\n');
       console.log(`❌ Error analyzing file: ${file} - ${e.message}`);
+      if (opts.onFileError) opts.onFileError(file, e);
     }
   }
 
@@ -207,10 +199,10 @@ function analyzeTypeScriptFiles(repoPath, pathAliases, opts = {}) {
 // Main export function - to be called from main.js
 // -------------------------------------------------------------
 function analyzeTypeScriptRepo(repoPath, opts = {}) {
-  const pathAliases = loadPathAliases(repoPath);
+  const aliasResolver = createPathAliasResolver(repoPath);
   console.log(`📂 Scanning TypeScript repo: ${repoPath}`);
 
-  const tsResults = analyzeTypeScriptFiles(repoPath, pathAliases, opts);
+  const tsResults = analyzeTypeScriptFiles(repoPath, aliasResolver, opts);
 
   if (!opts.onResult) {
     console.log(`\n📊 Summary:`);
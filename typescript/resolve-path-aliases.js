@@ -1,91 +1,198 @@
 const fs = require("fs");
 const path = require("path");
+const ts = require("typescript");
 
 /**
- * Load and parse tsconfig.json to extract path aliases
+ * tsconfig "paths" / "baseUrl" resolution, per file.
+ *
+ * Every file is resolved against the nearest tsconfig.json above it. When that
+ * config is solution-style (Nx keeps the real options in tsconfig.app.json /
+ * tsconfig.lib.json behind `references`), the referenced project that includes
+ * the file is used instead. Configs are parsed with the TypeScript API, so
+ * `extends` chains — relative, package-based ("@tsconfig/node20") or arrays —
+ * are merged exactly as tsc merges them, and `paths` stay relative to the
+ * config that declared them.
  */
-const ts = require("typescript");
 
-function loadPathAliases(repoPath) {
-  const configPath = ts.findConfigFile(
-    repoPath,
-    ts.sys.fileExists,
-    "tsconfig.json"
-  );
+const EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+
+// ESM-style TS imports name the emitted file: "./user.js" -> user.ts
+const EMITTED_EXTENSIONS = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts'],
+};
+
+function createPathAliasResolver(repoPath) {
+  const root = path.resolve(repoPath);
+  const configs = new Map();   // tsconfig path -> parsed project (null when unreadable)
+  const nearest = new Map();   // directory -> nearest tsconfig.json (or null)
+  const owners = new Map();    // file -> project used for its imports
+
+  function loadConfig(configPath) {
+    if (configs.has(configPath)) return configs.get(configPath);
+    configs.set(configPath, null); // guards against reference cycles
+
+    const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile);
+    if (error) {
+      console.error(`❌ Failed to read ${path.relative(root, configPath)}: ${ts.flattenDiagnosticMessageText(error.messageText, "\n")}`);
+      return null;
+    }
+
+    const parsed = ts.parseJsonConfigFileContent(config, ts.sys, path.dirname(configPath), undefined, configPath);
+    const { paths, baseUrl, pathsBasePath } = parsed.options;
+    const project = {
+      path: configPath,
+      aliases: compileAliases(paths, baseUrl || pathsBasePath || path.dirname(configPath)),
+      baseUrl: baseUrl || null,
+      fileNames: new Set(parsed.fileNames.map((f) => path.resolve(f))),
+      references: (parsed.projectReferences || []).map((ref) => path.resolve(ts.resolveProjectReferencePath(ref))),
+    };
+    configs.set(configPath, project);
+    return project;
+  }
+
+  function findNearestConfig(dir) {
+    if (nearest.has(dir)) return nearest.get(dir);
+    let found = null;
+    const candidate = path.join(dir, "tsconfig.json");
+    if (fs.existsSync(candidate)) {
+      found = candidate;
+    } else if (dir.startsWith(root + path.sep)) {
+      found = findNearestConfig(path.dirname(dir));
+    }
+    nearest.set(dir, found);
+    return found;
+  }
 
-  if (!configPath) return {};
+  // The project itself when it includes the file, else the referenced project that does
+  function owningProject(project, file, seen) {
+    if (project.fileNames.has(file)) return project;
+    for (const ref of project.references) {
+      if (seen.has(ref)) continue;
+      seen.add(ref);
+      const child = loadConfig(ref);
+      const owner = child && owningProject(child, file, seen);
+      if (owner) return owner;
+    }
+    return null;
+  }
 
-  const configFile = ts.readConfigFile(configPath, ts.sys.readFile);
+  function configForFile(file) {
+    const absFile = path.resolve(file);
+    if (owners.has(absFile)) return owners.get(absFile);
 
-  if (configFile.error) {
-    console.error("❌ Failed to read tsconfig.json");
-    return {};
+    const configPath = findNearestConfig(path.dirname(absFile));
+    const project = configPath ? loadConfig(configPath) : null;
+    const owner = project ? owningProject(project, absFile, new Set([configPath])) || project : null;
+    owners.set(absFile, owner);
+    return owner;
   }
 
-  const options = configFile.config.compilerOptions || {};
-  const paths = options.paths || {};
-  const baseUrl = options.baseUrl || ".";
+  /**
+   * Resolve a non-relative import through the owning project's `paths`, then
+   * its `baseUrl`. Returns { path, tsconfig } when a file was found,
+   * { reason, alias, tsconfig } when an alias matched but none of its targets
+   * exist (or they lie outside the repo), and null when no alias applies.
+   */
+  function resolve(importSource, file) {
+    if (importSource.startsWith(".") || path.isAbsolute(importSource)) return null;
+    const project = configForFile(file);
+    if (!project) return null;
+    const tsconfig = path.relative(root, project.path);
+
+    const match = matchAlias(importSource, project.aliases);
+    if (match) {
+      // Targets are tried in order; like tsc, only the best-matching pattern is used
+      for (const target of match.alias.targets) {
+        const found = tryResolveWithExtensions(target.replace("*", match.substitution));
+        if (!found) continue;
+        if (!isInside(root, found)) return { reason: "outside-repo", alias: match.alias.pattern, tsconfig };
+        return { path: path.relative(root, found), tsconfig };
+      }
+      return { reason: "alias-target-missing", alias: match.alias.pattern, tsconfig };
+    }
 
-  const aliases = {};
+    if (project.baseUrl) {
+      const found = tryResolveWithExtensions(path.join(project.baseUrl, importSource));
+      if (found && isInside(root, found)) return { path: path.relative(root, found), tsconfig };
+    }
 
-  for (const [alias, targets] of Object.entries(paths)) {
-    const cleanAlias = alias.replace(/\/\*$/, "");
-    const target = targets[0].replace(/\/\*$/, "");
-    aliases[cleanAlias] = path.join(repoPath, baseUrl, target);
+    return null;
   }
 
-  return aliases;
+  return { configForFile, resolve };
 }
 
+// "paths" -> [{ pattern, prefix, suffix, wildcard, targets }] in tsc's matching
+// order: exact patterns first, then the longest prefix wins.
+function compileAliases(paths, basePath) {
+  if (!paths) return [];
+  return Object.entries(paths)
+    .map(([pattern, targets]) => {
+      const star = pattern.indexOf("*");
+      return {
+        pattern,
+        wildcard: star !== -1,
+        prefix: star === -1 ? pattern : pattern.slice(0, star),
+        suffix: star === -1 ? "" : pattern.slice(star + 1),
+        targets: [].concat(targets).map((t) => path.resolve(basePath, t)),
+      };
+    })
+    .sort((a, b) => (a.wildcard - b.wildcard) || (b.prefix.length - a.prefix.length));
+}
 
-/**
- * Resolve an import using path aliases
- */
-function resolveWithAlias(importSource, pathAliases, repoPath) {
-  // Check each alias to see if it matches
-  for (const [alias, targetPath] of Object.entries(pathAliases)) {
-    if (importSource === alias || importSource.startsWith(alias + '/')) {
-      // Replace alias with actual path
-      const relativePart = importSource.slice(alias.length);
-      const resolvedPath = path.join(targetPath, relativePart);
-      
-      // Try with extensions
-      return tryResolveWithExtensions(resolvedPath, repoPath);
+function matchAlias(importSource, aliases) {
+  for (const alias of aliases) {
+    if (!alias.wildcard) {
+      if (importSource === alias.pattern) return { alias, substitution: "" };
+      continue;
+    }
+    if (importSource.length >= alias.prefix.length + alias.suffix.length
+      && importSource.startsWith(alias.prefix)
+      && importSource.endsWith(alias.suffix)) {
+      return { alias, substitution: importSource.slice(alias.prefix.length, importSource.length - alias.suffix.length) };
     }
   }
-  
   return null;
 }
 
 /**
- * Try to resolve a path with different extensions
+ * Try a path as-is, with each source extension, with the TS source of an
+ * emitted extension, then as a directory with an index file. Returns the
+ * absolute file path or null.
  */
-function tryResolveWithExtensions(basePath, repoPath) {
-  // If already has extension and exists, return it
-  if (path.extname(basePath) && fs.existsSync(basePath)) {
-    return path.relative(repoPath, basePath);
+function tryResolveWithExtensions(basePath) {
+  const ext = path.extname(basePath);
+  if (ext && isFile(basePath)) return basePath;
+
+  for (const candidate of EMITTED_EXTENSIONS[ext] || []) {
+    const sourcePath = basePath.slice(0, -ext.length) + candidate;
+    if (isFile(sourcePath)) return sourcePath;
   }
 
-  // Try with different extensions
-  const extensions = ['.ts', '.tsx', '.js', '.jsx'];
-  for (const ext of extensions) {
-    const pathWithExt = basePath + ext;
-    if (fs.existsSync(pathWithExt)) {
-      return path.relative(repoPath, pathWithExt);
-    }
+  for (const candidate of EXTENSIONS) {
+    if (isFile(basePath + candidate)) return basePath + candidate;
   }
 
-  // Try as directory with index file
   if (fs.existsSync(basePath) && fs.statSync(basePath).isDirectory()) {
-    for (const ext of extensions) {
-      const indexPath = path.join(basePath, 'index' + ext);
-      if (fs.existsSync(indexPath)) {
-        return path.relative(repoPath, indexPath);
-      }
+    for (const candidate of EXTENSIONS) {
+      const indexPath = path.join(basePath, 'index' + candidate);
+      if (isFile(indexPath)) return indexPath;
     }
   }
 
   return null;
 }
 
-module.exports = { loadPathAliases, resolveWithAlias };
\ No newline at end of file
+function isFile(p) {
+  return fs.existsSync(p) && fs.statSync(p).isFile();
+}
+
+function isInside(root, file) {
+  const rel = path.relative(root, file);
+  return !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+module.exports = { createPathAliasResolver, tryResolveWithExtensions };
@@ -362,6 +362,8 @@ const FUNCTION_NODE_TYPES = new Set([
   'anonymous_function_creation_expression',
   // Java / C# / Salesforce
   'lambda_expression',
+  // Rust
+  'closure_expression',
 ]);
 
 /**
@@ -266,6 +266,7 @@ function analyzeVBNetRepo(repoPath, opts = {}) {
 
   for (let i = 0; i < vbnetFiles.length; i++) {
     const file = vbnetFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
 
     try {
       const percentage = ((i / totalFiles) * 100).toFixed(1);
@@ -352,6 +353,7 @@ function analyzeVBNetRepo(repoPath, opts = {}) {
     } catch (e) {
       process.stdout.write('\n');
       console.log(`❌ Error analyzing file: ${file} - ${e.message}`);
+      if (opts.onFileError) opts.onFileError(file, e);
     }
   }
 
@@ -145,6 +145,7 @@ function analyzeVueRepo(repoPath, opts = {}) {
 
   for (let i = 0; i < vueFiles.length; i++) {
     const file = vueFiles[i];
+    if (opts.fileFilter && !opts.fileFilter(file)) continue;
 
     try {
       const percentage = ((i / totalFiles) * 100).toFixed(1);
@@ -277,6 +278,7 @@ function analyzeVueRepo(repoPath, opts = {}) {
     } catch (e) {
       process.stdout.write("\n");
       console.log(`❌ Error analyzing Vue file: ${file} - ${e.message}`);
+      if (opts.onFileError) opts.onFileError(file, e);
     }
   }
 
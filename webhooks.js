@@ -0,0 +1,217 @@
+/**
+ * Push webhooks for GitHub, Bitbucket Cloud and GitLab. server.js mounts them
+ * at POST /webhooks/<provider>.
+ *
+ * A delivery is authenticated with the provider's secret, from the project
+ * entry's `webhookSecretEnv` or the provider-wide default:
+ *   github     X-Hub-Signature-256: sha256=<HMAC of the raw body>
+ *   bitbucket  X-Hub-Signature:     sha256=<HMAC of the raw body>
+ *   gitlab     X-Gitlab-Token:      <secret>
+ * Each pushed branch is then mapped to projects through the project table
+ * (WEBHOOK_PROJECTS_FILE). Every match gets the same diff-analysis job as
+ * POST /api/analyze-diff, with the push's before/after SHAs as
+ * currentCommitId/incomingCommitId.
+ *
+ * Project table: a JSON array (or { "projects": [...] }) of
+ *   { repoUrl, projectUuid, codeOntologyId, branches?, gitTokenEnv?, webhookSecretEnv?, llmPlatform? }
+ * Without `branches`, only pushes to the repository's default branch are
+ * analyzed (every branch when the payload doesn't name a default).
+ * Secrets are referenced by environment variable name and never stored in the file.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+// before = 000… for a new branch, after = 000… for a deleted one
+const ZERO_SHA = /^0+$/;
+
+function sha(value) {
+  return value && !ZERO_SHA.test(value) ? value : null;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function hmacSignature(secret, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+// "refs/heads/main" -> "main"; tags and other refs -> null
+function branchName(ref) {
+  return typeof ref === "string" && ref.startsWith("refs/heads/") ? ref.slice("refs/heads/".length) : null;
+}
+
+// -------------------------------------------------------------
+// Provider payloads -> { repoUrl, defaultBranch, pushes: [{ branch, before, after }] }
+// -------------------------------------------------------------
+function parseGithubPush(payload) {
+  const repository = payload.repository || {};
+  const branch = branchName(payload.ref);
+  return {
+    repoUrl: repository.html_url || repository.clone_url || null,
+    defaultBranch: repository.default_branch || null,
+    pushes: branch ? [{ branch, before: sha(payload.before), after: payload.deleted ? null : sha(payload.after) }] : [],
+  };
+}
+
+function parseBitbucketPush(payload) {
+  const repository = payload.repository || {};
+  const pushes = [];
+  for (const change of (payload.push && payload.push.changes) || []) {
+    const ref = change.new || change.old;
+    if (!ref || ref.type !== "branch") continue;
+    pushes.push({
+      branch: ref.name,
+      before: change.old && change.old.target ? sha(change.old.target.hash) : null,
+      after: change.new && change.new.target ? sha(change.new.target.hash) : null,
+    });
+  }
+  return {
+    repoUrl: (repository.links && repository.links.html && repository.links.html.href) || null,
+    defaultBranch: (repository.mainbranch && repository.mainbranch.name) || null,
+    pushes,
+  };
+}
+
+function parseGitlabPush(payload) {
+  const project = payload.project || {};
+  const branch = branchName(payload.ref);
+  return {
+    repoUrl: project.web_url || (payload.repository && payload.repository.homepage) || null,
+    defaultBranch: project.default_branch || null,
+    pushes: branch ? [{ branch, before: sha(payload.before), after: sha(payload.after) }] : [],
+  };
+}
+
+const PROVIDERS = {
+  github: {
+    event: (req) => req.get("x-github-event"),
+    pushEvent: "push",
+    verify: (req, secret) => safeEqual(req.get("x-hub-signature-256") || "", hmacSignature(secret, req.rawBody)),
+    parse: parseGithubPush,
+  },
+  bitbucket: {
+    event: (req) => req.get("x-event-key"),
+    pushEvent: "repo:push",
+    verify: (req, secret) => safeEqual(req.get("x-hub-signature") || "", hmacSignature(secret, req.rawBody)),
+    parse: parseBitbucketPush,
+  },
+  gitlab: {
+    event: (req) => req.get("x-gitlab-event"),
+    pushEvent: "Push Hook",
+    verify: (req, secret) => safeEqual(req.get("x-gitlab-token") || "", secret),
+    parse: parseGitlabPush,
+  },
+};
+
+/**
+ * Read and validate the project table. Re-read on every delivery so edits
+ * apply without a restart; a missing file means no projects.
+ */
+function loadWebhookProjects(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return [];
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const projects = Array.isArray(parsed) ? parsed : parsed.projects;
+  if (!Array.isArray(projects)) {
+    throw new Error(`${filePath}: expected an array of projects or { "projects": [...] }`);
+  }
+  projects.forEach((p, i) => {
+    for (const field of ["repoUrl", "projectUuid", "codeOntologyId"]) {
+      if (!p || typeof p[field] !== "string" || !p[field]) {
+        throw new Error(`${filePath}: projects[${i}].${field} is required`);
+      }
+    }
+    if (p.branches !== undefined && !Array.isArray(p.branches)) {
+      throw new Error(`${filePath}: projects[${i}].branches must be an array`);
+    }
+  });
+  return projects;
+}
+
+/**
+ * Express handler for one provider.
+ *
+ * @param {"github"|"bitbucket"|"gitlab"} provider
+ * @param {object} opts
+ * @param {string} [opts.secret] - Provider-wide webhook secret
+ * @param {() => object[]} opts.loadProjects - Project table
+ * @param {(repoUrl: string) => string|null} opts.repoKey - Normalizes repo URLs so payload and table URLs compare equal
+ * @param {(params: object) => { id: string }} opts.enqueue - Queues a diff analysis (same params as /api/analyze-diff)
+ * @param {NodeJS.ProcessEnv} [opts.env] - Where `gitTokenEnv` / `webhookSecretEnv` are looked up
+ */
+function createWebhookHandler(provider, { secret, loadProjects, repoKey, enqueue, env = process.env }) {
+  const spec = PROVIDERS[provider];
+  if (!spec) throw new Error(`Unsupported webhook provider: ${provider}`);
+
+  return (req, res) => {
+    if (!req.rawBody || !req.body || typeof req.body !== "object") {
+      return res.status(400).json({ error: "Webhook payload must be sent as application/json" });
+    }
+
+    let projects;
+    try {
+      projects = loadProjects();
+    } catch (err) {
+      console.error(`🪝 [webhooks/${provider}] ✗ project table: ${err.message}`);
+      return res.status(500).json({ error: "Webhook project table is invalid" });
+    }
+
+    const push = spec.parse(req.body);
+    const key = push.repoUrl ? repoKey(push.repoUrl) : null;
+    const matches = key ? projects.filter((p) => repoKey(p.repoUrl) === key) : [];
+
+    const secrets = [...new Set([...matches.map((p) => p.webhookSecretEnv && env[p.webhookSecretEnv]), secret].filter(Boolean))];
+    if (secrets.length === 0) {
+      console.warn(`🪝 [webhooks/${provider}] ✗ no secret configured for ${push.repoUrl || "<unknown repo>"}`);
+      return res.status(401).json({ error: "No webhook secret configured for this repository" });
+    }
+    if (!secrets.some((s) => spec.verify(req, s))) {
+      console.warn(`🪝 [webhooks/${provider}] ✗ signature mismatch for ${push.repoUrl || "<unknown repo>"}`);
+      return res.status(401).json({ error: "Invalid webhook signature" });
+    }
+
+    const event = spec.event(req);
+    if (event !== spec.pushEvent) {
+      return res.json({ ignored: true, reason: `Event "${event || "unknown"}" is not a push` });
+    }
+    if (matches.length === 0) {
+      return res.json({ ignored: true, reason: `${push.repoUrl || "Repository"} is not mapped to a project` });
+    }
+
+    const jobs = [];
+    for (const { branch, before, after } of push.pushes) {
+      if (!after) continue; // branch deleted
+      for (const project of matches) {
+        const branches = project.branches || (push.defaultBranch ? [push.defaultBranch] : null);
+        if (branches && !branches.includes(branch)) continue;
+        try {
+          const job = enqueue({
+            repoUrl: project.repoUrl,
+            currentCommitId: before,
+            incomingCommitId: after,
+            gitToken: project.gitTokenEnv ? env[project.gitTokenEnv] : undefined,
+            gitBranch: branch,
+            projectUuid: project.projectUuid,
+            codeOntologyId: project.codeOntologyId,
+            llmPlatform: project.llmPlatform || "AWSBEDROCK",
+          });
+          jobs.push({ jobId: job.id, projectUuid: project.projectUuid, branch, incomingCommitId: after });
+        } catch (err) {
+          console.error(`🪝 [webhooks/${provider}] ✗ could not queue ${project.projectUuid}@${branch}: ${err.message}`);
+          return res.status(err.statusCode || 500).json({ error: err.message, jobs });
+        }
+      }
+    }
+
+    if (jobs.length === 0) {
+      return res.json({ ignored: true, reason: "No pushed branch is tracked by a mapped project" });
+    }
+    console.log(`🪝 [webhooks/${provider}] ✓ queued ${jobs.length} job(s) for ${push.repoUrl}`);
+    res.status(202).json({ success: true, jobs });
+  };
+}
+
+module.exports = { createWebhookHandler, loadWebhookProjects };
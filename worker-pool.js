@@ -0,0 +1,202 @@
+/**
+ * Worker-thread pool for the language analyzers (`--workers <n>`, and every
+ * analysis the HTTP server runs, so parsing stays off its event loop).
+ *
+ * Spreads the files of one registered analyzer across N workers
+ * (analyzer-worker.js). Each worker loads its own copy of the analyzer and
+ * therefore its own tree-sitter parsers, enumerates the full file list, and
+ * parses every N-th file of the analyzer's per-file loop via the
+ * `opts.fileFilter` hook. Cross-file indexes are built in every worker.
+ *
+ * Results come back through `onResult` in the same order a sequential run
+ * would produce, so the NDJSON output and stats are deterministic.
+ *
+ * Analyzers must emit their file records (those with a `path`) from inside
+ * the filtered per-file loop (all built-in ones do). Records without a path
+ * are forwarded once, after all per-file results.
+ *
+ * Backpressure: when `onResult` returns a promise (e.g. waiting for a
+ * stream's 'drain'), no further record is emitted until it settles and the
+ * workers hold before their next file.
+ */
+
+const { Worker } = require("worker_threads");
+const path = require("path");
+const readline = require("readline");
+
+/**
+ * @param {{ key: string, name: string, module: string, exportName?: string, analyzer: Function }} language
+ * @param {string} repoPath
+ * @param {object} opts
+ * @param {number} opts.workers - Number of worker threads
+ * @param {(record: object) => void|Promise<void>} opts.onResult - A returned promise pauses the pool until it settles
+ * @param {(absPath: string, err: Error) => void} [opts.onFileError] - A file the analyzer could not parse
+ * @param {object} [opts.analyzerOpts] - Cloneable options passed to the analyzer (capture flags)
+ * @param {string[]} [opts.only] - Only parse these repo-relative paths (`/`-separated)
+ * @param {string[]} [opts.serve] - Paths the caller emits itself, via `opts.serveFile(absPath)`
+ * @param {(absPath: string) => void} [opts.serveFile]
+ * @param {AbortSignal} [opts.signal] - Terminates the workers and rejects with the abort reason
+ * @returns {Promise<void>}
+ */
+function runAnalyzerInPool(language, repoPath, opts) {
+  const workerCount = opts.workers;
+  console.log(`🧵 Spreading ${language.name} files across ${workerCount} workers...`);
+
+  return new Promise((resolve, reject) => {
+    const workers = [];
+    const pending = new Map(); // seq -> { records, done, serveAbsPath }
+    const tail = [];
+    const ready = []; // in order, not yet handed to the caller: { record } | { serveAbsPath }
+    // Shared with the workers: 1 while they must hold before their next file
+    const gate = new Int32Array(new SharedArrayBuffer(4));
+    let next = 0;
+    let total = null;
+    let ended = 0;
+    let failed = false;
+    let waiting = false;
+
+    function entry(seq) {
+      let e = pending.get(seq);
+      if (!e) {
+        e = { records: [], done: false, serveAbsPath: null };
+        pending.set(seq, e);
+      }
+      return e;
+    }
+
+    function setGate(closed) {
+      Atomics.store(gate, 0, closed ? 1 : 0);
+      if (!closed) Atomics.notify(gate, 0);
+    }
+
+    function onAbort() {
+      fail(opts.signal.reason);
+    }
+
+    function settle() {
+      if (opts.signal) opts.signal.removeEventListener("abort", onAbort);
+    }
+
+    function fail(err) {
+      if (failed) return;
+      failed = true;
+      settle();
+      setGate(false);
+      workers.forEach((w) => w.terminate());
+      reject(err);
+    }
+
+    // Emit every consecutive completed seq, starting at `next`, until
+    // onResult asks to wait
+    function flush() {
+      if (failed || waiting) return;
+      try {
+        for (;;) {
+          while (pending.has(next) && pending.get(next).done) {
+            const e = pending.get(next);
+            pending.delete(next);
+            if (e.serveAbsPath) ready.push({ serveAbsPath: e.serveAbsPath });
+            e.records.forEach((record) => ready.push({ record }));
+            next++;
+          }
+          const finished = ended === workerCount && next >= total;
+          if (finished) tail.splice(0).forEach((record) => ready.push({ record }));
+          if (ready.length === 0) {
+            if (finished) {
+              settle();
+              resolve();
+            }
+            return;
+          }
+
+          const item = ready.shift();
+          if (item.serveAbsPath) {
+            opts.serveFile(item.serveAbsPath);
+            continue;
+          }
+          const paused = opts.onResult(item.record);
+          if (paused && typeof paused.then === "function") {
+            waiting = true;
+            setGate(true);
+            paused.then(() => {
+              waiting = false;
+              setGate(false);
+              flush();
+            }, fail);
+            return;
+          }
+        }
+      } catch (err) {
+        fail(err);
+      }
+    }
+
+    if (opts.signal) {
+      if (opts.signal.aborted) return reject(opts.signal.reason);
+      opts.signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    for (let i = 0; i < workerCount; i++) {
+      const worker = new Worker(path.join(__dirname, "analyzer-worker.js"), {
+        workerData: {
+          modulePath: path.resolve(__dirname, language.module),
+          exportName: language.exportName || language.analyzer.name,
+          repoPath,
+          analyzerOpts: opts.analyzerOpts || {},
+          workerIndex: i,
+          workerCount,
+          only: opts.only || null,
+          serve: opts.serve || [],
+          gate,
+        },
+        stdout: true,
+      });
+      workers.push(worker);
+
+      // Per-worker spinners/progress would interleave; only surface problems.
+      readline.createInterface({ input: worker.stdout }).on("line", (line) => {
+        const text = line.slice(line.lastIndexOf("\r") + 1);
+        if (text.includes("❌") || text.includes("⚠️")) console.log(text);
+      });
+
+      worker.on("message", (msg) => {
+        if (failed) return;
+        switch (msg.type) {
+          case "result":
+            entry(msg.seq).records.push(msg.record);
+            break;
+          case "done":
+            entry(msg.seq).done = true;
+            flush();
+            break;
+          case "serve":
+            Object.assign(entry(msg.seq), { done: true, serveAbsPath: msg.absPath });
+            flush();
+            break;
+          case "fileError":
+            if (opts.onFileError) opts.onFileError(msg.file, new Error(msg.message));
+            break;
+          case "tail":
+            tail.push(msg.record);
+            break;
+          case "end":
+            total = Math.max(total || 0, msg.total);
+            ended++;
+            flush();
+            break;
+          case "error":
+            fail(new Error(`${language.name} worker ${i} failed: ${msg.message}`));
+            break;
+        }
+      });
+      worker.on("error", fail);
+      worker.on("exit", (code) => {
+        if (code !== 0 && !failed && ended < workerCount) {
+          fail(new Error(`${language.name} worker ${i} exited with code ${code}`));
+        }
+      });
+    }
+  });
+}
+
+module.exports = { runAnalyzerInPool };